@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Headless balance simulator: plays CPU vs CPU matches with the real engine
+ * (no React, no DOM) and prints a report as JSON or CSV.
+ *
+ *   npm run balance -- --matches 2000 --p1 Hard --p2 Normal --characters kai,brick --format csv
+ *
+ * Options (all optional):
+ *   --matches N        matches per matchup (default 1000)
+ *   --p1 / --p2        CPU difficulty per side; omit both to run every pairing
+ *   --characters a,b   roster ids for Player 1 and Player 2 (default kai,kai)
+ *   --stage ID         stage to fight on (default dojo)
+ *   --seed N           first match seed; match i uses seed + i (default 1)
+ *   --rules QUERY      match rules as in a shared link, e.g. "time=30&bo=5&turbo=1" (default: standard)
+ *   --format json|csv  output format (default json)
+ */
+import { register } from "node:module";
+import { parseArgs } from "node:util";
+
+register("./engine-loader.mjs", import.meta.url);
+const { DIFFICULTY, ROSTER, STAGE_IDS, ATTACK_TYPES, rulesFromQuery, simulateMatch, summarizeMatches } = await import(
+  "../src/engine/index.js"
+);
+
+const { values: args } = parseArgs({
+  options: {
+    matches: { type: "string", default: "1000" },
+    p1: { type: "string" },
+    p2: { type: "string" },
+    characters: { type: "string", default: "kai,kai" },
+    stage: { type: "string", default: "dojo" },
+    seed: { type: "string", default: "1" },
+    rules: { type: "string" },
+    format: { type: "string", default: "json" },
+  },
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const matches = Number(args.matches);
+const firstSeed = Number(args.seed);
+const [c1, c2 = c1] = args.characters.split(",");
+const levels = Object.keys(DIFFICULTY);
+if (!Number.isInteger(matches) || matches < 1) fail("--matches must be a positive integer");
+for (const id of [c1, c2]) if (!ROSTER.includes(id)) fail(`Unknown character "${id}" (have: ${ROSTER.join(", ")})`);
+if (!STAGE_IDS.includes(args.stage)) fail(`Unknown stage "${args.stage}" (have: ${STAGE_IDS.join(", ")})`);
+for (const level of [args.p1, args.p2]) {
+  if (level && !levels.includes(level)) fail(`Unknown difficulty "${level}" (have: ${levels.join(", ")})`);
+}
+if (!["json", "csv"].includes(args.format)) fail("--format must be json or csv");
+const rules = args.rules ? rulesFromQuery(args.rules) : {};
+if (!rules) fail(`--rules has no rule parameters: "${args.rules}"`);
+
+// One side fixed, the other defaults to the same level; neither given runs every pairing
+const pairings =
+  args.p1 || args.p2
+    ? [[args.p1 || args.p2, args.p2 || args.p1]]
+    : levels.flatMap((a) => levels.map((b) => [a, b]));
+
+const report = pairings.map(([p1, p2]) => {
+  const results = [];
+  for (let i = 0; i < matches; i++) {
+    results.push(
+      simulateMatch({
+        seed: firstSeed + i,
+        characters: { p1: c1, p2: c2 },
+        stage: args.stage,
+        difficulties: { p1, p2 },
+        rules,
+      })
+    );
+  }
+  return {
+    p1: { difficulty: p1, character: c1 },
+    p2: { difficulty: p2, character: c2 },
+    stage: args.stage,
+    ...summarizeMatches(results),
+  };
+});
+
+if (args.format === "json") {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  const damageColumns = ["p1", "p2"].flatMap((side) => ATTACK_TYPES.map((type) => `${side}_${type}_dmg_per_round`));
+  const header = [
+    "p1_difficulty", "p1_character", "p2_difficulty", "p2_character", "stage", "matches", "rounds",
+    "p1_win_rate", "p2_win_rate", "draw_rate", "avg_round_seconds", "time_out_rate", ...damageColumns,
+  ];
+  const fixed = (n) => n.toFixed(4);
+  const rows = report.map((r) => [
+    r.p1.difficulty, r.p1.character, r.p2.difficulty, r.p2.character, r.stage, r.matches, r.rounds,
+    fixed(r.winRate.p1), fixed(r.winRate.p2), fixed(r.winRate.draw), fixed(r.avgRoundSeconds), fixed(r.timeOutRate),
+    ...["p1", "p2"].flatMap((side) => ATTACK_TYPES.map((type) => fixed(r.damagePerRound[side][type]))),
+  ]);
+  console.log([header, ...rows].map((row) => row.join(",")).join("\n"));
+}
@@ -0,0 +1,23 @@
+/**
+ * Node module hooks that let plain Node import the app's engine sources.
+ * The sources are written for the bundler: ES modules in .js files with
+ * extensionless relative imports. This adds the extension and loads
+ * files under src/ as ES modules. Registered by scripts that need the engine.
+ */
+
+const SRC = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const relative = specifier.startsWith("./") || specifier.startsWith("../");
+  if (relative && context.parentURL?.startsWith(SRC) && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * LAN relay for online matches: pairs two browsers in a room and forwards
+ * their messages to each other. It knows nothing about the game; the
+ * simulation runs in the browsers (see src/net). Plain Node, no packages:
+ * speaks just enough WebSocket (RFC 6455) for JSON text messages.
+ *
+ *   npm run relay -- --port 8787 --latency 60 --jitter 20 --loss 0.05
+ *
+ * Options (all optional):
+ *   --port N        port to listen on (default 8787)
+ *   --host ADDR     interface to bind (default 0.0.0.0, reachable on the LAN)
+ *   --latency MS    delay added to every forwarded message (default 0)
+ *   --jitter MS     extra random delay of up to MS (default 0)
+ *   --loss P        chance in [0, 1) of dropping a forwarded input or ping (default 0)
+ *
+ * Protocol (JSON text frames):
+ *   client -> { type: "create" }              relay -> { type: "room", code, side: "p1" }
+ *   client -> { type: "join", code }          relay -> { type: "room", code, side: "p2" }, host gets { type: "peer" }
+ *   relay  -> { type: "error", message }      unknown or full room
+ *   relay  -> { type: "left" }                the other player disconnected; the room is closed
+ * Any other message is forwarded to the other player in the room.
+ */
+import { createHash, randomInt } from "node:crypto";
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: "8787" },
+    host: { type: "string", default: "0.0.0.0" },
+    latency: { type: "string", default: "0" },
+    jitter: { type: "string", default: "0" },
+    loss: { type: "string", default: "0" },
+  },
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const port = Number(args.port);
+const latency = Number(args.latency);
+const jitter = Number(args.jitter);
+const loss = Number(args.loss);
+if (!Number.isInteger(port) || port < 1 || port > 65535) fail("--port must be a port number");
+if (!(latency >= 0) || !(jitter >= 0)) fail("--latency and --jitter must be zero or more milliseconds");
+if (!(loss >= 0 && loss < 1)) fail("--loss must be at least 0 and below 1");
+
+// Messages simulated loss may drop. Inputs are sent again until acknowledged;
+// a lost ping or pong only skips one round-trip sample, as pings go out on a timer.
+// Checksums are sent once, so they always get through.
+const LOSSY_TYPES = new Set(["input", "ping", "pong"]);
+// Room codes avoid look-alike characters
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 4;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+const rooms = new Map(); // code -> { p1, p2 }
+
+// --- WebSocket framing ---
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pull whole frames off the front of the buffer; returns the frames and what is left
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  for (;;) {
+    if (buffer.length - offset < 2) break;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) return { frames, rest: null };
+    const maskBytes = masked ? 4 : 0;
+    if (buffer.length < pos + maskBytes + length) break;
+    const payload = Buffer.from(buffer.subarray(pos + maskBytes, pos + maskBytes + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[pos + (i % 4)];
+    }
+    frames.push({ opcode, payload });
+    offset = pos + maskBytes + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// --- Clients and rooms ---
+
+function send(client, message) {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(message))));
+}
+
+// Forward to the other player through the simulated network; delivery order is kept
+function forward(from, to, text, type) {
+  if (loss > 0 && LOSSY_TYPES.has(type) && Math.random() < loss) return;
+  const delay = latency + (jitter > 0 ? Math.random() * jitter : 0);
+  if (delay === 0) {
+    if (!to.socket.destroyed) to.socket.write(encodeFrame(OP_TEXT, Buffer.from(text)));
+    return;
+  }
+  const at = Math.max(Date.now() + delay, from.nextDelivery);
+  from.nextDelivery = at;
+  setTimeout(() => {
+    if (!to.socket.destroyed) to.socket.write(encodeFrame(OP_TEXT, Buffer.from(text)));
+  }, at - Date.now());
+}
+
+function newCode() {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function leave(client) {
+  const room = client.room && rooms.get(client.room);
+  if (!room) return;
+  rooms.delete(client.room);
+  const other = room.p1 === client ? room.p2 : room.p1;
+  if (other) {
+    other.room = null;
+    send(other, { type: "left" });
+  }
+  client.room = null;
+}
+
+function handle(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return;
+  }
+  if (message.type === "create") {
+    leave(client);
+    const code = newCode();
+    rooms.set(code, { p1: client, p2: null });
+    client.room = code;
+    send(client, { type: "room", code, side: "p1" });
+    console.log(`room ${code} opened`);
+  } else if (message.type === "join") {
+    const code = String(message.code || "").toUpperCase();
+    const room = rooms.get(code);
+    if (!room) return send(client, { type: "error", message: `There is no room ${code}.` });
+    if (room.p2 || room.p1 === client) return send(client, { type: "error", message: `Room ${code} is full.` });
+    leave(client);
+    room.p2 = client;
+    client.room = code;
+    send(client, { type: "room", code, side: "p2" });
+    send(room.p1, { type: "peer" });
+    console.log(`room ${code} full, match on`);
+  } else {
+    const room = client.room && rooms.get(client.room);
+    const other = room && (room.p1 === client ? room.p2 : room.p1);
+    if (other) forward(client, other, text, message.type);
+  }
+}
+
+function accept(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const acceptKey = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${acceptKey}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const client = { socket, room: null, nextDelivery: 0 };
+  let pending = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    if (!rest) {
+      socket.destroy();
+      return;
+    }
+    pending = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === OP_TEXT) handle(client, payload.toString("utf8"));
+      else if (opcode === OP_PING) socket.write(encodeFrame(OP_PONG, payload));
+      else if (opcode === OP_CLOSE) {
+        socket.end(encodeFrame(OP_CLOSE, Buffer.alloc(0)));
+        break;
+      }
+    }
+  });
+  socket.on("close", () => leave(client));
+  socket.on("error", () => socket.destroy());
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("Fighting Arena relay: connect with a WebSocket.\n");
+});
+server.on("upgrade", accept);
+server.listen(port, args.host, () => {
+  const network = latency || jitter || loss ? ` (simulating ${latency}+${jitter} ms, ${loss * 100}% loss)` : "";
+  console.log(`Fighting Arena relay on ws://${args.host}:${port}${network}`);
+});
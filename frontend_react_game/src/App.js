@@ -1,4 +1,104 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ARENA_HEIGHT,
+  ARENA_WIDTH,
+  DEFAULT_CHARACTER,
+  DEFAULT_STAGE,
+  DEFAULT_TRAINING_SETTINGS,
+  DIFFICULTY,
+  BLOCK_REDUCTION,
+  EX_COST,
+  METER_MAX,
+  SUPER_COST,
+  TICK_MS,
+  attackPhase,
+  awaitsAction,
+  buildGhostFile,
+  buildReplay,
+  buildTournamentFile,
+  clamp,
+  controlAI,
+  controlGhost,
+  createAIState,
+  createGhostModel,
+  createGhostState,
+  createMatch,
+  createMatchStats,
+  createTrainingState,
+  encodeInput,
+  getAttackHitbox,
+  getCharacter,
+  getHurtbox,
+  getMove,
+  getPalette,
+  getPlayer,
+  matchPlayers,
+  matchReducer,
+  mergeInputs,
+  msToTicks,
+  observeGhost,
+  parseGhostFile,
+  parseReplay,
+  playbackTick,
+  randomSeed,
+  recordStats,
+  rulesFromQuery,
+  rulesToQuery,
+  resetPositions,
+  roundLabel,
+  rulesDiffer,
+  secondsRemaining,
+  stepTraining,
+  toggleRecording,
+  tournamentChampion,
+} from "./engine";
+import { soundCues } from "./audio/cues";
+import { useAudio } from "./audio/useAudio";
+import ArenaCanvas from "./components/ArenaCanvas";
+import AudioPanel from "./components/AudioPanel";
+import BindingsPanel from "./components/BindingsPanel";
+import CharacterSelect from "./components/CharacterSelect";
+import DisplayPanel from "./components/DisplayPanel";
+import EffectsLayer from "./components/EffectsLayer";
+import FpsOverlay from "./components/FpsOverlay";
+import GamepadPanel from "./components/GamepadPanel";
+import GhostPanel from "./components/GhostPanel";
+import HistoryPanel from "./components/HistoryPanel";
+import HitboxOverlay from "./components/HitboxOverlay";
+import MatchResults from "./components/MatchResults";
+import OnlinePanel from "./components/OnlinePanel";
+import ReplayControls from "./components/ReplayControls";
+import RulesPanel from "./components/RulesPanel";
+import StageSelect from "./components/StageSelect";
+import StageView from "./components/StageView";
+import Toasts, { useToasts } from "./components/Toasts";
+import TouchControls from "./components/TouchControls";
+import TournamentPanel from "./components/TournamentPanel";
+import TrainingPanel, { TRAINING_HOTKEYS } from "./components/TrainingPanel";
+import { useGhosts } from "./hooks/useGhosts";
+import { useMatchHistory } from "./hooks/useMatchHistory";
+import { useMediaQuery } from "./hooks/useMediaQuery";
+import { useRules } from "./hooks/useRules";
+import { useTournament } from "./hooks/useTournament";
+import { keyLabel, readKeyboardInput } from "./input/bindings";
+import { useBindings } from "./input/useBindings";
+import { useGamepads } from "./input/useGamepads";
+import { createTouchState, readTouchInput } from "./input/touch";
+import { advanceRollback, canAdvance, shouldWait } from "./net/rollback";
+import { useNetplay } from "./net/useNetplay";
+import {
+  DEFAULT_EFFECTS,
+  activeEffects,
+  createEffects,
+  shakeOffset,
+  spawnEffects,
+  tickEffects,
+} from "./render/effects";
+import { bracketHTML } from "./render/bracketHtml";
+import { createFrameMeter, recordCommit, recordFrame } from "./render/frameMeter";
+import { hudChanged, shownCombo } from "./render/hud";
+import { downloadHTML, downloadJSON, fileStamp, printHTML, readJSONFile } from "./utils/files";
+import { loadJSON, saveJSON } from "./utils/storage";
 import "./index.css";
 import "./App.css";
 
@@ -6,186 +106,212 @@ import "./App.css";
  * Simple 2D fighting game built with React + Tailwind.
  * Ocean Professional theme: blue & amber accents, gradients, subtle transitions, responsive.
  *
- * Key bindings:
- *  - Player 1: A/D move, W jump, S block, J light, K heavy, U special
- *  - Player 2: ArrowLeft/Right move, ArrowUp jump, ArrowDown block, Numpad1 light, Numpad2 heavy, Numpad3 special
+ * Default key bindings (rebindable from the Key Bindings screen, see ./input/bindings):
+ *  - Player 1: A/D move (hold back to block), W jump, S crouch, J light, K heavy, U special
+ *  - Player 2: ArrowLeft/Right move (hold back to block), ArrowUp jump, ArrowDown crouch, Comma light, Period heavy,
+ *    Slash special
  *
  * Modes:
  *  - PvP: Both players controlled
- *  - PvAI: Player 1 vs Computer with difficulty (Easy/Normal/Hard)
+ *  - PvAI: Player 1 vs Computer with difficulty (Easy/Normal/Hard) or a player's ghost (./engine/ghost)
+ *  - CPU vs CPU: both sides computer-controlled, each with its own difficulty
+ *  - Training: Player 1 vs a configurable dummy, untimed, with refills and a hitbox overlay (./engine/training)
+ *  - Online: PvP between two browsers through the LAN relay, with rollback netcode (./net)
+ *
+ * Tournaments (./engine/tournament) run on top of these: each bracket match is
+ * played as PvP, PvAI (the person is Player 1) or CPU vs CPU, and the winner is
+ * entered into the bracket as soon as the match ends.
+ *
+ * Sound is synthesized in ./audio from the same state changes the renderer shows,
+ * and hits get hitstop, screen shake, sparks and damage numbers (./render/effects)
+ * unless the player or the system asks for reduced motion.
+ * Finished matches (Training aside) show a results screen with the match stats
+ * (./engine/stats) and are kept in the match history.
+ *
+ * All physics, hit detection and AI live in ./engine, which advances the match
+ * in fixed 60 Hz ticks from a seed. This component only feeds it input and renders.
+ * The arena is drawn either on a canvas (./render/canvas), which the loop redraws
+ * every frame while React re-renders only when the HUD changes (./render/hud),
+ * or from DOM elements (FighterSprite), which re-renders the app every frame.
+ * Round flow (intro, fight, KO, results, rematch) is the engine's match reducer;
+ * the loop runs whenever the match is not waiting on a button (awaitsAction).
  */
 
-// Game constants
-const ARENA_WIDTH = 960;
-const ARENA_HEIGHT = 420;
-const FLOOR_Y = 320;
-const GRAVITY = 0.7;
-const FRICTION = 0.85;
-const MAX_SPEED = 5;
-const JUMP_VELOCITY = -12;
-const ATTACK_COOLDOWN = 350; // ms
-const HEAVY_COOLDOWN = 700; // ms
-const SPECIAL_COOLDOWN = 2200; // ms
-const BLOCK_REDUCTION = 0.65; // percent damage reduced when blocking
-const ROUND_TIME = 60; // seconds
-const WIN_ROUNDS = 2;
-
-// Public controls mapping: documented for UI hints
-const CONTROLS = {
-  p1: {
-    left: "a",
-    right: "d",
-    up: "w",
-    down: "s",
-    light: "j",
-    heavy: "k",
-    special: "u",
-  },
-  p2: {
-    left: "ArrowLeft",
-    right: "ArrowRight",
-    up: "ArrowUp",
-    down: "ArrowDown",
-    light: "Numpad1",
-    heavy: "Numpad2",
-    special: "Numpad3",
-  },
-};
+// Cap on simulated time per animation frame so a stalled tab does not fast-forward the fight
+const MAX_FRAME_MS = 250;
+
+const TOUCH_PREF_KEY = "fighting-arena.touch.v1";
+const TRAINING_SETTINGS_KEY = "fighting-arena.training.v1";
+const DISPLAY_KEY = "fighting-arena.display.v1";
 
-const DIFFICULTY = {
-  Easy: { reactionMs: [500, 900], blockChance: 0.25, specialChance: 0.1, aggression: 0.3 },
-  Normal: { reactionMs: [350, 650], blockChance: 0.45, specialChance: 0.2, aggression: 0.55 },
-  Hard: { reactionMs: [220, 420], blockChance: 0.65, specialChance: 0.35, aggression: 0.75 },
+const DEFAULT_DISPLAY = {
+  renderer: "canvas",
+  skin: "sprites",
+  showFps: false,
+  effects: DEFAULT_EFFECTS,
+  reduceMotion: false,
 };
 
-// Utility hooks
-function useAnimationFrame(callback, active = true) {
-  const requestRef = useRef();
-  const lastRef = useRef(performance.now());
+function loadDisplay() {
+  const stored = loadJSON(DISPLAY_KEY, {});
+  return { ...DEFAULT_DISPLAY, ...stored, effects: { ...DEFAULT_EFFECTS, ...stored.effects } };
+}
 
-  const loop = useCallback(
-    (time) => {
-      const delta = time - lastRef.current;
-      lastRef.current = time;
-      callback(delta);
-      requestRef.current = requestAnimationFrame(loop);
-    },
-    [callback]
-  );
+const CPU_VS_CPU = "CPU vs CPU";
+const PLAYER_NAMES = { p1: "Player 1", p2: "Player 2" };
 
-  useEffect(() => {
-    if (!active) return;
-    requestRef.current = requestAnimationFrame(loop);
-    return () => cancelAnimationFrame(requestRef.current);
-  }, [loop, active]);
-}
+// A CPU level is a DIFFICULTY name or "ghost:<player>" for a learned ghost
+const GHOST_LEVEL = "ghost:";
 
-// Entity helpers
-function createFighter(x, facing = 1, palette = "blue") {
-  return {
-    x,
-    y: FLOOR_Y,
-    vx: 0,
-    vy: 0,
-    width: 48,
-    height: 78,
-    facing, // 1 -> right, -1 -> left
-    palette,
-    onGround: true,
-    attacking: false,
-    attackType: null,
-    attackTimer: 0,
-    block: false,
-    canAct: true,
-    hp: 100,
-    rounds: 0,
-    cooldowns: {
-      light: 0,
-      heavy: 0,
-      special: 0,
-    },
-    hitflash: 0,
-    blockflash: 0,
-  };
+function ghostOf(level) {
+  return level && level.startsWith(GHOST_LEVEL) ? level.slice(GHOST_LEVEL.length) : null;
 }
 
-function rectsOverlap(a, b) {
-  return !(
-    a.x + a.width < b.x ||
-    a.x > b.x + b.width ||
-    a.y < b.y - b.height ||
-    a.y - a.height > b.y
-  );
+function levelLabel(level) {
+  const ghost = ghostOf(level);
+  return ghost ? `${ghost}'s Ghost` : level;
 }
 
-function clamp(v, min, max) {
-  return Math.max(min, Math.min(max, v));
+// Modes where Player 1 is a person whose habits the ghost can learn
+function learnsGhost(mode) {
+  return mode === "PvAI" || mode === "PvP";
 }
 
-function getAttackHitbox(f, type) {
-  const reach = type === "heavy" ? 56 : type === "light" ? 42 : 68; // special longest
-  const height = 24;
-  return {
-    x: f.facing === 1 ? f.x + f.width : f.x - reach,
-    y: f.y - f.height / 2,
-    width: reach,
-    height,
-  };
+// Training rounds have no clock and no intro
+function matchOptions(mode, rules) {
+  return mode === "Training" ? { rules: { ...rules, roundTime: null }, intro: false } : { rules };
 }
 
-function resolveFacing(p1, p2) {
-  const leftIsP1 = p1.x < p2.x;
-  return [
-    { ...p1, facing: leftIsP1 ? 1 : -1 },
-    { ...p2, facing: leftIsP1 ? -1 : 1 },
-  ];
+// Utility hooks
+function useAnimationFrame(callback, active = true) {
+  const requestRef = useRef();
+  const lastRef = useRef(0);
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    if (!active) return;
+    const loop = (time) => {
+      const delta = time - lastRef.current;
+      lastRef.current = time;
+      callbackRef.current(delta);
+      requestRef.current = requestAnimationFrame(loop);
+    };
+    lastRef.current = performance.now();
+    requestRef.current = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(requestRef.current);
+  }, [active]);
 }
 
-function FighterSprite({ fighter, isLeft, tint, isKO }) {
+// Longest arm drawn for an attack; supers draw a beam instead
+const ARM_MAX_REACH = 100;
+
+function FighterSprite({ fighter, isLeft, isKO }) {
   // simple "animated" rectangles with accent details; no images
-  const base = fighter.palette === "blue" ? "bg-blue-500" : "bg-amber-500";
-  const detail = fighter.palette === "blue" ? "bg-blue-300" : "bg-amber-300";
-  const outline = fighter.palette === "blue" ? "ring-blue-300/60" : "ring-amber-300/60";
+  const palette = getPalette(fighter);
   const hitClass = fighter.hitflash > 0 ? "hitflash" : fighter.blockflash > 0 ? "blockflash" : "";
+  // As tall as the hurtbox, so it shrinks while crouching
+  const { height } = getHurtbox(fighter);
+  const hitbox = fighter.attacking && getAttackHitbox(fighter, fighter.attackType);
 
   return (
     <div
-      className={`absolute bottom-0 fighter-shadow transition-transform duration-100 ${hitClass}`}
+      className={`absolute fighter-shadow transition-transform duration-100 ${hitClass}`}
       style={{
         left: fighter.x,
+        // Same bottom-anchored y the engine's hurtbox uses, so jumps show and debug boxes line up
+        top: fighter.y - height,
         transform: `translate(-50%, 0) scaleX(${fighter.facing}) ${isKO ? "translateY(6px)" : ""}`,
-        height: fighter.height,
+        height,
         width: fighter.width,
       }}
     >
-      <div className={`h-full w-full ${base} rounded-md ring-2 ${outline} relative`}>
-        <div className={`absolute top-1 ${isLeft ? "left-1" : "right-1"} ${detail} h-3 w-8 rounded-sm`} />
-        <div className={`absolute bottom-2 left-1/2 -translate-x-1/2 ${detail}/70 h-2 w-10 rounded-sm`} />
-        {/* Arms to indicate attacks */}
+      <div
+        className="h-full w-full rounded-md ring-2 relative"
+        style={{ backgroundColor: palette.body, "--tw-ring-color": palette.outline }}
+      >
+        <div
+          className={`absolute top-1 ${isLeft ? "left-1" : "right-1"} h-3 w-8 rounded-sm`}
+          style={{ backgroundColor: palette.detail }}
+        />
+        <div
+          className="absolute bottom-2 left-1/2 -translate-x-1/2 h-2 w-10 rounded-sm opacity-70"
+          style={{ backgroundColor: palette.detail }}
+        />
+        {/* Arms to indicate attacks, at the hitbox's height: half-extended in startup/recovery, full reach while active */}
         {fighter.attacking && (
           <div
-            className={`${detail} absolute h-2 rounded-sm`}
+            className="absolute h-2 rounded-sm"
             style={{
-              width:
-                fighter.attackType === "heavy"
-                  ? 34
-                  : fighter.attackType === "light"
-                  ? 24
-                  : 40,
-              top: fighter.height / 2 - 4,
+              backgroundColor: palette.detail,
+              width: Math.round(
+                Math.min(getMove(fighter, fighter.attackType).reach, ARM_MAX_REACH) *
+                  (attackPhase(fighter) === "active" ? 0.6 : 0.3)
+              ),
+              top: Math.min(height + hitbox.y - hitbox.height / 2 - fighter.y, height - 4) - 4,
               left: fighter.facing === 1 ? "100%" : "auto",
               right: fighter.facing === -1 ? "100%" : "auto",
               transform: `translate(${fighter.facing === 1 ? 2 : -2}px, 0)`,
             }}
           />
         )}
+        {/* Supers fire a beam across the arena while active */}
+        {fighter.attackType === "super" && attackPhase(fighter) === "active" && (
+          <div
+            className="absolute rounded-full super-beam"
+            style={{
+              width: ARENA_WIDTH,
+              height: getMove(fighter, "super").hitboxHeight,
+              top: fighter.height / 2 - getMove(fighter, "super").hitboxHeight / 2,
+              left: "100%",
+              background: `linear-gradient(to right, ${palette.detail}, transparent)`,
+            }}
+          />
+        )}
       </div>
     </div>
   );
 }
 
-function HealthBar({ name, hp, rounds, side = "left", color = "blue" }) {
-  const pct = clamp(hp, 0, 100);
+// DOM twin of the canvas projectile: an orb in the thrower's colors, its white core pulsing, trailing a fading tail
+function ProjectileSprite({ projectile: p, palette }) {
+  const dir = Math.sign(p.vx);
+  return (
+    <div
+      className="absolute pointer-events-none"
+      style={{ left: p.x - p.width / 2, top: p.y - p.height, width: p.width, height: p.height }}
+    >
+      <div
+        className="absolute"
+        style={{
+          top: p.height / 4,
+          height: p.height / 2,
+          width: p.width * 2,
+          [dir > 0 ? "right" : "left"]: p.width / 2,
+          opacity: 0.7,
+          background: `linear-gradient(to ${dir > 0 ? "left" : "right"}, ${palette.detail}, transparent)`,
+        }}
+      />
+      <div
+        className="absolute inset-0 rounded-full"
+        style={{ backgroundColor: palette.body, border: `2px solid ${palette.detail}` }}
+      />
+      <div
+        className="absolute rounded-full bg-white"
+        style={{
+          top: p.height / 4,
+          left: p.width / 4 + (dir * p.width) / 8,
+          width: p.width / 2,
+          height: p.height / 2,
+          opacity: p.age % 8 < 4 ? 1 : 0.85,
+        }}
+      />
+    </div>
+  );
+}
+
+function HealthBar({ name, hp, maxHp = 100, rounds, winRounds, side = "left", color = "blue" }) {
+  const pct = clamp((hp / maxHp) * 100, 0, 100);
   const base = color === "blue" ? "from-blue-500 to-blue-400" : "from-amber-500 to-amber-400";
   const shell = "bg-white/70 backdrop-blur border border-blue-200 shadow-sm";
   const dir = side === "left" ? "origin-left" : "origin-right";
@@ -202,7 +328,7 @@ function HealthBar({ name, hp, rounds, side = "left", color = "blue" }) {
         />
       </div>
       <div className="flex gap-1">
-        {Array.from({ length: WIN_ROUNDS }).map((_, i) => (
+        {Array.from({ length: winRounds }).map((_, i) => (
           <div
             key={i}
             className={`h-4 w-3 rounded-sm border ${i < rounds ? "bg-amber-400 border-amber-300" : "bg-gray-100 border-gray-200"}`}
@@ -217,71 +343,263 @@ function HealthBar({ name, hp, rounds, side = "left", color = "blue" }) {
   );
 }
 
-function TopHUD({ p1, p2, timer, mode, difficulty }) {
+function MeterBar({ meter, side = "left" }) {
+  const segments = METER_MAX / EX_COST;
+  const label = meter >= SUPER_COST ? "SUPER" : meter >= EX_COST ? "EX" : "";
+  return (
+    <div
+      className={`mt-1 flex items-center gap-2 ${side === "left" ? "" : "flex-row-reverse"}`}
+      title={`Meter ${Math.floor(meter)} / ${METER_MAX}`}
+    >
+      <div className="w-12 text-[10px] font-extrabold text-fuchsia-600 tracking-wider text-center">{label}</div>
+      <div className={`flex gap-1 w-40 ${side === "left" ? "" : "flex-row-reverse"}`}>
+        {Array.from({ length: segments }).map((_, i) => {
+          const fill = clamp((meter - i * EX_COST) / EX_COST, 0, 1);
+          return (
+            <div key={i} className="h-2 flex-1 rounded-sm bg-white/70 border border-blue-200 overflow-hidden">
+              <div
+                className={`h-full ${fill === 1 ? "bg-fuchsia-500" : "bg-fuchsia-300"} ${side === "left" ? "" : "ml-auto"}`}
+                style={{ width: `${fill * 100}%` }}
+              />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function SuperFreeze({ fighter, side }) {
+  return (
+    <div className="absolute inset-0 bg-blue-950/40 flex items-center justify-center pointer-events-none">
+      <div className="text-4xl md:text-5xl font-extrabold tracking-widest text-white drop-shadow">
+        {side === "p1" ? "Player 1" : "Player 2"} • {getCharacter(fighter.characterId).name} SUPER!
+      </div>
+    </div>
+  );
+}
+
+function ComboCounter({ victim, tick, side }) {
+  const combo = shownCombo(victim, tick);
+  const live = combo && combo === victim.combo;
+  return (
+    <div className={`h-5 text-sm font-extrabold ${side === "left" ? "text-left" : "text-right"}`}>
+      {combo && (
+        <span className={live ? "text-amber-600" : "text-amber-600/50"}>
+          {combo.hits} HITS • {combo.damage} dmg
+        </span>
+      )}
+    </div>
+  );
+}
+
+function modeLabel(mode, difficulty, p1Difficulty) {
+  if (mode === "PvAI") return `PvAI • ${levelLabel(difficulty)}`;
+  if (mode === CPU_VS_CPU) return `CPU ${levelLabel(p1Difficulty)} vs ${levelLabel(difficulty)}`;
+  return mode;
+}
+
+function DifficultySelect({ value, onChange, title, ghosts = [] }) {
+  return (
+    <select className="o-card px-3 py-2 text-sm" value={value} onChange={(e) => onChange(e.target.value)} title={title}>
+      {Object.keys(DIFFICULTY).map((level) => (
+        <option key={level}>{level}</option>
+      ))}
+      {ghosts.map((name) => (
+        <option key={name} value={`${GHOST_LEVEL}${name}`}>
+          {levelLabel(`${GHOST_LEVEL}${name}`)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function TopHUD({ p1, p2, tick, timer, winRounds, mode, difficulty, p1Difficulty, net, names, round }) {
   return (
     <div className="w-full flex items-center justify-between px-4 md:px-6 py-3">
-      <HealthBar name="Player 1" hp={p1.hp} rounds={p1.rounds} side="left" color="blue" />
+      <div>
+        <HealthBar
+          name={`${names.p1} • ${getCharacter(p1.characterId).name}`}
+          hp={p1.hp}
+          maxHp={p1.maxHp}
+          rounds={p1.rounds}
+          winRounds={winRounds}
+          side="left"
+          color="blue"
+        />
+        <MeterBar meter={p1.meter} side="left" />
+        {/* A player's combo is tracked on the fighter taking it */}
+        <ComboCounter victim={p2} tick={tick} side="left" />
+      </div>
       <div className="flex flex-col items-center">
         <div className="o-card px-3 py-1 text-sm font-semibold text-blue-700">
-          {mode === "PvP" ? "PvP" : `PvAI • ${difficulty}`}
+          {round ? `${round} • ` : ""}
+          {modeLabel(mode, difficulty, p1Difficulty)}
         </div>
+        {net && (
+          <div
+            className="mt-1 text-xs text-gray-500 tabular-nums"
+            title="Round-trip time and the most frames rolled back lately"
+          >
+            Ping {net.ping === null ? "–" : `${net.ping} ms`} • Rollback {net.rollback}f
+          </div>
+        )}
         <div className="mt-1 text-2xl font-extrabold text-blue-700 tracking-wider">
-          {timer.toString().padStart(2, "0")}
+          {timer === null ? "∞" : timer.toString().padStart(2, "0")}
         </div>
       </div>
-      <HealthBar name="Player 2" hp={p2.hp} rounds={p2.rounds} side="right" color="amber" />
+      <div>
+        <HealthBar
+          name={`${names.p2} • ${getCharacter(p2.characterId).name}`}
+          hp={p2.hp}
+          maxHp={p2.maxHp}
+          rounds={p2.rounds}
+          winRounds={winRounds}
+          side="right"
+          color="amber"
+        />
+        <MeterBar meter={p2.meter} side="right" />
+        <ComboCounter victim={p1} tick={tick} side="right" />
+      </div>
     </div>
   );
 }
 
-function ControlsHelp({ visible }) {
+function ControlsHelp({ visible, bindings }) {
   if (!visible) return null;
+  const key = (player, action) => keyLabel(bindings[player][action]);
   return (
     <div className="o-card p-3 md:p-4 text-xs md:text-sm space-y-2">
       <div className="font-semibold text-blue-700 mb-1">Controls</div>
       <div className="grid grid-cols-2 gap-3">
-        <div>
-          <div className="font-semibold">Player 1</div>
-          <div className="text-gray-600">Move: A/D • Jump: W • Block: S</div>
-          <div className="text-gray-600">Light: J • Heavy: K • Special: U</div>
-        </div>
-        <div>
-          <div className="font-semibold">Player 2</div>
-          <div className="text-gray-600">Move: ←/→ • Jump: ↑ • Block: ↓</div>
-          <div className="text-gray-600">Light: N1 • Heavy: N2 • Special: N3</div>
-        </div>
+        {["p1", "p2"].map((player, i) => (
+          <div key={player}>
+            <div className="font-semibold">Player {i + 1}</div>
+            <div className="text-gray-600">
+              Move: {key(player, "left")}/{key(player, "right")} • Jump: {key(player, "up")} • Crouch:{" "}
+              {key(player, "down")}
+            </div>
+            <div className="text-gray-600">
+              Light: {key(player, "light")} • Heavy: {key(player, "heavy")} • Special: {key(player, "special")}
+            </div>
+
+          </div>
+        ))}
+      </div>
+      <div className="text-gray-500">
+        Hold back (away from the opponent) to block, and crouch while blocking to stop low attacks; jump-ins
+        must be blocked standing. Light or Heavy while crouching or in the air gives a low or an air attack.
+      </div>
+      <div className="text-gray-500">
+        Light + Heavy together throws an opponent up close, blocking or not; press Light + Heavy right as you are
+        grabbed to break free.
+      </div>
+      <div className="text-gray-500">
+        Special also comes out with ↓ ↘ → (toward the opponent) + Light or Heavy. Light cancels into Heavy and
+        Heavy into Special when they connect.
+      </div>
+      <div className="text-gray-500">
+        Meter fills as you deal, take and block damage. EX Special (half a bar): ↓ ↘ → + Special or Light +
+        Special. Super (full bar): ↓ ↘ → ↓ ↘ → + Special or Heavy + Special.
       </div>
     </div>
   );
 }
 
-function GameOverOverlay({ winner, onNextRound, onReset, matchPoint }) {
+// Footer tip for the rules being played
+function ruleTip(rules) {
+  const guard = rules.chip
+    ? `Blocking reduces damage by ${Math.round(BLOCK_REDUCTION * 100)}% and still builds meter.`
+    : "Blocking stops all damage and still builds meter.";
+  const extras = [
+    rules.damage !== 1 && `Damage ×${rules.damage}.`,
+    rules.hp !== 100 && `Fighters start at ${rules.hp}% health.`,
+    rules.turbo && "Turbo is on.",
+  ].filter(Boolean);
+  return [`First to ${rules.winRounds} round${rules.winRounds === 1 ? "" : "s"}.`, guard, ...extras].join(" ");
+}
+
+// Last part of the intro, when "Fight!" is called
+const FIGHT_CALL_TICKS = msToTicks(600);
+
+function Announcer({ children }) {
+  return (
+    <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+      <div className="text-5xl md:text-6xl font-extrabold tracking-widest text-blue-700 drop-shadow announce">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+function RoundIntro({ round, suddenDeath, phaseTicks }) {
+  // Keyed so each call plays its own entrance
+  if (phaseTicks <= FIGHT_CALL_TICKS) return <Announcer key="fight">FIGHT!</Announcer>;
+  return <Announcer key="round">{suddenDeath ? "SUDDEN DEATH" : `ROUND ${round}`}</Announcer>;
+}
+
+const KO_CALLS = { ko: "K.O.!", doubleKo: "DOUBLE K.O.!", firstHit: "FIRST HIT!" };
+
+function roundResultText({ roundWinner, finish, nextSuddenDeath }) {
+  if (roundWinner) {
+    if (finish === "time") return `Time Up! ${roundWinner} wins the round.`;
+    if (finish === "firstHit") return `${roundWinner} lands the first hit and takes the round!`;
+    return `${roundWinner} wins by K.O.!`;
+  }
+  const draw = finish === "doubleKo" ? "Double K.O.!" : "Time Up! It's a draw.";
+  return `${draw} ${nextSuddenDeath ? "Sudden death decides it." : "Both fighters score."}`;
+}
+
+function GameOverOverlay({ game, onNextRound, onReset, matchPoint }) {
   return (
     <div className="absolute inset-0 flex items-center justify-center">
       <div className="o-card p-6 md:p-8 text-center">
         <div className="text-3xl md:text-4xl font-extrabold text-blue-700">Round Over</div>
-        <div className="mt-2 text-gray-700">
-          {winner ? `${winner} wins the round!` : "Time Up!"}
-        </div>
+        <div className="mt-2 text-gray-700">{roundResultText(game)}</div>
         {matchPoint ? (
           <div className="mt-2 text-amber-600 font-semibold">Match Point!</div>
         ) : null}
         <div className="mt-4 flex gap-3 justify-center">
-          <button className="o-btn-primary" onClick={onNextRound}>Next Round</button>
-          <button className="o-btn-ghost" onClick={onReset}>Reset Match</button>
+          {game.rules.autoAdvance ? (
+            <div className="text-gray-500 text-sm self-center">Next round starting…</div>
+          ) : (
+            <button className="o-btn-primary" onClick={onNextRound}>Next Round</button>
+          )}
+          {onReset && (
+            <button className="o-btn-ghost" onClick={onReset}>Reset Match</button>
+          )}
         </div>
       </div>
     </div>
   );
 }
 
-function MatchVictory({ champion, onReset }) {
+function MatchVictory({ champion, note, onReset, resetLabel = "Play Again", onBracket, onChangeFighters, onSaveReplay, onResults }) {
   return (
     <div className="absolute inset-0 flex items-center justify-center">
       <div className="o-card p-8 md:p-10 text-center">
-        <div className="text-4xl md:text-5xl font-extrabold text-blue-700">Victory</div>
-        <div className="mt-2 text-gray-700">{champion} wins the match!</div>
-        <button className="o-btn-primary mt-5" onClick={onReset}>Play Again</button>
+        <div className="text-4xl md:text-5xl font-extrabold text-blue-700">{champion ? "Victory" : "Draw"}</div>
+        <div className="mt-2 text-gray-700">
+          {champion ? `${champion} wins the match!` : "Sudden death ran out of time. The match is drawn."}
+        </div>
+        {note && <div className="mt-2 text-amber-600 font-semibold">{note}</div>}
+        <div className="mt-5 flex gap-3 justify-center">
+          {onBracket && (
+            <button className="o-btn-primary" onClick={onBracket}>Back to Bracket</button>
+          )}
+          {onReset && (
+            <button className={onBracket ? "o-btn-ghost" : "o-btn-primary"} onClick={onReset}>{resetLabel}</button>
+          )}
+          {onResults && (
+            <button className="o-btn-ghost" onClick={onResults}>Results</button>
+          )}
+          {onChangeFighters && (
+            <button className="o-btn-ghost" onClick={onChangeFighters}>Change Fighters</button>
+          )}
+          {onSaveReplay && (
+            <button className="o-btn-ghost" onClick={onSaveReplay}>Save Replay</button>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -290,30 +608,144 @@ function MatchVictory({ champion, onReset }) {
 // PUBLIC_INTERFACE
 function App() {
   // App level settings
-  const [mode, setMode] = useState("PvAI"); // PvP or PvAI
-  const [difficulty, setDifficulty] = useState("Normal"); // Easy, Normal, Hard
+  const [mode, setMode] = useState("PvAI"); // PvP, PvAI, Training, CPU vs CPU or Online
+  const [difficulty, setDifficulty] = useState("Normal"); // Easy, Normal, Hard or a ghost (Player 2's CPU)
+  const [p1Difficulty, setP1Difficulty] = useState("Normal"); // Player 1's CPU in CPU vs CPU
   const [showControls, setShowControls] = useState(true);
+  const [showBindings, setShowBindings] = useState(false);
+  const keyBindings = useBindings();
+  const { bindings } = keyBindings;
+  const [showGamepads, setShowGamepads] = useState(false);
+  const ghosts = useGhosts();
+  const [showGhosts, setShowGhosts] = useState(false);
+  const history = useMatchHistory();
+  const [showHistory, setShowHistory] = useState(false);
+  const tournament = useTournament();
+  const [showTournament, setShowTournament] = useState(false);
+  // Touch overlay: on by default for coarse pointers, until the user toggles it
+  const coarsePointer = useMediaQuery("(pointer: coarse)");
+  const landscape = useMediaQuery("(orientation: landscape)");
+  const [touchPref, setTouchPref] = useState(() => loadJSON(TOUCH_PREF_KEY, null));
+  const touchEnabled = touchPref ?? coarsePointer;
+  const touchRef = useRef(createTouchState());
+  const { toasts, push: pushToast } = useToasts();
+  const gamepads = useGamepads((event, pad, slot) => {
+    const who = slot ? ` → ${slot === "p1" ? "Player 1" : "Player 2"}` : "";
+    const name = pad.id.split(" (")[0];
+    if (event === "connected") pushToast(`Gamepad connected: ${name}${who}`);
+    else pushToast(`Gamepad disconnected${who}`, "warn");
+  });
+
+  // Rules for the next match. A link carrying rules (?time=30&bo=1...) starts a match with them right away.
+  const [linkRules] = useState(() => rulesFromQuery(window.location.search));
+  const matchRules = useRules(linkRules);
+  const [showRules, setShowRules] = useState(false);
+
+  // Match state lives in a ref for the fixed-step loop; React state mirrors it for rendering
+  const [characters, setCharacters] = useState({ p1: DEFAULT_CHARACTER, p2: DEFAULT_CHARACTER });
+  const [showSelect, setShowSelect] = useState(!linkRules);
+  // A stage id or RANDOM_STAGE; the stage select follows the character select
+  const [stagePick, setStagePick] = useState(DEFAULT_STAGE);
+  const [showStages, setShowStages] = useState(false);
+  const [game, setGame] = useState(() =>
+    createMatch({ seed: randomSeed(), characters, ...matchOptions(mode, matchRules.rules) })
+  );
+  const gameRef = useRef(game);
+  const accumulatorRef = useRef(0);
+  const [paused, setPaused] = useState(false);
 
-  // Fighters state
-  const [p1, setP1] = useState(() => createFighter(ARENA_WIDTH * 0.25, 1, "blue"));
-  const [p2, setP2] = useState(() => createFighter(ARENA_WIDTH * 0.75, -1, "amber"));
+  // Every live match is recorded as per-tick inputs so it can be saved as a replay
+  const recordingRef = useRef({
+    seed: game.seed,
+    mode,
+    difficulty,
+    characters,
+    stage: game.stage,
+    matchRules: game.rules,
+    frames: [],
+  });
+  // The CPU's own memory (perception history, current plan), separate from any player input.
+  // Created on first use, since a ghost keeps a different kind of memory than the regular CPU.
+  const aiRef = useRef({ p1: null, p2: null });
+  // What Player 1 has been seen doing since their ghost was last saved
+  const ghostSessionRef = useRef({ model: createGhostModel(ghosts.profile), memory: createGhostState() });
+  // Stats of the match in progress, and the finished match on the results screen
+  const statsRef = useRef(createMatchStats());
+  const [results, setResults] = useState(null);
+  const [showResults, setShowResults] = useState(false);
+  // Active replay playback, or null while playing live
+  const [playback, setPlayback] = useState(null);
+  const playbackCursorRef = useRef({ cursor: 0, done: false });
+  const replayFileRef = useRef(null);
+  // The bracket match being played, { id, seeds: { p1, p2 } }, or null outside tournaments
+  const [tournamentMatch, setTournamentMatch] = useState(null);
+
+  // Training mode: dummy settings, recording and the hit readout
+  const [trainingSettings, setTrainingSettings] = useState(() => ({
+    ...DEFAULT_TRAINING_SETTINGS,
+    ...loadJSON(TRAINING_SETTINGS_KEY, {}),
+  }));
+  const [training, setTraining] = useState(() => createTrainingState());
+  const trainingRef = useRef(training);
+  const [showHitboxes, setShowHitboxes] = useState(false);
+
+  // Arena renderer and the FPS overlay; a browser without a 2D canvas falls back to the DOM renderer
+  const [display, setDisplay] = useState(loadDisplay);
+  const [canvasFailed, setCanvasFailed] = useState(false);
+  const [showDisplay, setShowDisplay] = useState(false);
+  const canvasArena = display.renderer === "canvas" && !canvasFailed;
+  const arenaRef = useRef(null);
+  const meterRef = useRef(createFrameMeter());
+
+  // Impact effects live outside the match state; the loop ticks them and holds the match during hitstop
+  const systemReducedMotion = useMediaQuery("(prefers-reduced-motion: reduce)");
+  const reduceMotion = display.reduceMotion || systemReducedMotion;
+  const effects = activeEffects(display.effects, reduceMotion);
+  const effectsRef = useRef(createEffects());
+  const effectsLayerRef = useRef(null);
+  const shakeRef = useRef(null);
+
+  // Sound goes quiet while the match or the replay is paused
+  const audio = useAudio(!paused && !playback?.paused);
+  const [showAudio, setShowAudio] = useState(false);
+
+  // Online play: each match starts when the host says so
+  const online = mode === "Online";
+  const [showOnline, setShowOnline] = useState(false);
+  const startOnline = (match) => {
+    setShowOnline(false);
+    setShowSelect(false);
+    beginMatch(match, "Online");
+  };
+  const netplay = useNetplay({
+    config: { character: characters.p1, stage: stagePick, rules: matchRules.rules },
+    onStart: startOnline,
+    onNotice: pushToast,
+  });
+
+  const keysRef = useRef({}); // pressed keys by KeyboardEvent.code
+
+  const commit = useCallback((next) => {
+    gameRef.current = next;
+    setGame(next);
+    recordCommit(meterRef.current, performance.now());
+  }, []);
 
-  const [timer, setTimer] = useState(ROUND_TIME);
-  const [paused, setPaused] = useState(false);
-  const [roundOver, setRoundOver] = useState(false);
-  const [winnerRound, setWinnerRound] = useState(null);
-  const [matchWinner, setMatchWinner] = useState(null);
+  // Round flow actions (nextRound, rematch) go through the engine's match reducer
+  const dispatch = useCallback((action) => commit(matchReducer(gameRef.current, action)), [commit]);
 
-  const keysRef = useRef({});
-  const lastInputRef = useRef({ p1: 0, p2: 0 });
+  const commitTraining = useCallback((next) => {
+    trainingRef.current = next;
+    setTraining(next);
+  }, []);
 
   // Input handling
   useEffect(() => {
     const onKeyDown = (e) => {
-      keysRef.current[e.key] = true;
+      keysRef.current[e.code] = true;
     };
     const onKeyUp = (e) => {
-      keysRef.current[e.key] = false;
+      keysRef.current[e.code] = false;
     };
     window.addEventListener("keydown", onKeyDown);
     window.addEventListener("keyup", onKeyUp);
@@ -323,288 +755,475 @@ function App() {
     };
   }, []);
 
-  // Core game loop
-  useAnimationFrame(
-    (delta) => {
-      if (paused || roundOver || matchWinner) return;
-      // countdown
-      if (delta > 0) {
-        setTimer((t) => {
-          const next = t - delta / 1000;
-          if (next <= 0) {
-            // time up -> decide by HP
-            const w = p1.hp === p2.hp ? null : p1.hp > p2.hp ? "Player 1" : "Player 2";
-            setWinnerRound(w);
-            setRoundOver(true);
-            return 0;
-          }
-          return next;
-        });
-      }
+  const { p1, p2, phase, matchWinner } = game;
+  // Online matches keep exchanging inputs after the end so the other side can confirm it too
+  const running = playback
+    ? !playback.paused && !playback.done
+    : online
+    ? netplay.status === "playing" || netplay.status === "over"
+    : !paused && !showSelect && !showStages && !showBindings && !showGamepads && !showGhosts && !showRules && !showHistory && !showTournament && !showAudio && !showDisplay && !awaitsAction(game);
+
+  // Show the results of a match that just ended; live matches also go into the history
+  const finishMatch = (state, source, save) => {
+    const stats = statsRef.current;
+    const cpuMode = source.mode === "PvAI" || source.mode === CPU_VS_CPU;
+    const entry = {
+      id: `${Date.now()}-${state.seed}`,
+      date: new Date().toISOString(),
+      mode: source.mode,
+      difficulty: cpuMode ? source.difficulty : null,
+      p1Difficulty: source.mode === CPU_VS_CPU ? source.p1Difficulty : null,
+      characters: state.characters,
+      rules: state.rules,
+      winner: state.matchWinner,
+      stats: { p1: stats.p1, p2: stats.p2, rounds: stats.rounds },
+    };
+    setResults(entry);
+    setShowResults(true);
+    if (save) history.record(entry);
+    // The bracket moves on as soon as a tournament match has a winner; a draw is replayed
+    if (save && tournamentMatch && state.matchWinner) {
+      tournament.report(tournamentMatch.id, tournamentMatch.seeds[state.matchWinner === "Player 1" ? "p1" : "p2"]);
+    }
+  };
+
+  // Draw this frame's sparks and numbers and move the arena by the screen shake
+  const showEffects = () => {
+    effectsLayerRef.current?.draw();
+    const { x, y } = shakeOffset(effectsRef.current);
+    if (shakeRef.current) shakeRef.current.style.transform = x || y ? `translate(${x}px, ${y}px)` : "";
+  };
+
+  // Hand the latest state to the renderers: the canvas every frame, React only when the HUD changes
+  const showState = (state) => {
+    if (state !== gameRef.current) {
+      if (canvasArena && !hudChanged(gameRef.current, state, FIGHT_CALL_TICKS)) gameRef.current = state;
+      else commit(state);
+    }
+    if (canvasArena) arenaRef.current?.draw();
+    showEffects();
+  };
 
-      // read keys snapshot
+  // Online: simulate ahead with rollback, then keep stats and the replay from the frames both sides confirm.
+  // Hitstop would hold one side back, so it is left out online.
+  const advanceOnline = (pads) => {
+    const session = netplay.sessionRef.current;
+    if (!session) return;
+    const fx = effectsRef.current;
+    const cues = [];
+    // Let a frame pass now and then while running ahead of the opponent
+    if (shouldWait(session, netplay.oneWayTicks())) accumulatorRef.current -= TICK_MS;
+    while (accumulatorRef.current >= TICK_MS && canAdvance(session)) {
+      accumulatorRef.current -= TICK_MS;
+      tickEffects(fx);
       const k = keysRef.current;
+      const facing = session.state[session.localSide].facing;
+      const touch = readTouchInput(touchRef.current, "p1", facing);
+      const input = mergeInputs(readKeyboardInput(k, bindings.p1), pads.p1, touch);
+      const prev = session.state;
+      const next = advanceRollback(session, encodeInput(input));
+      cues.push(...soundCues(prev, next));
+      spawnEffects(fx, prev, next, { ...effects, hitstop: false });
+    }
+    // Time spent waiting on the opponent is not made up afterwards
+    accumulatorRef.current = clamp(accumulatorRef.current, 0, TICK_MS);
+    for (const { prev, state, inputs } of netplay.sync()) {
+      if (prev.phase === "matchOver") continue;
+      recordingRef.current.frames.push(inputs);
+      statsRef.current = recordStats(statsRef.current, prev, state);
+      if (state.phase === "matchOver" && prev.phase !== "matchOver") finishMatch(state, recordingRef.current, true);
+    }
+    audio.play(cues);
+    showState(session.state);
+  };
 
-      // Player control helper
-      const controlPlayer = (f, control, now) => {
-        let nx = { ...f };
-        // Movement
-        const left = !!k[control.left];
-        const right = !!k[control.right];
-        const up = !!k[control.up];
-        const down = !!k[control.down];
-
-        // Blocking
-        nx.block = down;
-
-        // Horizontal
-        const accel = 0.8;
-        if (left && !right) {
-          nx.vx = clamp(nx.vx - accel, -MAX_SPEED, MAX_SPEED);
-        } else if (right && !left) {
-          nx.vx = clamp(nx.vx + accel, -MAX_SPEED, MAX_SPEED);
-        } else {
-          nx.vx *= FRICTION;
-          if (Math.abs(nx.vx) < 0.08) nx.vx = 0;
-        }
-
-        // Jump
-        if (up && nx.onGround) {
-          nx.vy = JUMP_VELOCITY;
-          nx.onGround = false;
-        }
-
-        // Attacks
-        const wantLight = !!k[control.light];
-        const wantHeavy = !!k[control.heavy];
-        const wantSpecial = !!k[control.special];
-
-        const canLight = now >= nx.cooldowns.light;
-        const canHeavy = now >= nx.cooldowns.heavy;
-        const canSpecial = now >= nx.cooldowns.special;
-
-        if (!nx.attacking && !nx.block && nx.canAct) {
-          if (wantSpecial && canSpecial) {
-            nx.attacking = true;
-            nx.attackType = "special";
-            nx.attackTimer = 240;
-            nx.cooldowns.special = now + SPECIAL_COOLDOWN;
-          } else if (wantHeavy && canHeavy) {
-            nx.attacking = true;
-            nx.attackType = "heavy";
-            nx.attackTimer = 180;
-            nx.cooldowns.heavy = now + HEAVY_COOLDOWN;
-          } else if (wantLight && canLight) {
-            nx.attacking = true;
-            nx.attackType = "light";
-            nx.attackTimer = 120;
-            nx.cooldowns.light = now + ATTACK_COOLDOWN;
-          }
-        }
-
-        // Integrate physics
-        nx.vy += GRAVITY;
-        nx.x = clamp(nx.x + nx.vx, 24, ARENA_WIDTH - 24);
-        nx.y += nx.vy;
-
-        if (nx.y >= FLOOR_Y) {
-          nx.y = FLOOR_Y;
-          nx.vy = 0;
-          nx.onGround = true;
-        }
-
-        // Update animation timers
-        if (nx.hitflash > 0) nx.hitflash -= delta;
-        if (nx.blockflash > 0) nx.blockflash -= delta;
-        if (nx.attacking) {
-          nx.attackTimer -= delta;
-          if (nx.attackTimer <= 0) {
-            nx.attacking = false;
-            nx.attackType = null;
-          }
-        }
-        return nx;
-      };
-
-      // AI control
-      const controlAI = (f, enemy, now) => {
-        // Convert f as if player 2 with arrow key mapping
-        // Deterministic decisions based on difficulty settings
-        const cfg = DIFFICULTY[difficulty] || DIFFICULTY.Normal;
-        const dist = Math.abs(enemy.x - f.x);
-        const towardEnemy = enemy.x > f.x;
-
-        const shouldAdvance = Math.random() < cfg.aggression;
-        const shouldBlock = Math.random() < cfg.blockChance && enemy.attacking;
-        const canAct = now >= f.cooldowns.light && now >= f.cooldowns.heavy && now >= f.cooldowns.special && !f.attacking;
-
-        // create a synthetic key map for AI
-        const synth = { ...keysRef.current };
-
-        // Reset movement intents
-        synth[CONTROLS.p2.left] = false;
-        synth[CONTROLS.p2.right] = false;
-        synth[CONTROLS.p2.up] = false;
-        synth[CONTROLS.p2.down] = false;
-        synth[CONTROLS.p2.light] = false;
-        synth[CONTROLS.p2.heavy] = false;
-        synth[CONTROLS.p2.special] = false;
-
-        // Movement logic: keep mid distance ~ 70-120
-        const targetMin = 72;
-        const targetMax = 120;
-        if (dist > targetMax && shouldAdvance) {
-          if (towardEnemy) synth[CONTROLS.p2.right] = true;
-          else synth[CONTROLS.p2.left] = true;
-        } else if (dist < targetMin) {
-          if (towardEnemy) synth[CONTROLS.p2.left] = true;
-          else synth[CONTROLS.p2.right] = true;
-        }
-
-        // Occasional jump to dodge
-        if (!f.onGround && Math.random() < 0.02) {
-          synth[CONTROLS.p2.up] = true;
-        }
-
-        // Block if enemy attacking and close
-        if (shouldBlock && dist < 100) {
-          synth[CONTROLS.p2.down] = true;
-        }
-
-        // Attacks
-        if (canAct) {
-          const [minR, maxR] = cfg.reactionMs;
-          const reactIn = Math.floor(minR + Math.random() * (maxR - minR));
-          // Queue action after delay using timeouts is unsafe across frames; instead simulate by probability gates
-          if (dist < 60 && Math.random() < 0.6) {
-            synth[CONTROLS.p2.light] = true;
-          } else if (dist < 80 && Math.random() < 0.4) {
-            synth[CONTROLS.p2.heavy] = true;
-          } else if (dist < 110 && Math.random() < cfg.specialChance) {
-            synth[CONTROLS.p2.special] = true;
-          }
-        }
-
-        // merge into keysRef for this frame only
-        keysRef.current = { ...keysRef.current, ...synth };
-        // proceed with control using generic function
-        return controlPlayer(f, CONTROLS.p2, now);
-      };
-
-      const now = performance.now();
-      let np1 = mode === "PvP" ? controlPlayer(p1, CONTROLS.p1, now) : controlPlayer(p1, CONTROLS.p1, now);
-      let np2 = mode === "PvP" ? controlPlayer(p2, CONTROLS.p2, now) : controlAI(p2, p1, now);
-
-      // Face each other
-      [np1, np2] = resolveFacing(np1, np2);
-
-      // Collision/attacks
-      const handleHit = (attacker, defender) => {
-        if (!attacker.attacking || !attacker.attackType) return defender;
-        // Use attack active window roughly first half of timer
-        const attackActive = attacker.attackTimer > 40;
-        if (!attackActive) return defender;
-
-        const hitbox = getAttackHitbox(attacker, attacker.attackType);
-        const hurtbox = {
-          x: defender.x - defender.width / 2,
-          y: defender.y,
-          width: defender.width,
-          height: defender.height,
-        };
-
-        if (rectsOverlap(
-          { x: hitbox.x, y: hitbox.y, width: hitbox.width, height: hitbox.height },
-          { x: hurtbox.x, y: hurtbox.y - hurtbox.height, width: hurtbox.width, height: hurtbox.height }
-        )) {
-          // Apply damage
-          const baseDmg = attacker.attackType === "light" ? 6 : attacker.attackType === "heavy" ? 12 : 18;
-          const dmg = defender.block ? Math.ceil(baseDmg * (1 - BLOCK_REDUCTION)) : baseDmg;
-          const nd = { ...defender, hp: clamp(defender.hp - dmg, 0, 100) };
-          if (defender.block) nd.blockflash = 160;
-          else nd.hitflash = 160;
-
-          // Small knockback
-          const kb = attacker.attackType === "heavy" ? 3.2 : attacker.attackType === "special" ? 4 : 2.2;
-          nd.vx += kb * (attacker.facing === 1 ? 1 : -1);
-          return nd;
-        }
-        return defender;
-      };
-
-      // Apply hits both ways
-      np2 = handleHit(np1, np2);
-      np1 = handleHit(np2, np1);
-
-      // Prevent overlap by pushing apart
-      const overlapX =
-        Math.abs(np1.x - np2.x) < (np1.width + np2.width) / 2 ? (np1.width + np2.width) / 2 - Math.abs(np1.x - np2.x) : 0;
-      if (overlapX > 0) {
-        const push = overlapX / 2 + 0.1;
-        if (np1.x < np2.x) {
-          np1.x = clamp(np1.x - push, 24, ARENA_WIDTH - 24);
-          np2.x = clamp(np2.x + push, 24, ARENA_WIDTH - 24);
-        } else {
-          np1.x = clamp(np1.x + push, 24, ARENA_WIDTH - 24);
-          np2.x = clamp(np2.x - push, 24, ARENA_WIDTH - 24);
-        }
-      }
+  // Feed up to `ticks` recorded frames through the engine; stepping by hand skips hitstop
+  const advancePlayback = (ticks, hold = true) => {
+    let state = gameRef.current;
+    let { cursor, done } = playbackCursorRef.current;
+    const cues = [];
+    const fx = effectsRef.current;
+    for (let i = 0; i < ticks && !done; i++) {
+      const holding = hold && fx.hitstop > 0;
+      tickEffects(fx);
+      if (holding) continue;
+      const prev = state;
+      ({ state, cursor, done } = playbackTick(state, playback.replay, cursor));
+      statsRef.current = recordStats(statsRef.current, prev, state);
+      cues.push(...soundCues(prev, state));
+      spawnEffects(fx, prev, state, effects);
+    }
+    audio.play(cues);
+    playbackCursorRef.current = { cursor, done };
+    if (state.phase === "matchOver" && gameRef.current.phase !== "matchOver") finishMatch(state, playback.replay, false);
+    commit(state);
+    setPlayback((pb) => ({ ...pb, cursor, done }));
+  };
 
-      setP1(np1);
-      setP2(np2);
+  // CPU and ghost memories start over with every round
+  const resetMemories = () => {
+    aiRef.current = { p1: null, p2: null };
+    ghostSessionRef.current = { ...ghostSessionRef.current, memory: createGhostState() };
+  };
 
-      // Check KO
-      if (np1.hp <= 0 || np2.hp <= 0) {
-        setWinnerRound(np1.hp <= 0 ? "Player 2" : "Player 1");
-        setRoundOver(true);
+  // Core game loop: run whole engine ticks for the elapsed time, render once per frame
+  useAnimationFrame((delta) => {
+    const started = performance.now();
+    const speed = playback ? playback.speed : 1;
+    accumulatorRef.current = Math.min(accumulatorRef.current + delta * speed, MAX_FRAME_MS);
+    if (playback) {
+      const ticks = Math.floor(accumulatorRef.current / TICK_MS);
+      accumulatorRef.current -= ticks * TICK_MS;
+      if (ticks > 0) advancePlayback(ticks);
+      showEffects();
+      recordFrame(meterRef.current, started, delta, performance.now() - started);
+      return;
+    }
+    if (online) {
+      advanceOnline(gamepads.poll());
+      recordFrame(meterRef.current, started, delta, performance.now() - started);
+      return;
+    }
+
+    let state = gameRef.current;
+    const frames = recordingRef.current.frames;
+    const pads = gamepads.poll();
+    let trainingState = trainingRef.current;
+    const learning = ghosts.learning && learnsGhost(mode);
+    // Each CPU side threads its own AI memory through aiRef
+    const cpu = (current, side, level) => {
+      const ghost = ghostOf(level);
+      const memory = aiRef.current[side];
+      let input;
+      let nextMemory;
+      if (ghost) {
+        ({ input, ghost: nextMemory } = controlGhost(current, side, ghosts.ghosts[ghost], memory || createGhostState()));
+      } else {
+        ({ input, ai: nextMemory } = controlAI(current, side, level, memory || createAIState()));
       }
-    },
-    !paused && !roundOver && !matchWinner
-  );
+      aiRef.current = { ...aiRef.current, [side]: nextMemory };
+      return input;
+    };
+    const cues = [];
+    const fx = effectsRef.current;
+    while (accumulatorRef.current >= TICK_MS && !awaitsAction(state)) {
+      // Hitstop: the effects play on while the match holds still
+      const holding = fx.hitstop > 0;
+      tickEffects(fx);
+      if (holding) {
+        accumulatorRef.current -= TICK_MS;
+        continue;
+      }
+      const prev = state;
+      const k = keysRef.current;
+      const touch = touchRef.current;
+      const p1Input =
+        mode === CPU_VS_CPU
+          ? cpu(state, "p1", p1Difficulty)
+          : mergeInputs(readKeyboardInput(k, bindings.p1), pads.p1, readTouchInput(touch, "p1", state.p1.facing));
+      accumulatorRef.current -= TICK_MS;
+      if (mode === "Training") {
+        // Training edits the match between ticks (refills, resets), so it is not recorded
+        ({ match: state, training: trainingState } = stepTraining(state, trainingState, p1Input, trainingSettings));
+        cues.push(...soundCues(prev, state));
+        spawnEffects(fx, prev, state, effects);
+        continue;
+      }
+      const p2Input =
+        mode === "PvP"
+          ? mergeInputs(readKeyboardInput(k, bindings.p2), pads.p2, readTouchInput(touch, "p2", state.p2.facing))
+          : cpu(state, "p2", difficulty);
+      frames.push([encodeInput(p1Input), encodeInput(p2Input)]);
+      const next = matchReducer(state, { type: "tick", p1: p1Input, p2: p2Input });
+      statsRef.current = recordStats(statsRef.current, state, next);
+      cues.push(...soundCues(state, next));
+      spawnEffects(fx, state, next, effects);
+      if (learning && state.phase === "fight") {
+        const { model, memory } = ghostSessionRef.current;
+        ghostSessionRef.current = observeGhost(model, memory, state, next, "p1", p1Input);
+      }
+      // With autoAdvance the engine starts the next round by itself
+      if (next.round !== state.round) resetMemories();
+      state = next;
+    }
+    // Player 1's ghost is saved as each round ends
+    if (learning && state.phase !== "fight" && gameRef.current.phase === "fight") {
+      const { model } = ghostSessionRef.current;
+      ghosts.learn({ ...model, name: ghosts.profile, matches: state.matchWinner ? 1 : 0 });
+      ghostSessionRef.current = { model: createGhostModel(ghosts.profile), memory: createGhostState() };
+    }
+    audio.play(cues);
+    if (state.phase === "matchOver" && gameRef.current.phase !== "matchOver") finishMatch(state, recordingRef.current, true);
+    if (trainingState !== trainingRef.current) commitTraining(trainingState);
+    showState(state);
+    recordFrame(meterRef.current, started, delta, performance.now() - started);
+  }, running);
+
+  useEffect(() => {
+    if (!running) accumulatorRef.current = 0;
+  }, [running]);
 
   // Round transitions
   const nextRound = () => {
-    const wr = winnerRound;
-    if (wr === "Player 1") setP1((s) => ({ ...s, rounds: s.rounds + 1 }));
-    else if (wr === "Player 2") setP2((s) => ({ ...s, rounds: s.rounds + 1 }));
-
-    const checkChampion = (r1, r2) => {
-      if (r1 >= WIN_ROUNDS) return "Player 1";
-      if (r2 >= WIN_ROUNDS) return "Player 2";
-      return null;
+    resetMemories();
+    dispatch({ type: "nextRound" });
+  };
+
+  // Begin recording a freshly created match and show it; bracketMatch ties it to a tournament match
+  const beginMatch = (next, matchMode = mode, level = difficulty, { p1Level = p1Difficulty, bracketMatch = null } = {}) => {
+    recordingRef.current = {
+      seed: next.seed,
+      mode: matchMode,
+      difficulty: level,
+      p1Difficulty: matchMode === CPU_VS_CPU ? p1Level : null,
+      characters: next.characters,
+      stage: next.stage,
+      matchRules: next.rules,
+      frames: [],
+    };
+    resetMemories();
+    statsRef.current = createMatchStats();
+    effectsRef.current = createEffects();
+    setResults(null);
+    setShowResults(false);
+    // Keep the dummy recording across restarts
+    commitTraining(createTrainingState(trainingRef.current.recorded));
+    setPlayback(null);
+    setTournamentMatch(bracketMatch);
+    commit(next);
+  };
+
+  const startMatch = (picks, matchMode = mode, level = difficulty) => {
+    const options = matchOptions(matchMode, matchRules.rules);
+    beginMatch(createMatch({ seed: randomSeed(), characters: picks, stage: stagePick, ...options }), matchMode, level);
+  };
+
+  // Same fighters, stage and rules as the match just finished (and the same bracket match, after a draw)
+  const rematch = () =>
+    beginMatch(matchReducer(gameRef.current, { type: "rematch", seed: randomSeed() }), mode, difficulty, {
+      bracketMatch: tournamentMatch,
+    });
+
+  // Switching into or out of training restarts the match with or without a clock.
+  // A bracket match played on in another mode no longer counts for the tournament.
+  const changeMode = (next) => {
+    setMode(next);
+    setTournamentMatch(null);
+    if (next === "Online") {
+      setShowOnline(true);
+    } else if (mode === "Online") {
+      netplay.leave();
+      startMatch(characters, next);
+    } else if ((next === "Training") !== (mode === "Training")) {
+      startMatch(characters, next);
+    }
+  };
+
+  const changeTrainingSettings = (next) => {
+    setTrainingSettings(next);
+    saveJSON(TRAINING_SETTINGS_KEY, next);
+  };
+
+  const trainingReset = useCallback(() => {
+    commit(resetPositions(gameRef.current));
+    commitTraining({ ...trainingRef.current, recording: null, playhead: 0, guardUntil: 0 });
+  }, [commit, commitTraining]);
+
+  const trainingRecord = useCallback(() => {
+    commitTraining(toggleRecording(trainingRef.current));
+  }, [commitTraining]);
+
+  // Training hotkeys
+  useEffect(() => {
+    if (mode !== "Training" || playback) return;
+    const onKeyDown = (e) => {
+      if (e.repeat || e.target.tagName === "INPUT" || e.target.tagName === "SELECT") return;
+      if (e.code === TRAINING_HOTKEYS.reset) trainingReset();
+      if (e.code === TRAINING_HOTKEYS.record) trainingRecord();
     };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [mode, playback, trainingReset, trainingRecord]);
 
-    setTimeout(() => {
-      setP1((_) => createFighter(ARENA_WIDTH * 0.25, 1, "blue"));
-      setP2((prev) => {
-        const rounds = wr === "Player 2" ? prev.rounds + 1 : prev.rounds;
-        const f = createFighter(ARENA_WIDTH * 0.75, -1, "amber");
-        f.rounds = rounds;
-        return f;
-      });
-      setP1((prev) => {
-        const rounds = wr === "Player 1" ? (prev.rounds) : prev.rounds;
-        return { ...prev, rounds };
-      });
-      setTimer(ROUND_TIME);
-      setRoundOver(false);
-      setWinnerRound(null);
-      // After rounds updated above, check champion
-      setMatchWinner((_) => {
-        const r1 = wr === "Player 1" ? p1.rounds + 1 : p1.rounds;
-        const r2 = wr === "Player 2" ? p2.rounds + 1 : p2.rounds;
-        return checkChampion(r1, r2);
+  const resetMatch = () => (tournamentMatch ? playTournamentMatch(tournamentMatch.id) : startMatch(characters));
+
+  const confirmCharacters = () => {
+    setShowSelect(false);
+    setShowStages(true);
+  };
+
+  // Online, Player 1's picks are used from the next match on (the stage only by the host)
+  const confirmStage = () => {
+    setShowStages(false);
+    if (!online) startMatch(characters);
+  };
+
+  const changeDisplay = (next) => {
+    setDisplay(next);
+    saveJSON(DISPLAY_KEY, next);
+    // The canvas may have drawn ticks React has not seen yet
+    commit(gameRef.current);
+  };
+
+  const canvasUnsupported = useCallback(() => setCanvasFailed(true), []);
+
+  const toggleTouch = () => {
+    setTouchPref(!touchEnabled);
+    saveJSON(TOUCH_PREF_KEY, !touchEnabled);
+  };
+
+  // Replays
+  const saveReplay = () => {
+    const replay = buildReplay({ ...recordingRef.current, createdAt: new Date().toISOString() });
+    downloadJSON(`fighting-arena-replay-${fileStamp()}.json`, replay);
+  };
+
+  const loadReplay = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const replay = parseReplay(await readJSONFile(file));
+      commit(
+        createMatch({
+          seed: replay.seed,
+          characters: replay.characters,
+          stage: replay.stage,
+          rules: replay.matchRules,
+        })
+      );
+      playbackCursorRef.current = { cursor: 0, done: false };
+      statsRef.current = createMatchStats();
+      effectsRef.current = createEffects();
+      setResults(null);
+      setShowResults(false);
+      setTournamentMatch(null);
+      setPlayback({
+        replay,
+        cursor: 0,
+        done: false,
+        paused: false,
+        speed: 1,
+        warning: rulesDiffer(replay)
+          ? "This replay was recorded with different game rules or an older version and may play out differently."
+          : null,
       });
-    }, 200);
+    } catch (err) {
+      window.alert(`Could not load replay: ${err.message}`);
+    }
+  };
+
+  // Ghosts
+  const fightGhost = (name) => {
+    const level = `${GHOST_LEVEL}${name}`;
+    setMode("PvAI");
+    setDifficulty(level);
+    setShowGhosts(false);
+    setShowSelect(false);
+    startMatch(characters, "PvAI", level);
+  };
+
+  const exportGhost = (name) => {
+    const file = buildGhostFile(ghosts.ghosts[name], new Date().toISOString());
+    downloadJSON(`fighting-arena-ghost-${name.replace(/[^\w-]+/g, "_")}-${fileStamp()}.json`, file);
+  };
+
+  const deleteGhost = (name) => {
+    if (!window.confirm(`Delete ${name}'s ghost?`)) return;
+    ghosts.deleteGhost(name);
+    const level = `${GHOST_LEVEL}${name}`;
+    if (difficulty === level) setDifficulty("Normal");
+    if (p1Difficulty === level) setP1Difficulty("Normal");
+  };
+
+  // Match history
+  const exportHistory = (matches) => {
+    const doc = { format: "fighting-arena-history", version: 1, exportedAt: new Date().toISOString(), matches };
+    downloadJSON(`fighting-arena-history-${fileStamp()}.json`, doc);
+  };
+
+  const clearHistory = () => {
+    if (window.confirm("Delete the whole match history?")) history.clear();
+  };
+
+  // Tournaments
+  const startTournament = (options) => {
+    try {
+      tournament.create(options);
+      setTournamentMatch(null);
+    } catch (err) {
+      window.alert(`Could not start the tournament: ${err.message}`);
+    }
+  };
+
+  // Play a bracket match in the arena. Against a CPU the person always gets Player 1's controls.
+  const playTournamentMatch = (matchId) => {
+    const t = tournament.tournament;
+    const [a, b] = matchPlayers(t, matchId);
+    const seeds = getPlayer(t, a).cpu && !getPlayer(t, b).cpu ? { p1: b, p2: a } : { p1: a, p2: b };
+    const left = getPlayer(t, seeds.p1);
+    const right = getPlayer(t, seeds.p2);
+    const matchMode = left.cpu ? CPU_VS_CPU : right.cpu ? "PvAI" : "PvP";
+    const picks = { p1: left.character, p2: right.character };
+    if (online) netplay.leave();
+    setMode(matchMode);
+    if (right.cpu) setDifficulty(t.cpuLevel);
+    if (left.cpu) setP1Difficulty(t.cpuLevel);
+    setCharacters(picks);
+    setShowTournament(false);
+    setShowSelect(false);
+    setShowStages(false);
+    const options = matchOptions(matchMode, matchRules.rules);
+    beginMatch(createMatch({ seed: randomSeed(), characters: picks, stage: stagePick, ...options }), matchMode, t.cpuLevel, {
+      p1Level: t.cpuLevel,
+      bracketMatch: { id: matchId, seeds },
+    });
+  };
+
+  const exportTournament = () => {
+    const file = buildTournamentFile(tournament.tournament, new Date().toISOString());
+    downloadJSON(`fighting-arena-tournament-${fileStamp()}.json`, file);
+  };
+
+  const exportBracketHTML = () => {
+    downloadHTML(`fighting-arena-tournament-${fileStamp()}.html`, bracketHTML(tournament.tournament));
+  };
+
+  const clearTournament = () => {
+    if (!window.confirm(`End ${tournament.tournament.name} and set up a new tournament?`)) return;
+    tournament.clear();
+    setTournamentMatch(null);
+  };
+
+  // Rules
+  const copyRulesLink = async () => {
+    const query = rulesToQuery(matchRules.rules);
+    const url = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ""}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      pushToast("Link copied: it starts a match with these rules");
+    } catch {
+      window.prompt("Copy this link to share these rules:", url);
+    }
+  };
+
+  const playWithRules = () => {
+    setShowRules(false);
+    setShowSelect(false);
+    startMatch(characters);
   };
 
-  const resetMatch = () => {
-    setP1(createFighter(ARENA_WIDTH * 0.25, 1, "blue"));
-    setP2(createFighter(ARENA_WIDTH * 0.75, -1, "amber"));
-    setTimer(ROUND_TIME);
-    setRoundOver(false);
-    setWinnerRound(null);
-    setMatchWinner(null);
+  const importGhost = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const model = parseGhostFile(await readJSONFile(file));
+      ghosts.importGhost(model);
+      pushToast(`Imported ${model.name}'s ghost`);
+    } catch (err) {
+      window.alert(`Could not import ghost: ${err.message}`);
+    }
   };
 
   // Layout calculations responsive
@@ -627,7 +1246,23 @@ function App() {
     return () => window.removeEventListener("resize", onResize);
   }, []);
 
-  const matchPoint = (p1.rounds === WIN_ROUNDS - 1 || p2.rounds === WIN_ROUNDS - 1) && !matchWinner;
+  const ghostNames = Object.keys(ghosts.ghosts).sort();
+  const hitboxesShown = mode === "Training" && showHitboxes && !playback;
+  const { winRounds } = game.rules;
+  const matchPoint = (p1.rounds === winRounds - 1 || p2.rounds === winRounds - 1) && !matchWinner;
+  // In a tournament match the HUD and the victory screen use the players' names
+  const bracket = tournamentMatch && tournament.tournament;
+  const names = bracket
+    ? { p1: getPlayer(bracket, tournamentMatch.seeds.p1).name, p2: getPlayer(bracket, tournamentMatch.seeds.p2).name }
+    : PLAYER_NAMES;
+  const winnerSide = matchWinner === "Player 1" ? "p1" : matchWinner === "Player 2" ? "p2" : null;
+  let bracketNote = null;
+  if (bracket && winnerSide) {
+    const champion = tournamentChampion(bracket) === tournamentMatch.seeds[winnerSide];
+    bracketNote = champion ? `${names[winnerSide]} wins ${bracket.name}!` : `${names[winnerSide]} advances.`;
+  }
+  // A decided tournament match is not played again
+  const playAgain = playback ? resetMatch : online ? netplay.rematch : bracket && matchWinner ? null : rematch;
 
   return (
     <div className="min-h-screen flex flex-col items-center pt-6 md:pt-10 px-3 md:px-6">
@@ -644,34 +1279,101 @@ function App() {
           <select
             className="o-card px-3 py-2 text-sm"
             value={mode}
-            onChange={(e) => setMode(e.target.value)}
+            onChange={(e) => changeMode(e.target.value)}
           >
             <option>PvAI</option>
             <option>PvP</option>
+            <option>Training</option>
+            <option>{CPU_VS_CPU}</option>
+            <option>Online</option>
           </select>
-          {mode === "PvAI" && (
-            <select
-              className="o-card px-3 py-2 text-sm"
+          {online && (
+            <button className="o-btn-ghost" onClick={() => setShowOnline(true)}>
+              Lobby{netplay.room ? ` (${netplay.room.code})` : ""}
+            </button>
+          )}
+          {mode === CPU_VS_CPU && (
+            <DifficultySelect
+              value={p1Difficulty}
+              onChange={setP1Difficulty}
+              title="Player 1 CPU difficulty"
+              ghosts={ghostNames}
+            />
+          )}
+          {(mode === "PvAI" || mode === CPU_VS_CPU) && (
+            <DifficultySelect
               value={difficulty}
-              onChange={(e) => setDifficulty(e.target.value)}
-            >
-              <option>Easy</option>
-              <option>Normal</option>
-              <option>Hard</option>
-            </select>
+              onChange={setDifficulty}
+              title="Player 2 CPU difficulty"
+              ghosts={ghostNames}
+            />
           )}
+          <button className="o-btn-ghost" onClick={() => replayFileRef.current.click()}>
+            Load Replay
+          </button>
+          <input
+            ref={replayFileRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={loadReplay}
+          />
+          <button className="o-btn-ghost" onClick={() => setShowSelect(true)}>
+            Fighters
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowRules(true)}>
+            Rules
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowGhosts(true)}>
+            Ghosts
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowHistory(true)}>
+            History
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowTournament(true)}>
+            Tournament
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowBindings(true)}>
+            Key Bindings
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowGamepads(true)}>
+            Gamepads
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowDisplay(true)}>
+            Display
+          </button>
+          <button className="o-btn-ghost" onClick={() => setShowAudio(true)}>
+            Audio{audio.settings.muted ? " (Muted)" : ""}
+          </button>
+          <button className="o-btn-ghost" onClick={toggleTouch} aria-pressed={touchEnabled}>
+            Touch {touchEnabled ? "On" : "Off"}
+          </button>
           <button className="o-btn-ghost" onClick={() => setShowControls((v) => !v)}>
             {showControls ? "Hide" : "Show"} Controls
           </button>
-          <button className="o-btn-primary" onClick={() => setPaused((p) => !p)}>
-            {paused ? "Resume" : "Pause"}
-          </button>
+          {!playback && !online && (
+            <button className="o-btn-primary" onClick={() => setPaused((p) => !p)}>
+              {paused ? "Resume" : "Pause"}
+            </button>
+          )}
         </div>
       </div>
 
       {/* Arena */}
       <div className="w-full max-w-6xl o-card p-3 md:p-4">
-        <TopHUD p1={p1} p2={p2} timer={Math.ceil(timer)} mode={mode} difficulty={difficulty} />
+        <TopHUD
+          p1={p1}
+          p2={p2}
+          tick={game.tick}
+          timer={secondsRemaining(game)}
+          winRounds={game.rules.winRounds}
+          mode={playback ? playback.replay.mode : mode}
+          difficulty={playback ? playback.replay.difficulty : difficulty}
+          p1Difficulty={playback ? playback.replay.p1Difficulty : p1Difficulty}
+          net={online && !playback && netplay.room ? netplay.readout : null}
+          names={names}
+          round={bracket ? roundLabel(bracket, tournamentMatch.id) : null}
+        />
         <div className="relative overflow-hidden rounded-xl arena-gradient border border-blue-200">
           <div
             className="relative mx-auto"
@@ -682,38 +1384,252 @@ function App() {
               transformOrigin: "top left",
             }}
           >
-            {/* Backdrop elements */}
-            <div className="absolute inset-x-0 bottom-0 h-24 floor-stripes" />
-            <div className="absolute inset-x-0 top-0 h-20 bg-gradient-to-b from-blue-50/60 to-transparent" />
-            <div className="absolute left-4 top-6 w-28 h-6 bg-white/40 rounded-full blur" />
-            <div className="absolute right-6 top-10 w-24 h-6 bg-white/40 rounded-full blur" />
-
-            {/* Fighters */}
-            <FighterSprite fighter={p1} isLeft tint="blue" isKO={p1.hp <= 0} />
-            <FighterSprite fighter={p2} tint="amber" isKO={p2.hp <= 0} />
+            <div ref={shakeRef} className="absolute inset-0">
+              {canvasArena ? (
+                <ArenaCanvas
+                  ref={arenaRef}
+                  stateRef={gameRef}
+                  game={game}
+                  scale={scale}
+                  skin={display.skin}
+                  showHitboxes={hitboxesShown}
+                  onUnsupported={canvasUnsupported}
+                />
+              ) : (
+                <StageView state={game}>
+                  <FighterSprite fighter={p1} isLeft isKO={p1.hp <= 0} />
+                  <FighterSprite fighter={p2} isKO={p2.hp <= 0} />
+                  {game.projectiles.map((p) => (
+                    <ProjectileSprite key={p.id} projectile={p} palette={getPalette(game[p.owner])} />
+                  ))}
+                  {hitboxesShown && <HitboxOverlay p1={p1} p2={p2} projectiles={game.projectiles} />}
+                </StageView>
+              )}
+              <EffectsLayer ref={effectsLayerRef} effectsRef={effectsRef} stateRef={gameRef} scale={scale} />
+            </div>
+            {game.freeze && <SuperFreeze fighter={game[game.freeze.side]} side={game.freeze.side} />}
 
             {/* Overlays */}
-            {roundOver && !matchWinner && (
+            {phase === "intro" && (
+              <RoundIntro round={game.round} suddenDeath={game.suddenDeath} phaseTicks={game.phaseTicks} />
+            )}
+            {phase === "ko" && <Announcer>{KO_CALLS[game.finish]}</Announcer>}
+            {phase === "roundOver" && !playback && (
               <GameOverOverlay
-                winner={winnerRound}
+                game={game}
                 onNextRound={nextRound}
-                onReset={resetMatch}
+                onReset={online ? null : resetMatch}
                 matchPoint={matchPoint}
               />
             )}
-            {matchWinner && <MatchVictory champion={matchWinner} onReset={resetMatch} />}
+            {phase === "matchOver" && (
+              <MatchVictory
+                champion={winnerSide && names[winnerSide]}
+                note={bracketNote}
+                onReset={playAgain}
+                resetLabel={bracket ? "Replay Match" : undefined}
+                onBracket={bracket ? () => setShowTournament(true) : null}
+                onChangeFighters={playback || online || bracket ? null : () => setShowSelect(true)}
+                onSaveReplay={playback ? null : saveReplay}
+                onResults={results ? () => setShowResults(true) : null}
+              />
+            )}
           </div>
+          {display.showFps && <FpsOverlay meterRef={meterRef} renderer={canvasArena ? "Canvas renderer" : "DOM renderer"} />}
+          {touchEnabled && !playback && mode !== CPU_VS_CPU && (phase === "intro" || phase === "fight") && (
+            <TouchControls inputRef={touchRef} split={mode === "PvP" && landscape} />
+          )}
         </div>
 
+        {playback && (
+          <div className="mt-4">
+            <ReplayControls
+              cursor={playback.cursor}
+              total={playback.replay.frames.length}
+              paused={playback.paused}
+              speed={playback.speed}
+              warning={playback.warning}
+              onTogglePause={() => setPlayback((pb) => ({ ...pb, paused: !pb.paused }))}
+              onStep={() => advancePlayback(1, false)}
+              onSpeed={(speed) => setPlayback((pb) => ({ ...pb, speed }))}
+              onExit={resetMatch}
+            />
+          </div>
+        )}
+
+        {mode === "Training" && !playback && (
+          <div className="mt-4">
+            <TrainingPanel
+              settings={trainingSettings}
+              training={training}
+              fighters={{ p1, p2 }}
+              showHitboxes={showHitboxes}
+              onSettings={changeTrainingSettings}
+              onToggleRecording={trainingRecord}
+              onResetPositions={trainingReset}
+              onToggleHitboxes={() => setShowHitboxes((v) => !v)}
+            />
+          </div>
+        )}
+
         {/* Controls help */}
         <div className="mt-4">
-          <ControlsHelp visible={showControls} />
+          <ControlsHelp visible={showControls} bindings={bindings} />
         </div>
       </div>
 
+      {showSelect && (
+        <CharacterSelect
+          picks={characters}
+          mode={mode}
+          onPick={(player, id) => setCharacters((c) => ({ ...c, [player]: id }))}
+          onConfirm={confirmCharacters}
+          onCancel={
+            game.tick > 0 && phase !== "matchOver"
+              ? () => {
+                  setCharacters(game.characters);
+                  setShowSelect(false);
+                }
+              : null
+          }
+        />
+      )}
+
+      {showStages && (
+        <StageSelect
+          pick={stagePick}
+          onPick={setStagePick}
+          onConfirm={confirmStage}
+          onBack={() => {
+            setShowStages(false);
+            setShowSelect(true);
+          }}
+        />
+      )}
+
+      {showBindings && (
+        <BindingsPanel
+          bindings={bindings}
+          profiles={keyBindings.profiles}
+          activeProfile={keyBindings.activeProfile}
+          onRebind={keyBindings.rebind}
+          onRestoreDefaults={keyBindings.restoreDefaults}
+          onSaveProfile={keyBindings.saveProfile}
+          onLoadProfile={keyBindings.loadProfile}
+          onDeleteProfile={keyBindings.deleteProfile}
+          onClose={() => setShowBindings(false)}
+        />
+      )}
+
+      {showGamepads && (
+        <GamepadPanel
+          pads={gamepads.pads}
+          assignments={gamepads.assignments}
+          mapping={gamepads.mapping}
+          onAssign={gamepads.assign}
+          onRemap={gamepads.remap}
+          onResetMapping={gamepads.resetMapping}
+          onClose={() => setShowGamepads(false)}
+        />
+      )}
+
+      {showRules && (
+        <RulesPanel
+          rules={matchRules.rules}
+          presets={matchRules.presets}
+          onChange={matchRules.setRules}
+          onSavePreset={matchRules.savePreset}
+          onDeletePreset={matchRules.deletePreset}
+          onCopyLink={copyRulesLink}
+          onPlay={playWithRules}
+          onClose={() => setShowRules(false)}
+        />
+      )}
+
+      {showGhosts && (
+        <GhostPanel
+          profile={ghosts.profile}
+          learning={ghosts.learning}
+          ghosts={ghosts.ghosts}
+          onProfile={ghosts.setProfile}
+          onLearning={ghosts.setLearning}
+          onFight={fightGhost}
+          onExport={exportGhost}
+          onDelete={deleteGhost}
+          onImport={importGhost}
+          onClose={() => setShowGhosts(false)}
+        />
+      )}
+
+      {showOnline && (
+        <OnlinePanel
+          status={netplay.status}
+          room={netplay.room}
+          settings={netplay.settings}
+          onSettings={netplay.setSettings}
+          onCreate={netplay.createRoom}
+          onJoin={netplay.joinRoom}
+          onLeave={netplay.leave}
+          onClose={() => setShowOnline(false)}
+        />
+      )}
+
+      {showDisplay && (
+        <DisplayPanel
+          settings={display}
+          canvasAvailable={!canvasFailed}
+          systemReducedMotion={systemReducedMotion}
+          onChange={changeDisplay}
+          onClose={() => setShowDisplay(false)}
+        />
+      )}
+
+      {showAudio && (
+        <AudioPanel
+          settings={audio.settings}
+          onChange={audio.setSettings}
+          onToggleMute={audio.toggleMute}
+          onClose={() => setShowAudio(false)}
+        />
+      )}
+
+      {showResults && results && (
+        <MatchResults
+          match={results}
+          onPlayAgain={playback ? null : playAgain}
+          onClose={() => setShowResults(false)}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryPanel
+          matches={history.matches}
+          describe={(m) => modeLabel(m.mode, m.difficulty, m.p1Difficulty)}
+          levelLabel={levelLabel}
+          onExport={exportHistory}
+          onClear={clearHistory}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {showTournament && (
+        <TournamentPanel
+          tournament={tournament.tournament}
+          onCreate={startTournament}
+          onPlay={playTournamentMatch}
+          onExportJSON={exportTournament}
+          onExportHTML={exportBracketHTML}
+          onPrint={() => printHTML(bracketHTML(tournament.tournament))}
+          onClear={clearTournament}
+          onClose={() => setShowTournament(false)}
+        />
+      )}
+
+      <Toasts toasts={toasts} />
+
       {/* Footer */}
       <div className="w-full max-w-6xl mt-4 text-xs text-gray-500 flex items-center justify-between">
-        <div>Tip: Specials pierce guard slightly. Blocking reduces damage by 65%.</div>
+        <div>Tip: {ruleTip(game.rules)}</div>
         <div className="text-blue-700">Theme: Ocean Professional</div>
       </div>
     </div>
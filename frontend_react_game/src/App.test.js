@@ -2,6 +2,8 @@ import { render, screen } from "@testing-library/react";
 import App from "./App";
 
 test("renders app header", () => {
+  // jsdom has no 2D canvas, so the arena falls back to the DOM renderer
+  jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(null);
   render(<App />);
   const title = screen.getByText(/Fighting Arena/i);
   expect(title).toBeInTheDocument();
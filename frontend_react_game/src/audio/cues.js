@@ -0,0 +1,58 @@
+import { secondsRemaining } from "../engine";
+
+/**
+ * Which sounds a tick calls for, read off two consecutive match states the
+ * same way the renderer reads them: a hit sounds on the tick its target
+ * lights up (hitflash, or blockflash for a guarded hit) and so does the
+ * stage hurting a fighter, a jump on take-off, a throw escaped, a projectile
+ * when it is thrown and when two cancel out, and round flow from phase changes. Pure, so replays and training sound the same as live play.
+ */
+
+// Seconds left on the clock from which each second ticks
+export const COUNTDOWN_SECONDS = 10;
+
+const HIT_SOUNDS = {
+  light: "hitLight",
+  heavy: "hitHeavy",
+  crouchLight: "hitLight",
+  crouchHeavy: "hitHeavy",
+  airLight: "hitLight",
+  airHeavy: "hitHeavy",
+  throw: "hitHeavy",
+  special: "hitSpecial",
+  ex: "hitSpecial",
+  super: "hitSpecial",
+};
+
+function fighterCues(before, after) {
+  const cues = [];
+  if (after.hitsTaken > before.hitsTaken) {
+    cues.push(after.lastHitTaken.blocked ? "block" : HIT_SOUNDS[after.lastHitTaken.type]);
+  }
+  // Stage hazards and damaging walls
+  if (after.stageHits > before.stageHits) cues.push("hitHeavy");
+  if (before.onGround && !after.onGround && after.vy < 0) cues.push("jump");
+  return cues;
+}
+
+// PUBLIC_INTERFACE
+/** Sound cue names for the tick between prev and next (see ./synth for the sounds). */
+export function soundCues(prev, next) {
+  // A new round respawns the fighters; only its flow is news
+  if (next.round !== prev.round) return [];
+  const cues = [...fighterCues(prev.p1, next.p1), ...fighterCues(prev.p2, next.p2)];
+  if (next.projectiles.some((p) => !prev.projectiles.some((q) => q.id === p.id))) cues.push("projectile");
+  if (next.clashes > prev.clashes) cues.push("clash");
+  // Both sides tech at once when their throws meet
+  if (next.p1.throwTechs > prev.p1.throwTechs || next.p2.throwTechs > prev.p2.throwTechs) cues.push("tech");
+
+  if (prev.phase === "intro" && next.phase === "fight") cues.push("roundStart");
+  if (prev.phase === "fight" && next.phase === "ko") cues.push("ko");
+  if (prev.phase === "fight" && next.finish === "time") cues.push("timeUp");
+
+  const left = secondsRemaining(next);
+  if (next.phase === "fight" && left !== null && left > 0 && left <= COUNTDOWN_SECONDS && left !== secondsRemaining(prev)) {
+    cues.push(left <= 3 ? "countdownFinal" : "countdown");
+  }
+  return cues;
+}
@@ -0,0 +1,34 @@
+import { CHARACTERS, EMPTY_INPUT, TICK_RATE, createMatch, step } from "../engine";
+import { soundCues } from "./cues";
+
+// Step the match, collecting every cue along the way
+function listen(state, ticks, p1Input = EMPTY_INPUT, p2Input = EMPTY_INPUT) {
+  const cues = [];
+  for (let i = 0; i < ticks; i++) {
+    const next = step(state, i === 0 ? p1Input : EMPTY_INPUT, p2Input);
+    cues.push(...soundCues(state, next));
+    state = next;
+  }
+  return cues;
+}
+
+test("hits sound by attack type, guarded hits as blocks, and jumps on take-off", () => {
+  const start = createMatch({ seed: 1, intro: false });
+  const close = { ...start, p2: { ...start.p2, x: start.p1.x + 70 } };
+  const { startup } = CHARACTERS.kai.moves.light;
+  const light = { ...EMPTY_INPUT, light: true };
+
+  expect(listen(close, startup + 1, light)).toEqual(["hitLight"]);
+  expect(listen(close, startup + 1, light, { ...EMPTY_INPUT, right: true })).toEqual(["block"]);
+  expect(listen(start, 5, { ...EMPTY_INPUT, up: true })).toEqual(["jump"]);
+});
+
+test("round flow and the last seconds of the clock have their own cues", () => {
+  const intro = createMatch({ seed: 1 });
+  expect(listen(intro, intro.phaseTicks)).toEqual(["roundStart"]);
+
+  const start = createMatch({ seed: 1, intro: false });
+  const cues = listen({ ...start, timer: 4 * TICK_RATE + 1 }, 4 * TICK_RATE + 1);
+  expect(cues).toEqual(["countdown", "countdownFinal", "countdownFinal", "countdownFinal", "timeUp"]);
+  expect(listen({ ...start, timer: 10 * TICK_RATE + 1 }, 2)).toEqual(["countdown"]);
+});
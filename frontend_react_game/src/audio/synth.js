@@ -0,0 +1,192 @@
+/**
+ * Procedural audio on Web Audio: every sound effect and the music loop are
+ * synthesized from oscillators and a noise buffer, so there are no audio
+ * files to download.
+ *
+ * Graph: effects -> sfx gain -> master gain -> speakers
+ *        music   -> music gain -^
+ */
+
+// Music: 16th-note steps at this tempo over a four-bar loop (Am F C G)
+const TEMPO = 128;
+const STEP_SECONDS = 60 / TEMPO / 4;
+const STEPS_PER_BAR = 16;
+const BARS = [
+  { root: 45, chord: [57, 60, 64] },
+  { root: 41, chord: [57, 60, 65] },
+  { root: 48, chord: [55, 60, 64] },
+  { root: 43, chord: [55, 59, 62] },
+];
+const BASS_STEPS = [0, 3, 6, 8, 10, 14];
+const ARP_ORDER = [0, 1, 2, 1];
+// How far ahead notes are queued, and how often the queue is topped up
+const LOOKAHEAD_SECONDS = 0.12;
+const SCHEDULE_MS = 25;
+
+// Volume changes glide over this time constant instead of clicking
+const LEVEL_SMOOTHING = 0.03;
+
+function midiToHz(note) {
+  return 440 * 2 ** ((note - 69) / 12);
+}
+
+function createNoiseBuffer(ctx) {
+  const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+// A pitched blip: oscillator gliding from -> to with a fast attack and exponential decay
+function tone(ctx, out, t, { type = "sine", from, to = from, duration, gain }) {
+  const osc = ctx.createOscillator();
+  const env = ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(from, t);
+  osc.frequency.exponentialRampToValueAtTime(to, t + duration);
+  env.gain.setValueAtTime(0.0001, t);
+  env.gain.exponentialRampToValueAtTime(gain, t + 0.005);
+  env.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+  osc.connect(env).connect(out);
+  osc.start(t);
+  osc.stop(t + duration + 0.02);
+}
+
+// A filtered noise burst for impacts and hi-hats
+function noise(ctx, out, buffer, t, { filter, freq, duration, gain }) {
+  const src = ctx.createBufferSource();
+  const biquad = ctx.createBiquadFilter();
+  const env = ctx.createGain();
+  src.buffer = buffer;
+  biquad.type = filter;
+  biquad.frequency.value = freq;
+  env.gain.setValueAtTime(gain, t);
+  env.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+  src.connect(biquad).connect(env).connect(out);
+  src.start(t);
+  src.stop(t + duration + 0.02);
+}
+
+// Sound effects by cue name (see ./cues); each gets the context, output, noise buffer and start time
+const EFFECTS = {
+  hitLight: (ctx, out, buf, t) => {
+    noise(ctx, out, buf, t, { filter: "bandpass", freq: 2500, duration: 0.08, gain: 0.5 });
+    tone(ctx, out, t, { type: "square", from: 320, to: 120, duration: 0.06, gain: 0.15 });
+  },
+  hitHeavy: (ctx, out, buf, t) => {
+    noise(ctx, out, buf, t, { filter: "lowpass", freq: 1200, duration: 0.18, gain: 0.6 });
+    tone(ctx, out, t, { from: 170, to: 45, duration: 0.25, gain: 0.8 });
+  },
+  hitSpecial: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { type: "sawtooth", from: 220, to: 880, duration: 0.25, gain: 0.2 });
+    noise(ctx, out, buf, t, { filter: "bandpass", freq: 1500, duration: 0.3, gain: 0.5 });
+    tone(ctx, out, t, { from: 130, to: 40, duration: 0.3, gain: 0.7 });
+  },
+  block: (ctx, out, buf, t) => {
+    noise(ctx, out, buf, t, { filter: "highpass", freq: 4000, duration: 0.05, gain: 0.35 });
+    tone(ctx, out, t, { type: "triangle", from: 1400, to: 900, duration: 0.07, gain: 0.25 });
+  },
+  projectile: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { type: "sawtooth", from: 160, to: 420, duration: 0.18, gain: 0.15 });
+    noise(ctx, out, buf, t, { filter: "bandpass", freq: 900, duration: 0.2, gain: 0.3 });
+  },
+  clash: (ctx, out, buf, t) => {
+    noise(ctx, out, buf, t, { filter: "highpass", freq: 2500, duration: 0.15, gain: 0.45 });
+    tone(ctx, out, t, { type: "triangle", from: 1100, to: 300, duration: 0.2, gain: 0.25 });
+  },
+  tech: (ctx, out, buf, t) => {
+    noise(ctx, out, buf, t, { filter: "bandpass", freq: 3000, duration: 0.1, gain: 0.4 });
+    tone(ctx, out, t, { type: "triangle", from: 700, to: 1200, duration: 0.12, gain: 0.25 });
+  },
+  jump: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { from: 280, to: 620, duration: 0.14, gain: 0.2 });
+  },
+  ko: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { type: "sawtooth", from: 440, to: 55, duration: 1.2, gain: 0.3 });
+    noise(ctx, out, buf, t, { filter: "lowpass", freq: 800, duration: 0.6, gain: 0.5 });
+  },
+  timeUp: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { type: "square", from: 660, duration: 0.5, gain: 0.15 });
+    tone(ctx, out, t, { type: "square", from: 440, duration: 0.7, gain: 0.12 });
+  },
+  roundStart: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { type: "square", from: 523, duration: 0.12, gain: 0.15 });
+    tone(ctx, out, t + 0.12, { type: "square", from: 784, duration: 0.3, gain: 0.15 });
+  },
+  countdown: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { from: 880, duration: 0.08, gain: 0.2 });
+  },
+  countdownFinal: (ctx, out, buf, t) => {
+    tone(ctx, out, t, { from: 1320, duration: 0.12, gain: 0.25 });
+  },
+};
+
+// One 16th-note step of the music loop
+function musicStep(ctx, out, buf, step, t) {
+  const bar = BARS[Math.floor(step / STEPS_PER_BAR) % BARS.length];
+  const beat = step % STEPS_PER_BAR;
+  if (beat % 4 === 0) tone(ctx, out, t, { from: 120, to: 45, duration: 0.18, gain: 0.5 });
+  if (beat % 2 === 1) noise(ctx, out, buf, t, { filter: "highpass", freq: 7000, duration: 0.03, gain: 0.12 });
+  if (BASS_STEPS.includes(beat)) {
+    tone(ctx, out, t, { type: "triangle", from: midiToHz(bar.root), duration: STEP_SECONDS * 1.8, gain: 0.35 });
+  }
+  if (beat % 2 === 0) {
+    const note = bar.chord[ARP_ORDER[(beat / 2) % ARP_ORDER.length]] + 12;
+    tone(ctx, out, t, { type: "square", from: midiToHz(note), duration: STEP_SECONDS * 1.5, gain: 0.05 });
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Create the audio engine, or null where Web Audio is unavailable. Browsers
+ * only let audio start from a user gesture, so call this from one.
+ * Returns { play(cue), setLevels({ master, sfx, music }), setEnabled(on), close() };
+ * disabling suspends the context, which silences everything and pauses the music.
+ */
+export function createAudioEngine() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  const ctx = new AudioContextClass();
+  const master = ctx.createGain();
+  const sfx = ctx.createGain();
+  const music = ctx.createGain();
+  sfx.connect(master);
+  music.connect(master);
+  master.connect(ctx.destination);
+  const buffer = createNoiseBuffer(ctx);
+
+  // Music: queue the steps falling inside the lookahead window. While the
+  // context is suspended its clock stops, so the loop resumes where it was.
+  let step = 0;
+  let nextStepAt = ctx.currentTime + 0.1;
+  const scheduleMusic = () => {
+    // A throttled timer skips the steps it missed rather than playing them all at once
+    nextStepAt = Math.max(nextStepAt, ctx.currentTime);
+    while (nextStepAt < ctx.currentTime + LOOKAHEAD_SECONDS) {
+      musicStep(ctx, music, buffer, step, nextStepAt);
+      step = (step + 1) % (STEPS_PER_BAR * BARS.length);
+      nextStepAt += STEP_SECONDS;
+    }
+  };
+  const timer = setInterval(scheduleMusic, SCHEDULE_MS);
+
+  return {
+    play(cue) {
+      if (ctx.state === "running" && EFFECTS[cue]) EFFECTS[cue](ctx, sfx, buffer, ctx.currentTime);
+    },
+    setLevels(levels) {
+      master.gain.setTargetAtTime(levels.master, ctx.currentTime, LEVEL_SMOOTHING);
+      sfx.gain.setTargetAtTime(levels.sfx, ctx.currentTime, LEVEL_SMOOTHING);
+      music.gain.setTargetAtTime(levels.music, ctx.currentTime, LEVEL_SMOOTHING);
+    },
+    setEnabled(on) {
+      if (on && ctx.state === "suspended") ctx.resume();
+      if (!on && ctx.state === "running") ctx.suspend();
+    },
+    close() {
+      clearInterval(timer);
+      ctx.close();
+    },
+  };
+}
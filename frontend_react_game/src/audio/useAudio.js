@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { createAudioEngine } from "./synth";
+
+const STORAGE_KEY = "fighting-arena.audio.v1";
+
+export const DEFAULT_AUDIO_SETTINGS = Object.freeze({ master: 0.8, sfx: 0.8, music: 0.4, muted: false });
+
+function loadSettings() {
+  const stored = loadJSON(STORAGE_KEY, null);
+  const settings = { ...DEFAULT_AUDIO_SETTINGS };
+  for (const key of ["master", "sfx", "music"]) {
+    const v = stored?.[key];
+    if (typeof v === "number" && v >= 0 && v <= 1) settings[key] = v;
+  }
+  settings.muted = stored?.muted === true;
+  return settings;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Game audio: mixer settings persisted in localStorage and a play(cues)
+ * function for the sounds of a frame. The audio engine starts on the first
+ * key or pointer press (browsers block audio before a gesture). Sound is off
+ * while muted, while `active` is false (paused) and while the tab is hidden.
+ */
+export function useAudio(active) {
+  const [settings, setSettingsState] = useState(loadSettings);
+  const [hidden, setHidden] = useState(() => document.hidden);
+  const [unlocked, setUnlocked] = useState(false);
+  const engineRef = useRef(null);
+  const enabled = unlocked && active && !hidden && !settings.muted;
+  const enabledRef = useRef(enabled);
+  enabledRef.current = enabled;
+
+  useEffect(() => {
+    const unlock = () => {
+      engineRef.current = createAudioEngine();
+      setUnlocked(!!engineRef.current);
+      window.removeEventListener("keydown", unlock);
+      window.removeEventListener("pointerdown", unlock);
+    };
+    window.addEventListener("keydown", unlock);
+    window.addEventListener("pointerdown", unlock);
+    return () => {
+      window.removeEventListener("keydown", unlock);
+      window.removeEventListener("pointerdown", unlock);
+      engineRef.current?.close();
+      engineRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const onVisibility = () => setHidden(document.hidden);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, []);
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, settings);
+  }, [settings]);
+
+  useEffect(() => {
+    engineRef.current?.setLevels(settings);
+  }, [settings, unlocked]);
+
+  useEffect(() => {
+    engineRef.current?.setEnabled(enabled);
+  }, [enabled]);
+
+  const setSettings = useCallback((patch) => {
+    setSettingsState((s) => ({ ...s, ...patch }));
+  }, []);
+
+  const toggleMute = useCallback(() => {
+    setSettingsState((s) => ({ ...s, muted: !s.muted }));
+  }, []);
+
+  // Each cue plays once per call even if several ticks raised it
+  const play = useCallback((cues) => {
+    if (!enabledRef.current || cues.length === 0) return;
+    for (const cue of new Set(cues)) engineRef.current.play(cue);
+  }, []);
+
+  return { settings, setSettings, toggleMute, play };
+}
@@ -0,0 +1,45 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useRef } from "react";
+import { ARENA_HEIGHT, ARENA_WIDTH } from "../engine";
+import { createAnimator } from "../render/animation";
+import { canvasSupported, drawArena } from "../render/canvas";
+
+// PUBLIC_INTERFACE
+/**
+ * Canvas arena (see ../render/canvas). Draws stateRef.current whenever `game`
+ * or the options change, and on demand through ref.draw() so the game loop can
+ * draw every frame without re-rendering React. Calls onUnsupported when the
+ * browser has no 2D canvas. `skin` is "sprites" or "boxes".
+ */
+const ArenaCanvas = forwardRef(function ArenaCanvas({ stateRef, game, scale, skin, showHitboxes, onUnsupported }, ref) {
+  const canvasRef = useRef(null);
+  const animatorsRef = useRef({ p1: createAnimator(), p2: createAnimator() });
+  // Device pixels per arena unit, so the canvas stays sharp at any size
+  const pixelRatio = scale * (window.devicePixelRatio || 1);
+
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (canvasSupported(canvas)) {
+      drawArena(canvas, stateRef.current, pixelRatio, { showHitboxes, skin, animators: animatorsRef.current });
+    }
+  }, [stateRef, pixelRatio, skin, showHitboxes]);
+
+  useImperativeHandle(ref, () => ({ draw }), [draw]);
+
+  useEffect(() => {
+    if (!canvasSupported(canvasRef.current)) onUnsupported();
+  }, [onUnsupported]);
+
+  useEffect(() => draw(), [draw, game]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0"
+      width={Math.round(ARENA_WIDTH * pixelRatio)}
+      height={Math.round(ARENA_HEIGHT * pixelRatio)}
+      style={{ width: ARENA_WIDTH, height: ARENA_HEIGHT }}
+    />
+  );
+});
+
+export default ArenaCanvas;
@@ -0,0 +1,50 @@
+import React from "react";
+
+const SLIDERS = [
+  { key: "master", label: "Master" },
+  { key: "sfx", label: "Sound effects" },
+  { key: "music", label: "Music" },
+];
+
+// PUBLIC_INTERFACE
+/** Audio mixer: master, sound effect and music volume plus a mute toggle. */
+function AudioPanel({ settings, onChange, onToggleMute, onClose }) {
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-md p-4 md:p-6 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Audio</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        <div className="space-y-3">
+          {SLIDERS.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-3">
+              <span className="w-28 text-gray-600">{label}</span>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                className="flex-1 accent-blue-600"
+                value={Math.round(settings[key] * 100)}
+                disabled={settings.muted}
+                onChange={(e) => onChange({ [key]: Number(e.target.value) / 100 })}
+              />
+              <span className="w-10 text-right tabular-nums">{Math.round(settings[key] * 100)}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between border-t border-blue-100 pt-4">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={settings.muted} onChange={onToggleMute} />
+            Mute
+          </label>
+          <div className="text-xs text-gray-500">Sound also goes quiet while paused or in a background tab.</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AudioPanel;
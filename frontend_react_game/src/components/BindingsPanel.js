@@ -0,0 +1,129 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ACTIONS, PLAYERS, findConflicts, keyLabel } from "../input/bindings";
+
+const PLAYER_NAMES = { p1: "Player 1", p2: "Player 2" };
+
+// PUBLIC_INTERFACE
+/**
+ * Key bindings screen: click an action, then press the key to bind it.
+ * Escape cancels a pending rebind. Keys bound twice are highlighted.
+ */
+function BindingsPanel({
+  bindings,
+  profiles,
+  activeProfile,
+  onRebind,
+  onRestoreDefaults,
+  onSaveProfile,
+  onLoadProfile,
+  onDeleteProfile,
+  onClose,
+}) {
+  const [listening, setListening] = useState(null); // { player, action } awaiting a key
+  const [profileName, setProfileName] = useState(activeProfile || "");
+  const conflicts = useMemo(() => findConflicts(bindings), [bindings]);
+
+  useEffect(() => {
+    if (!listening) return;
+    const onKeyDown = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.code !== "Escape") onRebind(listening.player, listening.action, e.code);
+      setListening(null);
+    };
+    // Capture phase so the game's own key listeners never see the key being bound
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [listening, onRebind]);
+
+  const profileNames = Object.keys(profiles).sort();
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-2xl p-4 md:p-6 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Key Bindings</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {PLAYERS.map((player) => (
+            <div key={player}>
+              <div className="font-semibold mb-2">{PLAYER_NAMES[player]}</div>
+              <div className="space-y-1">
+                {ACTIONS.map(({ id, label }) => {
+                  const isListening = listening?.player === player && listening?.action === id;
+                  const conflict = conflicts.has(`${player}.${id}`);
+                  return (
+                    <div key={id} className="flex items-center justify-between gap-2">
+                      <span className="text-gray-600">{label}</span>
+                      <button
+                        className={`min-w-[6rem] px-3 py-1 rounded-md border font-mono transition-all duration-200 ${
+                          isListening
+                            ? "bg-amber-100 border-amber-400 text-amber-700"
+                            : conflict
+                            ? "bg-red-50 border-red-400 text-red-600"
+                            : "bg-white border-blue-200 text-blue-700 hover:bg-blue-50"
+                        }`}
+                        onClick={() => setListening(isListening ? null : { player, action: id })}
+                        title={conflict ? "This key is bound to more than one action" : "Click, then press a key"}
+                      >
+                        {isListening ? "Press a key…" : keyLabel(bindings[player][id])}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {conflicts.size > 0 && (
+          <div className="text-red-600 text-xs">
+            Some keys are bound to more than one action. Only one of them will work reliably.
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2 border-t border-blue-100 pt-4">
+          <input
+            className="o-card px-3 py-2 flex-1 min-w-[8rem]"
+            placeholder="Profile name"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+          />
+          <button className="o-btn-primary" onClick={() => onSaveProfile(profileName)} disabled={!profileName.trim()}>
+            Save Profile
+          </button>
+          <button className="o-btn-ghost" onClick={onRestoreDefaults}>Restore Defaults</button>
+        </div>
+
+        {profileNames.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {profileNames.map((name) => (
+              <div key={name} className="flex items-center">
+                <button
+                  className={name === activeProfile ? "o-btn-primary rounded-r-none" : "o-btn-ghost rounded-r-none"}
+                  onClick={() => {
+                    onLoadProfile(name);
+                    setProfileName(name);
+                  }}
+                >
+                  {name}
+                </button>
+                <button
+                  className="o-btn-ghost rounded-l-none border-l-0 px-2"
+                  onClick={() => onDeleteProfile(name)}
+                  title={`Delete profile ${name}`}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BindingsPanel;
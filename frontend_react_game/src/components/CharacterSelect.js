@@ -0,0 +1,97 @@
+import React from "react";
+import { CHARACTERS, ROSTER, moveRange } from "../engine";
+
+// Column heading for Player 2's side by mode
+const P2_TITLES = { PvP: "Player 2", Training: "Dummy", "CPU vs CPU": "CPU 2" };
+
+// Stat bars are relative to the best value on the roster
+const STAT_BARS = [
+  { label: "Health", value: (c) => c.stats.hp },
+  { label: "Speed", value: (c) => c.stats.walkSpeed },
+  { label: "Power", value: (c) => c.moves.light.damage + c.moves.heavy.damage + c.moves.special.damage },
+  { label: "Reach", value: (c) => moveRange(c.moves.special) },
+];
+const STAT_MAX = STAT_BARS.map(({ value }) => Math.max(...ROSTER.map((id) => value(CHARACTERS[id]))));
+
+function Swatch({ palette }) {
+  return (
+    <div
+      className="h-12 w-8 rounded-md ring-2 relative shrink-0"
+      style={{ backgroundColor: palette.body, "--tw-ring-color": palette.outline }}
+    >
+      <div className="absolute top-1 left-1 h-2 w-5 rounded-sm" style={{ backgroundColor: palette.detail }} />
+    </div>
+  );
+}
+
+function RosterColumn({ title, pick, mirrorOf, onPick }) {
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold text-blue-700">{title}</div>
+      {ROSTER.map((id) => {
+        const c = CHARACTERS[id];
+        const selected = id === pick;
+        const palette = id === mirrorOf ? c.palettes.alt : c.palettes.primary;
+        return (
+          <button
+            key={id}
+            className={`w-full text-left rounded-lg border p-2 flex gap-3 transition-all duration-200 ${
+              selected ? "border-blue-500 bg-blue-50 shadow-sm" : "border-blue-100 bg-white/70 hover:bg-blue-50/50"
+            }`}
+            onClick={() => onPick(id)}
+          >
+            <Swatch palette={palette} />
+            <div className="flex-1 min-w-0">
+              <div className="font-bold text-gray-800">{c.name}</div>
+              <div className="text-xs text-gray-500">{c.description}</div>
+              {selected && (
+                <div className="mt-2 grid grid-cols-[4rem_1fr] items-center gap-x-2 gap-y-1 text-xs">
+                  {STAT_BARS.map(({ label, value }, i) => (
+                    <React.Fragment key={label}>
+                      <span className="text-gray-500">{label}</span>
+                      <div className="h-1.5 rounded bg-blue-100 overflow-hidden">
+                        <div className="h-full bg-blue-500" style={{ width: `${(value(c) / STAT_MAX[i]) * 100}%` }} />
+                      </div>
+                    </React.Fragment>
+                  ))}
+                </div>
+              )}
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Character select screen for both players; confirming moves on to the stage.
+ * Picking the same character gives Player 2 the alt palette.
+ */
+function CharacterSelect({ picks, mode, onPick, onConfirm, onCancel }) {
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-3xl p-4 md:p-6 space-y-4 text-sm max-h-full overflow-y-auto">
+        <div className="text-lg font-extrabold text-blue-700">Choose Your Fighters</div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <RosterColumn title={mode === "CPU vs CPU" ? "CPU 1" : "Player 1"} pick={picks.p1} onPick={(id) => onPick("p1", id)} />
+          <RosterColumn
+            title={P2_TITLES[mode] || "CPU"}
+            pick={picks.p2}
+            mirrorOf={picks.p1}
+            onPick={(id) => onPick("p2", id)}
+          />
+        </div>
+        <div className="flex justify-end gap-2">
+          {onCancel && (
+            <button className="o-btn-ghost" onClick={onCancel}>Back</button>
+          )}
+          <button className="o-btn-primary" onClick={onConfirm}>Choose Stage</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CharacterSelect;
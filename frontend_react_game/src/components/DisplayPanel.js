@@ -0,0 +1,115 @@
+import React from "react";
+import { EFFECT_LABELS } from "../render/effects";
+
+const RENDERERS = [
+  { id: "canvas", label: "Canvas", help: "Draws the arena on a canvas; React only updates the HUD. Fastest." },
+  { id: "dom", label: "DOM", help: "Builds the arena from page elements. Use it if the canvas misbehaves." },
+];
+
+const SKINS = [
+  { id: "sprites", label: "Sprites", help: "Animated fighters drawn from sprite sheets." },
+  { id: "boxes", label: "Boxes", help: "The classic blocks, closest to the hitboxes." },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Display settings: arena renderer, fighter skin, impact effects and the FPS /
+ * frame-time overlay. Reduced motion, asked for here or by the system, turns
+ * every effect off.
+ */
+function DisplayPanel({ settings, canvasAvailable, systemReducedMotion, onChange, onClose }) {
+  const reduced = settings.reduceMotion || systemReducedMotion;
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-md p-4 md:p-6 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Display</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        <div className="space-y-2">
+          <div className="font-semibold text-gray-700">Arena renderer</div>
+          {RENDERERS.map(({ id, label, help }) => (
+            <label key={id} className="flex items-start gap-2">
+              <input
+                type="radio"
+                name="renderer"
+                className="mt-1"
+                checked={settings.renderer === id}
+                disabled={id === "canvas" && !canvasAvailable}
+                onChange={() => onChange({ ...settings, renderer: id })}
+              />
+              <span>
+                <span className="font-semibold">{label}</span>
+                <span className="block text-xs text-gray-500">{help}</span>
+              </span>
+            </label>
+          ))}
+          {!canvasAvailable && (
+            <div className="text-xs text-amber-600">This browser cannot draw the canvas arena, so the DOM one is used.</div>
+          )}
+        </div>
+
+        <div className="space-y-2 border-t border-blue-100 pt-4">
+          <div className="font-semibold text-gray-700">Fighter skin</div>
+          {SKINS.map(({ id, label, help }) => (
+            <label key={id} className="flex items-start gap-2">
+              <input
+                type="radio"
+                name="skin"
+                className="mt-1"
+                checked={settings.skin === id}
+                onChange={() => onChange({ ...settings, skin: id })}
+              />
+              <span>
+                <span className="font-semibold">{label}</span>
+                <span className="block text-xs text-gray-500">{help}</span>
+              </span>
+            </label>
+          ))}
+          {settings.renderer === "dom" && (
+            <div className="text-xs text-gray-500">The DOM renderer always draws boxes.</div>
+          )}
+        </div>
+
+        <div className="space-y-2 border-t border-blue-100 pt-4">
+          <div className="font-semibold text-gray-700">Hit effects</div>
+          {Object.entries(EFFECT_LABELS).map(([id, label]) => (
+            <label key={id} className={`flex items-center gap-2 ${reduced ? "text-gray-400" : ""}`}>
+              <input
+                type="checkbox"
+                checked={settings.effects[id] && !reduced}
+                disabled={reduced}
+                onChange={(e) => onChange({ ...settings, effects: { ...settings.effects, [id]: e.target.checked } })}
+              />
+              {label}
+            </label>
+          ))}
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={reduced}
+              disabled={systemReducedMotion}
+              onChange={(e) => onChange({ ...settings, reduceMotion: e.target.checked })}
+            />
+            Reduce motion (turns all hit effects off)
+          </label>
+          {systemReducedMotion && (
+            <div className="text-xs text-gray-500">Your system asks for reduced motion, so hit effects stay off.</div>
+          )}
+        </div>
+
+        <label className="flex items-center gap-2 border-t border-blue-100 pt-4">
+          <input
+            type="checkbox"
+            checked={settings.showFps}
+            onChange={(e) => onChange({ ...settings, showFps: e.target.checked })}
+          />
+          Show FPS and frame times
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default DisplayPanel;
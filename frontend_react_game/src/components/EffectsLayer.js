@@ -0,0 +1,41 @@
+import React, { forwardRef, useCallback, useImperativeHandle, useRef } from "react";
+import { ARENA_HEIGHT, ARENA_WIDTH, cameraX } from "../engine";
+import { drawEffects, effectsActive } from "../render/effects";
+
+// PUBLIC_INTERFACE
+/**
+ * Canvas layer over the arena for sparks and damage numbers (see
+ * ../render/effects), scrolled with the camera on stateRef.current. Works
+ * over either arena renderer; the game loop calls ref.draw() every frame.
+ */
+const EffectsLayer = forwardRef(function EffectsLayer({ effectsRef, stateRef, scale }, ref) {
+  const canvasRef = useRef(null);
+  // Skip clearing an already clear layer
+  const drawnRef = useRef(false);
+  const pixelRatio = scale * (window.devicePixelRatio || 1);
+
+  const draw = useCallback(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    const fx = effectsRef.current;
+    if (!ctx || (!drawnRef.current && !effectsActive(fx))) return;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, -cameraX(stateRef.current) * pixelRatio, 0);
+    drawEffects(ctx, fx);
+    drawnRef.current = fx.sparks.length > 0 || fx.numbers.length > 0;
+  }, [effectsRef, stateRef, pixelRatio]);
+
+  useImperativeHandle(ref, () => ({ draw }), [draw]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0 pointer-events-none"
+      width={Math.round(ARENA_WIDTH * pixelRatio)}
+      height={Math.round(ARENA_HEIGHT * pixelRatio)}
+      style={{ width: ARENA_WIDTH, height: ARENA_HEIGHT }}
+    />
+  );
+});
+
+export default EffectsLayer;
@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from "react";
+import { readMeter } from "../render/frameMeter";
+
+// How often the readout refreshes, and how old a frame may be before the loop counts as stopped
+const REFRESH_MS = 250;
+const STALE_MS = 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * FPS and frame-time readout from the game loop's frame meter. It refreshes
+ * on its own timer, so showing it never re-renders the rest of the app.
+ */
+function FpsOverlay({ meterRef, renderer }) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    const id = setInterval(() => setStats(readMeter(meterRef.current, performance.now() - STALE_MS)), REFRESH_MS);
+    return () => clearInterval(id);
+  }, [meterRef]);
+
+  return (
+    <div className="absolute left-2 top-2 z-10 rounded-md bg-blue-950/70 px-2 py-1 font-mono text-[11px] leading-4 text-white pointer-events-none">
+      <div>{renderer}</div>
+      {stats ? (
+        <>
+          <div>{stats.fps.toFixed(0)} fps • {stats.frameMs.toFixed(1)} ms</div>
+          <div>worst {stats.worstMs.toFixed(1)} ms • loop {stats.workMs.toFixed(2)} ms</div>
+          <div>{stats.commitsPerSecond.toFixed(0)} React renders/s</div>
+        </>
+      ) : (
+        <div>idle</div>
+      )}
+    </div>
+  );
+}
+
+export default FpsOverlay;
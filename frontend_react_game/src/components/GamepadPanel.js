@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from "react";
+import { ACTIONS } from "../input/bindings";
+import { buttonLabel, firstPressedButton, listGamepads } from "../input/gamepad";
+
+// PUBLIC_INTERFACE
+/**
+ * Gamepad settings: assign each connected pad to a player and remap buttons.
+ * To remap, click an action and press a button on any pad; Escape cancels.
+ */
+function GamepadPanel({ pads, assignments, mapping, onAssign, onRemap, onResetMapping, onClose }) {
+  const [listening, setListening] = useState(null); // action awaiting a button
+
+  useEffect(() => {
+    if (!listening) return;
+    let frame;
+    const poll = () => {
+      for (const pad of listGamepads()) {
+        const button = firstPressedButton(pad);
+        if (button != null) {
+          onRemap(listening, button);
+          setListening(null);
+          return;
+        }
+      }
+      frame = requestAnimationFrame(poll);
+    };
+    const onKeyDown = (e) => {
+      if (e.code === "Escape") setListening(null);
+    };
+    frame = requestAnimationFrame(poll);
+    window.addEventListener("keydown", onKeyDown);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("keydown", onKeyDown);
+    };
+  }, [listening, onRemap]);
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-2xl p-4 md:p-6 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Gamepads</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        <div className="space-y-2">
+          {pads.length === 0 ? (
+            <div className="text-gray-500">No gamepads detected. Connect one and press any button.</div>
+          ) : (
+            pads.map((pad) => (
+              <div key={pad.index} className="flex items-center justify-between gap-2">
+                <span className="truncate text-gray-700" title={pad.id}>
+                  #{pad.index + 1} {pad.id}
+                </span>
+                <select
+                  className="o-card px-3 py-1"
+                  value={assignments[pad.index] || ""}
+                  onChange={(e) => onAssign(pad.index, e.target.value || null)}
+                >
+                  <option value="p1">Player 1</option>
+                  <option value="p2">Player 2</option>
+                  <option value="">Unassigned</option>
+                </select>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="border-t border-blue-100 pt-4">
+          <div className="font-semibold mb-2">Button mapping</div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1">
+            {ACTIONS.map(({ id, label }) => (
+              <div key={id} className="flex items-center justify-between gap-2">
+                <span className="text-gray-600">{label}</span>
+                <button
+                  className={`min-w-[6rem] px-3 py-1 rounded-md border font-mono transition-all duration-200 ${
+                    listening === id
+                      ? "bg-amber-100 border-amber-400 text-amber-700"
+                      : "bg-white border-blue-200 text-blue-700 hover:bg-blue-50"
+                  }`}
+                  onClick={() => setListening(listening === id ? null : id)}
+                >
+                  {listening === id ? "Press a button…" : buttonLabel(mapping[id])}
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            The D-pad and left stick always move, in addition to the mapped buttons.
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button className="o-btn-ghost" onClick={onResetMapping}>Restore Defaults</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GamepadPanel;
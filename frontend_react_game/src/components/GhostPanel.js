@@ -0,0 +1,89 @@
+import React, { useRef, useState } from "react";
+import { GHOST_MIN_SAMPLES } from "../engine";
+
+// PUBLIC_INTERFACE
+/**
+ * Ghost screen: who is playing, whether their habits are being learned, and
+ * the stored ghosts to fight, export as files or delete. Ghost files from
+ * other players are imported here too.
+ */
+function GhostPanel({ profile, learning, ghosts, onProfile, onLearning, onFight, onExport, onDelete, onImport, onClose }) {
+  const [name, setName] = useState(profile);
+  const fileRef = useRef(null);
+  const names = Object.keys(ghosts).sort();
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-2xl p-4 md:p-6 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Ghosts</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        <div className="text-gray-600">
+          While you play Player 1 in PvAI or PvP, your ghost learns what you tend to do up close, at range, after
+          blocking and against jumps. Fight it from the difficulty menu in PvAI.
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            className="o-card px-3 py-2 flex-1 min-w-[8rem]"
+            placeholder="Your name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button
+            className="o-btn-primary"
+            onClick={() => onProfile(name)}
+            disabled={!name.trim() || name.trim() === profile}
+          >
+            Play As
+          </button>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={learning} onChange={(e) => onLearning(e.target.checked)} />
+            Learn from {profile}
+          </label>
+        </div>
+
+        <div className="border-t border-blue-100 pt-4 space-y-2">
+          {names.length === 0 && <div className="text-gray-500">No ghosts yet. Play a few rounds to create one.</div>}
+          {names.map((ghost) => {
+            const model = ghosts[ghost];
+            const ready = model.samples >= GHOST_MIN_SAMPLES;
+            return (
+              <div key={ghost} className="flex flex-wrap items-center gap-2">
+                <div className="font-semibold flex-1 min-w-[8rem]">
+                  {ghost}
+                  {ghost === profile && <span className="o-chip ml-2">You</span>}
+                </div>
+                <div className="text-gray-500 text-xs tabular-nums">
+                  {model.matches} match(es) • {model.samples} choices{ready ? "" : " • still learning"}
+                </div>
+                <button
+                  className="o-btn-primary"
+                  onClick={() => onFight(ghost)}
+                  title={ready ? `Fight ${ghost}'s ghost` : "Plays as the Normal CPU until it has seen more play"}
+                >
+                  Fight
+                </button>
+                <button className="o-btn-ghost" onClick={() => onExport(ghost)}>Export</button>
+                <button className="o-btn-ghost px-2" onClick={() => onDelete(ghost)} title={`Delete ${ghost}'s ghost`}>
+                  ×
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center gap-2 border-t border-blue-100 pt-4">
+          <button className="o-btn-ghost" onClick={() => fileRef.current.click()}>
+            Import Ghost File
+          </button>
+          <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={onImport} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GhostPanel;
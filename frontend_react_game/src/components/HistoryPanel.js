@@ -0,0 +1,137 @@
+import React, { useMemo, useState } from "react";
+import { getCharacter } from "../engine";
+import { MatchStatsTable } from "./MatchResults";
+
+const ALL = "All";
+// Result filter choices and the winner each one matches
+const RESULTS = { "Player 1 wins": "Player 1", "Player 2 wins": "Player 2", Draws: null };
+
+function matchesResult(entry, result) {
+  return result === ALL || entry.winner === RESULTS[result];
+}
+
+// Player 1's wins, losses and draws against each CPU level, from PvAI matches
+function recordsByLevel(matches) {
+  const records = {};
+  for (const m of matches) {
+    if (m.mode !== "PvAI") continue;
+    const r = records[m.difficulty] || (records[m.difficulty] = { wins: 0, losses: 0, draws: 0 });
+    if (m.winner === "Player 1") r.wins += 1;
+    else if (m.winner === "Player 2") r.losses += 1;
+    else r.draws += 1;
+  }
+  return records;
+}
+
+function distinct(values) {
+  return [...new Set(values.filter(Boolean))].sort();
+}
+
+function FilterSelect({ label, value, options, onChange, format = (v) => v }) {
+  return (
+    <label className="flex items-center gap-1">
+      <span className="text-gray-600">{label}</span>
+      <select className="o-card px-2 py-1" value={value} onChange={(e) => onChange(e.target.value)}>
+        {[ALL, ...options].map((option) => (
+          <option key={option} value={option}>
+            {option === ALL ? ALL : format(option)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Match history screen: past matches filtered by mode, CPU level and result,
+ * Player 1's record against each CPU level, per-match stats and a JSON export
+ * of the matches shown. describe(entry) and levelLabel(level) name modes and CPU levels.
+ */
+function HistoryPanel({ matches, describe, levelLabel, onExport, onClear, onClose }) {
+  const [mode, setMode] = useState(ALL);
+  const [level, setLevel] = useState(ALL);
+  const [result, setResult] = useState(ALL);
+  const [open, setOpen] = useState(null);
+
+  const shown = useMemo(
+    () =>
+      matches.filter(
+        (m) =>
+          (mode === ALL || m.mode === mode) &&
+          (level === ALL || m.difficulty === level) &&
+          matchesResult(m, result)
+      ),
+    [matches, mode, level, result]
+  );
+  const records = recordsByLevel(matches);
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-3xl p-4 md:p-6 space-y-4 text-sm max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Match History</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        {Object.keys(records).length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(records).map(([name, r]) => (
+              <span key={name} className="o-chip tabular-nums" title="Player 1's record in PvAI (wins-losses-draws)">
+                vs {levelLabel(name)}: {r.wins}-{r.losses}-{r.draws}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 border-t border-blue-100 pt-4">
+          <FilterSelect label="Mode" value={mode} options={distinct(matches.map((m) => m.mode))} onChange={setMode} />
+          <FilterSelect
+            label="CPU"
+            value={level}
+            options={distinct(matches.map((m) => m.difficulty))}
+            onChange={setLevel}
+            format={levelLabel}
+          />
+          <FilterSelect label="Result" value={result} options={Object.keys(RESULTS)} onChange={setResult} />
+        </div>
+
+        <div className="space-y-1">
+          {shown.length === 0 && <div className="text-gray-500">No matches to show.</div>}
+          {shown.map((m) => (
+            <div key={m.id} className="border-b border-blue-50 pb-1">
+              <button
+                className="w-full flex flex-wrap items-center gap-2 text-left hover:text-blue-700"
+                onClick={() => setOpen(open === m.id ? null : m.id)}
+                aria-expanded={open === m.id}
+              >
+                <span className="text-gray-500 text-xs tabular-nums w-36">{new Date(m.date).toLocaleString()}</span>
+                <span className="flex-1 min-w-[8rem]">
+                  {describe(m)} • {getCharacter(m.characters.p1).name} vs {getCharacter(m.characters.p2).name}
+                </span>
+                <span className="font-semibold">{m.winner || "Draw"}</span>
+              </button>
+              {open === m.id && (
+                <div className="py-2">
+                  <MatchStatsTable match={m} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 border-t border-blue-100 pt-4">
+          <button className="o-btn-ghost" onClick={() => onExport(shown)} disabled={shown.length === 0}>
+            Export JSON
+          </button>
+          <button className="o-btn-ghost" onClick={onClear} disabled={matches.length === 0}>
+            Clear History
+          </button>
+          <span className="text-xs text-gray-500">Exports the matches shown.</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
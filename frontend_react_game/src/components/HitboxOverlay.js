@@ -0,0 +1,52 @@
+import React from "react";
+import { attackPhase, getAttackHitbox, getHurtbox, getMove, projectileBox } from "../engine";
+
+// Engine rects are anchored at their bottom edge (y is the bottom)
+function Rect({ rect, className }) {
+  return (
+    <div
+      className={`absolute pointer-events-none ${className}`}
+      style={{ left: rect.x, top: rect.y - rect.height, width: rect.width, height: rect.height }}
+    />
+  );
+}
+
+function FighterBoxes({ fighter }) {
+  const phase = attackPhase(fighter);
+  // Projectile moves hit with their projectile, boxed on its own
+  const armHits = phase && !getMove(fighter, fighter.attackType).projectile;
+  return (
+    <>
+      <Rect rect={getHurtbox(fighter)} className="border-2 border-emerald-500 bg-emerald-400/15" />
+      {armHits && (
+        <Rect
+          rect={getAttackHitbox(fighter, fighter.attackType)}
+          className={
+            phase === "active" && !fighter.attackHit
+              ? "border-2 border-red-500 bg-red-500/25"
+              : "border-2 border-dashed border-red-400/60"
+          }
+        />
+      )}
+    </>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Debug overlay: hurtboxes in green, attack and projectile hitboxes in red
+ * (attacks dashed outside their live active frames).
+ */
+function HitboxOverlay({ p1, p2, projectiles = [] }) {
+  return (
+    <div className="absolute inset-0 pointer-events-none">
+      <FighterBoxes fighter={p1} />
+      <FighterBoxes fighter={p2} />
+      {projectiles.map((p) => (
+        <Rect key={p.id} rect={projectileBox(p)} className="border-2 border-red-500 bg-red-500/25" />
+      ))}
+    </div>
+  );
+}
+
+export default HitboxOverlay;
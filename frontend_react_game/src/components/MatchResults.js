@@ -0,0 +1,97 @@
+import React from "react";
+import { ATTACK_TYPES, accuracy, getCharacter } from "../engine";
+
+const ATTACK_LABELS = {
+  light: "Light",
+  heavy: "Heavy",
+  crouchLight: "Crouching Light",
+  crouchHeavy: "Crouching Heavy",
+  airLight: "Air Light",
+  airHeavy: "Air Heavy",
+  throw: "Throw",
+  special: "Special",
+  ex: "EX Special",
+  super: "Super",
+};
+const FINISH_LABELS = { ko: "K.O.", doubleKo: "Double K.O.", time: "Time", firstHit: "First hit" };
+
+function totalDamage(side) {
+  return Object.values(side.damage).reduce((a, b) => a + b, 0);
+}
+
+// Rows of the per-player table: label and how to read the value off one side's stats
+const ROWS = [
+  { label: "Damage dealt", value: (s) => totalDamage(s), strong: true },
+  ...ATTACK_TYPES.map((type) => ({ label: ATTACK_LABELS[type], value: (s) => s.damage[type], sub: true })),
+  { label: "Attacks", value: (s) => s.attacks },
+  { label: "Hits landed", value: (s) => s.hits },
+  { label: "Blocked by opponent", value: (s) => s.blocked },
+  { label: "Whiffed", value: (s) => s.whiffs },
+  { label: "Accuracy", value: (s) => `${Math.round(accuracy(s) * 100)}%` },
+  { label: "Blocks", value: (s) => s.blocks },
+  { label: "Specials used", value: (s) => s.specials },
+  { label: "Longest combo", value: (s) => (s.longestCombo > 1 ? `${s.longestCombo} hits` : "—") },
+];
+
+function roundLine(round, i) {
+  const time = round.timeLeft === null ? "" : ` • ${round.timeLeft}s left`;
+  return `Round ${i + 1}: ${round.winner || "Draw"} • ${FINISH_LABELS[round.finish] || round.finish}${time}`;
+}
+
+// PUBLIC_INTERFACE
+/** Side-by-side stats of one match (an entry of the match history) and how each round ended. */
+export function MatchStatsTable({ match }) {
+  const { stats, characters } = match;
+  return (
+    <div className="space-y-3">
+      <table className="w-full tabular-nums">
+        <thead>
+          <tr className="text-left">
+            <th />
+            <th className="text-right text-blue-700">P1 • {getCharacter(characters.p1).name}</th>
+            <th className="text-right text-amber-600">P2 • {getCharacter(characters.p2).name}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ROWS.map(({ label, value, strong, sub }) => (
+            <tr key={label} className={sub ? "text-xs text-gray-500" : strong ? "font-semibold" : ""}>
+              <td className={sub ? "pl-4" : ""}>{label}</td>
+              <td className="text-right">{value(stats.p1)}</td>
+              <td className="text-right">{value(stats.p2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ul className="text-xs text-gray-600 space-y-0.5">
+        {stats.rounds.map((round, i) => (
+          <li key={i}>{roundLine(round, i)}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+/** Post-match results screen: who won and the match stats. */
+function MatchResults({ match, onPlayAgain, onClose }) {
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-lg p-4 md:p-6 space-y-4 text-sm max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">
+            {match.winner ? `${match.winner} wins` : "Match drawn"}
+          </div>
+          <button className="o-btn-ghost" onClick={onClose}>Close</button>
+        </div>
+        <MatchStatsTable match={match} />
+        {onPlayAgain && (
+          <div className="flex justify-end border-t border-blue-100 pt-4">
+            <button className="o-btn-primary" onClick={onPlayAgain}>Play Again</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MatchResults;
@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { MAX_ROLLBACK } from "../net/rollback";
+
+const STATUS_TEXT = {
+  offline: "Not connected.",
+  connecting: "Connecting to the relay…",
+  waiting: "Waiting for your opponent to join…",
+  ready: "Opponent found, starting…",
+  playing: "Match in progress.",
+  over: "Match over. Either player can start a rematch.",
+  desynced: "The match was stopped: the two games went out of sync.",
+};
+
+const INPUT_DELAYS = [0, 1, 2, 3, 4];
+
+// PUBLIC_INTERFACE
+/**
+ * Online lobby: the relay to use, creating a room or joining one by its code,
+ * and the host's input delay. Players run the relay on their network with
+ * `npm run relay`.
+ */
+function OnlinePanel({ status, room, settings, onSettings, onCreate, onJoin, onLeave, onClose }) {
+  const [code, setCode] = useState("");
+  const connected = status !== "offline";
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-md p-4 md:p-6 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Online</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        <label className="block space-y-1">
+          <span className="font-semibold text-gray-700">Relay</span>
+          <input
+            className="o-card px-3 py-2 w-full"
+            value={settings.relayUrl}
+            disabled={connected}
+            onChange={(e) => onSettings({ relayUrl: e.target.value })}
+          />
+          <span className="block text-xs text-gray-500">
+            One player runs <code>npm run relay</code>; both use that computer's address, e.g. ws://192.168.1.20:8787.
+          </span>
+        </label>
+
+        {room ? (
+          <div className="border-t border-blue-100 pt-4 space-y-2 text-center">
+            <div className="text-gray-600">Room code</div>
+            <div className="text-3xl font-extrabold tracking-widest text-blue-700">{room.code}</div>
+            <div className="text-gray-500">
+              You are {room.side === "p1" ? "Player 1 (host)" : "Player 2"}, playing with your Player 1 controls.
+            </div>
+          </div>
+        ) : (
+          <div className="border-t border-blue-100 pt-4 space-y-3">
+            <button className="o-btn-primary w-full" onClick={onCreate} disabled={connected}>
+              Create Room
+            </button>
+            <div className="flex gap-2">
+              <input
+                className="o-card px-3 py-2 flex-1 uppercase tracking-widest"
+                placeholder="Code"
+                maxLength={8}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+              <button className="o-btn-ghost" onClick={() => onJoin(code)} disabled={connected || !code.trim()}>
+                Join
+              </button>
+            </div>
+          </div>
+        )}
+
+        <label className="flex items-center justify-between gap-3 border-t border-blue-100 pt-4">
+          <span>
+            <span className="font-semibold text-gray-700">Input delay</span>
+            <span className="block text-xs text-gray-500">
+              Ticks of delay before rolling back (the host's setting is used). Rollback covers up to {MAX_ROLLBACK}{" "}
+              more.
+            </span>
+          </span>
+          <select
+            className="o-card px-3 py-2"
+            value={settings.inputDelay}
+            onChange={(e) => onSettings({ inputDelay: Number(e.target.value) })}
+          >
+            {INPUT_DELAYS.map((d) => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="flex items-center justify-between border-t border-blue-100 pt-4">
+          <div className="text-gray-600">{STATUS_TEXT[status]}</div>
+          {connected && (
+            <button className="o-btn-ghost" onClick={onLeave}>
+              Leave
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OnlinePanel;
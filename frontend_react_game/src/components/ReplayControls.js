@@ -0,0 +1,43 @@
+import React from "react";
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2];
+
+// PUBLIC_INTERFACE
+/** Transport bar shown while a replay is playing back. */
+function ReplayControls({ cursor, total, paused, speed, warning, onTogglePause, onStep, onSpeed, onExit }) {
+  const pct = total > 0 ? Math.round((cursor / total) * 100) : 0;
+  return (
+    <div className="o-card p-3 flex flex-wrap items-center gap-2 text-sm">
+      <div className="o-chip">Replay</div>
+      <button className="o-btn-primary" onClick={onTogglePause}>
+        {paused ? "Play" : "Pause"}
+      </button>
+      <button className="o-btn-ghost" onClick={onStep} disabled={!paused} title="Advance one frame">
+        Step
+      </button>
+      <div className="flex gap-1">
+        {REPLAY_SPEEDS.map((s) => (
+          <button
+            key={s}
+            className={s === speed ? "o-btn-primary px-2" : "o-btn-ghost px-2"}
+            onClick={() => onSpeed(s)}
+          >
+            {s}x
+          </button>
+        ))}
+      </div>
+      <div className="flex-1 min-w-[8rem] h-2 rounded bg-blue-100 overflow-hidden">
+        <div className="h-full bg-blue-500" style={{ width: `${pct}%` }} />
+      </div>
+      <div className="text-gray-600 tabular-nums">
+        {cursor}/{total}
+      </div>
+      <button className="o-btn-ghost" onClick={onExit}>
+        Exit Replay
+      </button>
+      {warning ? <div className="w-full text-amber-600 text-xs">{warning}</div> : null}
+    </div>
+  );
+}
+
+export default ReplayControls;
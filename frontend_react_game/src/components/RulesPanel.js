@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { RULE_CHOICES, RULE_PRESETS, sameRules } from "../engine";
+
+const DRAW_RULE_LABELS = { double: "Point for both", suddenDeath: "Sudden death" };
+
+// Select-style rules: label and how each allowed value reads
+const SELECTS = [
+  { key: "roundTime", label: "Round time", format: (v) => (v === null ? "∞ (no clock)" : `${v}s`) },
+  { key: "winRounds", label: "Match", format: (v) => `Best of ${v * 2 - 1}` },
+  { key: "hp", label: "Starting health", format: (v) => `${v}%` },
+  { key: "damage", label: "Damage", format: (v) => `${v}x` },
+  { key: "drawRule", label: "Drawn rounds", format: (v) => DRAW_RULE_LABELS[v] },
+];
+
+const TOGGLES = [
+  { key: "chip", label: "Chip damage on block" },
+  { key: "turbo", label: "Turbo (faster movement, heavier gravity)" },
+  { key: "autoAdvance", label: "Advance rounds automatically" },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Match rules screen: edit the rules for the next match, pick a built-in or
+ * saved preset, save the current rules as a preset and copy a link that
+ * launches a match with them.
+ */
+function RulesPanel({ rules, presets, onChange, onSavePreset, onDeletePreset, onCopyLink, onPlay, onClose }) {
+  const [presetName, setPresetName] = useState("");
+  const saved = Object.keys(presets).sort();
+
+  const presetButton = (name, preset, deletable) => (
+    <div key={name} className="flex items-center">
+      <button
+        className={`${sameRules(preset, rules) ? "o-btn-primary" : "o-btn-ghost"} ${deletable ? "rounded-r-none" : ""}`}
+        onClick={() => onChange(preset)}
+      >
+        {name}
+      </button>
+      {deletable && (
+        <button
+          className="o-btn-ghost rounded-l-none border-l-0 px-2"
+          onClick={() => onDeletePreset(name)}
+          title={`Delete preset ${name}`}
+        >
+          ×
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-2xl p-4 md:p-6 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-blue-700">Match Rules</div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(RULE_PRESETS).map(([name, preset]) => presetButton(name, preset, false))}
+          {saved.map((name) => presetButton(name, presets[name], true))}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 border-t border-blue-100 pt-4">
+          {SELECTS.map(({ key, label, format }) => (
+            <label key={key} className="flex items-center justify-between gap-2">
+              <span className="text-gray-600">{label}</span>
+              <select
+                className="o-card px-2 py-1"
+                value={RULE_CHOICES[key].indexOf(rules[key])}
+                onChange={(e) => onChange({ ...rules, [key]: RULE_CHOICES[key][Number(e.target.value)] })}
+              >
+                {RULE_CHOICES[key].map((value, i) => (
+                  <option key={i} value={i}>
+                    {format(value)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {TOGGLES.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-2">
+              <input type="checkbox" checked={rules[key]} onChange={(e) => onChange({ ...rules, [key]: e.target.checked })} />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 border-t border-blue-100 pt-4">
+          <input
+            className="o-card px-3 py-2 flex-1 min-w-[8rem]"
+            placeholder="Preset name"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+          />
+          <button className="o-btn-ghost" onClick={() => onSavePreset(presetName)} disabled={!presetName.trim()}>
+            Save Preset
+          </button>
+          <button className="o-btn-ghost" onClick={onCopyLink} title="A link that starts a match with these rules">
+            Copy Link
+          </button>
+          <button className="o-btn-primary" onClick={onPlay}>
+            Play With These Rules
+          </button>
+        </div>
+        <div className="text-xs text-gray-500">Changes apply from the next match. Training always runs without a clock.</div>
+      </div>
+    </div>
+  );
+}
+
+export default RulesPanel;
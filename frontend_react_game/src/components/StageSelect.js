@@ -0,0 +1,85 @@
+import React from "react";
+import { ARENA_WIDTH, RANDOM_STAGE, STAGES, STAGE_IDS } from "../engine";
+
+// What sets a stage apart, as short tags
+function stageTags(stage) {
+  const tags = [`${(stage.width / ARENA_WIDTH).toFixed(1)} screens wide`];
+  if (stage.walls.bounce > 0) tags.push(stage.walls.damage > 0 ? "Live walls" : "Bouncy walls");
+  if (stage.hazards.length > 0) tags.push("Hazards");
+  return tags;
+}
+
+// A thumbnail from the stage's own colors: its sky, far scenery and floor
+function Preview({ stage }) {
+  const sky = stage.layers.find((layer) => layer.kind === "sky");
+  const scenery = stage.layers.find((layer) => layer.kind !== "sky" && layer.kind !== "clouds");
+  return (
+    <div
+      className="h-16 rounded-md overflow-hidden relative border border-blue-100"
+      style={{ background: `linear-gradient(to bottom, ${sky.from}, ${sky.to})` }}
+    >
+      {scenery && <div className="absolute inset-x-0 bottom-4 h-5" style={{ backgroundColor: scenery.color }} />}
+      <div className="absolute inset-x-0 bottom-0 h-4" style={{ backgroundColor: stage.floor.color }} />
+    </div>
+  );
+}
+
+function StageCard({ selected, onPick, children }) {
+  return (
+    <button
+      className={`text-left rounded-lg border p-2 space-y-2 transition-all duration-200 ${
+        selected ? "border-blue-500 bg-blue-50 shadow-sm" : "border-blue-100 bg-white/70 hover:bg-blue-50/50"
+      }`}
+      onClick={onPick}
+    >
+      {children}
+    </button>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Stage select screen, shown after the fighters are chosen. `pick` is a stage
+ * id or RANDOM_STAGE, which leaves the choice to the match seed.
+ */
+function StageSelect({ pick, onPick, onConfirm, onBack }) {
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-3xl p-4 md:p-6 space-y-4 text-sm max-h-full overflow-y-auto">
+        <div className="text-lg font-extrabold text-blue-700">Choose a Stage</div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {STAGE_IDS.map((id) => {
+            const stage = STAGES[id];
+            return (
+              <StageCard key={id} selected={pick === id} onPick={() => onPick(id)}>
+                <Preview stage={stage} />
+                <div className="font-bold text-gray-800">{stage.name}</div>
+                <div className="text-xs text-gray-500">{stage.description}</div>
+                <div className="flex flex-wrap gap-1">
+                  {stageTags(stage).map((tag) => (
+                    <span key={tag} className="o-chip text-[10px]">{tag}</span>
+                  ))}
+                </div>
+              </StageCard>
+            );
+          })}
+          <StageCard selected={pick === RANDOM_STAGE} onPick={() => onPick(RANDOM_STAGE)}>
+            <div className="h-16 rounded-md border border-dashed border-blue-300 grid place-content-center text-2xl font-extrabold text-blue-400">
+              ?
+            </div>
+            <div className="font-bold text-gray-800">Random</div>
+            <div className="text-xs text-gray-500">Let the game pick one for each new match.</div>
+          </StageCard>
+        </div>
+        <div className="flex justify-end gap-2">
+          {onBack && (
+            <button className="o-btn-ghost" onClick={onBack}>Back</button>
+          )}
+          <button className="o-btn-primary" onClick={onConfirm}>Fight!</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default StageSelect;
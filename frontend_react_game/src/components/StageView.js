@@ -0,0 +1,122 @@
+import React from "react";
+import { ARENA_HEIGHT, WALL_MARGIN, cameraX, getStage, hazardPhase } from "../engine";
+import { STAGE_PROPS, layerShapes, layerWidth } from "../render/backdrop";
+
+function Shape({ shape }) {
+  if (shape.type === "rect") return <rect x={shape.x} y={shape.y} width={shape.w} height={shape.h} />;
+  if (shape.type === "ellipse") return <ellipse cx={shape.cx} cy={shape.cy} rx={shape.rx} ry={shape.ry} />;
+  return <polygon points={shape.points.map((p) => p.join(",")).join(" ")} />;
+}
+
+function Layer({ layer, stage, camera }) {
+  const width = layerWidth(layer, stage);
+  const style = { width, height: ARENA_HEIGHT, transform: `translateX(${-camera * layer.parallax}px)` };
+  if (layer.kind === "sky") {
+    return (
+      <div
+        className="absolute left-0 top-0"
+        style={{ ...style, background: `linear-gradient(to bottom, ${layer.from}, ${layer.to} ${stage.floorY}px)` }}
+      />
+    );
+  }
+  return (
+    <svg className="absolute left-0 top-0" style={style} width={width} height={ARENA_HEIGHT} fill={layer.color}>
+      {layerShapes(layer, stage).map((shape, i) => (
+        <Shape key={i} shape={shape} />
+      ))}
+    </svg>
+  );
+}
+
+function Hazard({ hazard, floorY, tick }) {
+  const phase = hazardPhase(hazard, tick);
+  return (
+    <>
+      {phase === "active" && (
+        <div
+          className="absolute"
+          style={{
+            left: hazard.x,
+            top: floorY - STAGE_PROPS.steamHeight,
+            width: hazard.width,
+            height: STAGE_PROPS.steamHeight,
+            background: `linear-gradient(to top, ${STAGE_PROPS.steam}, transparent)`,
+          }}
+        />
+      )}
+      <div
+        className="absolute"
+        style={{
+          left: hazard.x,
+          top: phase === "warning" ? floorY - 4 : floorY,
+          width: hazard.width,
+          height: STAGE_PROPS.grateHeight + (phase === "warning" ? 4 : 0),
+          backgroundColor: phase === "warning" ? STAGE_PROPS.warning : STAGE_PROPS.grate,
+        }}
+      />
+    </>
+  );
+}
+
+function Wall({ x, stage, tick }) {
+  const live = stage.walls.damage > 0;
+  return (
+    <div
+      className="absolute"
+      style={{
+        left: x,
+        top: stage.floorY - STAGE_PROPS.wallHeight,
+        width: WALL_MARGIN,
+        height: STAGE_PROPS.wallHeight,
+        backgroundColor: live ? STAGE_PROPS.fence : STAGE_PROPS.crate,
+        border: `2px solid ${live ? STAGE_PROPS.wire : STAGE_PROPS.crateEdge}`,
+        opacity: live && tick % 8 >= 6 ? 0.7 : 1,
+      }}
+    />
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * DOM twin of the canvas stage (../render/canvas): the parallax backdrop, then
+ * the floor, hazards, walls and `children` (the fighters) in stage
+ * coordinates, all scrolled to the camera.
+ */
+function StageView({ state, children }) {
+  const stage = getStage(state.stage);
+  const camera = cameraX(state);
+  const { floorY, floor, walls } = stage;
+  return (
+    <>
+      {stage.layers.map((layer, i) => (
+        <Layer key={i} layer={layer} stage={stage} camera={camera} />
+      ))}
+      <div
+        className="absolute left-0 top-0"
+        style={{ width: stage.width, height: ARENA_HEIGHT, transform: `translateX(${-camera}px)` }}
+      >
+        <div
+          className="absolute left-0"
+          style={{
+            top: floorY,
+            width: stage.width,
+            height: ARENA_HEIGHT - floorY,
+            background: `repeating-linear-gradient(to right, ${floor.stripe} 0 4px, transparent 4px 8px), ${floor.color}`,
+          }}
+        />
+        {stage.hazards.map((hazard, i) => (
+          <Hazard key={i} hazard={hazard} floorY={floorY} tick={state.tick} />
+        ))}
+        {walls.bounce > 0 && (
+          <>
+            <Wall x={0} stage={stage} tick={state.tick} />
+            <Wall x={stage.width - WALL_MARGIN} stage={stage} tick={state.tick} />
+          </>
+        )}
+        {children}
+      </div>
+    </>
+  );
+}
+
+export default StageView;
@@ -0,0 +1,40 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+const TOAST_MS = 3200;
+
+// PUBLIC_INTERFACE
+/** Transient notifications: returns the current list and a push(message, tone) function. */
+export function useToasts() {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+  const timers = useRef([]);
+
+  useEffect(() => () => timers.current.forEach(clearTimeout), []);
+
+  const push = useCallback((message, tone = "info") => {
+    const id = ++nextId.current;
+    setToasts((list) => [...list, { id, message, tone }]);
+    timers.current.push(setTimeout(() => setToasts((list) => list.filter((t) => t.id !== id)), TOAST_MS));
+  }, []);
+
+  return { toasts, push };
+}
+
+// PUBLIC_INTERFACE
+/** Stack of toasts pinned to the bottom-right corner. */
+function Toasts({ toasts }) {
+  return (
+    <div className="fixed bottom-4 right-4 z-30 flex flex-col gap-2 pointer-events-none">
+      {toasts.map((t) => (
+        <div
+          key={t.id}
+          className={`o-card px-4 py-2 text-sm font-semibold ${t.tone === "warn" ? "text-amber-700" : "text-blue-700"}`}
+        >
+          {t.message}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Toasts;
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from "react";
+import { releaseTouch } from "../input/touch";
+
+/**
+ * On-screen touch controls. Each control tracks its own pointer id, so a
+ * thumb can hold the joystick while another taps attack buttons. Pressed
+ * actions are written straight into the mutable touch state (see
+ * ../input/touch) that the game loop reads every tick, like the keyboard map.
+ */
+
+const STICK_RADIUS = 44;
+const STICK_DEADZONE = 0.3; // fraction of the radius
+const STICK_AXIS = 0.38; // per-axis threshold on the normalized vector, gives 8 directions
+
+const BUTTONS = [
+  { action: "light", label: "L", className: "bg-blue-500/70" },
+  { action: "heavy", label: "H", className: "bg-blue-700/70" },
+  { action: "special", label: "S", className: "bg-amber-500/70" },
+  { action: "throw", label: "T", className: "bg-red-500/70" },
+  { action: "block", label: "B", className: "bg-gray-500/60" },
+  { action: "down", label: "C", className: "bg-gray-400/60" },
+];
+
+function TouchJoystick({ target }) {
+  const originRef = useRef(null);
+  const pointerRef = useRef(null);
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+
+  const release = () => {
+    pointerRef.current = null;
+    target.left = target.right = target.up = target.down = false;
+    setKnob({ x: 0, y: 0 });
+  };
+
+  const update = (e) => {
+    const { x: cx, y: cy } = originRef.current;
+    let dx = e.clientX - cx;
+    let dy = e.clientY - cy;
+    const len = Math.hypot(dx, dy);
+    if (len > STICK_RADIUS) {
+      dx = (dx / len) * STICK_RADIUS;
+      dy = (dy / len) * STICK_RADIUS;
+    }
+    setKnob({ x: dx, y: dy });
+
+    const nx = dx / STICK_RADIUS;
+    const ny = dy / STICK_RADIUS;
+    const active = Math.hypot(nx, ny) > STICK_DEADZONE;
+    target.left = active && nx < -STICK_AXIS;
+    target.right = active && nx > STICK_AXIS;
+    target.up = active && ny < -STICK_AXIS;
+    target.down = active && ny > STICK_AXIS;
+  };
+
+  return (
+    <div
+      className="relative h-28 w-28 rounded-full bg-white/30 border border-blue-200/70 backdrop-blur-sm pointer-events-auto"
+      style={{ touchAction: "none" }}
+      onPointerDown={(e) => {
+        if (pointerRef.current != null) return;
+        pointerRef.current = e.pointerId;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const rect = e.currentTarget.getBoundingClientRect();
+        originRef.current = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        update(e);
+      }}
+      onPointerMove={(e) => {
+        if (e.pointerId === pointerRef.current) update(e);
+      }}
+      onPointerUp={(e) => {
+        if (e.pointerId === pointerRef.current) release();
+      }}
+      onPointerCancel={(e) => {
+        if (e.pointerId === pointerRef.current) release();
+      }}
+    >
+      <div
+        className="absolute left-1/2 top-1/2 h-12 w-12 -ml-6 -mt-6 rounded-full bg-blue-600/70 shadow"
+        style={{ transform: `translate(${knob.x}px, ${knob.y}px)` }}
+      />
+    </div>
+  );
+}
+
+function TouchButton({ target, action, label, className }) {
+  const pointers = useRef(new Set());
+  const [held, setHeld] = useState(false);
+
+  const set = (down) => {
+    setHeld(down);
+    target[action] = down;
+  };
+
+  const end = (e) => {
+    pointers.current.delete(e.pointerId);
+    if (pointers.current.size === 0) set(false);
+  };
+
+  return (
+    <button
+      className={`h-14 w-14 rounded-full text-white font-extrabold shadow select-none pointer-events-auto transition-transform duration-75 ${className} ${
+        held ? "scale-90 brightness-125" : ""
+      }`}
+      style={{ touchAction: "none" }}
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        pointers.current.add(e.pointerId);
+        set(true);
+      }}
+      onPointerUp={end}
+      onPointerCancel={end}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {label}
+    </button>
+  );
+}
+
+function TouchPad({ target, label }) {
+  return (
+    <div className="flex-1 flex items-end justify-between gap-3 p-3">
+      <TouchJoystick target={target.stick} />
+      <div className="flex flex-col items-end gap-1">
+        {label ? <div className="o-chip pointer-events-none">{label}</div> : null}
+        <div className="grid grid-cols-3 gap-2">
+          {BUTTONS.map((b) => (
+            <TouchButton key={b.action} target={target.buttons} {...b} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Touch overlay for the arena. inputRef.current is a touch state from createTouchState().
+ * With split set, the overlay is divided into a left half for Player 1 and a
+ * right half for Player 2 for same-device PvP.
+ */
+function TouchControls({ inputRef, split }) {
+  useEffect(() => {
+    const touch = inputRef.current;
+    // Never leave an action stuck when the overlay goes away mid-press
+    return () => releaseTouch(touch);
+  }, [inputRef, split]);
+
+  return (
+    <div className="absolute inset-0 z-10 flex select-none pointer-events-none" style={{ touchAction: "none" }}>
+      <TouchPad target={inputRef.current.p1} label={split ? "P1" : null} />
+      {split && (
+        <>
+          <div className="w-px bg-blue-200/60" />
+          <TouchPad target={inputRef.current.p2} label="P2" />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TouchControls;
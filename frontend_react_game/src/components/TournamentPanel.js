@@ -0,0 +1,240 @@
+import React, { useState } from "react";
+import {
+  CHARACTERS,
+  DIFFICULTY,
+  ELIMINATION_FORMATS,
+  ROSTER,
+  TOURNAMENT_MAX_PLAYERS,
+  TOURNAMENT_SIZES,
+  bracketSize,
+  getPlayer,
+  matchPlayers,
+  nextMatch,
+  roundLabel,
+  tournamentChampion,
+  tournamentRounds,
+} from "../engine";
+
+const SECTIONS = { winners: "Winners Bracket", losers: "Losers Bracket", grand: "Grand Final" };
+
+const blankEntrant = () => ({ name: "", character: ROSTER[0] });
+
+function TournamentSetup({ onCreate }) {
+  const [name, setName] = useState("Lunchtime Tournament");
+  const [entrants, setEntrants] = useState(() => [blankEntrant(), blankEntrant()]);
+  const [format, setFormat] = useState("single");
+  const [size, setSize] = useState(0); // 0: the smallest bracket that fits
+  const [cpuLevel, setCpuLevel] = useState("Normal");
+
+  const named = entrants.filter((e) => e.name.trim());
+  const bracket = size >= named.length ? size || bracketSize(named.length) : bracketSize(named.length);
+  const cpus = bracket - named.length;
+  const edit = (i, change) => setEntrants((list) => list.map((e, j) => (j === i ? { ...e, ...change } : e)));
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-center gap-2">
+        <span className="text-gray-600">Name</span>
+        <input className="o-card px-3 py-2 flex-1" value={name} onChange={(e) => setName(e.target.value)} />
+      </label>
+
+      <div className="space-y-2">
+        <div className="text-gray-600">Players, top seed first. Empty rows are left out.</div>
+        {entrants.map((entrant, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <span className="w-6 text-right text-gray-500 tabular-nums">{i + 1}</span>
+            <input
+              className="o-card px-3 py-1 flex-1 min-w-[8rem]"
+              placeholder={`Player ${i + 1}`}
+              value={entrant.name}
+              onChange={(e) => edit(i, { name: e.target.value })}
+            />
+            <select
+              className="o-card px-2 py-1"
+              value={entrant.character}
+              onChange={(e) => edit(i, { character: e.target.value })}
+              title="Fighter"
+            >
+              {ROSTER.map((id) => (
+                <option key={id} value={id}>{CHARACTERS[id].name}</option>
+              ))}
+            </select>
+            <button
+              className="o-btn-ghost px-2"
+              onClick={() => setEntrants((list) => list.filter((_, j) => j !== i))}
+              disabled={entrants.length <= 1}
+              title="Remove player"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          className="o-btn-ghost"
+          onClick={() => setEntrants((list) => [...list, blankEntrant()])}
+          disabled={entrants.length >= TOURNAMENT_MAX_PLAYERS}
+        >
+          Add Player
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 border-t border-blue-100 pt-4">
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-600">Format</span>
+          <select className="o-card px-2 py-1" value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.entries(ELIMINATION_FORMATS).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-600">Bracket</span>
+          <select className="o-card px-2 py-1" value={size} onChange={(e) => setSize(Number(e.target.value))}>
+            <option value={0}>Fit players</option>
+            {TOURNAMENT_SIZES.filter((s) => s >= named.length).map((s) => (
+              <option key={s} value={s}>{s} players</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-600">CPU level</span>
+          <select className="o-card px-2 py-1" value={cpuLevel} onChange={(e) => setCpuLevel(e.target.value)}>
+            {Object.keys(DIFFICULTY).map((level) => (
+              <option key={level}>{level}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-gray-600">
+          {named.length} player(s){cpus > 0 ? ` + ${cpus} CPU fill-in(s) at ${cpuLevel}` : ""} • bracket of {bracket}
+        </div>
+        <button
+          className="o-btn-primary"
+          onClick={() => onCreate({ name, entrants: named, size: bracket, format, cpuLevel })}
+        >
+          Start Tournament
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function PlayerRow({ tournament, match, seed }) {
+  if (!seed) {
+    return <div className="px-2 py-1 text-gray-400 italic">{match.status === "skipped" ? "Not needed" : "TBD"}</div>;
+  }
+  const player = getPlayer(tournament, seed);
+  const result = match.winner === seed ? "font-bold text-blue-700" : match.winner ? "text-gray-400 line-through" : "";
+  return (
+    <div className={`px-2 py-1 flex items-center justify-between gap-2 ${result}`}>
+      <span className="truncate">{player.name}</span>
+      <span className="text-xs text-gray-500 whitespace-nowrap">
+        {CHARACTERS[player.character].name}
+        {player.cpu ? " • CPU" : ""}
+      </span>
+    </div>
+  );
+}
+
+function BracketView({ tournament, onPlay }) {
+  const rounds = tournamentRounds(tournament);
+  return Object.entries(SECTIONS)
+    .filter(([bracket]) => rounds.some((r) => r.bracket === bracket))
+    .map(([bracket, title]) => (
+      <div key={bracket} className="space-y-2">
+        <div className="font-semibold text-blue-700">{title}</div>
+        <div className="flex gap-3 overflow-x-auto pb-2 items-center">
+          {rounds
+            .filter((r) => r.bracket === bracket)
+            .map((round) => (
+              <div key={round.label} className="flex flex-col gap-2 min-w-[11rem]">
+                <div className="text-center text-gray-600 font-semibold">{round.label}</div>
+                {round.matches.map((match) => (
+                  <div
+                    key={match.id}
+                    className={`rounded-lg border border-blue-200 divide-y divide-blue-100 ${
+                      match.status === "skipped" ? "opacity-40" : ""
+                    }`}
+                  >
+                    {match.players.map((seed, i) => (
+                      <PlayerRow key={i} tournament={tournament} match={match} seed={seed} />
+                    ))}
+                    {match.status === "ready" && (
+                      <button className="w-full text-blue-700 font-semibold py-1 hover:bg-blue-50" onClick={() => onPlay(match.id)}>
+                        Play
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))}
+        </div>
+      </div>
+    ));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tournament screen. Without a tournament: enter player names and fighters,
+ * pick single or double elimination, a bracket size and the level of the
+ * CPUs filling it. With one: the bracket, a Play button on every match that
+ * is ready (the arena reports the winner back), the champion once decided,
+ * JSON and printable HTML exports, and starting over.
+ */
+function TournamentPanel({ tournament, onCreate, onPlay, onExportJSON, onExportHTML, onPrint, onClear, onClose }) {
+  const upNext = tournament && nextMatch(tournament);
+  const champion = tournament && tournamentChampion(tournament);
+  const nameOf = (seed) => (seed ? getPlayer(tournament, seed).name : "TBD");
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-blue-950/30 p-3">
+      <div className="o-card w-full max-w-5xl p-4 md:p-6 space-y-4 text-sm max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-lg font-extrabold text-blue-700">{tournament ? tournament.name : "New Tournament"}</div>
+            {tournament && (
+              <div className="text-xs text-gray-500">
+                {ELIMINATION_FORMATS[tournament.format]} • {tournament.players.length} players • CPU level{" "}
+                {tournament.cpuLevel}
+              </div>
+            )}
+          </div>
+          <button className="o-btn-ghost" onClick={onClose}>Done</button>
+        </div>
+
+        {!tournament && <TournamentSetup onCreate={onCreate} />}
+
+        {tournament && (
+          <>
+            {champion ? (
+              <div className="o-chip text-base font-bold text-amber-600">Champion: {nameOf(champion)}</div>
+            ) : (
+              upNext && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-gray-600">Up next:</span>
+                  <span className="font-semibold">
+                    {roundLabel(tournament, upNext.id)}: {matchPlayers(tournament, upNext.id).map(nameOf).join(" vs ")}
+                  </span>
+                  <button className="o-btn-primary" onClick={() => onPlay(upNext.id)}>Play Next Match</button>
+                </div>
+              )
+            )}
+
+            <BracketView tournament={tournament} onPlay={onPlay} />
+
+            <div className="flex flex-wrap gap-2 border-t border-blue-100 pt-4">
+              <button className="o-btn-ghost" onClick={onExportJSON}>Export JSON</button>
+              <button className="o-btn-ghost" onClick={onExportHTML}>Export HTML</button>
+              <button className="o-btn-ghost" onClick={onPrint}>Print</button>
+              <button className="o-btn-ghost ml-auto" onClick={onClear}>New Tournament</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TournamentPanel;
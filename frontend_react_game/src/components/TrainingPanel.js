@@ -0,0 +1,113 @@
+import React from "react";
+import { DUMMY_MODES, RECORD_MAX_TICKS, TICK_RATE } from "../engine";
+
+export const TRAINING_HOTKEYS = { reset: "KeyR", record: "KeyT" };
+
+const ATTACK_NAMES = {
+  light: "Light",
+  heavy: "Heavy",
+  crouchLight: "Crouching Light",
+  crouchHeavy: "Crouching Heavy",
+  airLight: "Air Light",
+  airHeavy: "Air Heavy",
+  throw: "Throw",
+  special: "Special",
+  ex: "EX Special",
+  super: "Super",
+};
+
+function signed(n) {
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+function Readout({ lastHit, fighters }) {
+  if (!lastHit) return <div className="text-gray-500">Land a hit to see damage and frame advantage.</div>;
+  const victim = lastHit.by === "p1" ? fighters.p2 : fighters.p1;
+  const combo = victim.combo || victim.lastCombo;
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-1 tabular-nums">
+      <span>
+        Last hit: <b>{lastHit.damage}</b> dmg ({ATTACK_NAMES[lastHit.type]}
+        {lastHit.projectile ? " projectile" : ""}
+        {lastHit.blocked ? ", blocked" : ""})
+      </span>
+      <span>
+        Combo: <b>{combo ? combo.damage : 0}</b> dmg in {combo ? combo.hits : 0} hit(s)
+      </span>
+      <span>
+        Advantage:{" "}
+        <b className={lastHit.advantage >= 0 ? "text-emerald-600" : "text-red-600"}>{signed(lastHit.advantage)}</b> on{" "}
+        {lastHit.blocked ? "block" : "hit"}
+      </span>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+/** Training mode settings: dummy behaviour, recording, position reset, hitbox overlay and the hit readout. */
+function TrainingPanel({
+  settings,
+  training,
+  fighters,
+  showHitboxes,
+  onSettings,
+  onToggleRecording,
+  onResetPositions,
+  onToggleHitboxes,
+}) {
+  const recordedSeconds = (training.recorded.length / TICK_RATE).toFixed(1);
+  return (
+    <div className="o-card p-3 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="o-chip">Training</div>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-600">Dummy</span>
+          <select
+            className="o-card px-2 py-1"
+            value={settings.dummy}
+            onChange={(e) => onSettings({ ...settings, dummy: e.target.value })}
+          >
+            {DUMMY_MODES.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className={training.recording ? "o-btn-primary" : "o-btn-ghost"}
+          onClick={onToggleRecording}
+          title={`Record the dummy with your controls (max ${RECORD_MAX_TICKS / TICK_RATE}s) • T`}
+        >
+          {training.recording ? "Stop Recording" : "Record Dummy"}
+        </button>
+        <span className="text-gray-500 text-xs">
+          {training.recording
+            ? `Recording… ${(training.recording.length / TICK_RATE).toFixed(1)}s`
+            : training.recorded.length > 0
+            ? `${recordedSeconds}s recorded`
+            : "Nothing recorded"}
+        </span>
+        <button className="o-btn-ghost" onClick={onResetPositions} title="Reset positions • R">
+          Reset Positions
+        </button>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={settings.refillMeter}
+            onChange={(e) => onSettings({ ...settings, refillMeter: e.target.checked })}
+          />
+          Refill meter
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={showHitboxes} onChange={onToggleHitboxes} />
+          Show hitboxes
+        </label>
+      </div>
+      <Readout lastHit={training.lastHit} fighters={fighters} />
+      <div className="text-xs text-gray-500">Hotkeys: R resets positions • T starts/stops recording the dummy.</div>
+    </div>
+  );
+}
+
+export default TrainingPanel;
@@ -0,0 +1,312 @@
+import { getCharacter } from "./characters";
+import { DIFFICULTY, EX_COST, SUPER_COST, THROW_TECH_MS, msToTicks } from "./constants";
+import { CANCEL_ROUTES } from "./commands";
+import { EMPTY_INPUT, attackPhase, getFrameData } from "./fighter";
+import { moveRange } from "./projectiles";
+import { createRng, deriveSeed } from "./rng";
+import { getStage } from "./stages";
+
+/**
+ * CPU opponent: a small state machine that turns the match state into one
+ * input snapshot per tick. It keeps its own memory (the AI state returned
+ * next to the input) and never touches anyone else's input.
+ *
+ * The AI sees its own fighter as it is but the opponent only as it was
+ * `reaction` ticks ago, a delay drawn from the difficulty's reactionMs
+ * every time it changes its mind. Jumps, whiffs and attacks are therefore
+ * noticed late, the way a person notices them.
+ *
+ * Modes:
+ *  - approach: walk in and pressure up close
+ *  - zone: hold the special's range (as far as a projectile special flies)
+ *    and poke at anything walking into it
+ *  - punish: hit a whiffed attack while it recovers
+ *  - retreat: back off when losing badly
+ *  - antiAir: meet a jump-in with a heavy
+ * Up close it mixes standing and crouching normals, throws an opponent
+ * who keeps blocking (throwChance) and swings an air attack on the way down
+ * from a jump. An attack that would reach is guarded against in any mode
+ * (blockChance), crouching against lows, and so is a projectile flying in
+ * (dodgeChance): aggressive AIs jump over it, careful ones block it. Caught
+ * in a throw, it techs it or not (techChance), after a reaction scaled down
+ * to fit the tech window.
+ *
+ * Every roll comes from the match seed, so the same state and AI state
+ * always give the same input.
+ */
+
+// Ticks a mode is kept before the AI reconsiders
+const MODE_TICKS = { approach: 60, zone: 90, punish: 20, retreat: 75, antiAir: 24 };
+const MAX_REACTION_TICKS = msToTicks(1000);
+const THROW_TECH_TICKS = msToTicks(THROW_TECH_MS);
+const ZONE_SLACK = 24; // px either side of the preferred zoning distance
+const CORNER = 80; // px from a wall that counts as cornered
+const PUNISH_ORDER = ["super", "ex", "special", "heavy", "light"]; // strongest first
+const METER_COST = { ex: EX_COST, super: SUPER_COST };
+// Ticks before an incoming projectile arrives that the AI jumps it or starts blocking
+const JUMP_LEAD = 8;
+const BLOCK_LEAD = 3;
+
+// Buttons for an attack request; metered moves use the two-button shortcuts
+const BUTTONS = {
+  light: ["light"],
+  heavy: ["heavy"],
+  special: ["special"],
+  ex: ["light", "special"],
+  super: ["heavy", "special"],
+  throw: ["light", "heavy"],
+};
+
+// PUBLIC_INTERFACE
+/** Fresh AI memory; keep one per CPU side and reset it with each round. */
+export function createAIState() {
+  return {
+    mode: "approach",
+    modeUntil: 0,
+    reaction: 0, // ticks of perception delay
+    seen: [], // recent snapshots of the opponent, oldest first
+    threat: null, // attack being guarded against: { id, guard }
+    whiff: null, // whiff being punished: { id, punish }
+    jump: null, // jump-in being anti-aired: { antiAir }
+    dodge: null, // projectile being answered: { id, answer: "jump" | "block" | null }
+    grabbed: null, // throw being escaped or not: { tech, at } (tick it presses throw)
+    cancelled: false, // already decided whether to cancel the current attack
+  };
+}
+
+// What the AI gets to see of the opponent on a tick
+function observe(f, tick) {
+  return {
+    x: f.x,
+    vx: f.vx,
+    onGround: f.onGround,
+    block: f.block,
+    attacking: f.attacking,
+    attackType: f.attackType,
+    attackFrame: f.attackFrame,
+    attackHit: f.attackHit,
+    phase: attackPhase(f),
+    attackId: f.attacking ? tick - f.attackFrame : null, // start tick identifies one attack
+  };
+}
+
+function rollReaction(cfg, random) {
+  const [min, max] = cfg.reactionMs;
+  return msToTicks(min + (max - min) * random());
+}
+
+// Ticks before teching a grab: a reaction shrunk to the tech window, so slower
+// difficulties press late but still in time
+function rollTechDelay(cfg, random) {
+  return Math.floor((rollReaction(cfg, random) * THROW_TECH_TICKS) / MAX_REACTION_TICKS);
+}
+
+// Horizontal distance within which attacker's move reaches defender's hurtbox
+function reachOf(attacker, defender, move) {
+  return attacker.width / 2 + moveRange(move) + defender.width / 2;
+}
+
+// Ticks from pressing a move until it would land `dist` away, counting a projectile's flight
+function arrival(attacker, defender, move, dist) {
+  if (!move.projectile) return move.startup;
+  const flight = Math.max(0, dist - (attacker.width + defender.width) / 2 - move.projectile.width);
+  return move.startup + Math.ceil(flight / move.projectile.speed);
+}
+
+// The nearest of the opponent's projectiles flying towards f that the AI has had time to notice
+function incomingProjectile(state, side, f, reaction) {
+  let nearest = null;
+  for (const p of state.projectiles) {
+    if (p.owner === side || p.age < reaction || Math.sign(f.x - p.x) !== Math.sign(p.vx)) continue;
+    if (!nearest || Math.abs(p.x - f.x) < Math.abs(nearest.x - f.x)) nearest = p;
+  }
+  return nearest;
+}
+
+function pickMode(f, enemy, cfg, random) {
+  if (f.hp / f.maxHp < cfg.retreatHp && f.hp < enemy.hp) return "retreat";
+  return random() < cfg.aggression ? "approach" : "zone";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Decide the AI-controlled side's input for the upcoming tick.
+ * Returns { input, ai }; pass the returned ai back in on the next tick.
+ */
+export function controlAI(state, side, difficulty, ai = createAIState()) {
+  const cfg = DIFFICULTY[difficulty] || DIFFICULTY.Normal;
+  const f = state[side];
+  const enemy = side === "p1" ? state.p2 : state.p1;
+  const random = createRng(deriveSeed(state.seed, state.tick, side === "p1" ? 1 : 2));
+  const { moves } = getCharacter(f.characterId);
+  const enemyMoves = getCharacter(enemy.characterId).moves;
+
+  const seen = [...ai.seen, observe(enemy, state.tick)].slice(-(MAX_REACTION_TICKS + 1));
+  const them = seen[Math.max(0, seen.length - 1 - ai.reaction)];
+  let next = { ...ai, seen };
+  const input = { ...EMPTY_INPUT };
+
+  const dist = Math.abs(them.x - f.x);
+  const forward = them.x > f.x ? "right" : "left";
+  const back = forward === "right" ? "left" : "right";
+  const free = f.canAct && !f.attacking;
+  const affordable = (type) => f.meter >= (METER_COST[type] || 0);
+  const ready = (type) =>
+    state.tick >= f.cooldowns[type === "ex" ? "special" : type] && !(moves[type].projectile && f.projectileOut);
+  const reaches = (type) => dist <= reachOf(f, enemy, moves[type]);
+  const attack = (type) => BUTTONS[type].forEach((b) => (input[b] = true));
+  const crouchAttack = (type) => {
+    input.down = true;
+    attack(type);
+  };
+  const special = () => (affordable("ex") && random() < cfg.meterUse ? "ex" : "special");
+  const changeMode = (mode) => {
+    next = { ...next, mode, modeUntil: state.tick + MODE_TICKS[mode], reaction: rollReaction(cfg, random) };
+  };
+
+  if (!f.attacking) next.cancelled = false;
+
+  // Grabbed: decide once per throw whether and when to tech it
+  if (!f.thrown) next.grabbed = null;
+  else {
+    if (!next.grabbed) {
+      next.grabbed = { tech: random() < cfg.techChance, at: state.tick + rollTechDelay(cfg, random) };
+    }
+    if (next.grabbed.tech && state.tick >= next.grabbed.at) attack("throw");
+    return { input, ai: next };
+  }
+
+  // Hitstun or blockstun: nothing to do but wait
+  if (f.stun > 0) return { input, ai: next };
+
+  // Cancel a connected attack into the next one on its route (an airborne
+  // heavy button press comes out as the air heavy)
+  if (f.attacking && f.attackHit && !next.cancelled) {
+    next.cancelled = true;
+    const route = CANCEL_ROUTES[f.attackType];
+    if (random() < cfg.comboChance) {
+      if (route.includes("super") && affordable("super") && random() < cfg.meterUse) attack("super");
+      else if (route.includes("heavy") || route.includes("airHeavy")) attack("heavy");
+      else if (route.includes("special")) attack(special());
+    }
+    return { input, ai: next };
+  }
+
+  // A projectile on its way: decide once per projectile whether to jump it, block it or eat it
+  const incoming = incomingProjectile(state, side, f, next.reaction);
+  if (incoming) {
+    if (next.dodge?.id !== incoming.id) {
+      const answer = random() < cfg.dodgeChance ? (random() < cfg.aggression ? "jump" : "block") : null;
+      next.dodge = { id: incoming.id, answer };
+    }
+    const gap = Math.abs(incoming.x - f.x) - (incoming.width + f.width) / 2;
+    const ticksAway = gap / Math.abs(incoming.vx);
+    if (next.dodge.answer === "jump" && free && f.onGround && ticksAway <= JUMP_LEAD) {
+      input.up = true;
+      input[forward] = true;
+      return { input, ai: next };
+    }
+    if (next.dodge.answer === "block" && ticksAway <= BLOCK_LEAD) {
+      input[back] = true;
+      return { input, ai: next };
+    }
+  }
+
+  // An attack on its way that would reach: decide once per attack whether to guard it
+  // (a projectile move is answered once its projectile is out, above; a throw can't be)
+  const threat = them.attacking && enemyMoves[them.attackType];
+  if (
+    threat &&
+    them.phase !== "recovery" &&
+    !them.attackHit &&
+    !threat.projectile &&
+    threat.guard !== "none" &&
+    dist <= reachOf(enemy, f, threat)
+  ) {
+    if (next.threat?.id !== them.attackId) next.threat = { id: them.attackId, guard: random() < cfg.blockChance };
+    if (next.threat.guard) {
+      input[back] = true;
+      input.down = threat.guard === "low";
+      return { input, ai: next };
+    }
+  }
+
+  // A whiffed attack in recovery: punish it with the strongest move that gets there in time
+  if (them.phase === "recovery" && !them.attackHit && free) {
+    if (next.whiff?.id !== them.attackId) next.whiff = { id: them.attackId, punish: random() < cfg.punishChance };
+    const framesLeft = getFrameData(enemyMoves[them.attackType]).total - them.attackFrame;
+    const type = PUNISH_ORDER.find(
+      (t) => affordable(t) && ready(t) && reaches(t) && arrival(f, enemy, moves[t], dist) <= framesLeft
+    );
+    if (next.whiff.punish && type) {
+      changeMode("punish");
+      attack(type);
+      return { input, ai: next };
+    }
+  }
+
+  // Jumping in: anti-air with a heavy as it comes into range
+  const towardUs = forward === "right" ? them.vx < 0 : them.vx > 0;
+  if (!them.onGround && towardUs && dist < reachOf(f, enemy, moves.heavy) + 80 && free) {
+    if (!next.jump) next.jump = { antiAir: random() < cfg.antiAirChance };
+    if (next.jump.antiAir) {
+      if (next.mode !== "antiAir") changeMode("antiAir");
+      if (reaches("heavy") && ready("heavy")) attack("heavy");
+      return { input, ai: next };
+    }
+  } else if (them.onGround) {
+    next.jump = null;
+  }
+
+  // Coming down from a jump: swing an air attack once it reaches
+  if (!f.onGround && f.vy > 0 && free && random() < cfg.attackRate * 4) {
+    if (reaches("airHeavy") && ready("heavy")) attack("heavy");
+    else if (reaches("airLight") && ready("light")) attack("light");
+  }
+
+  if (state.tick >= next.modeUntil || next.mode === "punish" || next.mode === "antiAir") {
+    changeMode(pickMode(f, enemy, cfg, random));
+  }
+
+  switch (next.mode) {
+    case "approach":
+      if (them.block && f.onGround && !reaches("throw") && random() < cfg.throwChance) {
+        // Blocking won't stop a throw: close in to grab
+        input[forward] = true;
+      } else if (!reaches("light")) {
+        input[forward] = true;
+        if (f.onGround && random() < cfg.jumpChance) input.up = true;
+      } else if (free && random() < cfg.attackRate) {
+        // Throw up close, mostly against a block
+        const grab = them.block ? cfg.throwChance : cfg.throwChance / 4;
+        const roll = random();
+        if (reaches("throw") && ready("throw") && random() < grab) attack("throw");
+        else if (roll < 0.35 && ready("light")) attack("light");
+        else if (roll < 0.55 && ready("light")) crouchAttack("light");
+        else if (roll < 0.75 && ready("heavy")) attack("heavy");
+        else if (roll < 0.85 && ready("heavy") && reaches("crouchHeavy")) crouchAttack("heavy");
+        else if (ready("special")) attack(special());
+      }
+      break;
+    case "zone": {
+      const ideal = reachOf(f, enemy, moves.special) - ZONE_SLACK;
+      if (dist < ideal - ZONE_SLACK) input[back] = true;
+      else if (dist > ideal + ZONE_SLACK) input[forward] = true;
+      if (free && reaches("special") && ready("special") && random() < cfg.specialChance) {
+        attack(special());
+      } else if (free && reaches("heavy") && ready("heavy") && random() < cfg.attackRate) {
+        attack("heavy");
+      }
+      break;
+    }
+    case "retreat":
+      // Backed into a wall: fight out of it
+      if (f.x < CORNER || f.x > getStage(state.stage).width - CORNER) changeMode("approach");
+      else input[back] = true;
+      break;
+    default:
+      break;
+  }
+
+  return { input, ai: next };
+}
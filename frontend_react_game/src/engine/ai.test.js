@@ -0,0 +1,90 @@
+import {
+  CHARACTERS,
+  DIFFICULTY,
+  EMPTY_INPUT,
+  THROW_TECH_MS,
+  controlAI,
+  createAIState,
+  createMatch,
+  msToTicks,
+  step,
+} from "./index";
+
+// Player 1 throws a heavy from close range; returns the tick the CPU first guards, or null
+function firstGuard(seed, difficulty) {
+  let state = createMatch({ seed, intro: false });
+  state = { ...state, p2: { ...state.p2, x: state.p1.x + 80 } };
+  let ai = createAIState();
+  const { startup, active } = CHARACTERS.kai.moves.heavy;
+  for (let t = 0; t < startup + active + msToTicks(1000); t++) {
+    const cpu = controlAI(state, "p2", difficulty, ai);
+    ai = cpu.ai;
+    if (cpu.ai.threat?.guard) return t;
+    state = step(state, t === 0 ? { ...EMPTY_INPUT, heavy: true } : EMPTY_INPUT, EMPTY_INPUT);
+  }
+  return null;
+}
+
+test("the CPU only reacts to an attack after its reaction delay", () => {
+  for (const difficulty of ["Easy", "Hard"]) {
+    const fastest = msToTicks(DIFFICULTY[difficulty].reactionMs[0]);
+    const guards = [];
+    for (let seed = 1; seed <= 30; seed++) {
+      const t = firstGuard(seed, difficulty);
+      if (t !== null) guards.push(t);
+    }
+    expect(guards.length).toBeGreaterThan(0);
+    guards.forEach((t) => expect(t).toBeGreaterThanOrEqual(fastest));
+  }
+});
+
+test("difficulties play differently: Hard keeps its distance, Easy rushes in", () => {
+  const averageGap = (difficulty) => {
+    let total = 0;
+    let samples = 0;
+    for (let seed = 1; seed <= 5; seed++) {
+      let state = createMatch({ seed, intro: false });
+      let ai = createAIState();
+      for (let t = 0; t < 600 && state.phase === "fight"; t++) {
+        const cpu = controlAI(state, "p2", difficulty, ai);
+        ai = cpu.ai;
+        state = step(state, EMPTY_INPUT, cpu.input);
+        total += state.p2.x - state.p1.x;
+        samples += 1;
+      }
+    }
+    return total / samples;
+  };
+  expect(averageGap("Hard")).toBeGreaterThan(averageGap("Easy"));
+});
+
+test("a grabbed CPU techs after a reaction, slower on easier difficulties, but within the window", () => {
+  const THROW = { ...EMPTY_INPUT, light: true, heavy: true };
+  // Ticks from the grab to the CPU's tech, or null when it lets the throw land
+  const techDelay = (seed, difficulty) => {
+    let state = createMatch({ seed, intro: false });
+    state = { ...state, p2: { ...state.p2, x: state.p1.x + 60 } };
+    let ai = createAIState();
+    let grabbedAt = null;
+    for (let t = 0; t < 40; t++) {
+      const cpu = controlAI(state, "p2", difficulty, ai);
+      ai = cpu.ai;
+      state = step(state, t === 0 ? THROW : EMPTY_INPUT, cpu.input);
+      if (state.p2.thrown && grabbedAt === null) grabbedAt = t;
+      if (state.p2.throwTechs) return t - grabbedAt;
+    }
+    return null;
+  };
+  const delays = (difficulty) =>
+    Array.from({ length: 30 }, (_, i) => techDelay(i + 1, difficulty)).filter((d) => d !== null);
+
+  const hard = delays("Hard");
+  const easy = delays("Easy");
+  expect(easy.length).toBeGreaterThan(0);
+  expect(hard.length).toBeGreaterThan(easy.length);
+  [...hard, ...easy].forEach((d) => {
+    expect(d).toBeGreaterThan(0);
+    expect(d).toBeLessThanOrEqual(msToTicks(THROW_TECH_MS));
+  });
+  expect(Math.min(...easy)).toBeGreaterThan(Math.min(...hard));
+});
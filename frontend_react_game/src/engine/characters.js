@@ -0,0 +1,261 @@
+import {
+  ARENA_WIDTH,
+  ATTACK_COOLDOWN,
+  HEAVY_COOLDOWN,
+  JUMP_VELOCITY,
+  MAX_SPEED,
+  SPECIAL_COOLDOWN,
+  THROW_COOLDOWN,
+  WALK_ACCEL,
+} from "./constants";
+
+/**
+ * Character roster. Everything that makes one fighter play differently from
+ * another lives here as data; the engine only reads these definitions.
+ *
+ * Move fields:
+ *  - damage: HP removed on a clean hit (blocking applies BLOCK_REDUCTION)
+ *  - reach: hitbox length in front of the body, px
+ *  - knockback: horizontal velocity pushed onto the defender
+ *  - startup / active / recovery: frame data in ticks (60 per second); the
+ *    hitbox only exists during the active frames
+ *  - hitstun / blockstun: ticks the defender cannot act after a hit / block.
+ *    Advantage falls out of these: hitstun - (active - 1 + recovery), see getFrameData
+ *  - cooldown: ms before the same move can be used again
+ *  - motion: optional motion input (see MOTIONS in ./commands) that, followed by
+ *    light or heavy, performs the move; specials also keep their own button
+ *  - hitboxHeight / hitboxY: optional hitbox height and how high it sits, as
+ *    a fraction of the body's height above the feet (0.5 when unset); the
+ *    default is a strip at chest height. Airborne attacks reach down past the feet
+ *  - guard: how the move must be blocked: "mid" (the default) standing or
+ *    crouching, "low" only crouching, "high" only standing, "none" not at all
+ *  - projectile: optional { speed, lifetime, width, height }. The move throws
+ *    a projectile (see ./projectiles) on its first active frame instead of
+ *    hitting with its own hitbox; it flies `speed` px per tick for `lifetime`
+ *    ticks and carries the move's damage, knockback and stun. reach is then
+ *    only how far the arm extends
+ *
+ * light and heavy have crouching (crouchLight, crouchHeavy: lows) and airborne
+ * (airLight, airHeavy: highs, over when the fighter lands) versions, picked
+ * by the stance the move starts in (STANCE_VARIANTS in ./commands) and
+ * sharing the standing move's cooldown. throw grabs a grounded opponent in
+ * reach who is not in hitstun or blockstun; see resolveThrows in ./fighter.
+ *
+ * ex is the metered version of the special (EX_COST) and shares its cooldown;
+ * super spends a full meter (SUPER_COST), freezes the action for a moment and
+ * reaches across the whole arena.
+ *
+ * Each character has a primary palette and an alt palette used for mirror matches.
+ */
+
+export const CHARACTERS = {
+  kai: {
+    id: "kai",
+    name: "Kai",
+    description: "Balanced all-rounder with a fireball to keep opponents at bay.",
+    stats: { hp: 100, width: 48, height: 78, walkSpeed: MAX_SPEED, walkAccel: WALK_ACCEL, jumpVelocity: JUMP_VELOCITY },
+    moves: {
+      light: {
+        damage: 6, reach: 42, knockback: 2.2,
+        startup: 4, active: 3, recovery: 8, hitstun: 14, blockstun: 10,
+        cooldown: ATTACK_COOLDOWN,
+      },
+      heavy: {
+        damage: 12, reach: 56, knockback: 3.2,
+        startup: 8, active: 4, recovery: 16, hitstun: 20, blockstun: 14,
+        cooldown: HEAVY_COOLDOWN,
+      },
+      crouchLight: {
+        damage: 5, reach: 40, knockback: 1.8, hitboxY: 0.12, guard: "low",
+        startup: 4, active: 3, recovery: 9, hitstun: 13, blockstun: 9,
+        cooldown: ATTACK_COOLDOWN,
+      },
+      crouchHeavy: {
+        damage: 11, reach: 62, knockback: 3.6, hitboxY: 0.08, guard: "low",
+        startup: 9, active: 4, recovery: 20, hitstun: 22, blockstun: 12,
+        cooldown: HEAVY_COOLDOWN,
+      },
+      airLight: {
+        damage: 6, reach: 36, knockback: 2, hitboxY: 0, hitboxHeight: 40, guard: "high",
+        startup: 4, active: 8, recovery: 6, hitstun: 15, blockstun: 10,
+        cooldown: ATTACK_COOLDOWN,
+      },
+      airHeavy: {
+        damage: 11, reach: 46, knockback: 3, hitboxY: 0, hitboxHeight: 44, guard: "high",
+        startup: 7, active: 6, recovery: 8, hitstun: 21, blockstun: 14,
+        cooldown: HEAVY_COOLDOWN,
+      },
+      special: {
+        damage: 12, reach: 30, knockback: 3.2,
+        startup: 12, active: 4, recovery: 24, hitstun: 24, blockstun: 16,
+        cooldown: SPECIAL_COOLDOWN,
+        motion: "qcf",
+        projectile: { speed: 6, lifetime: 110, width: 30, height: 24 },
+      },
+      ex: {
+        damage: 16, reach: 30, knockback: 4.2,
+        startup: 9, active: 4, recovery: 20, hitstun: 30, blockstun: 20,
+        cooldown: SPECIAL_COOLDOWN,
+        projectile: { speed: 9, lifetime: 80, width: 36, height: 28 },
+      },
+      super: {
+        damage: 34, reach: ARENA_WIDTH, knockback: 7, hitboxHeight: 56,
+        startup: 5, active: 10, recovery: 32, hitstun: 46, blockstun: 24,
+        cooldown: 0,
+      },
+      throw: {
+        damage: 12, reach: 26, knockback: 6, guard: "none",
+        startup: 3, active: 2, recovery: 28, hitstun: 18, blockstun: 0,
+        cooldown: THROW_COOLDOWN,
+      },
+    },
+    palettes: {
+      primary: { body: "#3b82f6", detail: "#93c5fd", outline: "rgba(147, 197, 253, 0.6)" },
+      alt: { body: "#f59e0b", detail: "#fcd34d", outline: "rgba(252, 211, 77, 0.6)" },
+    },
+  },
+  brick: {
+    id: "brick",
+    name: "Brick",
+    description: "Slow and sturdy. Hits hard and shoves opponents across the arena.",
+    stats: { hp: 120, width: 56, height: 86, walkSpeed: 3.8, walkAccel: 0.6, jumpVelocity: -10.5 },
+    moves: {
+      light: {
+        damage: 8, reach: 40, knockback: 2.8,
+        startup: 6, active: 3, recovery: 10, hitstun: 16, blockstun: 11,
+        cooldown: 450,
+      },
+      heavy: {
+        damage: 16, reach: 58, knockback: 4.4,
+        startup: 11, active: 5, recovery: 20, hitstun: 24, blockstun: 16,
+        cooldown: 900,
+      },
+      crouchLight: {
+        damage: 7, reach: 38, knockback: 2.4, hitboxY: 0.12, guard: "low",
+        startup: 6, active: 3, recovery: 11, hitstun: 15, blockstun: 10,
+        cooldown: 450,
+      },
+      crouchHeavy: {
+        damage: 15, reach: 60, knockback: 4.6, hitboxY: 0.08, guard: "low",
+        startup: 12, active: 5, recovery: 24, hitstun: 24, blockstun: 14,
+        cooldown: 900,
+      },
+      airLight: {
+        damage: 8, reach: 34, knockback: 2.6, hitboxY: 0, hitboxHeight: 44, guard: "high",
+        startup: 5, active: 8, recovery: 7, hitstun: 16, blockstun: 11,
+        cooldown: 450,
+      },
+      airHeavy: {
+        damage: 15, reach: 44, knockback: 4, hitboxY: 0, hitboxHeight: 50, guard: "high",
+        startup: 9, active: 6, recovery: 9, hitstun: 23, blockstun: 15,
+        cooldown: 900,
+      },
+      special: {
+        damage: 22, reach: 64, knockback: 5.5,
+        startup: 15, active: 6, recovery: 26, hitstun: 28, blockstun: 18,
+        cooldown: 2600,
+        motion: "qcf",
+      },
+      ex: {
+        damage: 28, reach: 70, knockback: 7,
+        startup: 11, active: 7, recovery: 24, hitstun: 34, blockstun: 22,
+        cooldown: 2600,
+      },
+      super: {
+        damage: 40, reach: ARENA_WIDTH, knockback: 9, hitboxHeight: 64,
+        startup: 7, active: 10, recovery: 38, hitstun: 50, blockstun: 26,
+        cooldown: 0,
+      },
+      throw: {
+        damage: 18, reach: 36, knockback: 7.5, guard: "none",
+        startup: 3, active: 3, recovery: 30, hitstun: 20, blockstun: 0,
+        cooldown: THROW_COOLDOWN,
+      },
+    },
+    palettes: {
+      primary: { body: "#ea580c", detail: "#fdba74", outline: "rgba(253, 186, 116, 0.6)" },
+      alt: { body: "#57534e", detail: "#d6d3d1", outline: "rgba(214, 211, 209, 0.6)" },
+    },
+  },
+  vela: {
+    id: "vela",
+    name: "Vela",
+    description: "Fast and fragile. Throws quick, short-lived darts; quick recovery on every move.",
+    stats: { hp: 85, width: 42, height: 72, walkSpeed: 6.2, walkAccel: 1, jumpVelocity: -13 },
+    moves: {
+      light: {
+        damage: 5, reach: 46, knockback: 1.8,
+        startup: 3, active: 2, recovery: 7, hitstun: 12, blockstun: 9,
+        cooldown: 280,
+      },
+      heavy: {
+        damage: 10, reach: 56, knockback: 2.8,
+        startup: 6, active: 3, recovery: 14, hitstun: 18, blockstun: 12,
+        cooldown: 600,
+      },
+      crouchLight: {
+        damage: 4, reach: 44, knockback: 1.6, hitboxY: 0.12, guard: "low",
+        startup: 3, active: 2, recovery: 7, hitstun: 11, blockstun: 8,
+        cooldown: 280,
+      },
+      crouchHeavy: {
+        damage: 9, reach: 62, knockback: 2.8, hitboxY: 0.08, guard: "low",
+        startup: 7, active: 3, recovery: 16, hitstun: 18, blockstun: 10,
+        cooldown: 600,
+      },
+      airLight: {
+        damage: 5, reach: 40, knockback: 1.8, hitboxY: 0, hitboxHeight: 36, guard: "high",
+        startup: 3, active: 8, recovery: 5, hitstun: 13, blockstun: 9,
+        cooldown: 280,
+      },
+      airHeavy: {
+        damage: 9, reach: 50, knockback: 2.6, hitboxY: 0, hitboxHeight: 40, guard: "high",
+        startup: 6, active: 6, recovery: 7, hitstun: 18, blockstun: 12,
+        cooldown: 600,
+      },
+      special: {
+        damage: 10, reach: 30, knockback: 2.6,
+        startup: 10, active: 3, recovery: 18, hitstun: 20, blockstun: 12,
+        cooldown: 1900,
+        motion: "qcf",
+        projectile: { speed: 8, lifetime: 45, width: 24, height: 14 },
+      },
+      ex: {
+        damage: 14, reach: 30, knockback: 3.4,
+        startup: 7, active: 3, recovery: 16, hitstun: 26, blockstun: 16,
+        cooldown: 1900,
+        projectile: { speed: 11, lifetime: 45, width: 28, height: 18 },
+      },
+      super: {
+        damage: 30, reach: ARENA_WIDTH, knockback: 6, hitboxHeight: 48,
+        startup: 4, active: 12, recovery: 28, hitstun: 44, blockstun: 22,
+        cooldown: 0,
+      },
+      throw: {
+        damage: 10, reach: 24, knockback: 5.5, guard: "none",
+        startup: 3, active: 2, recovery: 26, hitstun: 18, blockstun: 0,
+        cooldown: THROW_COOLDOWN,
+      },
+    },
+    palettes: {
+      primary: { body: "#0d9488", detail: "#5eead4", outline: "rgba(94, 234, 212, 0.6)" },
+      alt: { body: "#9333ea", detail: "#d8b4fe", outline: "rgba(216, 180, 254, 0.6)" },
+    },
+  },
+};
+
+export const ROSTER = Object.keys(CHARACTERS);
+export const DEFAULT_CHARACTER = "kai";
+
+// PUBLIC_INTERFACE
+/** Look up a character definition, falling back to the default for unknown ids. */
+export function getCharacter(id) {
+  return CHARACTERS[id] || CHARACTERS[DEFAULT_CHARACTER];
+}
+
+// PUBLIC_INTERFACE
+/** Colors for a fighter, honouring the alt palette chosen for mirror matches. */
+export function getPalette(fighter) {
+  const { palettes } = getCharacter(fighter.characterId);
+  return palettes[fighter.palette] || palettes.primary;
+}
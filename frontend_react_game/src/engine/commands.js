@@ -0,0 +1,134 @@
+/**
+ * Command interpreter: turns raw per-tick input into attack requests.
+ *
+ * Each fighter keeps a short history of stick directions in numpad notation,
+ * relative to the way it faces (6 = forward, 4 = back, 2 = down, 3 =
+ * down-forward, 5 = neutral). Attack buttons trigger on press, not hold, and
+ * a press that cannot come out yet is buffered for a few ticks.
+ *
+ * Metered moves: the special's motion + Special (or Light + Special together)
+ * asks for the EX special, the motion twice + Special (or Heavy + Special
+ * together) asks for the super. Whether the fighter can pay for it is decided
+ * when the move starts, see controlFighter. Light + Heavy pressed together
+ * (within THROW_PRESS_TICKS, so holding Light into a Heavy cancel is not one)
+ * asks for a throw; a normal the first press already started gives way to it.
+ *
+ * Requests name the button's move; the fighter swaps in the crouching or
+ * airborne version (STANCE_VARIANTS) for the stance it is in when the move
+ * starts.
+ */
+
+export const HISTORY_TICKS = 30; // direction history kept per fighter
+export const MOTION_WINDOW = 15; // ticks a motion may take before its button press
+export const SUPER_MOTION_WINDOW = 28; // doubled motions get longer
+export const BUFFER_TICKS = 6; // ticks an early press stays queued
+export const THROW_PRESS_TICKS = 3; // Light and Heavy pressed at most this far apart make a throw
+
+export const MOTIONS = {
+  qcf: [2, 3, 6], // quarter-circle forward
+  qcb: [2, 1, 4], // quarter-circle back
+};
+
+const BUTTONS = ["light", "heavy", "special"];
+
+// Two-button shortcuts for metered moves: both held, at least one just pressed
+const SHORTCUTS = {
+  super: ["heavy", "special"],
+  ex: ["light", "special"],
+  throw: ["light", "heavy"],
+};
+
+// Normals swap for these versions while crouching (holding down) or in the air
+export const STANCE_VARIANTS = {
+  crouch: { light: "crouchLight", heavy: "crouchHeavy" },
+  air: { light: "airLight", heavy: "airHeavy" },
+};
+
+// Which attack types each attack can cancel into once it has connected
+export const CANCEL_ROUTES = {
+  light: ["heavy", "crouchHeavy", "special", "ex", "super"],
+  heavy: ["special", "ex", "super"],
+  crouchLight: ["heavy", "crouchHeavy", "special", "ex", "super"],
+  crouchHeavy: ["special", "ex", "super"],
+  airLight: ["airHeavy"],
+  airHeavy: [],
+  special: ["super"],
+  ex: ["super"],
+  super: [],
+  throw: [],
+};
+
+// PUBLIC_INTERFACE
+/** Numpad direction for an input, mirrored so 6 always means "toward the way we face". */
+export function numpadDirection(input, facing) {
+  const forward = facing === 1 ? input.right && !input.left : input.left && !input.right;
+  const back = facing === 1 ? input.left && !input.right : input.right && !input.left;
+  const h = forward ? 1 : back ? -1 : 0;
+  const v = input.up && !input.down ? 1 : input.down && !input.up ? -1 : 0;
+  return 5 + h + v * 3;
+}
+
+// PUBLIC_INTERFACE
+/** True if the last `window` entries of a direction history contain the motion in order. */
+export function matchMotion(history, motion, window = MOTION_WINDOW) {
+  let idx = motion.length - 1;
+  for (let i = history.length - 1; i >= 0 && i >= history.length - window; i--) {
+    if (history[i] === motion[idx]) {
+      idx -= 1;
+      if (idx < 0) return true;
+    }
+  }
+  return false;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Record this tick's input and work out which attack, if any, the player asked
+ * for. Returns the updated command state; a fresh request lands in `buffered`
+ * as { type, tick } and stays there until used or BUFFER_TICKS pass.
+ * moves is the character's move table, used for motion-input specials.
+ * Requests "ex" and "super" regardless of meter; the fighter downgrades them.
+ */
+export function readCommand(commandState, input, facing, moves, tick) {
+  const history = [...commandState.history, numpadDirection(input, facing)].slice(-HISTORY_TICKS);
+  const held = BUTTONS.filter((b) => input[b]);
+  const pressed = held.filter((b) => !commandState.held.includes(b));
+  const pressedAt = { ...commandState.pressedAt };
+  pressed.forEach((b) => (pressedAt[b] = tick)); // tick each button was last pressed
+
+  let request = null;
+  if (pressed.length > 0) {
+    const motion = moves.special.motion && MOTIONS[moves.special.motion];
+    const motionDone = Boolean(motion) && matchMotion(history, motion);
+    const doubleDone = Boolean(motion) && matchMotion(history, [...motion, ...motion], SUPER_MOTION_WINDOW);
+    const specialPressed = pressed.includes("special");
+    const normalPressed = pressed.includes("light") || pressed.includes("heavy");
+    const shortcut = (type) =>
+      SHORTCUTS[type].every((b) => held.includes(b)) && SHORTCUTS[type].some((b) => pressed.includes(b));
+    if ((specialPressed && doubleDone) || shortcut("super")) {
+      request = "super";
+    } else if ((specialPressed && motionDone) || shortcut("ex")) {
+      request = "ex";
+    } else if (shortcut("throw") && Math.abs(pressedAt.light - pressedAt.heavy) <= THROW_PRESS_TICKS) {
+      request = "throw";
+    } else if (specialPressed || (normalPressed && motionDone)) {
+      request = "special";
+    } else if (pressed.includes("heavy")) {
+      request = "heavy";
+    } else {
+      request = "light";
+    }
+  }
+
+  let buffered = commandState.buffered;
+  if (request) buffered = { type: request, tick };
+  else if (buffered && tick - buffered.tick > BUFFER_TICKS) buffered = null;
+
+  return { history, held, pressedAt, buffered };
+}
+
+// PUBLIC_INTERFACE
+/** Empty command state for a new fighter. */
+export function createCommandState() {
+  return { history: [], held: [], pressedAt: {}, buffered: null };
+}
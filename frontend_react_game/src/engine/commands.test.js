@@ -0,0 +1,55 @@
+import { CHARACTERS, EMPTY_INPUT, createMatch, step } from "./index";
+import { createCommandState, matchMotion, numpadDirection, readCommand } from "./commands";
+
+const moves = CHARACTERS.kai.moves;
+
+test("directions are mirrored by facing", () => {
+  expect(numpadDirection({ ...EMPTY_INPUT, right: true }, 1)).toBe(6);
+  expect(numpadDirection({ ...EMPTY_INPUT, right: true }, -1)).toBe(4);
+  expect(numpadDirection({ ...EMPTY_INPUT, down: true, left: true }, -1)).toBe(3);
+});
+
+test("quarter-circle forward plus light requests the special", () => {
+  let cmd = createCommandState();
+  const facingLeft = -1;
+  const frames = [{ down: true }, { down: true, left: true }, { left: true }, { left: true, light: true }];
+  frames.forEach((f, tick) => {
+    cmd = readCommand(cmd, { ...EMPTY_INPUT, ...f }, facingLeft, moves, tick);
+  });
+  expect(cmd.buffered.type).toBe("special");
+  expect(matchMotion([5, 2, 2, 3, 5, 6], [2, 3, 6])).toBe(true);
+  expect(matchMotion([6, 3, 2], [2, 3, 6])).toBe(false);
+});
+
+test("holding a button does not repeat; presses expire from the buffer", () => {
+  let cmd = readCommand(createCommandState(), { ...EMPTY_INPUT, light: true }, 1, moves, 0);
+  expect(cmd.buffered).toEqual({ type: "light", tick: 0 });
+  for (let tick = 1; tick <= 10; tick++) cmd = readCommand(cmd, { ...EMPTY_INPUT, light: true }, 1, moves, tick);
+  expect(cmd.buffered).toBe(null);
+});
+
+test("light cancels into heavy on hit and the combo is counted", () => {
+  let state = createMatch({ seed: 1, intro: false });
+  state = { ...state, p2: { ...state.p2, x: state.p1.x + 70 } };
+  state = step(state, { ...EMPTY_INPUT, light: true }, EMPTY_INPUT);
+  while (!state.p1.attackHit) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  state = step(state, { ...EMPTY_INPUT, heavy: true }, EMPTY_INPUT);
+  expect(state.p1.attackType).toBe("heavy");
+  while (state.p1.attacking && !state.p1.attackHit) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p2.combo).toEqual({ hits: 2, damage: moves.light.damage + moves.heavy.damage });
+});
+
+test("metered requests drop to what the fighter can afford", () => {
+  const both = readCommand(createCommandState(), { ...EMPTY_INPUT, heavy: true, special: true }, 1, moves, 0);
+  expect(both.buffered.type).toBe("super");
+
+  let state = createMatch({ seed: 1, intro: false });
+  state = step(state, { ...EMPTY_INPUT, light: true, special: true }, EMPTY_INPUT);
+  expect(state.p1.attackType).toBe("special");
+
+  state = createMatch({ seed: 1, intro: false });
+  state = { ...state, p1: { ...state.p1, meter: 60 } };
+  state = step(state, { ...EMPTY_INPUT, heavy: true, special: true }, EMPTY_INPUT);
+  expect(state.p1.attackType).toBe("ex");
+  expect(state.p1.meter).toBe(10);
+});
@@ -0,0 +1,166 @@
+/**
+ * Game constants shared by the simulation core and the React renderer.
+ *
+ * Durations are authored in milliseconds for readability and converted to
+ * simulation ticks with msToTicks; the engine itself only counts ticks.
+ */
+
+// Bump whenever a change alters how recorded inputs play out, so old replays are flagged
+export const SIM_VERSION = 11;
+
+// Simulation clock
+export const TICK_RATE = 60; // ticks per second
+export const TICK_MS = 1000 / TICK_RATE;
+
+// Arena: the viewport onto the stage (see ./stages for stage widths and floors)
+export const ARENA_WIDTH = 960;
+export const ARENA_HEIGHT = 420;
+export const FLOOR_Y = 320; // the default stage's floor
+export const WALL_MARGIN = 24;
+// Fighters are kept this close together so the camera can frame them both
+export const MAX_SEPARATION = ARENA_WIDTH - 128;
+// Slowest a fighter in hitstun can hit a wall and still bounce off it
+export const WALL_BOUNCE_SPEED = 2;
+export const WALL_HITSTUN = 16; // extra ticks of hitstun from a damaging wall
+
+// Physics (per tick)
+export const GRAVITY = 0.7;
+export const FRICTION = 0.85;
+export const MAX_SPEED = 5;
+export const WALK_ACCEL = 0.8;
+export const JUMP_VELOCITY = -12;
+
+// Combat
+export const ATTACK_COOLDOWN = 350; // ms
+export const HEAVY_COOLDOWN = 700; // ms
+export const SPECIAL_COOLDOWN = 2200; // ms
+export const THROW_COOLDOWN = 900; // ms
+export const THROW_TECH_MS = 200; // window after a grab in which pressing throw escapes it
+export const TECH_PUSHBACK = 5; // speed both fighters are pushed apart at by a tech
+export const CROUCH_HEIGHT = 0.65; // crouching hurtbox height, fraction of standing
+export const BLOCK_REDUCTION = 0.65; // percent damage reduced when blocking
+export const FLASH_MS = 160;
+
+// Super meter
+export const METER_MAX = 100; // two bars of 50
+export const EX_COST = 50;
+export const SUPER_COST = 100;
+export const METER_GAIN = {
+  deal: 1, // per point of damage dealt, hit or blocked
+  take: 0.6, // per point of damage taken
+  block: 4, // flat, for each attack blocked
+};
+export const SUPER_FREEZE_MS = 750; // cinematic pause when a super starts
+
+// Rules (defaults; each match can change them, see ./rules)
+export const ROUND_TIME = 60; // seconds
+export const WIN_ROUNDS = 2;
+// A drawn round (time up at equal HP, double KO) either scores for both ("double")
+// or is replayed as a sudden-death round where the first clean hit wins ("suddenDeath")
+export const DRAW_RULES = ["double", "suddenDeath"];
+export const DRAW_RULE = "double";
+// Turbo rule: heavier gravity and faster movement, with jumps kept the same height
+export const TURBO_GRAVITY = 1.4;
+export const TURBO_SPEED = 1.3;
+
+// Round flow
+export const INTRO_MS = 1600; // "Round 1" ... "Fight!" before anyone can move
+export const KO_MS = 1500; // slow-motion after a knockout
+export const KO_SLOWMO = 3; // the action advances once every this many ticks during a KO
+export const ROUND_RESULT_MS = 2500; // result screen before auto-advancing to the next round
+
+// Snapshot of the engine constants, recorded alongside replays (per-match rules are recorded separately)
+export const DEFAULT_RULES = Object.freeze({
+  tickRate: TICK_RATE,
+  blockReduction: BLOCK_REDUCTION,
+  gravity: GRAVITY,
+  attackCooldown: ATTACK_COOLDOWN,
+  heavyCooldown: HEAVY_COOLDOWN,
+  specialCooldown: SPECIAL_COOLDOWN,
+  exCost: EX_COST,
+  superCost: SUPER_COST,
+  turboGravity: TURBO_GRAVITY,
+  turboSpeed: TURBO_SPEED,
+});
+
+// Rules a match is played under unless told otherwise; see ./rules for the allowed values
+export const DEFAULT_MATCH_RULES = Object.freeze({
+  roundTime: ROUND_TIME, // seconds, or null for no clock
+  winRounds: WIN_ROUNDS, // rounds needed to win (best of winRounds * 2 - 1)
+  hp: 100, // starting health, percent of each character's own
+  damage: 1, // multiplier on all damage
+  chip: true, // blocked hits still deal (reduced) damage
+  turbo: false,
+  drawRule: DRAW_RULE,
+  autoAdvance: false, // results move on without clicking "Next Round"
+});
+
+/*
+ * CPU traits per difficulty (see ./ai):
+ *  - reactionMs: range the AI's perception delay is drawn from
+ *  - blockChance / punishChance / antiAirChance: odds of guarding an attack that
+ *    would reach, punishing a whiff, anti-airing a jump-in
+ *  - dodgeChance: odds of jumping over or blocking an incoming projectile
+ *  - comboChance: odds of cancelling a connected attack into the next one
+ *  - aggression: odds of choosing to approach rather than zone when neutral
+ *  - attackRate / specialChance / jumpChance: per-tick odds while in range
+ *  - retreatHp: HP fraction under which a losing AI backs off
+ *  - meterUse: odds of spending meter when it can
+ * Easy rushes in and mashes, Normal mixes it up, Hard keeps its distance and punishes.
+ */
+export const DIFFICULTY = {
+  Easy: {
+    reactionMs: [500, 900],
+    blockChance: 0.2,
+    punishChance: 0.15,
+    antiAirChance: 0.1,
+    dodgeChance: 0.15,
+    throwChance: 0.1,
+    techChance: 0.1,
+    comboChance: 0.1,
+    aggression: 0.8,
+    attackRate: 0.1,
+    specialChance: 0.04,
+    jumpChance: 0.02,
+    retreatHp: 0,
+    meterUse: 0.2,
+  },
+  Normal: {
+    reactionMs: [350, 650],
+    blockChance: 0.45,
+    punishChance: 0.5,
+    antiAirChance: 0.4,
+    dodgeChance: 0.45,
+    throwChance: 0.3,
+    techChance: 0.35,
+    comboChance: 0.45,
+    aggression: 0.55,
+    attackRate: 0.12,
+    specialChance: 0.06,
+    jumpChance: 0.01,
+    retreatHp: 0.25,
+    meterUse: 0.5,
+  },
+  Hard: {
+    reactionMs: [220, 420],
+    blockChance: 0.75,
+    punishChance: 0.9,
+    antiAirChance: 0.8,
+    dodgeChance: 0.8,
+    throwChance: 0.5,
+    techChance: 0.7,
+    comboChance: 0.85,
+    aggression: 0.35,
+    attackRate: 0.15,
+    specialChance: 0.1,
+    jumpChance: 0.004,
+    retreatHp: 0.35,
+    meterUse: 0.85,
+  },
+};
+
+// PUBLIC_INTERFACE
+/** Convert a duration in milliseconds to a whole number of simulation ticks. */
+export function msToTicks(ms) {
+  return Math.round(ms / TICK_MS);
+}
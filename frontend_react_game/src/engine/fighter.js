@@ -0,0 +1,691 @@
+import { getCharacter } from "./characters";
+import { CANCEL_ROUTES, STANCE_VARIANTS, createCommandState, readCommand } from "./commands";
+import {
+  BLOCK_REDUCTION,
+  CROUCH_HEIGHT,
+  DEFAULT_MATCH_RULES,
+  EX_COST,
+  FLASH_MS,
+  FLOOR_Y,
+  FRICTION,
+  GRAVITY,
+  MAX_SEPARATION,
+  METER_GAIN,
+  METER_MAX,
+  SUPER_COST,
+  TECH_PUSHBACK,
+  THROW_TECH_MS,
+  TURBO_GRAVITY,
+  TURBO_SPEED,
+  WALL_BOUNCE_SPEED,
+  WALL_HITSTUN,
+  WALL_MARGIN,
+  msToTicks,
+} from "./constants";
+import { DEFAULT_STAGE, getStage, hazardPhase } from "./stages";
+
+/**
+ * Fighter entity: creation, per-tick control/physics and hit resolution.
+ * All functions are pure and return new fighter objects. Per-character
+ * numbers (speed, reach, damage, frame data...) come from ./characters.
+ *
+ * Attacks run on frame data: attackFrame counts 1..startup+active+recovery
+ * and the hitbox only exists during the active frames, connecting at most
+ * once per activation. A hit or blocked hit puts the defender into hitstun
+ * or blockstun (stun ticks), during which canAct is false.
+ *
+ * Blocking is holding back on the ground; holding down crouches, which
+ * shrinks the hurtbox and turns the light and heavy buttons into their
+ * crouching versions (in the air, their airborne versions). A move's `guard`
+ * decides which block stops it: lows must be blocked crouching and airborne
+ * attacks standing. Throws ignore blocking altogether, see resolveThrows.
+ *
+ * Moves with a `projectile` definition hit with the projectile they throw
+ * (see ./projectiles) rather than with their own hitbox, and cannot start
+ * while the fighter already has one on screen (projectileOut).
+ *
+ * Attack requests come from ./commands (press detection, motion inputs and
+ * the input buffer). An attack that has connected can be cancelled into the
+ * next move on its CANCEL_ROUTES entry, which is how combos chain.
+ *
+ * Meter fills from dealing, taking and blocking damage and is spent when an
+ * EX special or super starts; a request the fighter cannot pay for drops to
+ * the next cheaper version (super -> ex -> special).
+ *
+ * Match rules (see ./rules) are passed in. Damage and chip apply to hits.
+ * Turbo applies to movement. Without rules, the standard rules apply.
+ *
+ * The stage (see ./stages) is passed in too. Its width and floor bound
+ * movement. Its walls and hazards can deal damage. Without a stage, the
+ * default stage applies.
+ */
+
+const HITBOX_HEIGHT = 24;
+const FLASH_TICKS = msToTicks(FLASH_MS);
+const THROW_TECH_TICKS = msToTicks(THROW_TECH_MS);
+const DEFAULT_STAGE_DEF = getStage(DEFAULT_STAGE);
+
+const METER_COST = { ex: EX_COST, super: SUPER_COST };
+const DOWNGRADE = { super: "ex", ex: "special" };
+// The EX special shares the regular special's cooldown, stance versions their button's
+const COOLDOWN_KEY = {
+  ex: "special",
+  crouchLight: "light",
+  crouchHeavy: "heavy",
+  airLight: "light",
+  airHeavy: "heavy",
+};
+const CROUCH_MOVES = Object.values(STANCE_VARIANTS.crouch);
+// Grounded normals a throw can replace while they are still starting up
+const THROW_STARTERS = ["light", "heavy", ...CROUCH_MOVES];
+const AIR_MOVES = Object.values(STANCE_VARIANTS.air);
+
+/** Neutral input: every action released. */
+export const EMPTY_INPUT = Object.freeze({
+  left: false,
+  right: false,
+  up: false,
+  down: false,
+  light: false,
+  heavy: false,
+  special: false,
+});
+
+// PUBLIC_INTERFACE
+/** Create a fighter of the given character standing on the floor (floorY) at x. */
+export function createFighter(x, facing = 1, characterId, palette = "primary", floorY = FLOOR_Y) {
+  const character = getCharacter(characterId);
+  return {
+    characterId: character.id,
+    x,
+    y: floorY,
+    vx: 0,
+    vy: 0,
+    width: character.stats.width,
+    height: character.stats.height,
+    facing, // 1 -> right, -1 -> left
+    palette, // "primary" | "alt"
+    onGround: true,
+    attacking: false,
+    attackType: null,
+    attackFrame: 0, // 1-based frame of the current attack
+    attackHit: false, // current attack already connected
+    block: false,
+    crouching: false,
+    canAct: true,
+    stun: 0, // ticks of hitstun/blockstun left
+    stunType: null, // "hit" | "block" | "throw" (grabbed, see resolveThrows)
+    thrown: null, // while grabbed: { ticks } left to tech the throw
+    command: createCommandState(),
+    combo: null, // { hits, damage } taken in the current combo
+    hitsTaken: 0, // attacks that connected on this fighter, hit or blocked
+    lastHitTaken: null, // the latest of them: { type, damage, blocked, advantage, projectile }
+    lastCombo: null, // most recent finished combo, { hits, damage, endedAt }
+    stageHits: 0, // times the stage (a hazard or a wall) hurt this fighter
+    lastStageHit: null, // the latest of them: { damage }
+    hazardTick: null, // tick of the latest hazard hit
+    projectileOut: false, // one of this fighter's projectiles is on screen
+    throwTechs: 0, // throws this fighter escaped
+    hp: character.stats.hp,
+    maxHp: character.stats.hp,
+    rounds: 0,
+    meter: 0, // 0..METER_MAX
+    // tick at which each attack becomes available again
+    cooldowns: {
+      light: 0,
+      heavy: 0,
+      special: 0,
+      super: 0,
+      throw: 0,
+    },
+    hitflash: 0,
+    blockflash: 0,
+  };
+}
+
+// Rects are anchored at their bottom edge: y is the bottom, y - height the top.
+export function rectsOverlap(a, b) {
+  return !(
+    a.x + a.width < b.x ||
+    a.x > b.x + b.width ||
+    a.y < b.y - b.height ||
+    a.y - a.height > b.y
+  );
+}
+
+export function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function clampToStage(x, stage) {
+  return clamp(x, WALL_MARGIN, stage.width - WALL_MARGIN);
+}
+
+export function getMove(f, type) {
+  return getCharacter(f.characterId).moves[type];
+}
+
+export function getAttackHitbox(f, type) {
+  const { reach, hitboxHeight = HITBOX_HEIGHT, hitboxY = 0.5 } = getMove(f, type);
+  return {
+    // Starts at the front edge of the body on either side
+    x: f.facing === 1 ? f.x + f.width / 2 : f.x - f.width / 2 - reach,
+    y: f.y - f.height * hitboxY + (hitboxHeight - HITBOX_HEIGHT) / 2,
+    width: reach,
+    height: hitboxHeight,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** The attack a fighter can actually afford for a request, downgrading metered moves. */
+export function affordableAttack(f, type) {
+  let t = type;
+  while (METER_COST[t] && f.meter < METER_COST[t]) t = DOWNGRADE[t];
+  return t;
+}
+
+function gainMeter(f, amount) {
+  return clamp(f.meter + amount, 0, METER_MAX);
+}
+
+export function getHurtbox(f) {
+  return {
+    x: f.x - f.width / 2,
+    y: f.y,
+    width: f.width,
+    height: f.crouching ? f.height * CROUCH_HEIGHT : f.height,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Frame totals and advantage for a move, assuming it connects on its first active frame. */
+export function getFrameData(move) {
+  const total = move.startup + move.active + move.recovery;
+  // Frames the attacker is still busy after the hit lands
+  const busy = move.active - 1 + move.recovery;
+  return { total, onHit: move.hitstun - busy, onBlock: move.blockstun - busy };
+}
+
+// PUBLIC_INTERFACE
+/** "startup" | "active" | "recovery" for an attacking fighter, else null. */
+export function attackPhase(f) {
+  if (!f.attacking) return null;
+  const { startup, active } = getMove(f, f.attackType);
+  if (f.attackFrame <= startup) return "startup";
+  if (f.attackFrame <= startup + active) return "active";
+  return "recovery";
+}
+
+export function isAttackActive(f) {
+  return attackPhase(f) === "active" && !f.attackHit;
+}
+
+// Movement numbers for a character under the turbo rule
+function movement(stats, turbo) {
+  if (!turbo) return { ...stats, gravity: GRAVITY };
+  return {
+    walkAccel: stats.walkAccel * TURBO_SPEED,
+    walkSpeed: stats.walkSpeed * TURBO_SPEED,
+    // Same jump height under heavier gravity
+    jumpVelocity: stats.jumpVelocity * Math.sqrt(TURBO_GRAVITY),
+    gravity: GRAVITY * TURBO_GRAVITY,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Apply one tick of input, physics and timers to a fighter. */
+export function controlFighter(f, input, tick, rules = DEFAULT_MATCH_RULES, stage = DEFAULT_STAGE_DEF) {
+  let nx = { ...f, cooldowns: { ...f.cooldowns } };
+  const { moves } = getCharacter(f.characterId);
+  const stats = movement(getCharacter(f.characterId).stats, rules.turbo);
+
+  // Record input even while busy so early presses are buffered
+  nx.command = readCommand(f.command, input, f.facing, moves, tick);
+
+  // Stun: movement is ignored until it runs out
+  const stunned = nx.stun > 0;
+  if (stunned) {
+    nx.stun -= 1;
+    if (nx.stun === 0) {
+      nx.stunType = null;
+      if (nx.combo) {
+        nx.lastCombo = { ...nx.combo, endedAt: tick };
+        nx.combo = null;
+      }
+    }
+  }
+  nx.canAct = nx.stun === 0;
+
+  // Advance the current attack
+  if (nx.attacking) {
+    nx.attackFrame += 1;
+    const move = moves[nx.attackType];
+    if (nx.attackFrame > move.startup + move.active + move.recovery) {
+      nx.attacking = false;
+      nx.attackType = null;
+      nx.attackFrame = 0;
+      nx.attackHit = false;
+    }
+  }
+
+  const free = !stunned && !nx.attacking;
+  const { left, right, up } = free ? input : EMPTY_INPUT;
+  const back = f.facing === 1 ? left && !right : right && !left;
+
+  // Blocking (held through blockstun), standing or crouching
+  nx.block = stunned ? nx.stunType === "block" : free && nx.onGround && back;
+  nx.crouching = nx.onGround && ((free || nx.stunType === "block") ? input.down : crouchMove(nx));
+
+  // Horizontal: no walking while crouched
+  if (nx.crouching) {
+    nx.vx *= FRICTION;
+    if (Math.abs(nx.vx) < 0.08) nx.vx = 0;
+  } else if (left && !right) {
+    nx.vx = clamp(nx.vx - stats.walkAccel, -stats.walkSpeed, stats.walkSpeed);
+  } else if (right && !left) {
+    nx.vx = clamp(nx.vx + stats.walkAccel, -stats.walkSpeed, stats.walkSpeed);
+  } else {
+    nx.vx *= FRICTION;
+    if (Math.abs(nx.vx) < 0.08) nx.vx = 0;
+  }
+
+  // Jump
+  if (up && nx.onGround && !nx.crouching) {
+    nx.vy = stats.jumpVelocity;
+    nx.onGround = false;
+  }
+
+  // Attacks: start the buffered request when free, or cancel into it after a connect
+  const want = nx.command.buffered && stanceVariant(nx, affordableAttack(nx, nx.command.buffered.type), input);
+  const cooldownKey = want && (COOLDOWN_KEY[want] || want);
+  // A projectile move waits in the buffer while the last projectile is still out,
+  // and a throw while the fighter is in the air
+  const held = want && ((nx.projectileOut && moves[want].projectile) || (want === "throw" && !nx.onGround));
+  if (want && !held && tick >= nx.cooldowns[cooldownKey]) {
+    const canStart = free;
+    const canCancel =
+      nx.attacking && nx.attackHit && !stunned && CANCEL_ROUTES[nx.attackType].includes(want);
+    // Light and Heavy pressed a few ticks apart: the normal the first press started gives way to the throw
+    const canSwap =
+      want === "throw" &&
+      nx.attacking &&
+      !nx.attackHit &&
+      THROW_STARTERS.includes(nx.attackType) &&
+      nx.attackFrame <= moves[nx.attackType].startup;
+    if (canStart || canCancel || canSwap) {
+      // The replaced normal never came out, so its button is not left cooling down
+      if (canSwap) nx.cooldowns[COOLDOWN_KEY[nx.attackType] || nx.attackType] = tick;
+      nx.attacking = true;
+      nx.attackType = want;
+      nx.attackFrame = 1;
+      nx.attackHit = false;
+      nx.cooldowns[cooldownKey] = tick + msToTicks(moves[want].cooldown);
+      nx.meter -= METER_COST[want] || 0;
+      nx.command = { ...nx.command, buffered: null };
+      nx.block = false;
+      nx.crouching = crouchMove(nx);
+    }
+  }
+
+  // Integrate physics
+  nx.vy += stats.gravity;
+  const x = nx.x + nx.vx;
+  nx.x = clampToStage(x, stage);
+  nx.y += nx.vy;
+
+  // Knocked into a wall: bounce back off it, and get hurt by a damaging one
+  const walls = stage.walls;
+  if (nx.x !== x && nx.stunType === "hit" && walls.bounce > 0 && Math.abs(nx.vx) >= WALL_BOUNCE_SPEED) {
+    nx.vx = -nx.vx * walls.bounce;
+    if (walls.damage > 0) nx = hurtByStage(nx, walls.damage * rules.damage, WALL_HITSTUN);
+  }
+
+  if (nx.y >= stage.floorY) {
+    // Airborne attacks are over on landing
+    if (!nx.onGround && nx.attacking && AIR_MOVES.includes(nx.attackType)) nx = endAttack(nx);
+    nx.y = stage.floorY;
+    nx.vy = 0;
+    nx.onGround = true;
+  }
+
+  // Update animation timers
+  if (nx.hitflash > 0) nx.hitflash -= 1;
+  if (nx.blockflash > 0) nx.blockflash -= 1;
+  return nx;
+}
+
+// The version of a requested move for the stance the fighter starts it in
+function stanceVariant(f, type, input) {
+  if (!f.onGround) return STANCE_VARIANTS.air[type] || type;
+  return (input.down && STANCE_VARIANTS.crouch[type]) || type;
+}
+
+function crouchMove(f) {
+  return f.attacking && CROUCH_MOVES.includes(f.attackType);
+}
+
+function endAttack(f) {
+  return { ...f, attacking: false, attackType: null, attackFrame: 0, attackHit: false };
+}
+
+// The stage hurts a fighter: like a clean hit, without an attacker
+function hurtByStage(f, damage, hitstun) {
+  const dmg = Math.round(damage);
+  return {
+    ...f,
+    hp: clamp(f.hp - dmg, 0, f.maxHp),
+    stun: Math.max(f.stun, hitstun),
+    stunType: "hit",
+    canAct: false,
+    block: false,
+    attacking: false,
+    attackType: null,
+    attackFrame: 0,
+    attackHit: false,
+    hitflash: FLASH_TICKS,
+    stageHits: f.stageHits + 1,
+    lastStageHit: { damage: dmg },
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Hurt a fighter standing over an erupting stage hazard and throw it up;
+ * blocking does not help. Each fighter is hit at most once per eruption.
+ */
+export function applyHazards(f, stage, tick, rules = DEFAULT_MATCH_RULES) {
+  if (!f.onGround || f.hp <= 0) return f;
+  const left = f.x - f.width / 2;
+  const right = f.x + f.width / 2;
+  for (const hazard of stage.hazards) {
+    if (hazardPhase(hazard, tick) !== "active") continue;
+    if (f.hazardTick !== null && tick - f.hazardTick < hazard.active) continue;
+    if (right < hazard.x || left > hazard.x + hazard.width) continue;
+    const launched = { ...f, vy: -hazard.launch, onGround: false, hazardTick: tick };
+    return hurtByStage(launched, hazard.damage * rules.damage, hazard.hitstun);
+  }
+  return f;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True if attacker's active hitbox touches defender this tick. Projectile
+ * moves hit with their projectile instead, and throws grab (resolveThrows).
+ */
+export function attackConnects(attacker, defender) {
+  if (!isAttackActive(attacker) || attacker.attackType === "throw") return false;
+  if (getMove(attacker, attacker.attackType).projectile) return false;
+  return rectsOverlap(getAttackHitbox(attacker, attacker.attackType), getHurtbox(defender));
+}
+
+function hitDamage(move, blocked, rules) {
+  const damage = move.damage * rules.damage;
+  if (!blocked) return Math.round(damage);
+  return rules.chip ? Math.ceil(damage * (1 - BLOCK_REDUCTION)) : 0;
+}
+
+// Whether a defender's guard stops a move with the given `guard` ("mid" when unset)
+function guards(defender, guard = "mid") {
+  if (!defender.block || guard === "none") return false;
+  if (guard === "low") return defender.crouching;
+  if (guard === "high") return !defender.crouching;
+  return true;
+}
+
+// The defender's side of a hit from `source` (a move, or a projectile carrying its numbers):
+// damage, stun, combo and meter, with knockback along `direction`. `busy` is how many
+// frames the attacker has left, for the advantage.
+function takeHit(defender, source, { type, direction, busy, projectile }, rules) {
+  const blocked = guards(defender, source.guard);
+  const dmg = hitDamage(source, blocked, rules);
+  // A hit landing while the defender is still in hitstun extends the combo
+  const comboing = defender.stunType === "hit" && defender.stun > 0 && defender.combo;
+  const nd = {
+    ...defender,
+    hp: clamp(defender.hp - dmg, 0, defender.maxHp),
+    meter: gainMeter(defender, blocked ? METER_GAIN.block : dmg * METER_GAIN.take),
+    stun: blocked ? source.blockstun : source.hitstun,
+    stunType: blocked ? "block" : "hit",
+    canAct: false,
+    thrown: null,
+    combo: blocked
+      ? null
+      : comboing
+      ? { hits: defender.combo.hits + 1, damage: defender.combo.damage + dmg }
+      : { hits: 1, damage: dmg },
+  };
+  nd.hitsTaken = defender.hitsTaken + 1;
+  nd.lastHitTaken = {
+    type,
+    damage: dmg,
+    blocked,
+    // Ticks the defender stays stunned beyond the attacker's remaining frames
+    advantage: nd.stun - busy,
+    projectile,
+  };
+  if (blocked) {
+    nd.blockflash = FLASH_TICKS;
+  } else {
+    nd.hitflash = FLASH_TICKS;
+    // Getting hit interrupts whatever the defender was doing
+    nd.attacking = false;
+    nd.attackType = null;
+    nd.attackFrame = 0;
+    nd.attackHit = false;
+  }
+
+  // Small knockback
+  nd.vx += source.knockback * direction;
+  return nd;
+}
+
+// Frames an attacking fighter has left in its attack
+function framesLeft(f) {
+  return f.attacking ? getFrameData(getMove(f, f.attackType)).total - f.attackFrame : 0;
+}
+
+function applyHit(attacker, defender, move, rules) {
+  const nd = takeHit(
+    defender,
+    move,
+    { type: attacker.attackType, direction: attacker.facing, busy: framesLeft(attacker), projectile: false },
+    rules
+  );
+  // Supers don't pay for themselves
+  const earned = attacker.attackType === "super" ? 0 : nd.lastHitTaken.damage * METER_GAIN.deal;
+  // An attacker already knocked out of its attack by a trade has nothing left to mark
+  return [{ ...attacker, attackHit: attacker.attacking, meter: gainMeter(attacker, earned) }, nd];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Land a projectile (see ./projectiles) on defender; returns [owner, defender].
+ * The owner earns meter but its current attack is not marked as connected,
+ * so a projectile hit opens no cancel.
+ */
+export function applyProjectileHit(owner, defender, projectile, rules = DEFAULT_MATCH_RULES) {
+  const nd = takeHit(
+    defender,
+    projectile,
+    { type: projectile.type, direction: Math.sign(projectile.vx), busy: framesLeft(owner), projectile: true },
+    rules
+  );
+  return [{ ...owner, meter: gainMeter(owner, nd.lastHitTaken.damage * METER_GAIN.deal) }, nd];
+}
+
+// PUBLIC_INTERFACE
+/** Resolve attacker's active hitbox against defender; returns [attacker, defender]. */
+export function handleHit(attacker, defender, rules = DEFAULT_MATCH_RULES) {
+  if (!attackConnects(attacker, defender)) return [attacker, defender];
+  return applyHit(attacker, defender, getMove(attacker, attacker.attackType), rules);
+}
+
+// PUBLIC_INTERFACE
+/** Resolve hits both ways from the same snapshot, so simultaneous hits trade. */
+export function resolveHits(p1, p2, rules = DEFAULT_MATCH_RULES) {
+  const m1 = attackConnects(p1, p2) ? getMove(p1, p1.attackType) : null;
+  const m2 = attackConnects(p2, p1) ? getMove(p2, p2.attackType) : null;
+  let a = p1;
+  let b = p2;
+  if (m1) [a, b] = applyHit(a, b, m1, rules);
+  if (m2) [b, a] = applyHit(b, a, m2, rules);
+  return [a, b];
+}
+
+// A throw grabs when its active frames reach a grounded defender who is not
+// stunned or already grabbed
+function grabs(attacker, defender) {
+  if (!isAttackActive(attacker) || attacker.attackType !== "throw") return false;
+  if (!defender.onGround || defender.stun > 0 || defender.thrown) return false;
+  return rectsOverlap(getAttackHitbox(attacker, "throw"), getHurtbox(defender));
+}
+
+// A fighter in a broken grab: free again and pushed back
+function breakFree(f) {
+  return { ...endAttack(f), vx: -f.facing * TECH_PUSHBACK };
+}
+
+// The defender techs the attacker's throw
+function tech(attacker, defender) {
+  return [
+    breakFree(attacker),
+    {
+      ...breakFree(defender),
+      thrown: null,
+      stun: 0,
+      stunType: null,
+      canAct: true,
+      command: { ...defender.command, buffered: null },
+      throwTechs: defender.throwTechs + 1,
+    },
+  ];
+}
+
+// The defender is grabbed: held in place until the throw lands or is teched
+function grab(attacker, defender) {
+  return [
+    { ...attacker, attackHit: true, vx: 0 },
+    {
+      ...endAttack(defender),
+      vx: 0,
+      block: false,
+      crouching: false,
+      canAct: false,
+      stun: THROW_TECH_TICKS + 1,
+      stunType: "throw",
+      thrown: { ticks: THROW_TECH_TICKS },
+    },
+  ];
+}
+
+// One tick of a defender held by a throw; returns [attacker, defender]
+function holdThrow(attacker, defender, rules) {
+  const throwing = attacker.attacking && attacker.attackType === "throw";
+  // Knocked out of the throw (or hurt by the stage) lets go
+  if (!throwing || defender.stunType !== "throw") {
+    const released = { ...defender, thrown: null };
+    if (defender.stunType !== "throw") return [attacker, released];
+    return [attacker, { ...released, stun: 0, stunType: null, canAct: true }];
+  }
+  // Pressing throw in the window escapes
+  if (defender.command.buffered?.type === "throw") return tech(attacker, defender);
+  if (defender.thrown.ticks > 1) return [attacker, { ...defender, thrown: { ticks: defender.thrown.ticks - 1 } }];
+
+  const move = getMove(attacker, "throw");
+  const nd = takeHit(
+    defender,
+    move,
+    { type: "throw", direction: attacker.facing, busy: framesLeft(attacker), projectile: false },
+    rules
+  );
+  return [{ ...attacker, meter: gainMeter(attacker, nd.lastHitTaken.damage * METER_GAIN.deal) }, nd];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Resolve throws for the tick, after resolveHits. A throw whose active frames
+ * reach a grounded opponent who is not in hitstun or blockstun grabs it,
+ * whether it blocks or not. The grabbed fighter gets THROW_TECH_MS to press
+ * throw and break free (a "tech"), which pushes both apart and counts in its
+ * throwTechs; otherwise the throw lands as an unblockable hit. Two throws
+ * grabbing each other on the same tick tech at once, as does grabbing a
+ * fighter that is itself starting a throw.
+ */
+export function resolveThrows(p1, p2, rules = DEFAULT_MATCH_RULES) {
+  if (p2.thrown) return holdThrow(p1, p2, rules);
+  if (p1.thrown) {
+    const [b, a] = holdThrow(p2, p1, rules);
+    return [a, b];
+  }
+
+  const g1 = grabs(p1, p2);
+  const g2 = grabs(p2, p1);
+  if (g1 && g2) {
+    return [
+      { ...breakFree(p1), throwTechs: p1.throwTechs + 1 },
+      { ...breakFree(p2), throwTechs: p2.throwTechs + 1 },
+    ];
+  }
+  if (g1) return p2.attacking && p2.attackType === "throw" ? tech(p1, p2) : grab(p1, p2);
+  if (g2) {
+    const [b, a] = p1.attacking && p1.attackType === "throw" ? tech(p2, p1) : grab(p2, p1);
+    return [a, b];
+  }
+  return [p1, p2];
+}
+
+// PUBLIC_INTERFACE
+/** Turn both fighters to face each other. */
+export function resolveFacing(p1, p2) {
+  const leftIsP1 = p1.x < p2.x;
+  return [
+    { ...p1, facing: leftIsP1 ? 1 : -1 },
+    { ...p2, facing: leftIsP1 ? -1 : 1 },
+  ];
+}
+
+// PUBLIC_INTERFACE
+/** Prevent overlap by pushing both fighters apart along x. */
+export function pushApart(p1, p2, stage = DEFAULT_STAGE_DEF) {
+  const minGap = (p1.width + p2.width) / 2;
+  const dist = Math.abs(p1.x - p2.x);
+  if (dist >= minGap) return [p1, p2];
+
+  const push = (minGap - dist) / 2 + 0.1;
+  const dir = p1.x < p2.x ? -1 : 1;
+  return [
+    { ...p1, x: clampToStage(p1.x + push * dir, stage) },
+    { ...p2, x: clampToStage(p2.x - push * dir, stage) },
+  ];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pull both fighters together when they are further than MAX_SEPARATION
+ * apart, so the camera can keep them both in frame; a fighter at a wall
+ * stays there and the other takes the whole pull.
+ */
+export function keepInView(p1, p2, stage = DEFAULT_STAGE_DEF) {
+  const excess = Math.abs(p1.x - p2.x) - MAX_SEPARATION;
+  if (excess <= 0) return [p1, p2];
+  const dir = p1.x < p2.x ? 1 : -1; // the way p1 moves to close the gap
+  const x1 = clampToStage(p1.x + (dir * excess) / 2, stage);
+  const x2 = p2.x - dir * (excess - Math.abs(x1 - p1.x));
+  return [
+    { ...p1, x: x1 },
+    { ...p2, x: x2 },
+  ];
+}
+
+// PUBLIC_INTERFACE
+/** Combine input snapshots from several sources; an action is held if any source holds it. */
+export function mergeInputs(...inputs) {
+  const merged = { ...EMPTY_INPUT };
+  for (const input of inputs) {
+    if (!input) continue;
+    for (const action of Object.keys(merged)) {
+      if (input[action]) merged[action] = true;
+    }
+  }
+  return merged;
+}
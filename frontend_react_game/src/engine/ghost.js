@@ -0,0 +1,264 @@
+import { controlAI, createAIState } from "./ai";
+import { STANCE_VARIANTS } from "./commands";
+import { EMPTY_INPUT, affordableAttack } from "./fighter";
+import { createRng, deriveSeed } from "./rng";
+
+/**
+ * Ghost AI: learns how a human plays and imitates it.
+ *
+ * While a human plays, observeGhost() files each of their choices under the
+ * situation they made it in: distance to the opponent (close / mid / far)
+ * and context (neutral, just blocked, opponent jumping, opponent attacking).
+ * The model is nothing more than counts of actions per situation.
+ *
+ * controlGhost() plays by sampling an action from those counts for the
+ * situation it is in, falling back to the same context at any distance, and
+ * to the regular CPU until the model has seen enough play.
+ *
+ * Models are plain JSON, stored per player and shareable as ghost files.
+ */
+
+export const GHOST_FORMAT = "fighting-arena-ghost";
+export const GHOST_VERSION = 1;
+export const GHOST_MIN_SAMPLES = 60; // below this the ghost plays as the regular CPU
+
+export const GHOST_ACTIONS = [
+  "idle",
+  "forward",
+  "back",
+  "jump",
+  "jumpForward",
+  "crouch",
+  "block",
+  "light",
+  "heavy",
+  "crouchLight",
+  "crouchHeavy",
+  "airLight",
+  "airHeavy",
+  "throw",
+  "special",
+  "ex",
+  "super",
+];
+
+const DECISION_TICKS = 8; // movement is sampled (and held) this many ticks at a time
+const AFTER_BLOCK_TICKS = 20; // how long "just blocked" lasts after blockstun ends
+const CLOSE_GAP = 50; // px between bodies
+const MID_GAP = 130;
+
+// Buttons for each attack action. Metered moves and throws use the two-button
+// shortcuts and crouching versions hold down. Airborne versions are pressed in
+// the air, see controlGhost.
+const ATTACK_BUTTONS = {
+  light: ["light"],
+  heavy: ["heavy"],
+  crouchLight: ["down", "light"],
+  crouchHeavy: ["down", "heavy"],
+  airLight: ["light"],
+  airHeavy: ["heavy"],
+  throw: ["light", "heavy"],
+  special: ["special"],
+  ex: ["light", "special"],
+  super: ["heavy", "special"],
+};
+const AIR_ATTACKS = Object.values(STANCE_VARIANTS.air);
+
+// PUBLIC_INTERFACE
+/** Empty ghost model for a player. */
+export function createGhostModel(name) {
+  return { name, matches: 0, samples: 0, counts: {} };
+}
+
+// PUBLIC_INTERFACE
+/** Per-side memory used while observing or controlling: blockstun timing and the held action. */
+export function createGhostState() {
+  return { lastBlockstun: -Infinity, action: "idle", until: 0, ai: createAIState() };
+}
+
+function band(me, them) {
+  const gap = Math.abs(them.x - me.x) - (me.width + them.width) / 2;
+  return gap <= CLOSE_GAP ? "close" : gap <= MID_GAP ? "mid" : "far";
+}
+
+function context(state, them, memory) {
+  if (state.tick - memory.lastBlockstun <= AFTER_BLOCK_TICKS) return "afterBlock";
+  if (!them.onGround) return "antiAir";
+  if (them.attacking) return "pressure";
+  return "neutral";
+}
+
+// PUBLIC_INTERFACE
+/** Situation key ("context.distance") for side in this state, e.g. "antiAir.close". */
+export function ghostSituation(state, side, memory) {
+  const me = state[side];
+  const them = side === "p1" ? state.p2 : state.p1;
+  return `${context(state, them, memory)}.${band(me, them)}`;
+}
+
+function trackBlockstun(memory, f, tick) {
+  return f.stunType === "block" ? { ...memory, lastBlockstun: tick } : memory;
+}
+
+function movementAction(input, facing) {
+  const forward = facing === 1 ? input.right : input.left;
+  const back = facing === 1 ? input.left : input.right;
+  if (input.down) return back ? "block" : "crouch";
+  if (input.up) return forward ? "jumpForward" : "jump";
+  if (forward) return "forward";
+  if (back) return "back";
+  return "idle";
+}
+
+function addSample(model, situation, action) {
+  const bucket = model.counts[situation] || {};
+  return {
+    ...model,
+    samples: model.samples + 1,
+    counts: { ...model.counts, [situation]: { ...bucket, [action]: (bucket[action] || 0) + 1 } },
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Learn from one tick of human play. prev and next are the match states
+ * around step(); input is what the human on `side` held. Every attack they
+ * ask for is recorded, movement every DECISION_TICKS ticks.
+ * Returns { model, memory }.
+ */
+export function observeGhost(model, memory, prev, next, side, input) {
+  const before = prev[side];
+  const after = next[side];
+  let mem = memory;
+  let m = model;
+  if (before.canAct && !before.attacking) {
+    const situation = ghostSituation(prev, side, mem);
+    // An attack asked for this tick: either it came out at once or it sits in the input buffer
+    const started = after.attacking && after.attackFrame === 1 ? after.attackType : null;
+    const buffered = after.command.buffered?.tick === next.tick ? after.command.buffered.type : null;
+    const attack = started || (buffered && affordableAttack(after, buffered));
+    if (attack) {
+      m = addSample(m, situation, attack);
+    } else if (prev.tick % DECISION_TICKS === 0) {
+      m = addSample(m, situation, movementAction(input, before.facing));
+    }
+  }
+  mem = trackBlockstun(mem, after, next.tick);
+  return { model: m, memory: mem };
+}
+
+function choices(model, situation) {
+  const exact = model.counts[situation];
+  if (exact) return exact;
+  // Same context at any distance, then anything at all
+  const ctx = situation.split(".")[0];
+  const merged = {};
+  const keys = Object.keys(model.counts);
+  const similar = keys.filter((k) => k.startsWith(`${ctx}.`));
+  for (const key of similar.length > 0 ? similar : keys) {
+    for (const [action, n] of Object.entries(model.counts[key])) merged[action] = (merged[action] || 0) + n;
+  }
+  return merged;
+}
+
+function sample(counts, random) {
+  const entries = Object.entries(counts);
+  const total = entries.reduce((sum, [, n]) => sum + n, 0);
+  let roll = random() * total;
+  for (const [action, n] of entries) {
+    roll -= n;
+    if (roll < 0) return action;
+  }
+  return "idle";
+}
+
+function actionInput(action, facing) {
+  const input = { ...EMPTY_INPUT };
+  const forward = facing === 1 ? "right" : "left";
+  const back = facing === 1 ? "left" : "right";
+  if (ATTACK_BUTTONS[action]) ATTACK_BUTTONS[action].forEach((b) => (input[b] = true));
+  else if (action === "forward") input[forward] = true;
+  else if (action === "back") input[back] = true;
+  else if (action === "crouch") input.down = true;
+  else if (action === "block") {
+    input.down = true;
+    input[back] = true;
+  }
+  else if (action === "jump") input.up = true;
+  else if (action === "jumpForward") {
+    input.up = true;
+    input[forward] = true;
+  }
+  return input;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Drive `side` from a ghost model. Returns { input, ghost }; pass the
+ * returned ghost state back in on the next tick. Models that have seen
+ * fewer than GHOST_MIN_SAMPLES choices play as the Normal CPU.
+ */
+export function controlGhost(state, side, model, ghost = createGhostState()) {
+  const f = state[side];
+  if (!model || model.samples < GHOST_MIN_SAMPLES) {
+    const { input, ai } = controlAI(state, side, "Normal", ghost.ai);
+    return { input, ghost: { ...ghost, ai } };
+  }
+
+  const random = createRng(deriveSeed(state.seed, state.tick, side === "p1" ? 3 : 4));
+  let g = trackBlockstun(ghost, f, state.tick);
+  const free = f.canAct && !f.attacking;
+  const airAttack = AIR_ATTACKS.includes(g.action);
+  // An air attack waiting for its jump is not replaced mid-air
+  if (free && state.tick >= g.until && !(airAttack && !f.onGround)) {
+    const action = sample(choices(model, ghostSituation(state, side, g)), random);
+    // Attacks are a single press, but an air attack gets time to jump first; movement is held like a person would
+    const ticks = ATTACK_BUTTONS[action] && !AIR_ATTACKS.includes(action) ? 1 : DECISION_TICKS;
+    g = { ...g, action, until: state.tick + ticks };
+  }
+  if (AIR_ATTACKS.includes(g.action)) {
+    // Jump, then press the button once on the way down
+    if (f.onGround) return { input: state.tick < g.until ? actionInput("jump", f.facing) : EMPTY_INPUT, ghost: g };
+    if (f.vy < 0 || !free) return { input: EMPTY_INPUT, ghost: g };
+    return { input: actionInput(g.action, f.facing), ghost: { ...g, action: "idle", until: state.tick + 1 } };
+  }
+  // An attack press only counts on the tick it was chosen
+  const holding = ATTACK_BUTTONS[g.action] ? state.tick < g.until : true;
+  return { input: holding ? actionInput(g.action, f.facing) : EMPTY_INPUT, ghost: g };
+}
+
+// PUBLIC_INTERFACE
+/** Merge two models of the same player (e.g. a stored model and this session's). */
+export function mergeGhostModels(a, b) {
+  const counts = { ...a.counts };
+  for (const [situation, bucket] of Object.entries(b.counts)) {
+    const merged = { ...(counts[situation] || {}) };
+    for (const [action, n] of Object.entries(bucket)) merged[action] = (merged[action] || 0) + n;
+    counts[situation] = merged;
+  }
+  return { ...a, matches: a.matches + b.matches, samples: a.samples + b.samples, counts };
+}
+
+// PUBLIC_INTERFACE
+/** Wrap a model in a versioned ghost file document. */
+export function buildGhostFile(model, createdAt = null) {
+  return { format: GHOST_FORMAT, version: GHOST_VERSION, createdAt, model };
+}
+
+// PUBLIC_INTERFACE
+/** Validate a ghost file and return its model; throws on unsupported files. */
+export function parseGhostFile(doc) {
+  if (!doc || doc.format !== GHOST_FORMAT) throw new Error("Not a Fighting Arena ghost file.");
+  if (doc.version !== GHOST_VERSION) throw new Error(`Unsupported ghost version ${doc.version}.`);
+  const { model } = doc;
+  if (!model || typeof model.name !== "string" || typeof model.counts !== "object" || !model.counts) {
+    throw new Error("Ghost file is corrupted.");
+  }
+  const buckets = Object.values(model.counts);
+  const isCount = (n) => typeof n === "number" && Number.isFinite(n) && n >= 0;
+  if (buckets.some((bucket) => !bucket || typeof bucket !== "object" || !Object.values(bucket).every(isCount))) {
+    throw new Error("Ghost file is corrupted.");
+  }
+  const samples = buckets.reduce((sum, bucket) => sum + Object.values(bucket).reduce((a, n) => a + n, 0), 0);
+  return { name: model.name, matches: Number(model.matches) || 0, samples, counts: model.counts };
+}
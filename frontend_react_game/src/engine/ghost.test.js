@@ -0,0 +1,81 @@
+import {
+  EMPTY_INPUT,
+  GHOST_MIN_SAMPLES,
+  buildGhostFile,
+  controlGhost,
+  createGhostModel,
+  createGhostState,
+  createMatch,
+  observeGhost,
+  parseGhostFile,
+  step,
+} from "./index";
+
+// A player who walks in and keeps tapping heavy once they are close
+function playerInput(state) {
+  const gap = state.p2.x - state.p1.x;
+  return gap > 90 ? { ...EMPTY_INPUT, right: true } : { ...EMPTY_INPUT, heavy: state.tick % 12 === 0 };
+}
+
+function learn(matches) {
+  let model = createGhostModel("Sam");
+  for (let seed = 1; seed <= matches; seed++) {
+    let state = createMatch({ seed, intro: false });
+    let memory = createGhostState();
+    for (let t = 0; t < 600 && state.phase === "fight"; t++) {
+      const input = playerInput(state);
+      const next = step(state, input, EMPTY_INPUT);
+      ({ model, memory } = observeGhost(model, memory, state, next, "p1", input));
+      state = next;
+    }
+  }
+  return model;
+}
+
+test("the ghost picks up a player's habits and plays them back", () => {
+  const model = learn(3);
+  expect(model.samples).toBeGreaterThan(GHOST_MIN_SAMPLES);
+  expect(model.counts["neutral.far"].forward).toBeGreaterThan(0);
+  expect(model.counts["neutral.far"].heavy).toBeUndefined();
+  expect(model.counts["neutral.close"].heavy).toBeGreaterThan(0);
+
+  // Playing as Player 2 at close range, the ghost reaches for the heavy too
+  let state = createMatch({ seed: 9, intro: false });
+  state = { ...state, p2: { ...state.p2, x: state.p1.x + 70 } };
+  let ghost = createGhostState();
+  let heavies = 0;
+  for (let t = 0; t < 120; t++) {
+    const out = controlGhost(state, "p2", model, ghost);
+    ghost = out.ghost;
+    if (out.input.heavy) heavies += 1;
+    state = step(state, EMPTY_INPUT, out.input);
+  }
+  expect(heavies).toBeGreaterThan(0);
+});
+
+test("a ghost copying air attacks jumps and attacks in the air", () => {
+  const model = { ...createGhostModel("Sam"), samples: GHOST_MIN_SAMPLES, counts: { "neutral.mid": { airHeavy: GHOST_MIN_SAMPLES } } };
+  let state = createMatch({ seed: 9, intro: false });
+  let ghost = createGhostState();
+  const attacks = new Set();
+  for (let t = 0; t < 180; t++) {
+    const out = controlGhost(state, "p2", model, ghost);
+    ghost = out.ghost;
+    state = step(state, EMPTY_INPUT, out.input);
+    if (state.p2.attacking) attacks.add(state.p2.attackType);
+  }
+  expect([...attacks]).toEqual(["airHeavy"]);
+});
+
+test("ghost files round-trip and bad files are rejected", () => {
+  const model = learn(1);
+  const parsed = parseGhostFile(JSON.parse(JSON.stringify(buildGhostFile(model))));
+  expect(parsed).toEqual(model);
+  expect(() => parseGhostFile({ format: "something-else" })).toThrow("Not a Fighting Arena ghost file.");
+
+  // Counts that are not finite non-negative numbers would break sampling
+  for (const count of ["3", -1, NaN, Infinity, null]) {
+    const file = buildGhostFile({ ...model, counts: { "neutral.mid": { heavy: 2, light: count } } });
+    expect(() => parseGhostFile(file)).toThrow("Ghost file is corrupted.");
+  }
+});
@@ -0,0 +1,89 @@
+import { TICK_RATE } from "./constants";
+import { controlAI, createAIState } from "./ai";
+import { EMPTY_INPUT } from "./fighter";
+import { createMatch, nextRound, step } from "./simulation";
+import { ATTACK_TYPES, createMatchStats, recordStats } from "./stats";
+
+/**
+ * Headless CPU vs CPU matches for balance testing. No React, no DOM: runs
+ * anywhere the engine does (tests, the scripts/balance.mjs CLI).
+ */
+
+const MAX_ROUNDS = 9; // a match still undecided after this many rounds is a draw
+
+// PUBLIC_INTERFACE
+/**
+ * Step a match `ticks` times. p1 and p2 give each tick's input as
+ * (t, state) => input, with t counted from 0; both stand idle by default.
+ */
+export function runTicks(state, ticks, p1 = () => EMPTY_INPUT, p2 = () => EMPTY_INPUT) {
+  let s = state;
+  for (let t = 0; t < ticks; t++) s = step(s, p1(t, s), p2(t, s));
+  return s;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Play one full CPU vs CPU match.
+ * Returns { winner, rounds: [{ winner, ticks, timeUp }], damage: { p1, p2 } }
+ * where round ticks count the fight only (no intro or KO) and damage maps
+ * attack type to damage dealt (blocked chip included).
+ */
+export function simulateMatch({ seed, characters, stage, difficulties, rules }) {
+  let state = createMatch({ seed, characters, stage, rules });
+  let ai = { p1: createAIState(), p2: createAIState() };
+  let stats = createMatchStats();
+
+  while (state.phase !== "matchOver" && stats.rounds.length < MAX_ROUNDS) {
+    if (state.phase === "roundOver") {
+      state = nextRound(state);
+      ai = { p1: createAIState(), p2: createAIState() };
+      continue;
+    }
+    const a = controlAI(state, "p1", difficulties.p1, ai.p1);
+    const b = controlAI(state, "p2", difficulties.p2, ai.p2);
+    ai = { p1: a.ai, p2: b.ai };
+    const next = step(state, a.input, b.input);
+    stats = recordStats(stats, state, next);
+    state = next;
+  }
+
+  const rounds = stats.rounds.map(({ winner, ticks, finish }) => ({ winner, ticks, timeUp: finish === "time" }));
+  const damage = { p1: stats.p1.damage, p2: stats.p2.damage };
+  return { winner: state.matchWinner, rounds, damage };
+}
+
+function rate(n, total) {
+  return total > 0 ? n / total : 0;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Aggregate simulateMatch results into a balance report: win rates, average
+ * round length in seconds, time-out rate and average damage per round by attack type.
+ */
+export function summarizeMatches(results) {
+  const matches = results.length;
+  const rounds = results.flatMap((r) => r.rounds);
+  const count = (winner) => results.filter((r) => r.winner === winner).length;
+  const perRound = (side) =>
+    Object.fromEntries(
+      ATTACK_TYPES.map((type) => [
+        type,
+        rate(results.reduce((sum, r) => sum + r.damage[side][type], 0), rounds.length),
+      ])
+    );
+
+  return {
+    matches,
+    rounds: rounds.length,
+    winRate: {
+      p1: rate(count("Player 1"), matches),
+      p2: rate(count("Player 2"), matches),
+      draw: rate(count(null), matches),
+    },
+    avgRoundSeconds: rate(rounds.reduce((sum, r) => sum + r.ticks, 0), rounds.length) / TICK_RATE,
+    timeOutRate: rate(rounds.filter((r) => r.timeUp).length, rounds.length),
+    damagePerRound: { p1: perRound("p1"), p2: perRound("p2") },
+  };
+}
@@ -0,0 +1,15 @@
+import { simulateMatch, summarizeMatches } from "./index";
+
+test("headless CPU matches are reproducible and summarize into rates", () => {
+  const setup = { characters: { p1: "kai", p2: "vela" }, difficulties: { p1: "Hard", p2: "Easy" } };
+  const results = [1, 2, 3].map((seed) => simulateMatch({ seed, ...setup }));
+  expect(simulateMatch({ seed: 2, ...setup })).toEqual(results[1]);
+
+  const report = summarizeMatches(results);
+  expect(report.matches).toBe(3);
+  expect(report.rounds).toBe(results.reduce((n, r) => n + r.rounds.length, 0));
+  expect(report.winRate.p1 + report.winRate.p2 + report.winRate.draw).toBeCloseTo(1);
+  expect(report.avgRoundSeconds).toBeGreaterThan(0);
+  const dealt = Object.values(report.damagePerRound.p1).reduce((a, b) => a + b, 0);
+  expect(dealt).toBeGreaterThan(0);
+});
@@ -0,0 +1,126 @@
+/**
+ * Deterministic simulation core. Pure functions only: no DOM, no React,
+ * no wall clock and no Math.random(), so it runs the same in the browser,
+ * in tests and in Node.
+ */
+export * from "./constants";
+export { CHARACTERS, DEFAULT_CHARACTER, ROSTER, getCharacter, getPalette } from "./characters";
+export {
+  BUFFER_TICKS,
+  CANCEL_ROUTES,
+  MOTIONS,
+  STANCE_VARIANTS,
+  THROW_PRESS_TICKS,
+  matchMotion,
+  numpadDirection,
+} from "./commands";
+export { createRng, deriveSeed, randomSeed } from "./rng";
+export {
+  DEFAULT_STAGE,
+  HAZARD_WARNING_TICKS,
+  RANDOM_STAGE,
+  STAGES,
+  STAGE_IDS,
+  cameraX,
+  getStage,
+  hazardPhase,
+  resolveStage,
+} from "./stages";
+export {
+  EMPTY_INPUT,
+  affordableAttack,
+  applyHazards,
+  applyProjectileHit,
+  attackConnects,
+  attackPhase,
+  clamp,
+  controlFighter,
+  createFighter,
+  getAttackHitbox,
+  getFrameData,
+  getHurtbox,
+  getMove,
+  handleHit,
+  keepInView,
+  mergeInputs,
+  pushApart,
+  rectsOverlap,
+  resolveFacing,
+  resolveHits,
+  resolveThrows,
+} from "./fighter";
+export {
+  advanceProjectiles,
+  clashProjectiles,
+  launchProjectiles,
+  markProjectiles,
+  moveRange,
+  projectileBox,
+  projectileHits,
+} from "./projectiles";
+export { controlAI, createAIState } from "./ai";
+export {
+  GHOST_MIN_SAMPLES,
+  buildGhostFile,
+  controlGhost,
+  createGhostModel,
+  createGhostState,
+  mergeGhostModels,
+  observeGhost,
+  parseGhostFile,
+} from "./ghost";
+export {
+  awaitsAction,
+  createMatch,
+  matchReducer,
+  nextRound,
+  secondsRemaining,
+  spawnFighters,
+  step,
+} from "./simulation";
+export {
+  DEFAULT_TRAINING_SETTINGS,
+  DUMMY_MODES,
+  RECORD_MAX_TICKS,
+  createTrainingState,
+  resetPositions,
+  stepTraining,
+  toggleRecording,
+} from "./training";
+export { ATTACK_TYPES, accuracy, createMatchStats, landedHits, recordStats } from "./stats";
+export {
+  RULE_CHOICES,
+  RULE_PRESETS,
+  bestOf,
+  normalizeRules,
+  rulesFromQuery,
+  rulesToQuery,
+  sameRules,
+} from "./rules";
+export { runTicks, simulateMatch, summarizeMatches } from "./headless";
+export {
+  ELIMINATION_FORMATS,
+  TOURNAMENT_MAX_PLAYERS,
+  TOURNAMENT_SIZES,
+  bracketSize,
+  buildTournamentFile,
+  createTournament,
+  getPlayer,
+  matchPlayers,
+  matchStatus,
+  nextMatch,
+  recordResult,
+  roundLabel,
+  tournamentChampion,
+  tournamentRounds,
+} from "./tournament";
+export {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  buildReplay,
+  decodeInput,
+  encodeInput,
+  parseReplay,
+  playbackTick,
+  rulesDiffer,
+} from "./replay";
@@ -0,0 +1,124 @@
+import { applyProjectileHit, getHurtbox, getMove, rectsOverlap } from "./fighter";
+
+/**
+ * Projectiles: fireballs and the like, thrown by moves with a `projectile`
+ * definition (see ./characters). They live in state.projectiles apart from
+ * the fighters, as plain objects:
+ *
+ *   { id, owner, type, x, y, vx, width, height, age, lifetime,
+ *     damage, knockback, hitstun, blockstun }
+ *
+ * owner is "p1" or "p2" and type the move that threw it; x is the centre and
+ * y the bottom edge, like a fighter. The move's damage and stun travel with
+ * the projectile, so a hit lands the same however long ago it was thrown.
+ *
+ * A projectile appears in front of its owner on the move's first active
+ * frame and flies on by itself: hitting the owner does not take it back.
+ * Two projectiles from opposite sides that touch cancel each other out
+ * (state.clashes counts these); one that touches the opponent hits, or is
+ * blocked for chip damage, and is gone. Otherwise it lasts its lifetime or
+ * until it leaves the stage. A side has at most one projectile on screen:
+ * while it does, fighter.projectileOut keeps projectile moves from starting.
+ */
+
+// PUBLIC_INTERFACE
+/** How far in front of the body a move can hit: its reach, or as far as its projectile flies. */
+export function moveRange(move) {
+  return move.projectile ? move.projectile.speed * move.projectile.lifetime : move.reach;
+}
+
+// PUBLIC_INTERFACE
+/** A projectile's hitbox, a bottom-anchored rect like every other box. */
+export function projectileBox(p) {
+  return { x: p.x - p.width / 2, y: p.y, width: p.width, height: p.height };
+}
+
+// A projectile for a fighter on the first active frame of a projectile move, else null
+function thrown(f, side, tick) {
+  if (!f.attacking) return null;
+  const move = getMove(f, f.attackType);
+  const { projectile } = move;
+  if (!projectile || f.attackFrame !== move.startup + 1) return null;
+  return {
+    id: `${side}-${tick}`,
+    owner: side,
+    type: f.attackType,
+    x: f.x + f.facing * (f.width / 2 + projectile.width / 2),
+    y: f.y - f.height / 2 + projectile.height / 2,
+    vx: f.facing * projectile.speed,
+    width: projectile.width,
+    height: projectile.height,
+    age: 0,
+    lifetime: projectile.lifetime,
+    damage: move.damage,
+    knockback: move.knockback,
+    hitstun: move.hitstun,
+    blockstun: move.blockstun,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Add the projectiles either fighter throws this tick. */
+export function launchProjectiles(projectiles, p1, p2, tick) {
+  const launched = [thrown(p1, "p1", tick), thrown(p2, "p2", tick)].filter(Boolean);
+  return launched.length > 0 ? [...projectiles, ...launched] : projectiles;
+}
+
+// PUBLIC_INTERFACE
+/** Fly every projectile one tick, dropping those that ran out of time or left the stage. */
+export function advanceProjectiles(projectiles, stage) {
+  return projectiles
+    .map((p) => ({ ...p, x: p.x + p.vx, age: p.age + 1 }))
+    .filter((p) => p.age < p.lifetime && p.x + p.width / 2 > 0 && p.x - p.width / 2 < stage.width);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Cancel out projectiles from opposite sides that touch.
+ * Returns { projectiles, clashes: [{ x, y }] } with the middle of each clash.
+ */
+export function clashProjectiles(projectiles) {
+  const gone = new Set();
+  const clashes = [];
+  projectiles.forEach((a, i) => {
+    projectiles.slice(i + 1).forEach((b) => {
+      if (a.owner === b.owner || gone.has(a) || gone.has(b)) return;
+      if (!rectsOverlap(projectileBox(a), projectileBox(b))) return;
+      gone.add(a);
+      gone.add(b);
+      clashes.push({ x: (a.x + b.x) / 2, y: (a.y - a.height / 2 + b.y - b.height / 2) / 2 });
+    });
+  });
+  if (clashes.length === 0) return { projectiles, clashes };
+  return { projectiles: projectiles.filter((p) => !gone.has(p)), clashes };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Land projectiles touching the opponent of their owner, from the same
+ * snapshot of both fighters so simultaneous hits trade.
+ * Returns { projectiles, p1, p2 } without the projectiles that hit.
+ */
+export function projectileHits(projectiles, p1, p2, rules) {
+  const fighters = { p1, p2 };
+  const hits = projectiles.filter((p) =>
+    rectsOverlap(projectileBox(p), getHurtbox(fighters[p.owner === "p1" ? "p2" : "p1"]))
+  );
+  if (hits.length === 0) return { projectiles, p1, p2 };
+  const next = { ...fighters };
+  for (const p of hits) {
+    const target = p.owner === "p1" ? "p2" : "p1";
+    [next[p.owner], next[target]] = applyProjectileHit(next[p.owner], next[target], p, rules);
+  }
+  return { projectiles: projectiles.filter((p) => !hits.includes(p)), p1: next.p1, p2: next.p2 };
+}
+
+// PUBLIC_INTERFACE
+/** Mark each fighter with whether it has a projectile on screen. */
+export function markProjectiles(projectiles, p1, p2) {
+  const out = (side) => projectiles.some((p) => p.owner === side);
+  return [
+    p1.projectileOut === out("p1") ? p1 : { ...p1, projectileOut: out("p1") },
+    p2.projectileOut === out("p2") ? p2 : { ...p2, projectileOut: out("p2") },
+  ];
+}
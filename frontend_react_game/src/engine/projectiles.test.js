@@ -0,0 +1,77 @@
+import { BLOCK_REDUCTION, CHARACTERS, EMPTY_INPUT, controlAI, createAIState, createMatch, runTicks } from "./index";
+
+const SPECIAL = { ...EMPTY_INPUT, special: true };
+const fireball = CHARACTERS.kai.moves.special;
+
+// Kai vs Kai, `gap` px apart in the middle of the stage
+function apart(gap) {
+  const state = createMatch({ seed: 1, intro: false });
+  return { ...state, p2: { ...state.p2, x: state.p1.x + gap } };
+}
+
+test("a special throws a projectile that flies across and hits, then is gone", () => {
+  let state = runTicks(apart(400), fireball.startup + 1, (t) => (t === 0 ? SPECIAL : EMPTY_INPUT));
+  expect(state.projectiles).toHaveLength(1);
+  expect(state.projectiles[0]).toMatchObject({ owner: "p1", type: "special", vx: fireball.projectile.speed });
+  expect(state.p1.projectileOut).toBe(true);
+
+  state = runTicks(state, 80);
+  expect(state.projectiles).toHaveLength(0);
+  expect(state.p1.projectileOut).toBe(false);
+  expect(state.p2.hitsTaken).toBe(1);
+  expect(state.p2.lastHitTaken).toMatchObject({ type: "special", damage: fireball.damage, blocked: false, projectile: true });
+  expect(state.p2.hp).toBe(state.p2.maxHp - fireball.damage);
+  expect(state.p1.meter).toBeGreaterThan(0);
+});
+
+test("a blocked projectile deals chip damage", () => {
+  // Player 2 holds back (blocks) once the fireball is close, rather than walk away from it
+  const back = (t, s) => ({ ...EMPTY_INPUT, right: s.projectiles.some((p) => s.p2.x - p.x < 60) });
+  const state = runTicks(apart(400), 100, (t) => (t === 0 ? SPECIAL : EMPTY_INPUT), back);
+  const chip = Math.ceil(fireball.damage * (1 - BLOCK_REDUCTION));
+  expect(state.p2.lastHitTaken).toMatchObject({ blocked: true, damage: chip, projectile: true });
+  expect(state.p2.hp).toBe(state.p2.maxHp - chip);
+});
+
+test("projectiles from both sides cancel each other out", () => {
+  const both = (t) => (t === 0 ? SPECIAL : EMPTY_INPUT);
+  const state = runTicks(apart(600), 100, both, both);
+  expect(state.clashes).toBe(1);
+  expect(state.lastClash.x).toBeCloseTo((state.p1.x + state.p2.x) / 2, -1);
+  expect(state.projectiles).toHaveLength(0);
+  expect(state.p1.hitsTaken + state.p2.hitsTaken).toBe(0);
+});
+
+test("only one projectile per player is on screen", () => {
+  let state = runTicks(apart(700), fireball.startup + 10, (t) => (t === 0 ? SPECIAL : EMPTY_INPUT));
+  expect(state.p1.attacking).toBe(true);
+  state = runTicks(state, fireball.active + fireball.recovery);
+  // Even off cooldown, the special waits until the first fireball is gone
+  state = { ...state, p1: { ...state.p1, cooldowns: { ...state.p1.cooldowns, special: 0 } } };
+  state = runTicks(state, 2, (t) => (t === 0 ? SPECIAL : EMPTY_INPUT));
+  expect(state.p1.projectileOut).toBe(true);
+  expect(state.p1.attacking).toBe(false);
+
+  state = runTicks(state, 120);
+  expect(state.projectiles).toHaveLength(0);
+  state = runTicks(state, 1, () => SPECIAL);
+  expect(state.p1.attackType).toBe("special");
+});
+
+test("the CPU jumps over or blocks incoming projectiles", () => {
+  let avoided = 0;
+  const answers = new Set();
+  for (let seed = 1; seed <= 12; seed++) {
+    let state = { ...apart(500), seed };
+    let ai = createAIState();
+    state = runTicks(state, 70, (t) => (t === 0 ? SPECIAL : EMPTY_INPUT), (t, s) => {
+      const cpu = controlAI(s, "p2", "Hard", ai);
+      ai = cpu.ai;
+      return cpu.input;
+    });
+    if (ai.dodge?.answer) answers.add(ai.dodge.answer);
+    if (state.p2.hitsTaken === 0 || state.p2.lastHitTaken.blocked) avoided += 1;
+  }
+  expect(avoided).toBeGreaterThanOrEqual(6);
+  expect([...answers].sort()).toEqual(["block", "jump"]);
+});
@@ -0,0 +1,123 @@
+import { DEFAULT_MATCH_RULES, DEFAULT_RULES, SIM_VERSION } from "./constants";
+import { awaitsAction, nextRound, step } from "./simulation";
+import { DEFAULT_STAGE } from "./stages";
+
+/**
+ * Replay format: the match seed, fighters, stage and rules plus a run-length
+ * encoded log of both players' per-tick inputs. Because the simulation is deterministic, feeding
+ * the log back through step() reproduces the match exactly.
+ */
+
+export const REPLAY_FORMAT = "fighting-arena-replay";
+export const REPLAY_VERSION = 1;
+
+// Bit order of the packed input mask; append only, never reorder
+const INPUT_BITS = ["left", "right", "up", "down", "light", "heavy", "special"];
+
+// PUBLIC_INTERFACE
+/** Pack an input snapshot into a small integer. */
+export function encodeInput(input) {
+  let mask = 0;
+  INPUT_BITS.forEach((action, i) => {
+    if (input[action]) mask |= 1 << i;
+  });
+  return mask;
+}
+
+// PUBLIC_INTERFACE
+/** Unpack an integer produced by encodeInput. */
+export function decodeInput(mask) {
+  const input = {};
+  INPUT_BITS.forEach((action, i) => {
+    input[action] = (mask & (1 << i)) !== 0;
+  });
+  return input;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build a versioned replay document.
+ * frames is an array of [p1Mask, p2Mask] pairs, one per simulated tick.
+ */
+export function buildReplay({
+  seed,
+  mode,
+  difficulty,
+  p1Difficulty = null,
+  characters,
+  stage = DEFAULT_STAGE,
+  matchRules = DEFAULT_MATCH_RULES,
+  frames,
+  createdAt = null,
+}) {
+  const inputs = [];
+  for (const [a, b] of frames) {
+    const last = inputs[inputs.length - 1];
+    if (last && last[0] === a && last[1] === b) last[2] += 1;
+    else inputs.push([a, b, 1]);
+  }
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    simVersion: SIM_VERSION,
+    createdAt,
+    seed,
+    mode,
+    difficulty,
+    // Only CPU vs CPU has a CPU on Player 1's side
+    ...(p1Difficulty ? { p1Difficulty } : {}),
+    characters,
+    stage,
+    // The match's own rules, and the engine constants they were played on
+    matchRules,
+    rules: { ...DEFAULT_RULES },
+    ticks: frames.length,
+    inputs,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validate a replay document and expand its inputs; throws on unsupported
+ * files. Replays from before stages existed were fought on the default stage.
+ */
+export function parseReplay(doc) {
+  if (!doc || doc.format !== REPLAY_FORMAT) {
+    throw new Error("Not a Fighting Arena replay file.");
+  }
+  if (doc.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${doc.version}.`);
+  }
+  if (!Array.isArray(doc.inputs) || typeof doc.seed !== "number") {
+    throw new Error("Replay file is corrupted.");
+  }
+  const frames = [];
+  for (const [a, b, run] of doc.inputs) {
+    for (let i = 0; i < run; i++) frames.push([a, b]);
+  }
+  return { stage: DEFAULT_STAGE, ...doc, frames };
+}
+
+// PUBLIC_INTERFACE
+/** True when the replay was recorded under rules or a simulation version other than this build's. */
+export function rulesDiffer(replay) {
+  if ((replay.simVersion || 1) !== SIM_VERSION) return true;
+  return Object.keys(DEFAULT_RULES).some((key) => replay.rules?.[key] !== DEFAULT_RULES[key]);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Advance playback by one recorded frame, clicking "Next Round" for the
+ * player wherever the live match waited on it. Returns the new state and
+ * cursor; done is set once the log is exhausted or the match is over.
+ */
+export function playbackTick(state, replay, cursor) {
+  const next = awaitsAction(state) ? nextRound(state) : state;
+  if (next.phase === "matchOver" || cursor >= replay.frames.length) {
+    return { state: next, cursor, done: true };
+  }
+  const [a, b] = replay.frames[cursor];
+  const after = step(next, decodeInput(a), decodeInput(b));
+  const done = cursor + 1 >= replay.frames.length || after.phase === "matchOver";
+  return { state: after, cursor: cursor + 1, done };
+}
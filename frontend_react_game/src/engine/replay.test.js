@@ -0,0 +1,58 @@
+import {
+  awaitsAction,
+  buildReplay,
+  controlAI,
+  createAIState,
+  createMatch,
+  decodeInput,
+  encodeInput,
+  nextRound,
+  parseReplay,
+  playbackTick,
+  step,
+} from "./index";
+
+test("input masks round-trip", () => {
+  const input = { left: true, right: false, up: false, down: true, light: false, heavy: true, special: false };
+  expect(decodeInput(encodeInput(input))).toEqual(input);
+});
+
+test("playing a recorded match back reproduces it", () => {
+  let live = createMatch({ seed: 1234 });
+  const frames = [];
+  let ai1 = createAIState();
+  let ai2 = createAIState();
+  while (live.phase !== "matchOver") {
+    if (awaitsAction(live)) {
+      live = nextRound(live);
+      ai1 = createAIState();
+      ai2 = createAIState();
+      continue;
+    }
+    let a;
+    let b;
+    ({ input: a, ai: ai1 } = controlAI(live, "p1", "Hard", ai1));
+    ({ input: b, ai: ai2 } = controlAI(live, "p2", "Easy", ai2));
+    frames.push([encodeInput(a), encodeInput(b)]);
+    live = step(live, a, b);
+  }
+
+  const doc = JSON.parse(JSON.stringify(buildReplay({ seed: 1234, mode: "PvAI", difficulty: "Easy", frames })));
+  const replay = parseReplay(doc);
+  expect(replay.frames).toHaveLength(frames.length);
+  expect(doc.inputs.length).toBeLessThanOrEqual(frames.length);
+
+  let state = createMatch({ seed: replay.seed });
+  let cursor = 0;
+  let done = false;
+  while (!done) ({ state, cursor, done } = playbackTick(state, replay, cursor));
+
+  expect(state.matchWinner).toBe(live.matchWinner);
+  expect(state.p1.rounds).toBe(live.p1.rounds);
+  expect(state.p2.rounds).toBe(live.p2.rounds);
+});
+
+test("rejects files from other formats or versions", () => {
+  expect(() => parseReplay({ format: "something-else" })).toThrow();
+  expect(() => parseReplay({ format: "fighting-arena-replay", version: 99, inputs: [], seed: 1 })).toThrow(/version/);
+});
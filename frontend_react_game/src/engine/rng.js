@@ -0,0 +1,39 @@
+/**
+ * Seeded pseudo random numbers for the simulation.
+ *
+ * The engine never calls Math.random(). Every consumer derives a generator
+ * from the match seed plus a salt (tick, side, purpose), so a given state
+ * always produces the same rolls no matter who asks or in which order.
+ */
+
+// PUBLIC_INTERFACE
+/** Returns a mulberry32 generator yielding floats in [0, 1). */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Mixes a base seed with integer salts into a new 32-bit seed. */
+export function deriveSeed(seed, ...salts) {
+  let h = (seed >>> 0) ^ 0x9e3779b9;
+  for (const s of salts) {
+    h = Math.imul(h ^ (s >>> 0), 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+  }
+  return h >>> 0;
+}
+
+// PUBLIC_INTERFACE
+/** Fresh seed for a new match. Only UI code should call this. */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,105 @@
+import { DEFAULT_MATCH_RULES, DRAW_RULES } from "./constants";
+
+/**
+ * Match rules: the allowed values for each rule, built-in presets and a
+ * compact query-string encoding so a link can carry a rule set
+ * (e.g. ?time=30&bo=1&dmg=1.5).
+ *
+ * Rules are a plain object shaped like DEFAULT_MATCH_RULES. normalizeRules()
+ * is the one gate for anything read from storage, files or URLs: unknown or
+ * out-of-range values fall back to the defaults.
+ */
+
+// Allowed values per rule, in display order
+export const RULE_CHOICES = Object.freeze({
+  roundTime: [30, 60, 99, null],
+  winRounds: [1, 2, 3, 4], // best of 1, 3, 5, 7
+  hp: [50, 75, 100, 150, 200],
+  damage: [0.5, 0.75, 1, 1.5, 2],
+  chip: [true, false],
+  turbo: [false, true],
+  drawRule: DRAW_RULES,
+  autoAdvance: [false, true],
+});
+
+export const RULE_PRESETS = Object.freeze({
+  Standard: DEFAULT_MATCH_RULES,
+  "Quick Match": { ...DEFAULT_MATCH_RULES, roundTime: 30, winRounds: 1, autoAdvance: true },
+  Marathon: { ...DEFAULT_MATCH_RULES, roundTime: 99, winRounds: 3, hp: 150 },
+  "Glass Cannon": { ...DEFAULT_MATCH_RULES, hp: 50, damage: 1.5 },
+  Turbo: { ...DEFAULT_MATCH_RULES, turbo: true, autoAdvance: true },
+  "No Chip, Sudden Death": { ...DEFAULT_MATCH_RULES, chip: false, drawRule: "suddenDeath" },
+});
+
+// Query-string keys; "inf" stands for an untimed round
+const QUERY_KEYS = {
+  roundTime: "time",
+  winRounds: "bo",
+  hp: "hp",
+  damage: "dmg",
+  chip: "chip",
+  turbo: "turbo",
+  drawRule: "draw",
+  autoAdvance: "auto",
+};
+
+// PUBLIC_INTERFACE
+/** N in "best of N" for a rule set (winRounds 2 is best of 3). */
+export function bestOf(rules) {
+  return rules.winRounds * 2 - 1;
+}
+
+// PUBLIC_INTERFACE
+/** Complete and validate a (partial) rule set; invalid values fall back to the defaults. */
+export function normalizeRules(rules = {}) {
+  const out = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_MATCH_RULES)) {
+    const value = rules?.[key];
+    out[key] = RULE_CHOICES[key].includes(value) ? value : fallback;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/** True when two rule sets are the same. */
+export function sameRules(a, b) {
+  return Object.keys(DEFAULT_MATCH_RULES).every((key) => a[key] === b[key]);
+}
+
+function encodeValue(key, value) {
+  if (value === null) return "inf";
+  if (typeof value === "boolean") return value ? "1" : "0";
+  return key === "winRounds" ? String(value * 2 - 1) : String(value);
+}
+
+function decodeValue(key, raw) {
+  if (raw === "inf") return null;
+  if (typeof DEFAULT_MATCH_RULES[key] === "boolean") return raw === "1";
+  if (key === "drawRule") return raw;
+  const n = Number(raw);
+  return key === "winRounds" ? (n + 1) / 2 : n;
+}
+
+// PUBLIC_INTERFACE
+/** Encode the rules that differ from the defaults as a query string (without "?"). */
+export function rulesToQuery(rules) {
+  const params = new URLSearchParams();
+  for (const [key, param] of Object.entries(QUERY_KEYS)) {
+    if (rules[key] !== DEFAULT_MATCH_RULES[key]) params.set(param, encodeValue(key, rules[key]));
+  }
+  return params.toString();
+}
+
+// PUBLIC_INTERFACE
+/** Read rules from a query string; returns null when it carries no rule parameters. */
+export function rulesFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const rules = {};
+  let found = false;
+  for (const [key, param] of Object.entries(QUERY_KEYS)) {
+    if (!params.has(param)) continue;
+    found = true;
+    rules[key] = decodeValue(key, params.get(param));
+  }
+  return found ? normalizeRules(rules) : null;
+}
@@ -0,0 +1,19 @@
+import { DEFAULT_MATCH_RULES, RULE_PRESETS, bestOf, normalizeRules, rulesFromQuery, rulesToQuery } from "./index";
+
+test("rules survive a trip through a query string", () => {
+  for (const rules of Object.values(RULE_PRESETS)) {
+    expect(rulesFromQuery(`?${rulesToQuery(rules)}&p=ignored`) || DEFAULT_MATCH_RULES).toEqual(rules);
+  }
+  const untimed = { ...DEFAULT_MATCH_RULES, roundTime: null, winRounds: 3 };
+  expect(rulesToQuery(untimed)).toBe("time=inf&bo=5");
+  expect(bestOf(untimed)).toBe(5);
+  expect(rulesFromQuery("?foo=1")).toBe(null);
+});
+
+test("unknown or out-of-range values fall back to the defaults", () => {
+  expect(normalizeRules({ hp: 5000, damage: "lots", chip: false, drawRule: "coinFlip" })).toEqual({
+    ...DEFAULT_MATCH_RULES,
+    chip: false,
+  });
+  expect(rulesFromQuery("?bo=2&time=45")).toEqual(DEFAULT_MATCH_RULES);
+});
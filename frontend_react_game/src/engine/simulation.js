@@ -0,0 +1,344 @@
+import { DEFAULT_CHARACTER } from "./characters";
+import {
+  ARENA_WIDTH,
+  INTRO_MS,
+  KO_MS,
+  KO_SLOWMO,
+  ROUND_RESULT_MS,
+  SUPER_FREEZE_MS,
+  TICK_RATE,
+  msToTicks,
+} from "./constants";
+import {
+  EMPTY_INPUT,
+  applyHazards,
+  controlFighter,
+  createFighter,
+  keepInView,
+  pushApart,
+  resolveFacing,
+  resolveHits,
+  resolveThrows,
+} from "./fighter";
+import {
+  advanceProjectiles,
+  clashProjectiles,
+  launchProjectiles,
+  markProjectiles,
+  projectileHits,
+} from "./projectiles";
+import { normalizeRules } from "./rules";
+import { DEFAULT_STAGE, getStage, resolveStage } from "./stages";
+
+/**
+ * Match simulation. State is a plain serializable object advanced one fixed
+ * tick at a time by step(); identical seeds and inputs give identical matches.
+ *
+ * Round flow is a state machine on state.phase:
+ *
+ *   intro -> fight -> ko -> roundOver -> intro (next round) ...
+ *                  \-----> roundOver / matchOver (time up)
+ *
+ *  - intro: "Round N" ... "Fight!"; nobody moves and the clock is stopped
+ *  - fight: the round proper
+ *  - ko: slow motion after a knockout or a sudden-death hit
+ *  - roundOver: the result is shown; moves on by itself when autoAdvance is
+ *    set, otherwise waits for a nextRound action
+ *  - matchOver: waits for a rematch
+ * A round is scored the moment it ends, so rounds and matchWinner are
+ * already final during ko and roundOver.
+ *
+ * state.rules holds the match rules (round time, rounds to win, health,
+ * damage, draws...; see ./rules) and never changes during a match; neither
+ * does state.stage, the id of the stage it is fought on (see ./stages).
+ *
+ * Projectiles in flight are in state.projectiles (see ./projectiles) and
+ * are cleared with each new round; state.clashes counts the pairs that
+ * cancelled each other out, lastClash ({ x, y }) the latest.
+ *
+ * Starting a super freezes the action (state.freeze) for a short cinematic:
+ * ticks still count but nobody moves and the round clock stops.
+ */
+
+const SUPER_FREEZE_TICKS = msToTicks(SUPER_FREEZE_MS);
+const INTRO_TICKS = msToTicks(INTRO_MS);
+const KO_TICKS = msToTicks(KO_MS);
+const ROUND_RESULT_TICKS = msToTicks(ROUND_RESULT_MS);
+
+// PUBLIC_INTERFACE
+/**
+ * Fresh fighters at their starting marks either side of the stage's centre,
+ * with health scaled by rules.hp; carry holds per-side values kept between
+ * rounds ({ rounds, meter }).
+ */
+export function spawnFighters(characters, carry = {}, rules = normalizeRules(), stageId = DEFAULT_STAGE) {
+  const { width, floorY } = getStage(stageId);
+  // Mirror matches put Player 2 in the alternate palette
+  const p2Palette = characters.p1 === characters.p2 ? "alt" : "primary";
+  const spawn = (f) => {
+    const hp = Math.round((f.maxHp * rules.hp) / 100);
+    return { ...f, hp, maxHp: hp };
+  };
+  return {
+    p1: { ...spawn(createFighter(width / 2 - ARENA_WIDTH / 4, 1, characters.p1, "primary", floorY)), ...carry.p1 },
+    p2: { ...spawn(createFighter(width / 2 + ARENA_WIDTH / 4, -1, characters.p2, p2Palette, floorY)), ...carry.p2 },
+  };
+}
+
+function startedSuper(f) {
+  return f.attackType === "super" && f.attackFrame === 1;
+}
+
+function roundTimer(roundTime) {
+  return roundTime === null ? null : roundTime * TICK_RATE;
+}
+
+// A hit that was not blocked landed on this fighter this tick
+function tookCleanHit(before, after) {
+  return after.hitsTaken > before.hitsTaken && !after.lastHitTaken.blocked;
+}
+
+// How and by whom the round was decided on this tick, or null while it goes on
+function roundResult(prev, next) {
+  const { p1, p2 } = next;
+  if (p1.hp <= 0 && p2.hp <= 0) return { finish: "doubleKo", winner: null };
+  if (p1.hp <= 0 || p2.hp <= 0) return { finish: "ko", winner: p1.hp <= 0 ? "Player 2" : "Player 1" };
+  if (prev.suddenDeath) {
+    const p1Landed = tookCleanHit(prev.p2, p2);
+    // Both landing on the same tick is a trade: play on
+    if (p1Landed !== tookCleanHit(prev.p1, p1)) {
+      return { finish: "firstHit", winner: p1Landed ? "Player 1" : "Player 2" };
+    }
+  }
+  if (next.timer === 0) {
+    return { finish: "time", winner: p1.hp === p2.hp ? null : p1.hp > p2.hp ? "Player 1" : "Player 2" };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Create the state for a fresh match; characters maps p1/p2 to roster ids,
+ * stage is a stage id or RANDOM_STAGE (picked from the seed) and rules is a
+ * (partial) rule set, completed from DEFAULT_MATCH_RULES. intro: false
+ * starts straight in the fight (training, tests).
+ */
+export function createMatch({ seed, characters = {}, stage = DEFAULT_STAGE, rules = {}, intro = true }) {
+  const picks = { p1: characters.p1 || DEFAULT_CHARACTER, p2: characters.p2 || DEFAULT_CHARACTER };
+  const stageId = resolveStage(stage, seed);
+  const matchRules = normalizeRules(rules);
+  return {
+    seed: seed >>> 0,
+    tick: 0,
+    round: 1,
+    characters: picks,
+    stage: stageId,
+    rules: matchRules,
+    timer: roundTimer(matchRules.roundTime), // ticks left in the round, null when untimed
+    ...spawnFighters(picks, {}, matchRules, stageId),
+    projectiles: [],
+    clashes: 0,
+    lastClash: null,
+    phase: intro ? "intro" : "fight",
+    phaseTicks: intro ? INTRO_TICKS : 0, // ticks left in a timed phase
+    suddenDeath: false, // this round ends on the first clean hit
+    roundWinner: null, // "Player 1" | "Player 2" | null (a draw)
+    finish: null, // how the round ended: "ko" | "doubleKo" | "time" | "firstHit"
+    nextSuddenDeath: false, // the drawn round is replayed as sudden death
+    matchWinner: null, // set once decided; a match drawn in sudden death ends with none
+    freeze: null, // { ticks, side } while a super's cinematic plays
+  };
+}
+
+// PUBLIC_INTERFACE
+/** True while the match sits on a result waiting for a nextRound or rematch action. */
+export function awaitsAction(state) {
+  return state.phase === "matchOver" || (state.phase === "roundOver" && !state.rules.autoAdvance);
+}
+
+function matchDecided(state) {
+  return state.matchWinner !== null || (state.suddenDeath && state.roundWinner === null);
+}
+
+// Score a finished round and pick the phase that shows it
+function endRound(state, { finish, winner }) {
+  const { p1, p2 } = state;
+  const { winRounds, drawRule } = state.rules;
+  let r1 = p1.rounds + (winner === "Player 1" ? 1 : 0);
+  let r2 = p2.rounds + (winner === "Player 2" ? 1 : 0);
+  let nextSuddenDeath = false;
+  // A drawn sudden-death round draws the match; otherwise apply the draw rule,
+  // going to sudden death anyway when a double point would crown both fighters
+  if (!winner && !state.suddenDeath) {
+    if (drawRule === "double" && (r1 + 1 < winRounds || r2 + 1 < winRounds)) {
+      r1 += 1;
+      r2 += 1;
+    } else {
+      nextSuddenDeath = true;
+    }
+  }
+
+  const scored = {
+    ...state,
+    p1: { ...p1, rounds: r1 },
+    p2: { ...p2, rounds: r2 },
+    roundWinner: winner,
+    finish,
+    nextSuddenDeath,
+    matchWinner: r1 >= winRounds ? "Player 1" : r2 >= winRounds ? "Player 2" : null,
+    freeze: null,
+  };
+  if (finish === "time") return toResult(scored);
+  return { ...scored, phase: "ko", phaseTicks: KO_TICKS };
+}
+
+function toResult(state) {
+  return matchDecided(state)
+    ? { ...state, phase: "matchOver", phaseTicks: 0 }
+    : { ...state, phase: "roundOver", phaseTicks: ROUND_RESULT_TICKS };
+}
+
+function fight(state, p1Input, p2Input, tick) {
+  if (state.freeze) {
+    const ticks = state.freeze.ticks - 1;
+    return { ...state, tick, freeze: ticks > 0 ? { ...state.freeze, ticks } : null };
+  }
+
+  const stage = getStage(state.stage);
+  let np1 = controlFighter(state.p1, p1Input, tick, state.rules, stage);
+  let np2 = controlFighter(state.p2, p2Input, tick, state.rules, stage);
+
+  // Face each other
+  [np1, np2] = resolveFacing(np1, np2);
+
+  // Apply hits both ways, then throws, then projectiles, then whatever the stage itself does
+  [np1, np2] = resolveHits(np1, np2, state.rules);
+  [np1, np2] = resolveThrows(np1, np2, state.rules);
+  const launched = launchProjectiles(advanceProjectiles(state.projectiles, stage), np1, np2, tick);
+  const clashed = clashProjectiles(launched);
+  const landed = projectileHits(clashed.projectiles, np1, np2, state.rules);
+  np1 = applyHazards(landed.p1, stage, tick, state.rules);
+  np2 = applyHazards(landed.p2, stage, tick, state.rules);
+
+  [np1, np2] = pushApart(np1, np2, stage);
+  [np1, np2] = keepInView(np1, np2, stage);
+  [np1, np2] = markProjectiles(landed.projectiles, np1, np2);
+
+  const timer = state.timer === null ? null : Math.max(0, state.timer - 1);
+  const next = {
+    ...state,
+    tick,
+    timer,
+    p1: np1,
+    p2: np2,
+    projectiles: landed.projectiles,
+    clashes: state.clashes + clashed.clashes.length,
+    lastClash: clashed.clashes.length > 0 ? clashed.clashes[clashed.clashes.length - 1] : state.lastClash,
+  };
+
+  const result = roundResult(state, next);
+  if (result) return endRound(next, result);
+
+  if (startedSuper(np1) || startedSuper(np2)) {
+    return { ...next, freeze: { ticks: SUPER_FREEZE_TICKS, side: startedSuper(np1) ? "p1" : "p2" } };
+  }
+  return next;
+}
+
+// Slow motion: the fighters play out their last moves without input; projectiles fly on harmlessly
+function knockout(state, tick) {
+  const phaseTicks = state.phaseTicks - 1;
+  let { p1, p2, projectiles } = state;
+  if (phaseTicks % KO_SLOWMO === 0) {
+    const stage = getStage(state.stage);
+    projectiles = advanceProjectiles(projectiles, stage);
+    [p1, p2] = resolveFacing(
+      controlFighter(p1, EMPTY_INPUT, tick, state.rules, stage),
+      controlFighter(p2, EMPTY_INPUT, tick, state.rules, stage)
+    );
+    [p1, p2] = pushApart(p1, p2, stage);
+    [p1, p2] = keepInView(p1, p2, stage);
+  }
+  const next = { ...state, tick, phaseTicks, p1, p2, projectiles };
+  return phaseTicks > 0 ? next : toResult(next);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Advance the match by one tick with both players' inputs. Input only
+ * matters while fighting; the other phases count down on their own.
+ */
+export function step(state, p1Input, p2Input) {
+  if (awaitsAction(state)) return state;
+  const tick = state.tick + 1;
+  switch (state.phase) {
+    case "intro": {
+      const phaseTicks = state.phaseTicks - 1;
+      return { ...state, tick, phaseTicks, phase: phaseTicks > 0 ? "intro" : "fight" };
+    }
+    case "ko":
+      return knockout(state, tick);
+    case "roundOver": {
+      // Only reached with rules.autoAdvance
+      const phaseTicks = state.phaseTicks - 1;
+      return phaseTicks > 0 ? { ...state, tick, phaseTicks } : nextRound({ ...state, tick });
+    }
+    default:
+      return fight(state, p1Input, p2Input, tick);
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Set up the next round after a round result; the score was already settled when the round ended. */
+export function nextRound(state) {
+  if (state.phase !== "roundOver") return state;
+  return {
+    ...state,
+    round: state.round + 1,
+    timer: roundTimer(state.rules.roundTime),
+    // Rounds and meter carry over between rounds
+    ...spawnFighters(
+      state.characters,
+      {
+        p1: { rounds: state.p1.rounds, meter: state.p1.meter },
+        p2: { rounds: state.p2.rounds, meter: state.p2.meter },
+      },
+      state.rules,
+      state.stage
+    ),
+    projectiles: [],
+    phase: "intro",
+    phaseTicks: INTRO_TICKS,
+    suddenDeath: state.nextSuddenDeath,
+    roundWinner: null,
+    finish: null,
+    nextSuddenDeath: false,
+    freeze: null,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The match as a reducer. Actions:
+ *  - { type: "tick", p1, p2 }: one tick with both players' inputs (see step)
+ *  - { type: "nextRound" }: leave a round result
+ *  - { type: "rematch", seed }: same fighters, stage and rules, fresh match
+ */
+export function matchReducer(state, action) {
+  switch (action.type) {
+    case "tick":
+      return step(state, action.p1, action.p2);
+    case "nextRound":
+      return nextRound(state);
+    case "rematch":
+      return createMatch({ seed: action.seed, characters: state.characters, stage: state.stage, rules: state.rules });
+    default:
+      return state;
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Whole seconds left on the round clock, for display; null for an untimed round. */
+export function secondsRemaining(state) {
+  return state.timer === null ? null : Math.ceil(state.timer / TICK_RATE);
+}
@@ -0,0 +1,233 @@
+import {
+  CHARACTERS,
+  EMPTY_INPUT,
+  METER_GAIN,
+  INTRO_MS,
+  KO_MS,
+  ROUND_RESULT_MS,
+  ROUND_TIME,
+  SUPER_COST,
+  TICK_RATE,
+  WIN_ROUNDS,
+  awaitsAction,
+  controlAI,
+  createAIState,
+  createMatch,
+  getFrameData,
+  matchReducer,
+  msToTicks,
+  normalizeRules,
+  nextRound,
+  runTicks,
+  step,
+} from "./index";
+
+function runAIMatch(seed, ticks) {
+  let state = createMatch({ seed, intro: false });
+  let ai1 = createAIState();
+  let ai2 = createAIState();
+  for (let i = 0; i < ticks && state.phase === "fight"; i++) {
+    const a = controlAI(state, "p1", "Hard", ai1);
+    const b = controlAI(state, "p2", "Normal", ai2);
+    [ai1, ai2] = [a.ai, b.ai];
+    state = step(state, a.input, b.input);
+  }
+  return state;
+}
+
+test("same seed and inputs produce the same fight", () => {
+  expect(runAIMatch(42, 900)).toEqual(runAIMatch(42, 900));
+});
+
+function closeRange(seed = 1) {
+  const state = createMatch({ seed, intro: false });
+  return { ...state, p2: { ...state.p2, x: state.p1.x + 70 } };
+}
+
+test("a light attack hits once per activation and causes hitstun", () => {
+  let state = step(closeRange(), { ...EMPTY_INPUT, light: true }, EMPTY_INPUT);
+  const { startup, active, damage, hitstun } = CHARACTERS.kai.moves.light;
+  for (let i = 1; i < startup; i++) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p2.hp).toBe(100);
+
+  state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p2.hp).toBe(100 - damage);
+  expect(state.p2.canAct).toBe(false);
+  expect(state.p2.stun).toBe(hitstun);
+
+  for (let i = 1; i < active; i++) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p2.hp).toBe(100 - damage);
+});
+
+test("a fighter in hitstun ignores input", () => {
+  let state = closeRange();
+  state = { ...state, p2: { ...state.p2, stun: 5, stunType: "hit", canAct: false } };
+  state = step(state, EMPTY_INPUT, { ...EMPTY_INPUT, light: true });
+  expect(state.p2.attacking).toBe(false);
+});
+
+test("frame advantage follows from the frame data", () => {
+  const light = CHARACTERS.kai.moves.light;
+  const { onHit, onBlock } = getFrameData(light);
+  expect(onHit).toBe(light.hitstun - (light.active - 1 + light.recovery));
+
+  // Land the hit, then count the ticks until each side can act again
+  let state = step(closeRange(), { ...EMPTY_INPUT, light: true }, EMPTY_INPUT);
+  while (state.p2.stun === 0) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  let attackerFree = null;
+  let defenderFree = null;
+  for (let t = 1; attackerFree === null || defenderFree === null; t++) {
+    state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+    if (attackerFree === null && !state.p1.attacking) attackerFree = t;
+    // canAct flips at the end of the last stun tick; the defender acts on the next one
+    if (defenderFree === null && state.p2.canAct) defenderFree = t + 1;
+  }
+  expect(defenderFree - attackerFree).toBe(onHit);
+  expect(onBlock).toBe(light.blockstun - (light.active - 1 + light.recovery));
+});
+
+test("time up awards the round to the healthier fighter", () => {
+  let state = createMatch({ seed: 1, intro: false });
+  state = { ...state, timer: 1, p2: { ...state.p2, hp: 40 } };
+  state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.phase).toBe("roundOver");
+  expect(state.roundWinner).toBe("Player 1");
+  expect(state.p1.rounds).toBe(1);
+  expect(awaitsAction(state)).toBe(true);
+
+  state = matchReducer(state, { type: "nextRound" });
+  expect(state.phase).toBe("intro");
+  expect(state.p1.rounds).toBe(1);
+  expect(state.timer).toBe(ROUND_TIME * TICK_RATE);
+});
+
+test("the intro holds everyone still, then the fight starts", () => {
+  let state = createMatch({ seed: 1 });
+  const { x } = state.p1;
+  const introTicks = msToTicks(INTRO_MS);
+  state = runTicks(state, introTicks - 1, () => ({ ...EMPTY_INPUT, right: true }));
+  expect(state.phase).toBe("intro");
+  expect(state.p1.x).toBe(x);
+  expect(state.timer).toBe(ROUND_TIME * TICK_RATE);
+  state = runTicks(state, 2, () => ({ ...EMPTY_INPUT, right: true }));
+  expect(state.phase).toBe("fight");
+  expect(state.p1.x).toBeGreaterThan(x);
+});
+
+test("a knockout plays out in slow motion before the result, which can advance by itself", () => {
+  let state = { ...closeRange(), rules: normalizeRules({ autoAdvance: true }) };
+  state = { ...state, p2: { ...state.p2, hp: 1 } };
+  state = step(state, { ...EMPTY_INPUT, light: true }, EMPTY_INPUT);
+  while (state.phase === "fight") state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.phase).toBe("ko");
+  expect(state.finish).toBe("ko");
+  expect(state.p1.rounds).toBe(1);
+
+  state = runTicks(state, msToTicks(KO_MS));
+  expect(state.phase).toBe("roundOver");
+  expect(awaitsAction(state)).toBe(false);
+  state = runTicks(state, msToTicks(ROUND_RESULT_MS));
+  expect(state.phase).toBe("intro");
+  expect(state.round).toBe(2);
+});
+
+function drawnRound(drawRule, rounds = 0) {
+  const state = createMatch({ seed: 1, rules: { drawRule }, intro: false });
+  const score = (f) => ({ ...f, rounds });
+  return step({ ...state, timer: 1, p1: score(state.p1), p2: score(state.p2) }, EMPTY_INPUT, EMPTY_INPUT);
+}
+
+test("a draw scores a point for both under the double rule", () => {
+  const state = drawnRound("double");
+  expect(state.roundWinner).toBe(null);
+  expect([state.p1.rounds, state.p2.rounds]).toEqual([1, 1]);
+  expect(state.phase).toBe("roundOver");
+
+  // A double point that would crown both goes to sudden death instead
+  const decider = drawnRound("double", WIN_ROUNDS - 1);
+  expect([decider.p1.rounds, decider.p2.rounds]).toEqual([WIN_ROUNDS - 1, WIN_ROUNDS - 1]);
+  expect(decider.matchWinner).toBe(null);
+  expect(nextRound(decider).suddenDeath).toBe(true);
+});
+
+test("sudden death ends on the first clean hit, and a drawn sudden death draws the match", () => {
+  let state = drawnRound("suddenDeath");
+  expect([state.p1.rounds, state.p2.rounds]).toEqual([0, 0]);
+  state = runTicks(nextRound(state), msToTicks(INTRO_MS));
+  expect(state.suddenDeath).toBe(true);
+
+  state = { ...state, p2: { ...state.p2, x: state.p1.x + 70 } };
+  state = step(state, { ...EMPTY_INPUT, light: true }, EMPTY_INPUT);
+  while (state.phase === "fight") state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.finish).toBe("firstHit");
+  expect(state.roundWinner).toBe("Player 1");
+  expect(state.p1.rounds).toBe(1);
+
+  const stalemate = step({ ...createMatch({ seed: 1, intro: false }), suddenDeath: true, timer: 1 }, EMPTY_INPUT, EMPTY_INPUT);
+  expect(stalemate.phase).toBe("matchOver");
+  expect(stalemate.matchWinner).toBe(null);
+});
+
+test("a rematch keeps fighters and rules", () => {
+  const rules = { drawRule: "suddenDeath" };
+  const state = createMatch({ seed: 1, characters: { p1: "brick", p2: "vela" }, rules });
+  const again = matchReducer({ ...state, phase: "matchOver" }, { type: "rematch", seed: 2 });
+  expect(again).toEqual(createMatch({ seed: 2, characters: state.characters, rules }));
+});
+
+test("match rules scale health and damage, and can turn chip damage off", () => {
+  const rules = { hp: 150, damage: 2, chip: false };
+  let state = createMatch({ seed: 1, characters: { p1: "kai", p2: "brick" }, rules, intro: false });
+  expect(state.p2.maxHp).toBe(180);
+  state = { ...state, p2: { ...state.p2, x: state.p1.x + 70 } };
+  state = step(state, { ...EMPTY_INPUT, light: true }, EMPTY_INPUT);
+  while (!state.p1.attackHit) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p2.hp).toBe(180 - CHARACTERS.kai.moves.light.damage * 2);
+
+  const guard = { ...EMPTY_INPUT, right: true }; // p2 holds back
+  let blocked = createMatch({ seed: 1, rules, intro: false });
+  blocked = { ...blocked, p2: { ...blocked.p2, x: blocked.p1.x + 70 } };
+  blocked = step(blocked, { ...EMPTY_INPUT, light: true }, guard);
+  for (let i = 0; i < 20 && !blocked.p1.attackHit; i++) blocked = step(blocked, EMPTY_INPUT, guard);
+  expect(blocked.p2.lastHitTaken.blocked).toBe(true);
+  expect(blocked.p2.hp).toBe(blocked.p2.maxHp);
+});
+
+test("turbo moves faster", () => {
+  const walk = (rules) => {
+    let state = createMatch({ seed: 1, rules, intro: false });
+    for (let i = 0; i < 30; i++) state = step(state, { ...EMPTY_INPUT, right: true }, EMPTY_INPUT);
+    return state.p1.x;
+  };
+  expect(walk({ turbo: true })).toBeGreaterThan(walk({}));
+});
+
+test("characters bring their own stats and mirror matches use the alt palette", () => {
+  const mixed = createMatch({ seed: 1, characters: { p1: "brick", p2: "vela" } });
+  expect(mixed.p1.maxHp).toBe(120);
+  expect(mixed.p2.maxHp).toBe(85);
+  expect(mixed.p2.palette).toBe("primary");
+
+  const mirror = createMatch({ seed: 1, characters: { p1: "vela", p2: "vela" } });
+  expect(mirror.p1.palette).toBe("primary");
+  expect(mirror.p2.palette).toBe("alt");
+});
+
+test("hits build meter and a super freezes the action before it lands", () => {
+  let state = step(closeRange(), { ...EMPTY_INPUT, light: true }, EMPTY_INPUT);
+  while (!state.p1.attackHit) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  const { damage } = CHARACTERS.kai.moves.light;
+  expect(state.p1.meter).toBe(damage * METER_GAIN.deal);
+  expect(state.p2.meter).toBe(damage * METER_GAIN.take);
+
+  // Full screen: the super reaches from across the arena
+  state = { ...createMatch({ seed: 1, intro: false }), p1: { ...state.p1, meter: SUPER_COST } };
+  state = step(state, { ...EMPTY_INPUT, heavy: true, special: true }, EMPTY_INPUT);
+  expect(state.p1.meter).toBe(0);
+  expect(state.freeze.side).toBe("p1");
+  const { timer } = state;
+  while (state.freeze) state = step(state, EMPTY_INPUT, { ...EMPTY_INPUT, right: true });
+  expect(state.timer).toBe(timer);
+  while (state.p1.attacking && !state.p1.attackHit) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p2.hp).toBe(100 - CHARACTERS.kai.moves.super.damage);
+});
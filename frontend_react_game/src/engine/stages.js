@@ -0,0 +1,134 @@
+import { ARENA_WIDTH } from "./constants";
+import { createRng, deriveSeed } from "./rng";
+
+/**
+ * Stages. Like the roster (./characters), everything that sets one stage
+ * apart from another is data here; the engine and the renderers only read it.
+ *
+ * Stage fields:
+ *  - width: playfield width in px. Every stage is wider than the ARENA_WIDTH
+ *    viewport; the camera (cameraX) follows the fighters across it
+ *  - floorY: y of the floor the fighters stand on
+ *  - walls: { bounce, damage }. A fighter knocked into a wall in hitstun
+ *    rebounds at `bounce` times its speed (0: it just stops) and takes `damage`
+ *  - hazards: floor zones that erupt on a cycle, { x, width, damage, period,
+ *    active, hitstun, launch }: active for the last `active` ticks of every
+ *    `period`, hurting a grounded fighter over them and throwing it up with
+ *    `launch` speed, at most once per eruption
+ *  - floor: { color, stripe } for the ground
+ *  - layers: the backdrop, far to near. Each is { kind, parallax, ... } where
+ *    kind is "sky", "clouds", "hills" or "buildings" and parallax is how fast
+ *    it scrolls with the camera (0 stays put, 1 moves with the fighters)
+ */
+
+export const STAGES = {
+  dojo: {
+    id: "dojo",
+    name: "Dojo",
+    description: "Open training hall with solid walls. No surprises.",
+    width: 1280,
+    floorY: 320,
+    walls: { bounce: 0, damage: 0 },
+    hazards: [],
+    floor: { color: "#dbeafe", stripe: "rgba(37, 99, 235, 0.06)" },
+    layers: [
+      { kind: "sky", parallax: 0, from: "#eff6ff", to: "#bfdbfe" },
+      { kind: "clouds", parallax: 0.1, color: "rgba(255, 255, 255, 0.55)", seed: 1 },
+      { kind: "hills", parallax: 0.3, color: "#93c5fd", height: 70 },
+      { kind: "hills", parallax: 0.6, color: "#60a5fa", height: 40 },
+    ],
+  },
+  harbor: {
+    id: "harbor",
+    name: "Harbor",
+    description: "A long pier at dusk. Crates at either end bounce fighters back into the fight.",
+    width: 1600,
+    floorY: 330,
+    walls: { bounce: 0.7, damage: 0 },
+    hazards: [],
+    floor: { color: "#d6c4a8", stripe: "rgba(120, 83, 42, 0.12)" },
+    layers: [
+      { kind: "sky", parallax: 0, from: "#fed7aa", to: "#f9a8d4" },
+      { kind: "clouds", parallax: 0.15, color: "rgba(255, 247, 237, 0.6)", seed: 2 },
+      { kind: "buildings", parallax: 0.35, color: "#9d6b8f", height: 90, seed: 3 },
+      { kind: "hills", parallax: 0.7, color: "#7c5a7a", height: 18 },
+    ],
+  },
+  foundry: {
+    id: "foundry",
+    name: "Foundry",
+    description: "Steam vents near the walls erupt every few seconds. Don't get cornered.",
+    width: 1440,
+    floorY: 310,
+    walls: { bounce: 0, damage: 0 },
+    hazards: [
+      { x: 200, width: 130, damage: 8, period: 300, active: 40, hitstun: 24, launch: 9 },
+      { x: 1110, width: 130, damage: 8, period: 300, active: 40, hitstun: 24, launch: 9 },
+    ],
+    floor: { color: "#a8a29e", stripe: "rgba(41, 37, 36, 0.12)" },
+    layers: [
+      { kind: "sky", parallax: 0, from: "#e7e5e4", to: "#a8a29e" },
+      { kind: "buildings", parallax: 0.25, color: "#78716c", height: 150, seed: 4 },
+      { kind: "buildings", parallax: 0.55, color: "#57534e", height: 80, seed: 5 },
+    ],
+  },
+  rooftop: {
+    id: "rooftop",
+    name: "Rooftop",
+    description: "Fenced in by live wires: a fighter slammed into them gets shocked and thrown back.",
+    width: 1360,
+    floorY: 300,
+    walls: { bounce: 0.9, damage: 6 },
+    hazards: [],
+    floor: { color: "#cbd5e1", stripe: "rgba(30, 41, 59, 0.1)" },
+    layers: [
+      { kind: "sky", parallax: 0, from: "#1e3a8a", to: "#6366f1" },
+      { kind: "buildings", parallax: 0.2, color: "#312e81", height: 200, seed: 6 },
+      { kind: "buildings", parallax: 0.45, color: "#1e1b4b", height: 120, seed: 7 },
+    ],
+  },
+};
+
+export const STAGE_IDS = Object.keys(STAGES);
+export const DEFAULT_STAGE = "dojo";
+// A stage choice that lets the match seed pick
+export const RANDOM_STAGE = "random";
+const RANDOM_STAGE_SALT = 0x57a9e;
+
+// Ticks before an eruption during which a hazard glows as a warning
+export const HAZARD_WARNING_TICKS = 45;
+
+// PUBLIC_INTERFACE
+/** Look up a stage definition, falling back to the default for unknown ids. */
+export function getStage(id) {
+  return STAGES[id] || STAGES[DEFAULT_STAGE];
+}
+
+// PUBLIC_INTERFACE
+/** The stage id a choice (a stage id or RANDOM_STAGE) comes to for a match seed. */
+export function resolveStage(choice, seed) {
+  if (choice !== RANDOM_STAGE) return getStage(choice).id;
+  const roll = createRng(deriveSeed(seed, RANDOM_STAGE_SALT))();
+  return STAGE_IDS[Math.floor(roll * STAGE_IDS.length)];
+}
+
+// PUBLIC_INTERFACE
+/** "idle" | "warning" | "active" for a hazard at a tick; eruptions line up on state.tick. */
+export function hazardPhase(hazard, tick) {
+  const t = tick % hazard.period;
+  if (t >= hazard.period - hazard.active) return "active";
+  if (t >= hazard.period - hazard.active - HAZARD_WARNING_TICKS) return "warning";
+  return "idle";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Left edge of the viewport on the stage: centred on the midpoint of the
+ * two fighters and stopped at the stage ends. The engine never lets the
+ * fighters get further apart than MAX_SEPARATION, so both stay in frame.
+ */
+export function cameraX(state) {
+  const { width } = getStage(state.stage);
+  const mid = (state.p1.x + state.p2.x) / 2;
+  return Math.max(0, Math.min(width - ARENA_WIDTH, mid - ARENA_WIDTH / 2));
+}
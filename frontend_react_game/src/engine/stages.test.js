@@ -0,0 +1,100 @@
+import {
+  ARENA_WIDTH,
+  EMPTY_INPUT,
+  MAX_SEPARATION,
+  RANDOM_STAGE,
+  STAGE_IDS,
+  WALL_MARGIN,
+  cameraX,
+  createMatch,
+  getStage,
+  matchReducer,
+  step,
+} from "./index";
+
+const LEFT = { ...EMPTY_INPUT, left: true };
+const RIGHT = { ...EMPTY_INPUT, right: true };
+
+function inFrame(state, f) {
+  const left = cameraX(state);
+  return f.x - f.width / 2 >= left && f.x + f.width / 2 <= left + ARENA_WIDTH;
+}
+
+test("fighters start on each stage's floor and the camera keeps both in frame as they back off", () => {
+  for (const id of STAGE_IDS) {
+    const stage = getStage(id);
+    let state = createMatch({ seed: 1, stage: id, intro: false });
+    expect(state.p1.y).toBe(stage.floorY);
+    expect(state.p1.x + state.p2.x).toBe(stage.width);
+    expect(stage.width).toBeGreaterThan(ARENA_WIDTH);
+
+    for (let i = 0; i < 400; i++) {
+      state = step(state, LEFT, RIGHT);
+      expect(state.p2.x - state.p1.x).toBeLessThanOrEqual(MAX_SEPARATION + 1e-9);
+      expect(inFrame(state, state.p1) && inFrame(state, state.p2)).toBe(true);
+    }
+    expect(matchReducer(state, { type: "rematch", seed: 2 }).stage).toBe(id);
+  }
+});
+
+// Player 2 knocked towards the right wall, one step from hitting it
+function intoWall(stageId) {
+  const state = createMatch({ seed: 1, stage: stageId, intro: false });
+  const x = getStage(stageId).width - WALL_MARGIN - 1;
+  return step(
+    {
+      ...state,
+      p1: { ...state.p1, x: x - 200 },
+      p2: { ...state.p2, x, vx: 6, stun: 10, stunType: "hit", canAct: false },
+    },
+    EMPTY_INPUT,
+    EMPTY_INPUT
+  );
+}
+
+test("walls stop fighters, bounce them back or shock them, by stage", () => {
+  const dojo = intoWall("dojo").p2;
+  expect(dojo.vx).toBeGreaterThan(0);
+  expect(dojo.stageHits).toBe(0);
+
+  const harbor = intoWall("harbor").p2;
+  expect(harbor.vx).toBeLessThan(0);
+  expect(harbor.hp).toBe(harbor.maxHp);
+
+  const rooftop = intoWall("rooftop").p2;
+  expect(rooftop.vx).toBeLessThan(0);
+  expect(rooftop.stageHits).toBe(1);
+  expect(rooftop.hp).toBe(rooftop.maxHp - rooftop.lastStageHit.damage);
+});
+
+test("a hazard hurts and launches a fighter standing on it once per eruption", () => {
+  const vent = getStage("foundry").hazards[0];
+  let state = createMatch({ seed: 1, stage: "foundry", intro: false });
+  const x = vent.x + vent.width / 2;
+  // The tick before the first eruption
+  state = {
+    ...state,
+    tick: vent.period - vent.active - 1,
+    p1: { ...state.p1, x },
+    p2: { ...state.p2, x: x + 300 },
+  };
+
+  state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p1.stageHits).toBe(1);
+  expect(state.p1.hp).toBe(state.p1.maxHp - vent.damage);
+  expect(state.p1.vy).toBeLessThan(0);
+  expect(state.p2.stageHits).toBe(0);
+
+  for (let i = 1; i < vent.active; i++) state = step(state, EMPTY_INPUT, EMPTY_INPUT);
+  expect(state.p1.stageHits).toBe(1);
+});
+
+test("a random stage comes from the match seed", () => {
+  const picked = new Set();
+  for (let seed = 1; seed <= 40; seed++) {
+    const stage = createMatch({ seed, stage: RANDOM_STAGE }).stage;
+    expect(createMatch({ seed, stage: RANDOM_STAGE }).stage).toBe(stage);
+    picked.add(stage);
+  }
+  expect([...picked].sort()).toEqual([...STAGE_IDS].sort());
+});
@@ -0,0 +1,121 @@
+import { getMove } from "./fighter";
+import { secondsRemaining } from "./simulation";
+
+/**
+ * Match statistics derived by comparing consecutive match states (each
+ * fighter counts the attacks that connected on it), so they work for any
+ * driver of step(): live play, training, headless runs, replays.
+ */
+
+export const ATTACK_TYPES = [
+  "light",
+  "heavy",
+  "crouchLight",
+  "crouchHeavy",
+  "airLight",
+  "airHeavy",
+  "throw",
+  "special",
+  "ex",
+  "super",
+];
+
+// Attack types that count as specials in the match stats
+const SPECIAL_TYPES = ["special", "ex", "super"];
+
+function hitOn(prev, next, side) {
+  if (next[side].hitsTaken === prev[side].hitsTaken) return null;
+  return { by: side === "p1" ? "p2" : "p1", ...next[side].lastHitTaken };
+}
+
+// PUBLIC_INTERFACE
+/** Hits that connected on the tick between prev and next: [{ by, type, damage, blocked, advantage, projectile }]. */
+export function landedHits(prev, next) {
+  return [hitOn(prev, next, "p2"), hitOn(prev, next, "p1")].filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+/** Empty per-side damage table keyed by attack type. */
+export function emptyDamage() {
+  return Object.fromEntries(ATTACK_TYPES.map((type) => [type, 0]));
+}
+
+function emptySide() {
+  return {
+    damage: emptyDamage(), // dealt, by attack type (blocked chip included)
+    attacks: 0, // attacks started
+    hits: 0, // attacks that connected and were not blocked
+    blocked: 0, // attacks the opponent blocked
+    whiffs: 0, // attacks that ran their course without connecting
+    blocks: 0, // opponent's attacks this side blocked
+    specials: 0, // specials, EX specials and supers started
+    longestCombo: 0, // most hits in one combo dealt
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Empty match statistics: per side totals plus one entry per finished round,
+ * { winner, finish, ticks, timeLeft } where ticks counts the fight only and
+ * timeLeft is the clock in seconds when the round ended (null when untimed).
+ */
+export function createMatchStats() {
+  return { p1: emptySide(), p2: emptySide(), rounds: [], fightTicks: 0 };
+}
+
+// An attack that ended between prev and next without ever connecting; being hit out of it is not a whiff.
+// A projectile move leaves the connecting to its projectile, so it never whiffs.
+function whiffed(before, after) {
+  if (!before.attacking || before.attackHit || getMove(before, before.attackType).projectile) return false;
+  if (after.attacking && after.attackFrame !== 1) return false;
+  return !(after.hitsTaken > before.hitsTaken && !after.lastHitTaken.blocked);
+}
+
+function recordSide(side, prev, next, stats) {
+  const before = prev[side];
+  const after = next[side];
+  const foe = side === "p1" ? "p2" : "p1";
+  const s = { ...stats[side], damage: { ...stats[side].damage } };
+  if (after.attacking && after.attackFrame === 1) {
+    s.attacks += 1;
+    if (SPECIAL_TYPES.includes(after.attackType)) s.specials += 1;
+  }
+  if (whiffed(before, after)) s.whiffs += 1;
+  const combo = next[foe].combo;
+  if (combo && combo.hits > s.longestCombo) s.longestCombo = combo.hits;
+  return s;
+}
+
+// PUBLIC_INTERFACE
+/** Fold the tick between two consecutive match states into the stats; returns new stats. */
+export function recordStats(stats, prev, next) {
+  // Round changes respawn the fighters: nothing happened between those states
+  if (next.round !== prev.round) return stats;
+  const out = { ...stats, p1: recordSide("p1", prev, next, stats), p2: recordSide("p2", prev, next, stats) };
+  for (const hit of landedHits(prev, next)) {
+    const by = out[hit.by];
+    by.damage[hit.type] += hit.damage;
+    if (hit.blocked) {
+      by.blocked += 1;
+      out[hit.by === "p1" ? "p2" : "p1"].blocks += 1;
+    } else {
+      by.hits += 1;
+    }
+  }
+  if (prev.phase === "fight") out.fightTicks = stats.fightTicks + 1;
+  // The round is scored the tick it ends
+  if (prev.phase === "fight" && next.phase !== "fight") {
+    out.rounds = [
+      ...stats.rounds,
+      { winner: next.roundWinner, finish: next.finish, ticks: out.fightTicks, timeLeft: secondsRemaining(next) },
+    ];
+    out.fightTicks = 0;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/** Share of started attacks that connected (hit or blocked), 0..1. */
+export function accuracy(side) {
+  return side.attacks > 0 ? (side.hits + side.blocked) / side.attacks : 0;
+}
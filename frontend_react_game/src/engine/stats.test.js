@@ -0,0 +1,42 @@
+import { CHARACTERS, EMPTY_INPUT, createMatch, createMatchStats, getFrameData, recordStats, step } from "./index";
+
+const LIGHT = { ...EMPTY_INPUT, light: true };
+const BLOCK = { ...EMPTY_INPUT, right: true }; // back, for p2
+
+// Step the match for a number of ticks, folding each into the stats
+function play(state, stats, ticks, p1Input = EMPTY_INPUT, p2Input = EMPTY_INPUT) {
+  for (let i = 0; i < ticks; i++) {
+    const next = step(state, i === 0 ? p1Input : EMPTY_INPUT, p2Input);
+    stats = recordStats(stats, state, next);
+    state = next;
+  }
+  return { state, stats };
+}
+
+test("attacks are counted as hits, blocks or whiffs with damage by type", () => {
+  const light = CHARACTERS.kai.moves.light;
+  const { total } = getFrameData(light);
+  const start = createMatch({ seed: 1, intro: false });
+
+  // Out of range: the attack whiffs
+  let { stats } = play(start, createMatchStats(), total + 1, LIGHT);
+  expect(stats.p1).toMatchObject({ attacks: 1, hits: 0, whiffs: 1 });
+
+  // Up close it lands, and again into a guard
+  const close = { ...start, p2: { ...start.p2, x: start.p1.x + 70 } };
+  let state;
+  ({ state, stats } = play(close, createMatchStats(), total + 1, LIGHT));
+  expect(stats.p1).toMatchObject({ attacks: 1, hits: 1, whiffs: 0, longestCombo: 1 });
+  expect(stats.p1.damage.light).toBe(light.damage);
+
+  state = { ...state, p1: { ...state.p1, cooldowns: { ...state.p1.cooldowns, light: 0 } } };
+  ({ stats } = play(state, stats, total + 1, LIGHT, BLOCK));
+  expect(stats.p1).toMatchObject({ attacks: 2, hits: 1, blocked: 1 });
+  expect(stats.p2.blocks).toBe(1);
+});
+
+test("each finished round records how it ended and the time left", () => {
+  const start = createMatch({ seed: 1, intro: false });
+  const { stats } = play({ ...start, timer: 30 }, createMatchStats(), 31);
+  expect(stats.rounds).toEqual([{ winner: null, finish: "time", ticks: 30, timeLeft: 0 }]);
+});
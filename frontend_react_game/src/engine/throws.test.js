@@ -0,0 +1,105 @@
+import { CHARACTERS, CROUCH_HEIGHT, EMPTY_INPUT, createMatch, getHurtbox, runTicks, step } from "./index";
+
+const THROW = { ...EMPTY_INPUT, light: true, heavy: true };
+const BACK = { ...EMPTY_INPUT, right: true }; // Player 2 faces left
+const CROUCH_BLOCK = { ...BACK, down: true };
+const kai = CHARACTERS.kai.moves;
+
+// Kai vs Kai with Player 2 `gap` px to the right, optionally changing Player 1
+function close(gap, p1 = {}) {
+  const state = createMatch({ seed: 1, intro: false });
+  return { ...state, p1: { ...state.p1, ...p1 }, p2: { ...state.p2, x: state.p1.x + gap } };
+}
+
+const once = (input) => (t) => (t === 0 ? input : EMPTY_INPUT);
+
+// Run until Player 2 is grabbed; returns that state
+function grabbed(state, p2 = () => BACK) {
+  let s = state;
+  for (let t = 0; t < 20 && !s.p2.thrown; t++) s = step(s, t === 0 ? THROW : EMPTY_INPUT, p2(t, s));
+  return s;
+}
+
+test("a throw grabs through a block and lands once the tech window passes", () => {
+  let state = grabbed(close(60));
+  expect(state.p1.attackType).toBe("throw");
+  expect(state.p2.thrown).not.toBeNull();
+  expect(state.p2.canAct).toBe(false);
+
+  state = runTicks(state, 30, undefined, () => BACK);
+  expect(state.p2.hitsTaken).toBe(1);
+  expect(state.p2.lastHitTaken).toMatchObject({ type: "throw", blocked: false, damage: kai.throw.damage });
+  expect(state.p2.thrown).toBeNull();
+  expect(state.p1.meter).toBeGreaterThan(0);
+});
+
+test("pressing throw while grabbed techs it and pushes both fighters apart", () => {
+  let state = grabbed(close(60));
+  state = runTicks(state, 2, undefined, once(THROW));
+  expect(state.p2.throwTechs).toBe(1);
+  expect(state.p2.thrown).toBeNull();
+  expect(state.p1.attacking).toBe(false);
+  expect(state.p1.vx).toBeLessThan(0);
+  expect(state.p2.vx).toBeGreaterThan(0);
+
+  state = runTicks(state, 30);
+  expect(state.p2.hitsTaken).toBe(0);
+  expect(state.p2.hp).toBe(state.p2.maxHp);
+});
+
+test("Light and Heavy pressed a tick or two apart still throw instead of a light attack", () => {
+  const LIGHT = { ...EMPTY_INPUT, light: true };
+  for (const gap of [1, 2]) {
+    const staggered = (t) => (t < gap ? LIGHT : t === gap ? THROW : EMPTY_INPUT);
+    const state = runTicks(close(60), 40, staggered);
+    expect(state.p2.hitsTaken).toBe(1);
+    expect(state.p2.lastHitTaken).toMatchObject({ type: "throw", damage: kai.throw.damage });
+  }
+});
+
+test("throws only reach up close, and two at once tech each other", () => {
+  const whiff = runTicks(close(110), 40, once(THROW));
+  expect(whiff.p2.thrown).toBeNull();
+  expect(whiff.p2.hitsTaken).toBe(0);
+
+  const both = runTicks(close(60), 10, once(THROW), once(THROW));
+  expect(both.p1.throwTechs).toBe(1);
+  expect(both.p2.throwTechs).toBe(1);
+  expect(both.p1.hitsTaken + both.p2.hitsTaken).toBe(0);
+});
+
+test("crouching shrinks the hurtbox, stops walking and turns normals into lows", () => {
+  let state = runTicks(close(300), 5, () => ({ ...EMPTY_INPUT, down: true, right: true }));
+  expect(state.p1.crouching).toBe(true);
+  expect(state.p1.vx).toBe(0);
+  expect(getHurtbox(state.p1).height).toBeCloseTo(state.p1.height * CROUCH_HEIGHT);
+
+  state = runTicks(state, 1, () => ({ ...EMPTY_INPUT, down: true, light: true }));
+  expect(state.p1.attackType).toBe("crouchLight");
+});
+
+test("lows must be blocked crouching", () => {
+  const low = once({ ...EMPTY_INPUT, down: true, light: true });
+  const ticks = kai.crouchLight.startup + 2;
+  expect(runTicks(close(60), ticks, low, () => BACK).p2.lastHitTaken).toMatchObject({
+    type: "crouchLight",
+    blocked: false,
+  });
+  expect(runTicks(close(60), ticks, low, () => CROUCH_BLOCK).p2.lastHitTaken).toMatchObject({ blocked: true });
+});
+
+test("air attacks come out of a jump, must be blocked standing and end on landing", () => {
+  const floorY = createMatch({ seed: 1 }).p1.y;
+  const airborne = close(60, { y: floorY - 100, vy: 0, onGround: false });
+  const heavy = once({ ...EMPTY_INPUT, heavy: true });
+  const ticks = kai.airHeavy.startup + kai.airHeavy.active;
+
+  const standing = runTicks(airborne, ticks, heavy, () => BACK);
+  expect(standing.p2.lastHitTaken).toMatchObject({ type: "airHeavy", blocked: true });
+  const crouching = runTicks(airborne, ticks, heavy, () => CROUCH_BLOCK);
+  expect(crouching.p2.lastHitTaken).toMatchObject({ type: "airHeavy", blocked: false });
+
+  const whiff = runTicks(close(300, { y: floorY - 100, vy: 0, onGround: false }), 30, heavy);
+  expect(whiff.p1.onGround).toBe(true);
+  expect(whiff.p1.attacking).toBe(false);
+});
@@ -0,0 +1,251 @@
+import { ROSTER } from "./characters";
+
+/**
+ * Local tournaments: single or double elimination brackets for 2 to 16
+ * players, with CPU fill-ins making up the rest of the bracket.
+ *
+ * A tournament is plain JSON so it can be stored and exported as is. Players
+ * are numbered by seed (1 is the top seed) and the bracket is a list of
+ * matches whose two sides come either from a seed or from an earlier match
+ * ("the winner of W1-2", "the loser of W2-1"). Only the winners are stored,
+ * in `results`; who plays whom and who is champion are worked out from them.
+ *
+ * Double elimination drops each winners bracket loser into the losers
+ * bracket and ends in a grand final between the two brackets' winners. If
+ * the losers bracket winner takes it, both have lost once and a grand final
+ * reset decides the tournament.
+ */
+
+export const TOURNAMENT_FORMAT = "fighting-arena-tournament";
+export const TOURNAMENT_VERSION = 1;
+export const TOURNAMENT_MAX_PLAYERS = 16;
+export const TOURNAMENT_SIZES = [2, 4, 8, 16];
+export const ELIMINATION_FORMATS = { single: "Single elimination", double: "Double elimination" };
+
+// PUBLIC_INTERFACE
+/** Smallest bracket that fits `players`: the next power of two, at least 2. */
+export function bracketSize(players) {
+  return TOURNAMENT_SIZES.find((size) => size >= players) || TOURNAMENT_MAX_PLAYERS;
+}
+
+// Seeds in bracket order, so that 1 and 2 can only meet in the final: [1, 4, 2, 3] for 4
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const count = order.length * 2;
+    order = order.flatMap((seed) => [seed, count + 1 - seed]);
+  }
+  return order;
+}
+
+// A round of `count` matches whose sides come from sourcesOf(i)
+function addRound(matches, bracket, round, count, sourcesOf) {
+  const prefix = { winners: "W", losers: "L" }[bracket];
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const id = `${prefix}${round}-${i + 1}`;
+    matches.push({ id, bracket, round, sources: sourcesOf(i) });
+    ids.push(id);
+  }
+  return ids;
+}
+
+// Every match of the bracket, in the order they can be played
+function buildMatches(size, format) {
+  const rounds = Math.log2(size);
+  const matches = [];
+  const order = seedOrder(size);
+  const pairs = (ids, take) => (i) => [{ [take]: ids[2 * i] }, { [take]: ids[2 * i + 1] }];
+  const double = format === "double" && rounds > 1;
+
+  let winners = addRound(matches, "winners", 1, size / 2, (i) => [{ seed: order[2 * i] }, { seed: order[2 * i + 1] }]);
+  const firstWinners = winners;
+  let losers = double ? addRound(matches, "losers", 1, size / 4, pairs(winners, "loser")) : null;
+  for (let round = 2; round <= rounds; round++) {
+    const previous = winners;
+    winners = addRound(matches, "winners", round, size / 2 ** round, pairs(previous, "winner"));
+    if (!double) continue;
+    // Losers dropping in meet the survivors; the order flips every other round to avoid early rematches
+    const drops = round % 2 === 0 ? [...winners].reverse() : winners;
+    const survivors = losers;
+    losers = addRound(matches, "losers", 2 * round - 2, drops.length, (i) => [
+      { winner: survivors[i] },
+      { loser: drops[i] },
+    ]);
+    if (round < rounds) losers = addRound(matches, "losers", 2 * round - 1, losers.length / 2, pairs(losers, "winner"));
+  }
+
+  if (format === "double") {
+    const final = [{ winner: winners[0] }, losers ? { winner: losers[0] } : { loser: firstWinners[0] }];
+    matches.push({ id: "GF1", bracket: "grand", round: 1, sources: final });
+    matches.push({ id: "GF2", bracket: "grand", round: 2, sources: final, ifNeeded: true });
+  }
+  return matches;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * New tournament. entrants are the people playing, [{ name, character }] in
+ * seed order; CPUs at cpuLevel (a DIFFICULTY name) fill the bracket up to
+ * size (default: the smallest bracket that fits everyone). format is
+ * "single" or "double". Throws on names that are missing or used twice and
+ * on brackets too small or too big.
+ */
+export function createTournament({ name = "Tournament", entrants, size, format = "single", cpuLevel = "Normal", createdAt = null }) {
+  const names = entrants.map((e) => String(e.name || "").trim());
+  if (names.some((n) => !n)) throw new Error("Every player needs a name.");
+  const taken = new Set();
+  for (const n of names) {
+    if (taken.has(n.toLowerCase())) throw new Error(`${n} is entered twice.`);
+    taken.add(n.toLowerCase());
+  }
+  if (entrants.length > TOURNAMENT_MAX_PLAYERS) throw new Error(`At most ${TOURNAMENT_MAX_PLAYERS} players can enter.`);
+  const slots = size || bracketSize(entrants.length);
+  if (!TOURNAMENT_SIZES.includes(slots)) throw new Error(`Brackets hold ${TOURNAMENT_SIZES.join(", ")} players.`);
+  if (slots < entrants.length) throw new Error(`${entrants.length} players do not fit a bracket of ${slots}.`);
+  if (!ELIMINATION_FORMATS[format]) throw new Error(`Unknown format ${format}.`);
+
+  const people = entrants.map((e, i) => ({ seed: i + 1, name: names[i], character: e.character || ROSTER[0], cpu: false }));
+  const cpus = Array.from({ length: slots - people.length }, (_, i) => {
+    // Skip CPU names a person already uses
+    let n = i + 1;
+    while (taken.has(`cpu ${n}`)) n += 1;
+    taken.add(`cpu ${n}`);
+    return { seed: people.length + i + 1, name: `CPU ${n}`, character: ROSTER[i % ROSTER.length], cpu: true };
+  });
+
+  return {
+    name: String(name).trim() || "Tournament",
+    format,
+    cpuLevel,
+    createdAt,
+    players: [...people, ...cpus],
+    matches: buildMatches(slots, format),
+    results: {},
+  };
+}
+
+function findMatch(tournament, matchId) {
+  const match = tournament.matches.find((m) => m.id === matchId);
+  if (!match) throw new Error(`No match ${matchId} in this tournament.`);
+  return match;
+}
+
+function resolveSource(tournament, source) {
+  if (source.seed) return source.seed;
+  const from = source.winner || source.loser;
+  const winner = tournament.results[from];
+  if (!winner) return null;
+  if (source.winner) return winner;
+  const [a, b] = matchPlayers(tournament, from);
+  return winner === a ? b : a;
+}
+
+// PUBLIC_INTERFACE
+/** The two seeds a match is between, [a, b], with null for a side not decided yet. */
+export function matchPlayers(tournament, matchId) {
+  return findMatch(tournament, matchId).sources.map((source) => resolveSource(tournament, source));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Where a match stands: "done" once it has a winner, "ready" when both
+ * players are known, "waiting" before that, and "skipped" for a grand final
+ * reset the winners bracket champion made unnecessary.
+ */
+export function matchStatus(tournament, matchId) {
+  const match = findMatch(tournament, matchId);
+  if (tournament.results[matchId]) return "done";
+  const [a, b] = matchPlayers(tournament, matchId);
+  if (match.ifNeeded) {
+    const final = tournament.matches.find((m) => m.bracket === match.bracket && m.round === match.round - 1);
+    const decided = tournament.results[final.id];
+    if (!decided) return "waiting";
+    return decided === a ? "skipped" : "ready";
+  }
+  return a && b ? "ready" : "waiting";
+}
+
+// PUBLIC_INTERFACE
+/** Record the winner (a seed) of a ready match; returns the updated tournament. Throws if the match cannot take it. */
+export function recordResult(tournament, matchId, winner) {
+  const status = matchStatus(tournament, matchId);
+  if (status !== "ready") throw new Error(`Match ${matchId} is ${status}.`);
+  if (!matchPlayers(tournament, matchId).includes(winner)) throw new Error(`Seed ${winner} is not in match ${matchId}.`);
+  return { ...tournament, results: { ...tournament.results, [matchId]: winner } };
+}
+
+// PUBLIC_INTERFACE
+/** The first match waiting to be played, in bracket order, or null once the tournament is over. */
+export function nextMatch(tournament) {
+  return tournament.matches.find((m) => matchStatus(tournament, m.id) === "ready") || null;
+}
+
+// PUBLIC_INTERFACE
+/** Seed of the tournament winner, or null while it is still being played. */
+export function tournamentChampion(tournament) {
+  const last = [...tournament.matches].reverse().find((m) => matchStatus(tournament, m.id) !== "skipped");
+  return tournament.results[last.id] || null;
+}
+
+// PUBLIC_INTERFACE
+/** The player with a given seed. */
+export function getPlayer(tournament, seed) {
+  return tournament.players[seed - 1];
+}
+
+// PUBLIC_INTERFACE
+/** Display name of the round a match belongs to, e.g. "Semifinals", "Losers Round 2" or "Grand Final". */
+export function roundLabel(tournament, matchId) {
+  const { bracket, round } = findMatch(tournament, matchId);
+  const last = Math.max(...tournament.matches.filter((m) => m.bracket === bracket).map((m) => m.round));
+  if (bracket === "grand") return round === 1 ? "Grand Final" : "Grand Final Reset";
+  if (bracket === "losers") return round === last ? "Losers Final" : `Losers Round ${round}`;
+  if (tournament.format === "double") return round === last ? "Winners Final" : `Winners Round ${round}`;
+  return ["Final", "Semifinals", "Quarterfinals"][last - round] || `Round ${round}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The bracket laid out for display: [{ bracket, label, matches }] per round
+ * in play order, each match as { id, players: [seed | null, seed | null],
+ * status, winner }.
+ */
+export function tournamentRounds(tournament) {
+  const rounds = [];
+  for (const match of tournament.matches) {
+    let round = rounds.find((r) => r.bracket === match.bracket && r.round === match.round);
+    if (!round) {
+      round = { bracket: match.bracket, round: match.round, label: roundLabel(tournament, match.id), matches: [] };
+      rounds.push(round);
+    }
+    round.matches.push({
+      id: match.id,
+      players: matchPlayers(tournament, match.id),
+      status: matchStatus(tournament, match.id),
+      winner: tournament.results[match.id] || null,
+    });
+  }
+  return rounds.map((r) => ({ bracket: r.bracket, label: r.label, matches: r.matches }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tournament export document: the tournament itself plus the bracket as it
+ * stands, with names filled in, so the file reads on its own.
+ */
+export function buildTournamentFile(tournament, exportedAt = null) {
+  const nameOf = (seed) => (seed ? getPlayer(tournament, seed).name : null);
+  const champion = tournamentChampion(tournament);
+  return {
+    format: TOURNAMENT_FORMAT,
+    version: TOURNAMENT_VERSION,
+    exportedAt,
+    champion: nameOf(champion),
+    bracket: tournamentRounds(tournament).map((round) => ({
+      ...round,
+      matches: round.matches.map((m) => ({ ...m, players: m.players.map(nameOf), winner: nameOf(m.winner) })),
+    })),
+    tournament,
+  };
+}
@@ -0,0 +1,100 @@
+import {
+  buildTournamentFile,
+  createTournament,
+  getPlayer,
+  matchPlayers,
+  matchStatus,
+  nextMatch,
+  recordResult,
+  roundLabel,
+  tournamentChampion,
+} from "./index";
+
+const entrants = (...names) => names.map((name) => ({ name, character: "kai" }));
+
+// Play the matches out in order, up to `until` if given, letting pick(a, b, id) choose the winners
+function playOut(tournament, pick = (a, b) => Math.min(a, b), until = null) {
+  let t = tournament;
+  for (let m = nextMatch(t); m && m.id !== until; m = nextMatch(t)) {
+    const [a, b] = matchPlayers(t, m.id);
+    t = recordResult(t, m.id, pick(a, b, m.id));
+  }
+  return t;
+}
+
+test("CPUs fill the bracket and seeds 1 and 2 can only meet in the final", () => {
+  const t = createTournament({ entrants: entrants("Ana", "Ben", "Cy"), cpuLevel: "Hard" });
+  expect(t.players.map((p) => p.name)).toEqual(["Ana", "Ben", "Cy", "CPU 1"]);
+  expect(getPlayer(t, 4)).toMatchObject({ cpu: true });
+  expect(matchPlayers(t, "W1-1")).toEqual([1, 4]);
+  expect(matchPlayers(t, "W1-2")).toEqual([2, 3]);
+  expect(roundLabel(t, "W1-1")).toBe("Semifinals");
+  expect(matchStatus(t, "W2-1")).toBe("waiting");
+
+  const sixteen = createTournament({ entrants: entrants("Ana"), size: 16 });
+  expect(sixteen.players).toHaveLength(16);
+  expect(sixteen.matches).toHaveLength(15);
+  expect(roundLabel(sixteen, "W1-1")).toBe("Round 1");
+});
+
+test("single elimination advances winners to a champion", () => {
+  let t = createTournament({ entrants: entrants("Ana", "Ben", "Cy", "Dee") });
+  t = recordResult(t, "W1-1", 4);
+  expect(matchPlayers(t, "W2-1")).toEqual([4, null]);
+  expect(() => recordResult(t, "W1-1", 1)).toThrow("done");
+  expect(() => recordResult(t, "W2-1", 4)).toThrow("waiting");
+  expect(() => recordResult(t, "W1-2", 1)).toThrow("not in match");
+
+  t = playOut(t);
+  expect(tournamentChampion(t)).toBe(2);
+  expect(nextMatch(t)).toBeNull();
+});
+
+test("double elimination sends losers down and resets the grand final when needed", () => {
+  const t = createTournament({ entrants: entrants("Ana", "Ben", "Cy", "Dee", "Eve", "Fay", "Gus", "Hal"), format: "double" });
+  expect(t.matches).toHaveLength(4 + 2 + 1 + 2 + 2 + 1 + 1 + 2);
+  expect(roundLabel(t, "L4-1")).toBe("Losers Final");
+
+  // Top seeds win, except that seed 1 loses the winners final and comes back through the losers bracket
+  const beforeFinal = playOut(t, (a, b, id) => (id === "W3-1" ? Math.max(a, b) : Math.min(a, b)), "GF1");
+  expect(matchPlayers(beforeFinal, "GF1")).toEqual([2, 1]);
+  expect(matchStatus(beforeFinal, "GF2")).toBe("waiting");
+
+  const reset = recordResult(beforeFinal, "GF1", 1);
+  expect(matchStatus(reset, "GF2")).toBe("ready");
+  expect(matchPlayers(reset, "GF2")).toEqual([2, 1]);
+  expect(tournamentChampion(reset)).toBeNull();
+  expect(tournamentChampion(recordResult(reset, "GF2", 1))).toBe(1);
+
+  const straight = recordResult(beforeFinal, "GF1", 2);
+  expect(matchStatus(straight, "GF2")).toBe("skipped");
+  expect(tournamentChampion(straight)).toBe(2);
+  expect(nextMatch(straight)).toBeNull();
+});
+
+test("everyone in a double elimination bracket loses twice except the champion", () => {
+  const t = playOut(createTournament({ entrants: entrants("Ana"), size: 16, format: "double" }), (a, b) => Math.max(a, b));
+  const losses = {};
+  for (const m of t.matches) {
+    if (matchStatus(t, m.id) !== "done") continue;
+    const loser = matchPlayers(t, m.id).find((seed) => seed !== t.results[m.id]);
+    losses[loser] = (losses[loser] || 0) + 1;
+  }
+  expect(tournamentChampion(t)).toBe(16);
+  expect(losses[16]).toBeUndefined();
+  for (let seed = 1; seed < 16; seed++) expect(losses[seed]).toBe(2);
+});
+
+test("bad entries are refused and the export names every player", () => {
+  expect(() => createTournament({ entrants: entrants("Ana", "ana") })).toThrow("twice");
+  expect(() => createTournament({ entrants: entrants("Ana", " ") })).toThrow("name");
+  expect(() => createTournament({ entrants: entrants("A", "B", "C"), size: 2 })).toThrow("do not fit");
+  expect(() => createTournament({ entrants: entrants(...Array.from({ length: 17 }, (_, i) => `P${i}`)) })).toThrow("At most");
+  expect(createTournament({ entrants: entrants("CPU 1") }).players[1].name).toBe("CPU 2");
+
+  const t = playOut(createTournament({ name: "Lunch", entrants: entrants("Ana", "Ben") }));
+  const file = buildTournamentFile(t, "2024-05-01T12:00:00.000Z");
+  expect(file).toMatchObject({ format: "fighting-arena-tournament", version: 1, champion: "Ana" });
+  expect(file.bracket[0]).toMatchObject({ label: "Final", matches: [{ players: ["Ana", "Ben"], winner: "Ana" }] });
+  expect(JSON.parse(JSON.stringify(file)).tournament).toEqual(t);
+});
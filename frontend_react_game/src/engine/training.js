@@ -0,0 +1,183 @@
+import { METER_MAX } from "./constants";
+import { EMPTY_INPUT, getMove } from "./fighter";
+import { spawnFighters, step } from "./simulation";
+import { landedHits } from "./stats";
+
+/**
+ * Training mode: Player 1 practises against a configurable dummy (always
+ * Player 2) in an untimed round. Health refills once the action settles and
+ * a readout reports the last hit, the combo so far and the frame advantage.
+ *
+ * The dummy can replay a sequence the player recorded while controlling it.
+ * Recorded input is stored relative to the dummy's facing ("forward" /
+ * "back") so it plays back the same way from either side of the screen.
+ *
+ * Training state is separate from the match state and is advanced alongside
+ * it by stepTraining(); both are plain objects. Create the match untimed and
+ * without an intro (createMatch({ rules: { roundTime: null }, intro: false })).
+ */
+
+export const DUMMY_MODES = [
+  { id: "stand", label: "Stand" },
+  { id: "crouch", label: "Crouch" },
+  { id: "jump", label: "Jump" },
+  { id: "block", label: "Always block" },
+  { id: "blockAfterHit", label: "Block after first hit" },
+  { id: "playback", label: "Record & playback" },
+];
+
+export const DEFAULT_TRAINING_SETTINGS = Object.freeze({
+  dummy: "stand",
+  refillMeter: false,
+});
+
+export const RECORD_MAX_TICKS = 600; // 10 seconds of dummy recording
+const REFILL_DELAY_TICKS = 45; // quiet ticks before health comes back
+const GUARD_TICKS = 40; // "block after first hit" keeps guarding this long after the last stun
+
+// PUBLIC_INTERFACE
+/** Fresh training state: no recording, no readout yet. */
+export function createTrainingState(recorded = []) {
+  return {
+    recording: null, // frames being recorded, or null
+    recorded, // last finished recording
+    playhead: 0,
+    guardUntil: 0, // tick until which "block after first hit" keeps guarding
+    quietTicks: 0, // ticks since anyone last attacked or was stunned
+    lastHit: null, // { by, type, damage, blocked, advantage, projectile }
+  };
+}
+
+function toRelative(input, facing) {
+  const forward = facing === 1 ? input.right : input.left;
+  const back = facing === 1 ? input.left : input.right;
+  return {
+    forward,
+    back,
+    up: input.up,
+    down: input.down,
+    light: input.light,
+    heavy: input.heavy,
+    special: input.special,
+  };
+}
+
+function fromRelative(frame, facing) {
+  const { forward, back, ...rest } = frame;
+  return {
+    ...rest,
+    right: facing === 1 ? forward : back,
+    left: facing === 1 ? back : forward,
+  };
+}
+
+// The dummy holds back to block while something is coming, crouching against
+// Player 1's lows, and otherwise stands its ground rather than walk away
+function guardInput(match) {
+  const { p1 } = match;
+  if (!p1.attacking && match.projectiles.length === 0) return EMPTY_INPUT;
+  const low = p1.attacking && getMove(p1, p1.attackType).guard === "low";
+  return fromRelative({ ...EMPTY_INPUT, back: true, down: low }, match.p2.facing);
+}
+
+function dummyInput(match, training, settings) {
+  switch (settings.dummy) {
+    case "crouch":
+      return { ...EMPTY_INPUT, down: true };
+    case "block":
+      return guardInput(match);
+    case "jump":
+      return { ...EMPTY_INPUT, up: true };
+    case "blockAfterHit":
+      return match.tick < training.guardUntil ? guardInput(match) : EMPTY_INPUT;
+    default:
+      return EMPTY_INPUT;
+  }
+}
+
+function isQuiet(f) {
+  return !f.attacking && f.stun === 0;
+}
+
+function refill(match, settings) {
+  const top = (f) => ({ ...f, hp: f.maxHp, meter: settings.refillMeter ? METER_MAX : f.meter });
+  return { ...match, p1: top(match.p1), p2: top(match.p2) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Advance a training match one tick with Player 1's input. While recording,
+ * that input drives the dummy instead and Player 1 stands still.
+ * Returns { match, training }.
+ */
+export function stepTraining(match, training, p1Input, settings) {
+  let t = training;
+  let playerInput = p1Input;
+  let dummy;
+  if (t.recording) {
+    dummy = p1Input;
+    playerInput = EMPTY_INPUT;
+    const recording = [...t.recording, toRelative(p1Input, match.p2.facing)];
+    t = recording.length >= RECORD_MAX_TICKS
+      ? { ...t, recording: null, recorded: recording, playhead: 0 }
+      : { ...t, recording };
+  } else if (settings.dummy === "playback" && t.recorded.length > 0) {
+    dummy = fromRelative(t.recorded[t.playhead], match.p2.facing);
+    t = { ...t, playhead: (t.playhead + 1) % t.recorded.length };
+  } else {
+    dummy = dummyInput(match, t, settings);
+  }
+
+  let next = step(match, playerInput, dummy);
+
+  const [hit] = landedHits(match, next);
+  if (hit) t = { ...t, lastHit: hit };
+  if (next.p2.stun > 0) t = { ...t, guardUntil: next.tick + next.p2.stun + GUARD_TICKS };
+
+  // Nobody is knocked out in training: undo the round result and fight on
+  if (match.phase === "fight" && next.phase !== "fight") {
+    next = {
+      ...next,
+      phase: "fight",
+      phaseTicks: 0,
+      roundWinner: null,
+      finish: null,
+      nextSuddenDeath: false,
+      matchWinner: null,
+      p1: { ...next.p1, hp: Math.max(1, next.p1.hp), rounds: match.p1.rounds },
+      p2: { ...next.p2, hp: Math.max(1, next.p2.hp), rounds: match.p2.rounds },
+    };
+  }
+
+  const quietTicks = isQuiet(next.p1) && isQuiet(next.p2) ? t.quietTicks + 1 : 0;
+  t = { ...t, quietTicks };
+  if (quietTicks === REFILL_DELAY_TICKS) next = refill(next, settings);
+
+  return { match: next, training: t };
+}
+
+// PUBLIC_INTERFACE
+/** Put both fighters back on their starting marks, keeping their meter. */
+export function resetPositions(match) {
+  return {
+    ...match,
+    ...spawnFighters(
+      match.characters,
+      {
+        p1: { meter: match.p1.meter },
+        p2: { meter: match.p2.meter },
+      },
+      match.rules,
+      match.stage
+    ),
+    projectiles: [],
+    freeze: null,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Start recording the dummy, or stop and keep what was recorded. */
+export function toggleRecording(training) {
+  if (!training.recording) return { ...training, recording: [] };
+  return { ...training, recording: null, recorded: training.recording, playhead: 0 };
+}
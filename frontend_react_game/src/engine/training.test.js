@@ -0,0 +1,78 @@
+import {
+  CHARACTERS,
+  DEFAULT_TRAINING_SETTINGS,
+  EMPTY_INPUT,
+  createMatch,
+  createTrainingState,
+  getFrameData,
+  stepTraining,
+  toggleRecording,
+} from "./index";
+
+function trainingMatch() {
+  const match = createMatch({ seed: 1, rules: { roundTime: null }, intro: false });
+  return { ...match, p2: { ...match.p2, x: match.p1.x + 70 } };
+}
+
+function run(match, training, inputs, settings = DEFAULT_TRAINING_SETTINGS) {
+  let state = { match, training };
+  for (const input of inputs) state = stepTraining(state.match, state.training, input, settings);
+  return state;
+}
+
+const idle = (n) => Array.from({ length: n }, () => EMPTY_INPUT);
+
+test("the readout reports damage and frame advantage, then health refills", () => {
+  const light = CHARACTERS.kai.moves.light;
+  let { match, training } = run(trainingMatch(), createTrainingState(), [{ ...EMPTY_INPUT, light: true }]);
+  ({ match, training } = run(match, training, idle(light.startup)));
+  expect(training.lastHit).toEqual({
+    by: "p1",
+    type: "light",
+    damage: light.damage,
+    blocked: false,
+    advantage: getFrameData(light).onHit,
+    projectile: false,
+  });
+  expect(match.timer).toBe(null);
+
+  ({ match, training } = run(match, training, idle(120)));
+  expect(match.p2.hp).toBe(match.p2.maxHp);
+});
+
+test("block after first hit guards the follow-up", () => {
+  const settings = { ...DEFAULT_TRAINING_SETTINGS, dummy: "blockAfterHit" };
+  let state = run(trainingMatch(), createTrainingState(), [{ ...EMPTY_INPUT, light: true }], settings);
+  state = run(state.match, state.training, idle(30), settings);
+  state = run(state.match, state.training, [{ ...EMPTY_INPUT, light: true }, ...idle(10)], settings);
+  expect(state.training.lastHit.blocked).toBe(true);
+});
+
+test("the crouch dummy crouches and does not block", () => {
+  const settings = { ...DEFAULT_TRAINING_SETTINGS, dummy: "crouch" };
+  let state = run(trainingMatch(), createTrainingState(), idle(5), settings);
+  expect(state.match.p2.crouching).toBe(true);
+  state = run(state.match, state.training, [{ ...EMPTY_INPUT, light: true }, ...idle(10)], settings);
+  expect(state.training.lastHit.blocked).toBe(false);
+  // Hitstun stands it up; it ducks again once it recovers
+  state = run(state.match, state.training, idle(40), settings);
+  expect(state.match.p2.crouching).toBe(true);
+});
+
+test("recorded dummy input plays back relative to facing", () => {
+  let { match, training } = { match: createMatch({ seed: 1, rules: { roundTime: null }, intro: false }), training: createTrainingState() };
+  training = toggleRecording(training);
+  // Player 2 faces left, so holding left while recording means "forward"
+  ({ match, training } = run(match, training, [{ ...EMPTY_INPUT, left: true }]));
+  expect(match.p1.vx).toBe(0);
+  expect(match.p2.vx).toBeLessThan(0);
+  training = toggleRecording(training);
+  expect(training.recorded).toHaveLength(1);
+  expect(training.recorded[0]).toMatchObject({ forward: true, back: false });
+
+  // Swap sides: the dummy now faces right and walks right
+  match = createMatch({ seed: 1, rules: { roundTime: null }, intro: false });
+  match = { ...match, p2: { ...match.p2, x: 100, facing: 1 }, p1: { ...match.p1, x: 500, facing: -1 } };
+  ({ match } = run(match, training, [EMPTY_INPUT], { ...DEFAULT_TRAINING_SETTINGS, dummy: "playback" }));
+  expect(match.p2.vx).toBeGreaterThan(0);
+});
@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useState } from "react";
+import { createGhostModel, mergeGhostModels } from "../engine";
+import { loadJSON, saveJSON } from "../utils/storage";
+
+const STORAGE_KEY = "fighting-arena.ghosts.v1";
+const DEFAULT_PROFILE = "Player 1";
+
+function isModel(m) {
+  return !!m && typeof m.name === "string" && !!m.counts && typeof m.counts === "object";
+}
+
+function loadStore() {
+  const stored = loadJSON(STORAGE_KEY, null);
+  const ghosts = {};
+  for (const [name, model] of Object.entries(stored?.ghosts || {})) {
+    if (isModel(model)) ghosts[name] = model;
+  }
+  return {
+    profile: typeof stored?.profile === "string" && stored.profile.trim() ? stored.profile : DEFAULT_PROFILE,
+    learning: stored?.learning ?? true,
+    ghosts,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Ghost models by player name, persisted in localStorage, plus who is playing
+ * (the profile new observations are filed under) and whether learning is on.
+ */
+export function useGhosts() {
+  const [store, setStore] = useState(loadStore);
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, store);
+  }, [store]);
+
+  const setProfile = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setStore((s) => ({ ...s, profile: trimmed }));
+  }, []);
+
+  const setLearning = useCallback((learning) => {
+    setStore((s) => ({ ...s, learning }));
+  }, []);
+
+  // Fold a session's observations into the stored model of the same name
+  const learn = useCallback((session) => {
+    if (session.samples === 0 && session.matches === 0) return;
+    setStore((s) => {
+      const stored = s.ghosts[session.name] || createGhostModel(session.name);
+      return { ...s, ghosts: { ...s.ghosts, [session.name]: mergeGhostModels(stored, session) } };
+    });
+  }, []);
+
+  // An imported ghost replaces any stored ghost with the same name
+  const importGhost = useCallback((model) => {
+    setStore((s) => ({ ...s, ghosts: { ...s.ghosts, [model.name]: model } }));
+  }, []);
+
+  const deleteGhost = useCallback((name) => {
+    setStore((s) => {
+      const ghosts = { ...s.ghosts };
+      delete ghosts[name];
+      return { ...s, ghosts };
+    });
+  }, []);
+
+  return {
+    profile: store.profile,
+    learning: store.learning,
+    ghosts: store.ghosts,
+    setProfile,
+    setLearning,
+    learn,
+    importGhost,
+    deleteGhost,
+  };
+}
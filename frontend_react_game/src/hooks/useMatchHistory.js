@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+
+const STORAGE_KEY = "fighting-arena.history.v1";
+// Oldest matches are dropped past this many
+const HISTORY_LIMIT = 200;
+
+function isEntry(e) {
+  return !!e && typeof e.id === "string" && typeof e.mode === "string" && !!e.stats;
+}
+
+function loadHistory() {
+  const stored = loadJSON(STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored.filter(isEntry) : [];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Finished matches, newest first, persisted in localStorage. An entry is
+ * { id, date, mode, difficulty, p1Difficulty, characters, rules, winner, stats }
+ * with stats as collected by the engine's recordStats.
+ */
+export function useMatchHistory() {
+  const [matches, setMatches] = useState(loadHistory);
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, matches);
+  }, [matches]);
+
+  const record = useCallback((entry) => {
+    setMatches((list) => [entry, ...list].slice(0, HISTORY_LIMIT));
+  }, []);
+
+  const clear = useCallback(() => setMatches([]), []);
+
+  return { matches, record, clear };
+}
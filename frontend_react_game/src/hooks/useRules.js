@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from "react";
+import { normalizeRules } from "../engine";
+import { loadJSON, saveJSON } from "../utils/storage";
+
+const STORAGE_KEY = "fighting-arena.rules.v1";
+
+function loadStore(initial) {
+  const stored = loadJSON(STORAGE_KEY, null);
+  const presets = {};
+  for (const [name, rules] of Object.entries(stored?.presets || {})) {
+    presets[name] = normalizeRules(rules);
+  }
+  return { current: normalizeRules(initial || stored?.current), presets };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Match rules for the next match plus named presets, persisted in localStorage.
+ * initial (e.g. rules from a shared link) replaces the stored rules.
+ */
+export function useRules(initial = null) {
+  const [store, setStore] = useState(() => loadStore(initial));
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, store);
+  }, [store]);
+
+  const setRules = useCallback((rules) => {
+    setStore((s) => ({ ...s, current: normalizeRules(rules) }));
+  }, []);
+
+  const savePreset = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setStore((s) => ({ ...s, presets: { ...s.presets, [trimmed]: s.current } }));
+  }, []);
+
+  const deletePreset = useCallback((name) => {
+    setStore((s) => {
+      const presets = { ...s.presets };
+      delete presets[name];
+      return { ...s, presets };
+    });
+  }, []);
+
+  return { rules: store.current, presets: store.presets, setRules, savePreset, deletePreset };
+}
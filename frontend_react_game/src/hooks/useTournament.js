@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from "react";
+import { createTournament, matchStatus, recordResult } from "../engine";
+import { loadJSON, saveJSON } from "../utils/storage";
+
+const STORAGE_KEY = "fighting-arena.tournament.v1";
+
+function isTournament(t) {
+  return (
+    !!t &&
+    Array.isArray(t.players) &&
+    Array.isArray(t.matches) &&
+    t.matches.length > 0 &&
+    !!t.results &&
+    typeof t.results === "object"
+  );
+}
+
+function loadTournament() {
+  const stored = loadJSON(STORAGE_KEY, null);
+  return isTournament(stored) ? stored : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The tournament being played (see ../engine/tournament), or null, persisted
+ * in localStorage so a refresh picks the bracket up where it was. create()
+ * throws on entries createTournament refuses; report() ignores results for
+ * matches that are not waiting for one.
+ */
+export function useTournament() {
+  const [tournament, setTournament] = useState(loadTournament);
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, tournament);
+  }, [tournament]);
+
+  const create = useCallback((options) => {
+    setTournament(createTournament({ ...options, createdAt: new Date().toISOString() }));
+  }, []);
+
+  const report = useCallback((matchId, winner) => {
+    setTournament((t) => (t && matchStatus(t, matchId) === "ready" ? recordResult(t, matchId, winner) : t));
+  }, []);
+
+  const clear = useCallback(() => setTournament(null), []);
+
+  return { tournament, create, report, clear };
+}
@@ -0,0 +1,123 @@
+/**
+ * Keyboard bindings. Actions map to KeyboardEvent.code values, which name the
+ * physical key, so bindings survive Shift, Caps Lock and non-QWERTY layouts.
+ */
+
+export const PLAYERS = ["p1", "p2"];
+
+// Engine actions in display order
+export const ACTIONS = [
+  { id: "left", label: "Left" },
+  { id: "right", label: "Right" },
+  { id: "up", label: "Jump" },
+  { id: "down", label: "Crouch" },
+  { id: "light", label: "Light" },
+  { id: "heavy", label: "Heavy" },
+  { id: "special", label: "Special" },
+];
+
+export const DEFAULT_BINDINGS = Object.freeze({
+  p1: Object.freeze({
+    left: "KeyA",
+    right: "KeyD",
+    up: "KeyW",
+    down: "KeyS",
+    light: "KeyJ",
+    heavy: "KeyK",
+    special: "KeyU",
+  }),
+  // Attack keys sit beside the arrows so laptops without a numpad can play
+  p2: Object.freeze({
+    left: "ArrowLeft",
+    right: "ArrowRight",
+    up: "ArrowUp",
+    down: "ArrowDown",
+    light: "Comma",
+    heavy: "Period",
+    special: "Slash",
+  }),
+});
+
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  Semicolon: ";",
+  Quote: "'",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Backslash: "\\",
+  Minus: "-",
+  Equal: "=",
+  Backquote: "`",
+  Space: "Space",
+  Enter: "Enter",
+  ShiftLeft: "LShift",
+  ShiftRight: "RShift",
+  ControlLeft: "LCtrl",
+  ControlRight: "RCtrl",
+  AltLeft: "LAlt",
+  AltRight: "RAlt",
+};
+
+// PUBLIC_INTERFACE
+/** Short human label for a KeyboardEvent.code, e.g. "KeyA" -> "A", "Numpad1" -> "N1". */
+export function keyLabel(code) {
+  if (!code) return "—";
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Numpad")) return `N${code.slice(6)}`;
+  return code;
+}
+
+// PUBLIC_INTERFACE
+/** Fill in any action missing from stored bindings with its default. */
+export function normalizeBindings(bindings) {
+  const out = {};
+  for (const player of PLAYERS) {
+    out[player] = { ...DEFAULT_BINDINGS[player], ...(bindings?.[player] || {}) };
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/** Return a new bindings object with one action rebound. */
+export function setBinding(bindings, player, action, code) {
+  return { ...bindings, [player]: { ...bindings[player], [action]: code } };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Find keys bound to more than one action, within or across players.
+ * Returns a Set of "player.action" slots that share their key with another slot.
+ */
+export function findConflicts(bindings) {
+  const byCode = {};
+  for (const player of PLAYERS) {
+    for (const { id } of ACTIONS) {
+      const code = bindings[player][id];
+      if (!code) continue;
+      (byCode[code] = byCode[code] || []).push(`${player}.${id}`);
+    }
+  }
+  const conflicts = new Set();
+  for (const slots of Object.values(byCode)) {
+    if (slots.length > 1) slots.forEach((slot) => conflicts.add(slot));
+  }
+  return conflicts;
+}
+
+// PUBLIC_INTERFACE
+/** Snapshot engine input for one player from a map of pressed KeyboardEvent.code values. */
+export function readKeyboardInput(keys, playerBindings) {
+  const input = {};
+  for (const { id } of ACTIONS) {
+    input[id] = !!keys[playerBindings[id]];
+  }
+  return input;
+}
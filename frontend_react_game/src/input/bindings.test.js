@@ -0,0 +1,23 @@
+import { DEFAULT_BINDINGS, findConflicts, keyLabel, normalizeBindings, readKeyboardInput, setBinding } from "./bindings";
+
+test("default bindings have no conflicts", () => {
+  expect(findConflicts(normalizeBindings(DEFAULT_BINDINGS)).size).toBe(0);
+});
+
+test("a key shared between players is reported for both slots", () => {
+  const bindings = setBinding(normalizeBindings(DEFAULT_BINDINGS), "p2", "light", "KeyJ");
+  expect([...findConflicts(bindings)].sort()).toEqual(["p1.light", "p2.light"]);
+});
+
+test("input is read by physical key code", () => {
+  const input = readKeyboardInput({ KeyA: true, KeyJ: true }, DEFAULT_BINDINGS.p1);
+  expect(input.left).toBe(true);
+  expect(input.light).toBe(true);
+  expect(input.right).toBe(false);
+});
+
+test("key labels are short and readable", () => {
+  expect(keyLabel("KeyA")).toBe("A");
+  expect(keyLabel("Numpad1")).toBe("N1");
+  expect(keyLabel("ArrowLeft")).toBe("←");
+});
@@ -0,0 +1,95 @@
+import { ACTIONS } from "./bindings";
+
+/**
+ * Gamepad input source. Pads are polled once per animation frame and
+ * translated into the same action snapshot the keyboard produces.
+ * Button indices follow the W3C "standard" gamepad layout.
+ */
+
+export const STICK_DEADZONE = 0.35;
+
+// D-pad buttons always drive movement, whatever the face buttons are mapped to
+const DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+export const DEFAULT_PAD_MAPPING = Object.freeze({
+  left: 14,
+  right: 15,
+  up: 0, // A / Cross
+  down: 4, // LB / L1
+  light: 2, // X / Square
+  heavy: 3, // Y / Triangle
+  special: 1, // B / Circle
+});
+
+const BUTTON_NAMES = {
+  0: "A",
+  1: "B",
+  2: "X",
+  3: "Y",
+  4: "LB",
+  5: "RB",
+  6: "LT",
+  7: "RT",
+  8: "Back",
+  9: "Start",
+  10: "LS",
+  11: "RS",
+  12: "D↑",
+  13: "D↓",
+  14: "D←",
+  15: "D→",
+};
+
+// PUBLIC_INTERFACE
+/** Label for a standard-layout button index (Xbox naming). */
+export function buttonLabel(index) {
+  return index == null ? "—" : BUTTON_NAMES[index] || `B${index}`;
+}
+
+// PUBLIC_INTERFACE
+/** Fill in any action missing from a stored mapping with its default. */
+export function normalizePadMapping(mapping) {
+  return { ...DEFAULT_PAD_MAPPING, ...(mapping || {}) };
+}
+
+function pressed(pad, index) {
+  const b = pad.buttons[index];
+  return !!b && (b.pressed || b.value > 0.5);
+}
+
+// PUBLIC_INTERFACE
+/** Translate one pad's current state into an action snapshot. */
+export function readGamepadInput(pad, mapping, deadzone = STICK_DEADZONE) {
+  const input = {};
+  for (const { id } of ACTIONS) {
+    input[id] = pressed(pad, mapping[id]);
+  }
+  for (const [dir, index] of Object.entries(DPAD)) {
+    if (pressed(pad, index)) input[dir] = true;
+  }
+
+  // Left stick with a radial deadzone
+  const x = pad.axes[0] || 0;
+  const y = pad.axes[1] || 0;
+  if (Math.hypot(x, y) > deadzone) {
+    if (x < -deadzone) input.left = true;
+    if (x > deadzone) input.right = true;
+    if (y < -deadzone) input.up = true;
+    if (y > deadzone) input.down = true;
+  }
+  return input;
+}
+
+// PUBLIC_INTERFACE
+/** Connected pads as returned by the browser, without empty slots. */
+export function listGamepads() {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return [];
+  return Array.from(navigator.getGamepads()).filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+/** Index of the first button currently held on a pad, or null. */
+export function firstPressedButton(pad) {
+  const i = pad.buttons.findIndex((_, index) => pressed(pad, index));
+  return i === -1 ? null : i;
+}
@@ -0,0 +1,24 @@
+import { DEFAULT_PAD_MAPPING, readGamepadInput } from "./gamepad";
+
+function fakePad({ buttons = [], axes = [0, 0] } = {}) {
+  return {
+    axes,
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: buttons.includes(i), value: buttons.includes(i) ? 1 : 0 })),
+  };
+}
+
+test("face buttons map onto actions", () => {
+  const input = readGamepadInput(fakePad({ buttons: [2] }), DEFAULT_PAD_MAPPING);
+  expect(input.light).toBe(true);
+  expect(input.heavy).toBe(false);
+});
+
+test("stick drift inside the deadzone is ignored", () => {
+  const input = readGamepadInput(fakePad({ axes: [0.2, -0.2] }), DEFAULT_PAD_MAPPING);
+  expect(input.left || input.right || input.up || input.down).toBe(false);
+});
+
+test("stick and d-pad both move", () => {
+  expect(readGamepadInput(fakePad({ axes: [-0.9, 0] }), DEFAULT_PAD_MAPPING).left).toBe(true);
+  expect(readGamepadInput(fakePad({ buttons: [13] }), { ...DEFAULT_PAD_MAPPING, down: 4 }).down).toBe(true);
+});
@@ -0,0 +1,44 @@
+import { EMPTY_INPUT, mergeInputs } from "../engine";
+
+/**
+ * Touch input state shared between the on-screen controls and the game loop.
+ * The joystick and the buttons write to separate objects so releasing one
+ * never cancels an action the other is still holding (both can crouch).
+ *
+ * Two buttons stand for more than one action: block holds back, which
+ * depends on the fighter's facing, and throw presses Light and Heavy in the
+ * same tick.
+ */
+
+const TOUCH_BUTTONS = { ...EMPTY_INPUT, block: false, throw: false };
+
+// PUBLIC_INTERFACE
+/** Fresh, all-released touch state for both players. */
+export function createTouchState() {
+  const side = () => ({ stick: { ...EMPTY_INPUT }, buttons: { ...TOUCH_BUTTONS } });
+  return { p1: side(), p2: side() };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Current action snapshot for one player's touch controls. facing is that
+ * fighter's facing (1: right, -1: left), which decides which way block holds.
+ */
+export function readTouchInput(touch, player, facing = 1) {
+  const { stick, buttons } = touch[player];
+  const held = {
+    [facing === 1 ? "left" : "right"]: buttons.block,
+    light: buttons.throw,
+    heavy: buttons.throw,
+  };
+  return mergeInputs(stick, buttons, held);
+}
+
+// PUBLIC_INTERFACE
+/** Release every touch action, e.g. when the overlay is hidden mid-press. */
+export function releaseTouch(touch) {
+  for (const side of Object.values(touch)) {
+    Object.assign(side.stick, EMPTY_INPUT);
+    Object.assign(side.buttons, TOUCH_BUTTONS);
+  }
+}
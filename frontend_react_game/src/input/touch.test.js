@@ -0,0 +1,60 @@
+import { EMPTY_INPUT } from "../engine";
+import { createTouchState, readTouchInput, releaseTouch } from "./touch";
+
+test("a fresh touch state reads as no input for both players", () => {
+  const touch = createTouchState();
+  expect(readTouchInput(touch, "p1")).toEqual(EMPTY_INPUT);
+  expect(readTouchInput(touch, "p2")).toEqual(EMPTY_INPUT);
+});
+
+test("the joystick and the buttons merge into one action snapshot", () => {
+  const touch = createTouchState();
+  touch.p1.stick.right = true;
+  touch.p1.stick.down = true;
+  touch.p1.buttons.light = true;
+  expect(readTouchInput(touch, "p1")).toEqual({ ...EMPTY_INPUT, right: true, down: true, light: true });
+
+  // Releasing the button's down leaves the stick's down held
+  touch.p1.buttons.down = true;
+  touch.p1.buttons.down = false;
+  expect(readTouchInput(touch, "p1").down).toBe(true);
+});
+
+test("split-screen pads write to their own player", () => {
+  const touch = createTouchState();
+  touch.p2.buttons.heavy = true;
+  touch.p2.stick.left = true;
+  expect(readTouchInput(touch, "p1")).toEqual(EMPTY_INPUT);
+  expect(readTouchInput(touch, "p2")).toEqual({ ...EMPTY_INPUT, left: true, heavy: true });
+});
+
+test("releasing touch lets go of everything both players hold", () => {
+  const touch = createTouchState();
+  touch.p1.stick.up = true;
+  touch.p1.buttons.special = true;
+  touch.p2.buttons.light = true;
+  releaseTouch(touch);
+  expect(readTouchInput(touch, "p1")).toEqual(EMPTY_INPUT);
+  expect(readTouchInput(touch, "p2")).toEqual(EMPTY_INPUT);
+});
+
+test("block holds back for the fighter's facing and throw presses Light and Heavy together", () => {
+  const touch = createTouchState();
+  touch.p1.buttons.block = true;
+  expect(readTouchInput(touch, "p1", 1)).toEqual({ ...EMPTY_INPUT, left: true });
+  expect(readTouchInput(touch, "p1", -1)).toEqual({ ...EMPTY_INPUT, right: true });
+
+  touch.p1.buttons.block = false;
+  touch.p1.buttons.throw = true;
+  expect(readTouchInput(touch, "p1")).toEqual({ ...EMPTY_INPUT, light: true, heavy: true });
+
+  // Letting go of throw does not let go of a Light held on its own button
+  touch.p1.buttons.light = true;
+  touch.p1.buttons.throw = false;
+  expect(readTouchInput(touch, "p1")).toEqual({ ...EMPTY_INPUT, light: true });
+
+  touch.p1.buttons.block = true;
+  touch.p1.buttons.throw = true;
+  releaseTouch(touch);
+  expect(readTouchInput(touch, "p1")).toEqual(EMPTY_INPUT);
+});
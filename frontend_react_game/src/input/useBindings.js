@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { DEFAULT_BINDINGS, normalizeBindings, setBinding } from "./bindings";
+
+const STORAGE_KEY = "fighting-arena.bindings.v1";
+
+function loadStore() {
+  const stored = loadJSON(STORAGE_KEY, null);
+  const profiles = {};
+  for (const [name, b] of Object.entries(stored?.profiles || {})) {
+    profiles[name] = normalizeBindings(b);
+  }
+  return {
+    current: normalizeBindings(stored?.current),
+    activeProfile: stored?.activeProfile && profiles[stored.activeProfile] ? stored.activeProfile : null,
+    profiles,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Active key bindings plus named profiles, persisted in localStorage.
+ * Editing a binding changes the current set only; saveProfile stores it under a name.
+ */
+export function useBindings() {
+  const [store, setStore] = useState(loadStore);
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, store);
+  }, [store]);
+
+  const rebind = useCallback((player, action, code) => {
+    setStore((s) => ({ ...s, current: setBinding(s.current, player, action, code) }));
+  }, []);
+
+  const restoreDefaults = useCallback(() => {
+    setStore((s) => ({ ...s, current: normalizeBindings(DEFAULT_BINDINGS), activeProfile: null }));
+  }, []);
+
+  const saveProfile = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setStore((s) => ({ ...s, activeProfile: trimmed, profiles: { ...s.profiles, [trimmed]: s.current } }));
+  }, []);
+
+  const loadProfile = useCallback((name) => {
+    setStore((s) => (s.profiles[name] ? { ...s, current: s.profiles[name], activeProfile: name } : s));
+  }, []);
+
+  const deleteProfile = useCallback((name) => {
+    setStore((s) => {
+      const profiles = { ...s.profiles };
+      delete profiles[name];
+      return { ...s, profiles, activeProfile: s.activeProfile === name ? null : s.activeProfile };
+    });
+  }, []);
+
+  return {
+    bindings: store.current,
+    profiles: store.profiles,
+    activeProfile: store.activeProfile,
+    rebind,
+    restoreDefaults,
+    saveProfile,
+    loadProfile,
+    deleteProfile,
+  };
+}
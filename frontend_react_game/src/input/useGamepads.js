@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { mergeInputs } from "../engine";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { DEFAULT_PAD_MAPPING, listGamepads, normalizePadMapping, readGamepadInput } from "./gamepad";
+
+const STORAGE_KEY = "fighting-arena.gamepad.v1";
+
+// PUBLIC_INTERFACE
+/**
+ * Connected gamepads, their player assignment and the shared button mapping.
+ * New pads are assigned to the first free player slot; onChange(event, pad, slot)
+ * is called on connect ("connected") and disconnect ("disconnected").
+ * poll() reads every pad and returns { p1, p2 } action snapshots (null when no pad).
+ */
+export function useGamepads(onChange) {
+  const [pads, setPads] = useState(() => listGamepads().map(({ index, id }) => ({ index, id })));
+  const [assignments, setAssignments] = useState(() => {
+    const initial = {};
+    listGamepads().forEach((pad, i) => {
+      initial[pad.index] = i === 0 ? "p1" : i === 1 ? "p2" : null;
+    });
+    return initial;
+  });
+  const [mapping, setMapping] = useState(() => normalizePadMapping(loadJSON(STORAGE_KEY, null)?.mapping));
+
+  const assignmentsRef = useRef(assignments);
+  assignmentsRef.current = assignments;
+  const mappingRef = useRef(mapping);
+  mappingRef.current = mapping;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, { mapping });
+  }, [mapping]);
+
+  useEffect(() => {
+    const onConnected = (e) => {
+      const { index, id } = e.gamepad;
+      const taken = Object.values(assignmentsRef.current);
+      const slot = ["p1", "p2"].find((p) => !taken.includes(p)) || null;
+      assignmentsRef.current = { ...assignmentsRef.current, [index]: slot };
+      setAssignments(assignmentsRef.current);
+      setPads((list) => [...list.filter((p) => p.index !== index), { index, id }]);
+      onChangeRef.current?.("connected", { index, id }, slot);
+    };
+    const onDisconnected = (e) => {
+      const { index, id } = e.gamepad;
+      const slot = assignmentsRef.current[index] || null;
+      const rest = { ...assignmentsRef.current };
+      delete rest[index];
+      assignmentsRef.current = rest;
+      setAssignments(rest);
+      setPads((list) => list.filter((p) => p.index !== index));
+      onChangeRef.current?.("disconnected", { index, id }, slot);
+    };
+    window.addEventListener("gamepadconnected", onConnected);
+    window.addEventListener("gamepaddisconnected", onDisconnected);
+    return () => {
+      window.removeEventListener("gamepadconnected", onConnected);
+      window.removeEventListener("gamepaddisconnected", onDisconnected);
+    };
+  }, []);
+
+  const poll = useCallback(() => {
+    const out = { p1: null, p2: null };
+    for (const pad of listGamepads()) {
+      const slot = assignmentsRef.current[pad.index];
+      if (!slot) continue;
+      out[slot] = mergeInputs(out[slot], readGamepadInput(pad, mappingRef.current));
+    }
+    return out;
+  }, []);
+
+  const assign = useCallback((index, slot) => {
+    setAssignments((a) => ({ ...a, [index]: slot }));
+  }, []);
+
+  const remap = useCallback((action, button) => {
+    setMapping((m) => ({ ...m, [action]: button }));
+  }, []);
+
+  const resetMapping = useCallback(() => setMapping(normalizePadMapping(DEFAULT_PAD_MAPPING)), []);
+
+  return { pads, assignments, mapping, poll, assign, remap, resetMapping };
+}
@@ -0,0 +1,192 @@
+import { EMPTY_INPUT, decodeInput, encodeInput, matchReducer } from "../engine";
+
+/**
+ * Rollback netcode for online matches. Each side simulates every tick right
+ * away with its own input (held back by a few ticks of input delay) and a
+ * prediction of the opponent's: their last known input, held. When the real
+ * input arrives and differs, the session rewinds to the first wrong tick and
+ * simulates forward again. The engine is deterministic, so both sides end up
+ * with identical states once every input is known.
+ *
+ * A session is a mutable object (like the frame meter) advanced one frame at a
+ * time; frames count from 0 at the start of the match. Inputs travel as the
+ * replay bitmasks (encodeInput), and the frames both sides have confirmed are
+ * handed out in order by takeConfirmed() for stats, the replay and checksums.
+ */
+
+// PUBLIC_INTERFACE
+/** Furthest a side may simulate past the last input it has from the opponent. */
+export const MAX_ROLLBACK = 8;
+
+// PUBLIC_INTERFACE
+/** Ticks each local input is held back, so small delays never need a rollback. */
+export const DEFAULT_INPUT_DELAY = 2;
+
+// PUBLIC_INTERFACE
+/** Frames between state checksums used to detect desyncs. */
+export const CHECKSUM_INTERVAL = 60;
+
+// Most inputs one message carries; more than this are still unsent next frame
+const MAX_INPUTS_PER_MESSAGE = 32;
+
+const EMPTY_MASK = encodeInput(EMPTY_INPUT);
+
+// PUBLIC_INTERFACE
+/**
+ * Start a session on a fresh match for the local side ("p1" | "p2").
+ * Both sides must use the same match and input delay.
+ */
+export function createRollback(match, localSide, inputDelay = DEFAULT_INPUT_DELAY) {
+  const session = {
+    localSide,
+    remoteSide: localSide === "p1" ? "p2" : "p1",
+    inputDelay,
+    frame: 0, // latest simulated frame; state is the state after it
+    state: match,
+    states: new Map([[0, match]]), // from the last confirmed frame on, for rewinding
+    inputs: { p1: new Map(), p2: new Map() }, // known inputs by frame
+    predicted: new Map(), // the opponent inputs guessed for frames not yet confirmed
+    localFrame: inputDelay, // last frame with a local input
+    remoteFrame: inputDelay, // last frame up to which every opponent input is known
+    remoteAck: inputDelay, // last local input the opponent has confirmed receiving
+    remoteClock: 0, // the frame the opponent was on when it last wrote
+    rewindFrom: null, // first frame simulated with a wrong prediction
+    peakRollback: 0, // most frames resimulated by one rewind; readers reset it
+    confirmed: 0, // frames already handed out by takeConfirmed
+  };
+  // Nobody has input for the first frames of the delay
+  for (let f = 1; f <= inputDelay; f++) {
+    session.inputs.p1.set(f, EMPTY_MASK);
+    session.inputs.p2.set(f, EMPTY_MASK);
+  }
+  return session;
+}
+
+function inputFor(session, side, frame) {
+  if (side === session.localSide || frame <= session.remoteFrame) return session.inputs[side].get(frame);
+  // Predict that the opponent keeps doing what they did last
+  const guess = session.inputs[side].get(session.remoteFrame);
+  session.predicted.set(frame, guess);
+  return guess;
+}
+
+function simulate(session, state, frame) {
+  const p1 = decodeInput(inputFor(session, "p1", frame));
+  const p2 = decodeInput(inputFor(session, "p2", frame));
+  return matchReducer(state, { type: "tick", p1, p2 });
+}
+
+// PUBLIC_INTERFACE
+/** False while the session is as far ahead of the opponent's inputs as it may go. */
+export function canAdvance(session) {
+  return session.frame + 1 - session.remoteFrame <= MAX_ROLLBACK;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True when this side runs ahead of the opponent's clock (allowing for the
+ * one-way trip, in ticks) and should let a frame pass without simulating.
+ */
+export function shouldWait(session, oneWayTicks) {
+  return session.frame - (session.remoteClock + oneWayTicks) > 2;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Simulate one more frame with the local input (a bitmask), first replaying
+ * any frames that used a wrong prediction. Returns the new state.
+ */
+export function advanceRollback(session, localMask) {
+  session.localFrame += 1;
+  session.inputs[session.localSide].set(session.localFrame, localMask);
+
+  if (session.rewindFrom !== null) {
+    let state = session.states.get(session.rewindFrom - 1);
+    for (let f = session.rewindFrom; f <= session.frame; f++) {
+      state = simulate(session, state, f);
+      session.states.set(f, state);
+    }
+    session.peakRollback = Math.max(session.peakRollback, session.frame - session.rewindFrom + 1);
+    session.state = state;
+    session.rewindFrom = null;
+  }
+
+  session.frame += 1;
+  session.state = simulate(session, session.state, session.frame);
+  session.states.set(session.frame, session.state);
+  return session.state;
+}
+
+// PUBLIC_INTERFACE
+/** The message carrying every local input the opponent has not confirmed yet. */
+export function inputMessage(session) {
+  const start = session.remoteAck + 1;
+  const end = Math.min(session.localFrame, start + MAX_INPUTS_PER_MESSAGE - 1);
+  const inputs = [];
+  for (let f = start; f <= end; f++) inputs.push(session.inputs[session.localSide].get(f));
+  return { type: "input", start, inputs, ack: session.remoteFrame, frame: session.frame };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Take in an input message from the opponent. Inputs may repeat or arrive
+ * late; only the ones continuing the known run are used. A guess that turns
+ * out wrong schedules a rewind for the next advance.
+ */
+export function receiveInputs(session, { start, inputs, ack, frame }) {
+  session.remoteAck = Math.max(session.remoteAck, ack);
+  session.remoteClock = Math.max(session.remoteClock, frame);
+  for (let i = 0; i < inputs.length; i++) {
+    const f = start + i;
+    if (f !== session.remoteFrame + 1) continue;
+    session.inputs[session.remoteSide].set(f, inputs[i]);
+    session.remoteFrame = f;
+    if (session.predicted.has(f)) {
+      if (session.predicted.get(f) !== inputs[i] && (session.rewindFrom === null || f < session.rewindFrom)) {
+        session.rewindFrom = f;
+      }
+      session.predicted.delete(f);
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Frames that both sides' inputs now settle, oldest first, as
+ * { frame, prev, state, inputs: [p1Mask, p2Mask] }. Each is handed out once;
+ * history older than the newest confirmed frame is let go. Call it after
+ * advancing, so pending rewinds have been applied.
+ */
+export function takeConfirmed(session) {
+  if (session.rewindFrom !== null) return [];
+  const upTo = Math.min(session.frame, session.remoteFrame);
+  const out = [];
+  for (let f = session.confirmed + 1; f <= upTo; f++) {
+    out.push({
+      frame: f,
+      prev: session.states.get(f - 1),
+      state: session.states.get(f),
+      inputs: [session.inputs.p1.get(f), session.inputs.p2.get(f)],
+    });
+  }
+  for (let f = session.confirmed; f < upTo; f++) {
+    session.states.delete(f);
+    // The opponent's latest input is kept for predictions
+    if (f < session.remoteFrame) session.inputs[session.remoteSide].delete(f);
+    if (f <= session.remoteAck) session.inputs[session.localSide].delete(f);
+  }
+  session.confirmed = Math.max(session.confirmed, upTo);
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/** A 32-bit FNV-1a hash of a match state, for comparing states across the network. */
+export function stateChecksum(state) {
+  const text = JSON.stringify(state);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
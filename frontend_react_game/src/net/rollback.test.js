@@ -0,0 +1,72 @@
+import { createMatch, createRng, decodeInput, matchReducer } from "../engine";
+import {
+  MAX_ROLLBACK,
+  advanceRollback,
+  canAdvance,
+  createRollback,
+  inputMessage,
+  receiveInputs,
+  stateChecksum,
+  takeConfirmed,
+} from "./rollback";
+
+// Two sessions wired through a fake network that delays messages by `lag`
+// frames and drops a share of them; each side mashes its own random inputs.
+function playOnline({ frames, lag, loss, seed }) {
+  const match = createMatch({ seed: 7, intro: false });
+  const sides = ["p1", "p2"].map((side, i) => ({
+    session: createRollback(match, side),
+    rng: createRng(seed + i),
+    mask: 0,
+    confirmed: [],
+  }));
+  const netRng = createRng(seed + 99);
+  const wire = [];
+  for (let t = 0; t < frames + 4 * lag + MAX_ROLLBACK * 2; t++) {
+    sides.forEach((side, i) => {
+      // Inputs change every few frames; after `frames` both sides let go
+      if (t % 4 === 0) side.mask = t < frames ? Math.floor(side.rng() * 128) : 0;
+      if (canAdvance(side.session)) advanceRollback(side.session, side.mask);
+      if (netRng() >= loss) wire.push({ to: 1 - i, at: t + lag, message: inputMessage(side.session) });
+      side.confirmed.push(...takeConfirmed(side.session));
+    });
+    for (const packet of wire.filter((p) => p.at <= t)) receiveInputs(sides[packet.to].session, packet.message);
+    wire.splice(0, wire.length, ...wire.filter((p) => p.at > t));
+  }
+  return { match, sides };
+}
+
+test("both sides settle on the same states as a local match with the same inputs", () => {
+  const { match, sides } = playOnline({ frames: 240, lag: 5, loss: 0.2, seed: 3 });
+  const [a, b] = sides;
+  expect(a.confirmed.length).toBeGreaterThan(240);
+  expect(a.session.peakRollback).toBeGreaterThan(0);
+
+  const count = Math.min(a.confirmed.length, b.confirmed.length);
+  let local = match;
+  for (let i = 0; i < count; i++) {
+    const { inputs } = a.confirmed[i];
+    expect(b.confirmed[i].inputs).toEqual(inputs);
+    local = matchReducer(local, { type: "tick", p1: decodeInput(inputs[0]), p2: decodeInput(inputs[1]) });
+    expect(stateChecksum(a.confirmed[i].state)).toBe(stateChecksum(local));
+    expect(stateChecksum(b.confirmed[i].state)).toBe(stateChecksum(local));
+  }
+});
+
+test("a side never runs more than MAX_ROLLBACK frames past the opponent's inputs", () => {
+  const session = createRollback(createMatch({ seed: 1, intro: false }), "p1");
+  let advanced = 0;
+  for (let i = 0; i < 50 && canAdvance(session); i++) {
+    advanceRollback(session, 0);
+    advanced += 1;
+  }
+  expect(advanced).toBe(session.remoteFrame + MAX_ROLLBACK);
+
+  // The opponent's inputs arriving free it up again, rewinding where the guess was wrong
+  const start = session.remoteFrame + 1;
+  receiveInputs(session, { start, inputs: [0, 1, 0], ack: 0, frame: start + 2 });
+  expect(canAdvance(session)).toBe(true);
+  expect(session.rewindFrom).toBe(start + 1);
+  advanceRollback(session, 0);
+  expect(session.peakRollback).toBe(advanced - start);
+});
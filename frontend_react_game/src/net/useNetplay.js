@@ -0,0 +1,283 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { TICK_MS, createMatch, randomSeed } from "../engine";
+import { loadJSON, saveJSON } from "../utils/storage";
+import {
+  CHECKSUM_INTERVAL,
+  DEFAULT_INPUT_DELAY,
+  createRollback,
+  inputMessage,
+  receiveInputs,
+  stateChecksum,
+  takeConfirmed,
+} from "./rollback";
+
+const STORAGE_KEY = "fighting-arena.online.v1";
+
+// PUBLIC_INTERFACE
+/** The relay players run with `npm run relay`, on the machine serving the game by default. */
+export const DEFAULT_RELAY_URL = `ws://${window.location.hostname || "localhost"}:8787`;
+
+const PING_MS = 1000;
+// How often the ping / rollback readout is refreshed
+const READOUT_MS = 500;
+// Ping smoothing: weight of the newest sample
+const PING_WEIGHT = 0.3;
+
+function loadSettings() {
+  const stored = loadJSON(STORAGE_KEY, null);
+  return {
+    relayUrl: typeof stored?.relayUrl === "string" && stored.relayUrl ? stored.relayUrl : DEFAULT_RELAY_URL,
+    inputDelay: Number.isInteger(stored?.inputDelay) ? stored.inputDelay : DEFAULT_INPUT_DELAY,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Online PvP over the relay (scripts/relay.mjs): the lobby, the connection
+ * and the rollback session (./rollback) the game loop advances.
+ *
+ * status: "offline" | "connecting" | "waiting" (host, no opponent yet) |
+ * "ready" (paired, match about to start) | "playing" | "over" | "desynced".
+ * The host (Player 1) picks the seed, rules and input delay and starts every
+ * match; rules always advance rounds by themselves, as nobody can press
+ * "Next Round" for both players. `config` is { character, stage, rules } for
+ * the next match (the stage is the host's); onStart(match) is called as each match begins and
+ * onNotice(message, tone) for toasts.
+ *
+ * Each frame the loop calls sync(), which sends the local inputs and returns
+ * the newly confirmed frames (see takeConfirmed); checksums of confirmed
+ * states are compared every CHECKSUM_INTERVAL frames to catch desyncs.
+ */
+export function useNetplay({ config, onStart, onNotice }) {
+  const [settings, setSettingsState] = useState(loadSettings);
+  const [status, setStatus] = useState("offline");
+  const [room, setRoom] = useState(null); // { code, side }
+  const [readout, setReadout] = useState({ ping: null, rollback: 0 });
+  const socketRef = useRef(null);
+  const sessionRef = useRef(null);
+  const pingRef = useRef(0);
+  const checksumsRef = useRef({ local: new Map(), remote: new Map() });
+  const peerRef = useRef(null); // the opponent's { character }
+  const sideRef = useRef(null); // which player this browser is, once in a room
+  const latest = useRef({});
+  latest.current = { config, onStart, onNotice, settings };
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, settings);
+  }, [settings]);
+
+  const setSettings = useCallback((patch) => setSettingsState((s) => ({ ...s, ...patch })), []);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  const stop = useCallback(() => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    sessionRef.current = null;
+    peerRef.current = null;
+    sideRef.current = null;
+    if (socket) socket.close();
+    setRoom(null);
+    setStatus("offline");
+    setReadout({ ping: null, rollback: 0 });
+  }, []);
+
+  const begin = useCallback((match, side, inputDelay) => {
+    sessionRef.current = createRollback(match, side, inputDelay);
+    checksumsRef.current = { local: new Map(), remote: new Map() };
+    setStatus("playing");
+    latest.current.onStart(match);
+  }, []);
+
+  // Host only: pick everything both sides need for the next match and start it
+  const startMatch = useCallback(() => {
+    const { config: own, settings: current } = latest.current;
+    const match = createMatch({
+      seed: randomSeed(),
+      characters: { p1: own.character, p2: peerRef.current.character },
+      stage: own.stage,
+      rules: { ...own.rules, autoAdvance: true },
+    });
+    send({
+      type: "start",
+      seed: match.seed,
+      characters: match.characters,
+      stage: match.stage,
+      rules: match.rules,
+      inputDelay: current.inputDelay,
+    });
+    begin(match, "p1", current.inputDelay);
+  }, [begin, send]);
+
+  const compareChecksums = useCallback((frame) => {
+    const { local, remote } = checksumsRef.current;
+    if (!local.has(frame) || !remote.has(frame)) return;
+    const same = local.get(frame) === remote.get(frame);
+    local.delete(frame);
+    remote.delete(frame);
+    if (!same) {
+      sessionRef.current = null;
+      setStatus("desynced");
+      latest.current.onNotice(`Desync detected at frame ${frame}: the match was stopped`, "warn");
+    }
+  }, []);
+
+  const onMessage = useCallback(
+    (message) => {
+      const session = sessionRef.current;
+      switch (message.type) {
+        case "room":
+          sideRef.current = message.side;
+          setRoom({ code: message.code, side: message.side });
+          setStatus(message.side === "p1" ? "waiting" : "ready");
+          if (message.side === "p2") send({ type: "hello", character: latest.current.config.character });
+          break;
+        case "hello":
+          // The joiner introduces themselves; the host answers by starting the match
+          peerRef.current = { character: message.character };
+          if (sideRef.current === "p1") startMatch();
+          break;
+        case "start":
+          begin(
+            createMatch({
+              seed: message.seed,
+              characters: message.characters,
+              stage: message.stage,
+              rules: message.rules,
+            }),
+            "p2",
+            message.inputDelay
+          );
+          break;
+        case "rematch":
+          if (sideRef.current === "p1" && peerRef.current) startMatch();
+          break;
+        case "input":
+          if (session) receiveInputs(session, message);
+          break;
+        case "checksum":
+          if (!session) break;
+          checksumsRef.current.remote.set(message.frame, message.hash);
+          compareChecksums(message.frame);
+          break;
+        case "ping":
+          send({ type: "pong", t: message.t });
+          break;
+        case "pong": {
+          const rtt = performance.now() - message.t;
+          pingRef.current = pingRef.current ? pingRef.current + (rtt - pingRef.current) * PING_WEIGHT : rtt;
+          break;
+        }
+        case "left":
+          latest.current.onNotice("Your opponent left the room", "warn");
+          stop();
+          break;
+        case "error":
+          latest.current.onNotice(message.message, "warn");
+          stop();
+          break;
+        default:
+          break;
+      }
+    },
+    [begin, compareChecksums, send, startMatch, stop]
+  );
+
+  const connect = useCallback(
+    (first) => {
+      stop();
+      let socket;
+      try {
+        socket = new WebSocket(latest.current.settings.relayUrl);
+      } catch (err) {
+        latest.current.onNotice(`Could not reach the relay: ${err.message}`, "warn");
+        return;
+      }
+      socketRef.current = socket;
+      setStatus("connecting");
+      socket.onopen = () => socket.send(JSON.stringify(first));
+      socket.onmessage = (e) => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        if (socketRef.current === socket) onMessage(message);
+      };
+      socket.onclose = () => {
+        // Only a connection we did not close ourselves is news
+        if (socketRef.current !== socket) return;
+        latest.current.onNotice("Lost the connection to the relay", "warn");
+        stop();
+      };
+    },
+    [onMessage, stop]
+  );
+
+  const createRoom = useCallback(() => connect({ type: "create" }), [connect]);
+  const joinRoom = useCallback((code) => connect({ type: "join", code: code.trim().toUpperCase() }), [connect]);
+
+  // Either player can ask for a rematch; the host starts it
+  const rematch = useCallback(() => {
+    if (sideRef.current === "p1") startMatch();
+    else send({ type: "rematch" });
+  }, [send, startMatch]);
+
+  // Send this frame's inputs and hand back what both sides have now confirmed
+  const sync = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return [];
+    send(inputMessage(session));
+    const frames = takeConfirmed(session);
+    for (const { frame, state } of frames) {
+      if (frame % CHECKSUM_INTERVAL === 0) {
+        const hash = stateChecksum(state);
+        checksumsRef.current.local.set(frame, hash);
+        send({ type: "checksum", frame, hash });
+        compareChecksums(frame);
+      }
+      if (state.phase === "matchOver") setStatus("over");
+    }
+    return frames;
+  }, [compareChecksums, send]);
+
+  // Ping and the readout run while in a room
+  const inRoom = !!room;
+  useEffect(() => {
+    if (!inRoom) return undefined;
+    pingRef.current = 0;
+    const ping = setInterval(() => send({ type: "ping", t: performance.now() }), PING_MS);
+    const readoutTimer = setInterval(() => {
+      const session = sessionRef.current;
+      setReadout({ ping: pingRef.current ? Math.round(pingRef.current) : null, rollback: session?.peakRollback || 0 });
+      if (session) session.peakRollback = 0;
+    }, READOUT_MS);
+    return () => {
+      clearInterval(ping);
+      clearInterval(readoutTimer);
+    };
+  }, [inRoom, send]);
+
+  // Close the connection with the app
+  useEffect(() => stop, [stop]);
+
+  return {
+    status,
+    room,
+    readout,
+    settings,
+    setSettings,
+    sessionRef,
+    // Opponent one-way delay in ticks, for pacing (see shouldWait)
+    oneWayTicks: () => pingRef.current / 2 / TICK_MS,
+    createRoom,
+    joinRoom,
+    leave: stop,
+    rematch,
+    sync,
+  };
+}
@@ -0,0 +1,167 @@
+import { ATTACK_TYPES, attackPhase } from "../engine";
+
+/**
+ * Sprite animation: picks the animation a fighter's state calls for and the
+ * frame of it to show, from a sprite sheet's atlas.
+ *
+ * An atlas is plain JSON:
+ *
+ *   {
+ *     "frames": { "idle_0": { "x": 0, "y": 0, "w": 96, "h": 112 }, ... },
+ *     "anchor": { "x": 48, "y": 108 },   // the fighter's feet inside a frame
+ *     "bodyHeight": 100,                  // standing height in sheet pixels, scaled to the fighter's
+ *     "animations": {
+ *       "idle": { "frames": ["idle_0", "idle_1"], "frameTicks": 14, "loop": true },
+ *       ...
+ *     }
+ *   }
+ *
+ * Frames face right; the renderer flips them for fighters facing left.
+ * Animation names (see animationName) fall back along FALLBACKS, so a sheet
+ * only needs "idle" and can add detail as it grows: "heavyActive" falls back
+ * to "attackActive", then "idle"; "crouchLightActive" to "crouchAttackActive"
+ * first.
+ */
+
+const ATTACK_PHASE_NAMES = { startup: "Startup", active: "Active", recovery: "Recovery" };
+// The generic animation each attack type falls back to before "attack"
+const ATTACK_FAMILY = {
+  ex: "special",
+  super: "special",
+  crouchLight: "crouchAttack",
+  crouchHeavy: "crouchAttack",
+  airLight: "airAttack",
+  airHeavy: "airAttack",
+};
+// Below this speed a grounded fighter counts as standing still
+const WALK_SPEED = 0.3;
+
+// PUBLIC_INTERFACE
+/** Every animation name a fighter can ask for. */
+export const ANIMATION_NAMES = [
+  "idle",
+  "walkForward",
+  "walkBack",
+  "jump",
+  "fall",
+  "crouch",
+  "block",
+  "crouchBlock",
+  "hitstun",
+  "thrown",
+  "ko",
+  ...["attack", "crouchAttack", "airAttack", ...ATTACK_TYPES].flatMap((type) => Object.values(ATTACK_PHASE_NAMES).map((p) => `${type}${p}`)),
+];
+
+// Where each animation looks next when a sheet does not have it
+const FALLBACKS = {
+  walkBack: "walkForward",
+  walkForward: "idle",
+  fall: "jump",
+  jump: "idle",
+  crouch: "idle",
+  block: "idle",
+  crouchBlock: "block",
+  hitstun: "idle",
+  thrown: "hitstun",
+  ko: "hitstun",
+  ...Object.fromEntries(
+    ATTACK_TYPES.flatMap((type) =>
+      Object.values(ATTACK_PHASE_NAMES).map((p) => [`${type}${p}`, `${ATTACK_FAMILY[type] || "attack"}${p}`])
+    )
+  ),
+  ...Object.fromEntries(
+    Object.values(ATTACK_PHASE_NAMES).flatMap((p) => [
+      [`crouchAttack${p}`, `attack${p}`],
+      [`airAttack${p}`, `attack${p}`],
+      [`attack${p}`, "idle"],
+    ])
+  ),
+};
+
+// PUBLIC_INTERFACE
+/** The animation a fighter's current state calls for. */
+export function animationName(f) {
+  if (f.hp <= 0) return "ko";
+  if (f.stun > 0) {
+    if (f.stunType === "block") return f.crouching ? "crouchBlock" : "block";
+    return f.stunType === "throw" ? "thrown" : "hitstun";
+  }
+  const phase = attackPhase(f);
+  if (phase) return `${f.attackType}${ATTACK_PHASE_NAMES[phase]}`;
+  if (!f.onGround) return f.vy < 0 ? "jump" : "fall";
+  if (f.block) return f.crouching ? "crouchBlock" : "block";
+  if (f.crouching) return "crouch";
+  if (Math.abs(f.vx) > WALK_SPEED) return Math.sign(f.vx) === f.facing ? "walkForward" : "walkBack";
+  return "idle";
+}
+
+// PUBLIC_INTERFACE
+/** The animation a sheet will actually play for a name, following FALLBACKS. */
+export function resolveAnimation(atlas, name) {
+  let n = name;
+  while (n && !atlas.animations[n]) n = FALLBACKS[n];
+  return atlas.animations[n || "idle"];
+}
+
+// PUBLIC_INTERFACE
+/** Per-fighter animation clock: which animation is playing and since which tick. */
+export function createAnimator() {
+  return { name: null, since: 0 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Advance an animator to the fighter's state at `tick` and return the frame
+ * rect to draw. Changing animation restarts it; looping animations wrap and
+ * the others hold their last frame. Mutates the animator.
+ */
+export function animationFrame(animator, atlas, f, tick) {
+  const name = animationName(f);
+  // A new animation, or a new match whose clock started over
+  if (name !== animator.name || tick < animator.since) {
+    animator.name = name;
+    animator.since = tick;
+  }
+  const anim = resolveAnimation(atlas, name);
+  const step = Math.floor((tick - animator.since) / anim.frameTicks);
+  const index = anim.loop ? step % anim.frames.length : Math.min(step, anim.frames.length - 1);
+  return atlas.frames[anim.frames[index]];
+}
+
+function isRect(r) {
+  return !!r && ["x", "y", "w", "h"].every((k) => typeof r[k] === "number");
+}
+
+// PUBLIC_INTERFACE
+/** Validate an atlas document; throws an Error describing the first problem found. */
+export function parseAtlas(doc) {
+  if (!doc || typeof doc.frames !== "object" || typeof doc.animations !== "object") {
+    throw new Error("A sprite atlas needs frames and animations.");
+  }
+  for (const [name, rect] of Object.entries(doc.frames)) {
+    if (!isRect(rect)) throw new Error(`Frame ${name} needs numeric x, y, w and h.`);
+  }
+  if (!doc.animations.idle) throw new Error("A sprite atlas needs at least an idle animation.");
+  for (const [name, anim] of Object.entries(doc.animations)) {
+    if (!Array.isArray(anim.frames) || anim.frames.length === 0) throw new Error(`Animation ${name} has no frames.`);
+    const missing = anim.frames.find((frame) => !doc.frames[frame]);
+    if (missing) throw new Error(`Animation ${name} uses unknown frame ${missing}.`);
+    if (!(anim.frameTicks >= 1)) throw new Error(`Animation ${name} needs frameTicks of at least 1.`);
+  }
+  if (!doc.anchor || typeof doc.anchor.x !== "number" || typeof doc.anchor.y !== "number") {
+    throw new Error("A sprite atlas needs an anchor point.");
+  }
+  if (!(doc.bodyHeight > 0)) throw new Error("A sprite atlas needs a bodyHeight.");
+  return {
+    frames: doc.frames,
+    anchor: doc.anchor,
+    bodyHeight: doc.bodyHeight,
+    animations: Object.fromEntries(
+      Object.entries(doc.animations).map(([name, anim]) => [
+        name,
+        { frames: anim.frames, frameTicks: anim.frameTicks, loop: !!anim.loop },
+      ])
+    ),
+  };
+}
@@ -0,0 +1,65 @@
+import { createFighter, getMove } from "../engine";
+import { animationFrame, animationName, createAnimator, parseAtlas, resolveAnimation } from "./animation";
+
+const rect = (x) => ({ x, y: 0, w: 10, h: 10 });
+
+const ATLAS = parseAtlas({
+  frames: { idle_0: rect(0), idle_1: rect(10), ko_0: rect(20), ko_1: rect(30), hit_0: rect(40) },
+  anchor: { x: 5, y: 10 },
+  bodyHeight: 10,
+  animations: {
+    idle: { frames: ["idle_0", "idle_1"], frameTicks: 4, loop: true },
+    ko: { frames: ["ko_0", "ko_1"], frameTicks: 3 },
+    attackActive: { frames: ["hit_0"], frameTicks: 1 },
+  },
+});
+
+test("fighter state picks the animation", () => {
+  const f = createFighter(200, 1);
+  expect(animationName(f)).toBe("idle");
+  expect(animationName({ ...f, vx: 3 })).toBe("walkForward");
+  expect(animationName({ ...f, vx: -3 })).toBe("walkBack");
+  expect(animationName({ ...f, facing: -1, vx: -3 })).toBe("walkForward");
+  expect(animationName({ ...f, onGround: false, vy: -5 })).toBe("jump");
+  expect(animationName({ ...f, onGround: false, vy: 2 })).toBe("fall");
+  expect(animationName({ ...f, stun: 5, stunType: "hit" })).toBe("hitstun");
+  expect(animationName({ ...f, stun: 5, stunType: "block", block: true })).toBe("block");
+  expect(animationName({ ...f, hp: 0, stun: 5, stunType: "hit" })).toBe("ko");
+
+  const { startup } = getMove(f, "heavy");
+  const heavy = { ...f, attacking: true, attackType: "heavy" };
+  expect(animationName({ ...heavy, attackFrame: 1 })).toBe("heavyStartup");
+  expect(animationName({ ...heavy, attackFrame: startup + 1 })).toBe("heavyActive");
+});
+
+test("missing animations fall back and frames loop or hold", () => {
+  expect(resolveAnimation(ATLAS, "heavyActive")).toBe(ATLAS.animations.attackActive);
+  expect(resolveAnimation(ATLAS, "walkBack")).toBe(ATLAS.animations.idle);
+  expect(resolveAnimation(ATLAS, "superStartup")).toBe(ATLAS.animations.idle);
+
+  const f = createFighter(200, 1);
+  const animator = createAnimator();
+  expect(animationFrame(animator, ATLAS, f, 100)).toBe(ATLAS.frames.idle_0);
+  expect(animationFrame(animator, ATLAS, f, 104)).toBe(ATLAS.frames.idle_1);
+  expect(animationFrame(animator, ATLAS, f, 108)).toBe(ATLAS.frames.idle_0);
+
+  // Changing animation restarts it; non-looping ones hold the last frame
+  const down = { ...f, hp: 0 };
+  expect(animationFrame(animator, ATLAS, down, 110)).toBe(ATLAS.frames.ko_0);
+  expect(animationFrame(animator, ATLAS, down, 113)).toBe(ATLAS.frames.ko_1);
+  expect(animationFrame(animator, ATLAS, down, 190)).toBe(ATLAS.frames.ko_1);
+
+  // A clock that went backwards (a new match) restarts too
+  expect(animationFrame(animator, ATLAS, down, 0)).toBe(ATLAS.frames.ko_0);
+});
+
+test("malformed atlases are rejected", () => {
+  const base = { frames: { a: rect(0) }, anchor: { x: 0, y: 0 }, bodyHeight: 10 };
+  expect(() => parseAtlas(null)).toThrow(/frames and animations/);
+  expect(() => parseAtlas({ ...base, animations: {} })).toThrow(/idle/);
+  expect(() => parseAtlas({ ...base, animations: { idle: { frames: ["b"], frameTicks: 1 } } })).toThrow(/unknown frame b/);
+  expect(() => parseAtlas({ ...base, animations: { idle: { frames: ["a"], frameTicks: 0 } } })).toThrow(/frameTicks/);
+  expect(() => parseAtlas({ ...base, bodyHeight: 0, animations: { idle: { frames: ["a"], frameTicks: 1 } } })).toThrow(
+    /bodyHeight/
+  );
+});
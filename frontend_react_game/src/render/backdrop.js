@@ -0,0 +1,87 @@
+import { ARENA_WIDTH, createRng } from "../engine";
+
+/**
+ * Stage backdrops as plain shapes, shared by the canvas renderer and the DOM
+ * renderer (StageView) so both draw the same scenery.
+ *
+ * Each parallax layer of a stage (see engine/stages) is as wide as the part
+ * of it the camera can ever show: the viewport plus its share of the scroll.
+ * It is drawn at -cameraX * parallax, so far layers drift slowly behind the
+ * fighters. Shapes are in layer units with the stage's floor as the horizon;
+ * clouds and buildings are scattered from the layer's seed, so a stage always
+ * looks the same.
+ */
+
+// PUBLIC_INTERFACE
+/** Width of a parallax layer on a stage. */
+export function layerWidth(layer, stage) {
+  return ARENA_WIDTH + (stage.width - ARENA_WIDTH) * layer.parallax;
+}
+
+function clouds(layer, width) {
+  const rng = createRng(layer.seed);
+  const shapes = [];
+  for (let x = rng() * 120; x < width; x += 200 + rng() * 160) {
+    const rx = 40 + rng() * 40;
+    shapes.push({ type: "ellipse", cx: x + rx, cy: 24 + rng() * 60, rx, ry: 10 + rng() * 4 });
+  }
+  return shapes;
+}
+
+function hills(layer, width, floorY) {
+  const points = [[0, floorY]];
+  for (let x = 0; x <= width; x += 16) {
+    const wave = Math.sin(x / 150) * 0.35 + Math.sin(x / 61 + 1) * 0.15;
+    points.push([x, floorY - layer.height * (0.6 + wave)]);
+  }
+  points.push([width, floorY]);
+  return [{ type: "polygon", points }];
+}
+
+function buildings(layer, width, floorY) {
+  const rng = createRng(layer.seed);
+  const shapes = [];
+  for (let x = 0; x < width; ) {
+    const w = 40 + rng() * 60;
+    const h = layer.height * (0.4 + rng() * 0.6);
+    shapes.push({ type: "rect", x, y: floorY - h, w, h });
+    x += w + 4 + rng() * 16;
+  }
+  return shapes;
+}
+
+const shapeCache = new WeakMap();
+
+// PUBLIC_INTERFACE
+/**
+ * The shapes of a non-sky layer, all in the layer's color:
+ * { type: "rect", x, y, w, h } | { type: "ellipse", cx, cy, rx, ry } |
+ * { type: "polygon", points: [[x, y], ...] }. Cached per layer.
+ */
+export function layerShapes(layer, stage) {
+  let shapes = shapeCache.get(layer);
+  if (!shapes) {
+    const width = layerWidth(layer, stage);
+    if (layer.kind === "clouds") shapes = clouds(layer, width);
+    else if (layer.kind === "hills") shapes = hills(layer, width, stage.floorY);
+    else if (layer.kind === "buildings") shapes = buildings(layer, width, stage.floorY);
+    else shapes = [];
+    shapeCache.set(layer, shapes);
+  }
+  return shapes;
+}
+
+// PUBLIC_INTERFACE
+/** Colors and sizes of the stage props both renderers draw: hazard vents and bouncy walls. */
+export const STAGE_PROPS = {
+  grate: "#44403c",
+  grateHeight: 6,
+  warning: "#f97316",
+  steam: "rgba(254, 215, 170, 0.9)",
+  steamHeight: 140,
+  crate: "#a16207",
+  crateEdge: "#713f12",
+  fence: "#334155",
+  wire: "#facc15",
+  wallHeight: 150,
+};
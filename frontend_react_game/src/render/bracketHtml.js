@@ -0,0 +1,82 @@
+import { ELIMINATION_FORMATS, getCharacter, getPlayer, tournamentChampion, tournamentRounds } from "../engine";
+
+/**
+ * A tournament bracket as a standalone HTML page for printing or saving: no
+ * scripts and no outside resources, so the file opens anywhere.
+ */
+
+const SECTIONS = { winners: "Winners Bracket", losers: "Losers Bracket", grand: "Grand Final" };
+
+const STYLE = `
+  @page { size: landscape; margin: 12mm; }
+  body { font: 13px/1.35 system-ui, sans-serif; color: #1f2937; margin: 24px; }
+  h1 { margin: 0; color: #1d4ed8; }
+  h2 { margin: 24px 0 8px; font-size: 15px; color: #1d4ed8; }
+  .meta { color: #6b7280; margin-top: 4px; }
+  .champion { margin-top: 12px; font-size: 16px; font-weight: 700; color: #b45309; }
+  .rounds { display: flex; gap: 16px; align-items: center; }
+  .round { display: flex; flex-direction: column; gap: 10px; min-width: 150px; }
+  .label { font-weight: 600; color: #374151; text-align: center; }
+  .match { border: 1px solid #bfdbfe; border-radius: 6px; break-inside: avoid; }
+  .match.skipped { opacity: 0.4; }
+  .player { display: flex; justify-content: space-between; gap: 8px; padding: 3px 8px; }
+  .player + .player { border-top: 1px solid #dbeafe; }
+  .winner { font-weight: 700; color: #1d4ed8; }
+  .lost { color: #9ca3af; text-decoration: line-through; }
+  .tbd { color: #9ca3af; font-style: italic; }
+  .tag { color: #6b7280; font-size: 11px; }
+`;
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function playerRow(tournament, match, seed) {
+  if (!seed) return `<div class="player tbd">${match.status === "skipped" ? "Not needed" : "TBD"}</div>`;
+  const player = getPlayer(tournament, seed);
+  const result = match.winner === seed ? " winner" : match.winner ? " lost" : "";
+  const tag = `${getCharacter(player.character).name}${player.cpu ? " • CPU" : ""}`;
+  return `<div class="player${result}"><span>${escapeHTML(player.name)}</span><span class="tag">${escapeHTML(tag)}</span></div>`;
+}
+
+function roundColumn(tournament, round) {
+  const matches = round.matches
+    .map((m) => `<div class="match ${m.status}">${m.players.map((seed) => playerRow(tournament, m, seed)).join("")}</div>`)
+    .join("");
+  return `<div class="round"><div class="label">${escapeHTML(round.label)}</div>${matches}</div>`;
+}
+
+// PUBLIC_INTERFACE
+/** The bracket as it stands, winners marked, as a complete HTML document. */
+export function bracketHTML(tournament, printedAt = new Date()) {
+  const rounds = tournamentRounds(tournament);
+  const sections = Object.entries(SECTIONS)
+    .filter(([bracket]) => rounds.some((r) => r.bracket === bracket))
+    .map(([bracket, title]) => {
+      const columns = rounds.filter((r) => r.bracket === bracket).map((r) => roundColumn(tournament, r));
+      return `<h2>${title}</h2><div class="rounds">${columns.join("")}</div>`;
+    });
+  const champion = tournamentChampion(tournament);
+  const meta = [
+    ELIMINATION_FORMATS[tournament.format],
+    `${tournament.players.length} players`,
+    `CPU level ${tournament.cpuLevel}`,
+    `printed ${printedAt.toLocaleString()}`,
+  ].join(" • ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(tournament.name)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHTML(tournament.name)}</h1>
+<div class="meta">${escapeHTML(meta)}</div>
+${champion ? `<div class="champion">Champion: ${escapeHTML(getPlayer(tournament, champion).name)}</div>` : ""}
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,17 @@
+import { createTournament, recordResult } from "../engine";
+import { bracketHTML } from "./bracketHtml";
+
+test("the printable bracket escapes names and marks winners and the champion", () => {
+  let t = createTournament({ name: "Lunch <Cup>", entrants: [{ name: "<b>Ana</b>", character: "kai" }], format: "double" });
+  expect(bracketHTML(t)).toContain("Winners Bracket");
+  expect(bracketHTML(t)).not.toContain("Losers Bracket");
+
+  t = recordResult(t, "W1-1", 1);
+  t = recordResult(t, "GF1", 1);
+  const html = bracketHTML(t);
+  expect(html).toContain("<title>Lunch &lt;Cup&gt;</title>");
+  expect(html).not.toContain("<b>Ana</b>");
+  expect(html).toContain('<div class="player winner"><span>&lt;b&gt;Ana&lt;/b&gt;</span>');
+  expect(html).toContain("Champion: &lt;b&gt;Ana&lt;/b&gt;");
+  expect(html).toContain('<div class="match skipped">');
+});
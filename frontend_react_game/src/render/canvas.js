@@ -0,0 +1,361 @@
+import {
+  ARENA_HEIGHT,
+  ARENA_WIDTH,
+  FLASH_MS,
+  WALL_MARGIN,
+  attackPhase,
+  cameraX,
+  getAttackHitbox,
+  getHurtbox,
+  getMove,
+  getPalette,
+  getStage,
+  hazardPhase,
+  msToTicks,
+  projectileBox,
+} from "../engine";
+import { animationFrame } from "./animation";
+import { STAGE_PROPS, layerShapes, layerWidth } from "./backdrop";
+import { spriteSheetFor } from "./sprites";
+
+/**
+ * Canvas 2D arena renderer: draws the stage, fighters, hit flashes and the
+ * training hitbox overlay straight from match state, in arena units. It is the
+ * imperative twin of the DOM renderer in App.js (FighterSprite and friends) and
+ * draws the same shapes, so either can be picked from the Display screen.
+ *
+ * Projectiles are glowing orbs in their thrower's colors, drawn over the fighters.
+ * Fighters come in two skins: "sprites" animates them from a sprite sheet
+ * (./sprites, ./animation) and "boxes" is the original rectangle look.
+ * Sparks and damage numbers are drawn on a layer of their own (./effects).
+ *
+ * The stage scrolls under the camera (cameraX): its backdrop layers move at
+ * their own parallax (./backdrop) and everything else is drawn in stage
+ * coordinates shifted by the camera.
+ */
+
+const FLASH_TICKS = msToTicks(FLASH_MS);
+// Longest arm drawn for an attack; supers draw a beam instead
+const ARM_MAX_REACH = 100;
+const KO_DROP = 6;
+
+// Each stage's backdrop layers are drawn once per canvas into images of their own
+const backdrops = new WeakMap();
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function paintLayer(ctx, layer, stage) {
+  if (layer.kind === "sky") {
+    const sky = ctx.createLinearGradient(0, 0, 0, stage.floorY);
+    sky.addColorStop(0, layer.from);
+    sky.addColorStop(1, layer.to);
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, layerWidth(layer, stage), ARENA_HEIGHT);
+    return;
+  }
+  ctx.fillStyle = layer.color;
+  for (const shape of layerShapes(layer, stage)) {
+    ctx.beginPath();
+    if (shape.type === "rect") ctx.rect(shape.x, shape.y, shape.w, shape.h);
+    else if (shape.type === "ellipse") ctx.ellipse(shape.cx, shape.cy, shape.rx, shape.ry, 0, 0, Math.PI * 2);
+    else shape.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.fill();
+  }
+}
+
+function paintFloor(ctx, stage) {
+  const { floorY, floor } = stage;
+  const height = ARENA_HEIGHT - floorY;
+  ctx.fillStyle = floor.color;
+  ctx.fillRect(0, floorY, stage.width, height);
+  ctx.fillStyle = floor.stripe;
+  for (let x = 0; x < stage.width; x += 8) ctx.fillRect(x, floorY, 4, height);
+}
+
+function backdropFor(canvas, stage) {
+  let backdrop = backdrops.get(canvas);
+  if (!backdrop || backdrop.stage !== stage || backdrop.width !== canvas.width || backdrop.height !== canvas.height) {
+    const sx = canvas.width / ARENA_WIDTH;
+    const sy = canvas.height / ARENA_HEIGHT;
+    const layers = [
+      ...stage.layers.map((layer) => ({
+        parallax: layer.parallax,
+        width: layerWidth(layer, stage),
+        paint: (ctx) => paintLayer(ctx, layer, stage),
+      })),
+      // The floor moves with the fighters
+      { parallax: 1, width: stage.width, paint: (ctx) => paintFloor(ctx, stage) },
+    ];
+    backdrop = {
+      stage,
+      width: canvas.width,
+      height: canvas.height,
+      layers: layers.map(({ parallax, width, paint }) => {
+        const image = document.createElement("canvas");
+        image.width = Math.ceil(width * sx);
+        image.height = canvas.height;
+        const ctx = image.getContext("2d");
+        ctx.scale(sx, sy);
+        paint(ctx);
+        return { image, parallax };
+      }),
+    };
+    backdrops.set(canvas, backdrop);
+  }
+  return backdrop;
+}
+
+// Vents glow before they erupt and steam while active; walls that bounce show what they are
+function drawStage(ctx, stage, tick) {
+  const { floorY } = stage;
+  for (const hazard of stage.hazards) {
+    const phase = hazardPhase(hazard, tick);
+    ctx.fillStyle = STAGE_PROPS.grate;
+    ctx.fillRect(hazard.x, floorY, hazard.width, STAGE_PROPS.grateHeight);
+    if (phase === "warning") {
+      ctx.globalAlpha = 0.45 + 0.25 * Math.sin(tick / 3);
+      ctx.fillStyle = STAGE_PROPS.warning;
+      ctx.fillRect(hazard.x, floorY - 4, hazard.width, 4 + STAGE_PROPS.grateHeight);
+      ctx.globalAlpha = 1;
+    } else if (phase === "active") {
+      const top = floorY - STAGE_PROPS.steamHeight;
+      const steam = ctx.createLinearGradient(0, floorY, 0, top);
+      steam.addColorStop(0, STAGE_PROPS.steam);
+      steam.addColorStop(1, "rgba(255, 255, 255, 0)");
+      ctx.fillStyle = steam;
+      ctx.fillRect(hazard.x, top, hazard.width, STAGE_PROPS.steamHeight);
+    }
+  }
+
+  const { bounce, damage } = stage.walls;
+  if (bounce === 0) return;
+  const top = floorY - STAGE_PROPS.wallHeight;
+  for (const x of [0, stage.width - WALL_MARGIN]) {
+    if (damage > 0) {
+      // Fence posts strung with flickering live wires
+      ctx.fillStyle = STAGE_PROPS.fence;
+      ctx.fillRect(x, top, WALL_MARGIN, STAGE_PROPS.wallHeight);
+      ctx.strokeStyle = STAGE_PROPS.wire;
+      ctx.lineWidth = 2;
+      ctx.globalAlpha = tick % 8 < 6 ? 1 : 0.4;
+      for (let y = top + 20; y < floorY; y += 32) {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + WALL_MARGIN, y + 6);
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    } else {
+      // A stack of crates
+      ctx.fillStyle = STAGE_PROPS.crate;
+      ctx.strokeStyle = STAGE_PROPS.crateEdge;
+      ctx.lineWidth = 2;
+      for (let y = top; y < floorY; y += WALL_MARGIN * 2) {
+        ctx.fillRect(x, y, WALL_MARGIN, WALL_MARGIN * 2);
+        ctx.strokeRect(x + 1, y + 1, WALL_MARGIN - 2, WALL_MARGIN * 2 - 2);
+      }
+    }
+  }
+}
+
+// Supers fire a beam across the arena while active; drawn in fighter coordinates
+function drawBeam(ctx, f) {
+  if (f.attackType !== "super" || attackPhase(f) !== "active") return;
+  const { width: w, height: h } = f;
+  const beamHeight = getMove(f, "super").hitboxHeight;
+  const beam = ctx.createLinearGradient(w / 2, 0, w / 2 + ARENA_WIDTH, 0);
+  beam.addColorStop(0, getPalette(f).detail);
+  beam.addColorStop(1, "transparent");
+  ctx.globalAlpha = f.attackFrame % 2 === 0 ? 0.85 : 1;
+  ctx.fillStyle = beam;
+  roundRect(ctx, w / 2, -h / 2 - beamHeight / 2, ARENA_WIDTH, beamHeight, beamHeight / 2);
+  ctx.fill();
+  ctx.globalAlpha = 1;
+}
+
+// A projectile: an orb in the thrower's colors, its white core pulsing, trailing a fading tail
+function drawProjectile(ctx, p, palette) {
+  const cx = p.x;
+  const cy = p.y - p.height / 2;
+  const dir = Math.sign(p.vx);
+  const tail = ctx.createLinearGradient(cx, 0, cx - dir * p.width * 2, 0);
+  tail.addColorStop(0, palette.detail);
+  tail.addColorStop(1, "transparent");
+  ctx.globalAlpha = 0.7;
+  ctx.fillStyle = tail;
+  ctx.fillRect(dir > 0 ? cx - p.width * 2 : cx, cy - p.height / 4, p.width * 2, p.height / 2);
+  ctx.globalAlpha = 1;
+
+  ctx.beginPath();
+  ctx.ellipse(cx, cy, p.width / 2, p.height / 2, 0, 0, Math.PI * 2);
+  ctx.fillStyle = palette.body;
+  ctx.fill();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = palette.detail;
+  ctx.stroke();
+
+  ctx.globalAlpha = p.age % 8 < 4 ? 1 : 0.85;
+  ctx.beginPath();
+  ctx.ellipse(cx + (dir * p.width) / 8, cy, p.width / 4, p.height / 4, 0, 0, Math.PI * 2);
+  ctx.fillStyle = "#ffffff";
+  ctx.fill();
+  ctx.globalAlpha = 1;
+}
+
+function flashOf(f) {
+  return f.hitflash > 0 ? f.hitflash : f.blockflash;
+}
+
+// The "boxes" skin, in the fighter's own coordinates: origin at its feet, x pointing the way it faces
+function drawBoxFighter(ctx, f, isLeft) {
+  const palette = getPalette(f);
+  // The body is as tall as the hurtbox, so it shrinks while crouching
+  const { width: w, height: h } = getHurtbox(f);
+  const phase = attackPhase(f);
+  ctx.save();
+  ctx.translate(f.x, f.y + (f.hp <= 0 ? KO_DROP : 0));
+  ctx.scale(f.facing, 1);
+
+  // Body with its drop shadow
+  ctx.save();
+  ctx.shadowColor = "rgba(0, 0, 0, 0.35)";
+  ctx.shadowBlur = 18;
+  ctx.shadowOffsetY = 12;
+  roundRect(ctx, -w / 2, -h, w, h, 6);
+  ctx.fillStyle = palette.body;
+  ctx.fill();
+  ctx.restore();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = palette.outline;
+  ctx.stroke();
+
+  // Headband and belt
+  ctx.fillStyle = palette.detail;
+  ctx.fillRect(isLeft ? -w / 2 + 4 : w / 2 - 36, -h + 4, 32, 12);
+  ctx.globalAlpha = 0.7;
+  ctx.fillRect(-20, -16, 40, 8);
+  ctx.globalAlpha = 1;
+
+  // Arm at the height of the hitbox: half-extended in startup/recovery, full reach while active
+  if (phase) {
+    const reach = Math.min(getMove(f, f.attackType).reach, ARM_MAX_REACH) * (phase === "active" ? 0.6 : 0.3);
+    const hitbox = getAttackHitbox(f, f.attackType);
+    const armY = hitbox.y - hitbox.height / 2 - f.y;
+    ctx.fillRect(w / 2 + 2, Math.min(armY, -4) - 4, Math.round(reach), 8);
+  }
+
+  drawBeam(ctx, f);
+
+  // Hit flashes brighten the body, block flashes tint it
+  const flash = flashOf(f);
+  if (flash > 0) {
+    ctx.globalAlpha = 0.6 * (flash / FLASH_TICKS);
+    ctx.fillStyle = f.hitflash > 0 ? "#ffffff" : "#67e8f9";
+    roundRect(ctx, -w / 2, -h, w, h, 6);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+  ctx.restore();
+}
+
+// The "sprites" skin: the sheet frame for the fighter's animation, scaled to its height
+function drawSpriteFighter(ctx, f, sheet, animator, tick, floorY) {
+  const { atlas, image } = sheet;
+  const frame = animationFrame(animator, atlas, f, tick);
+  const scale = f.height / atlas.bodyHeight;
+
+  // A soft ground shadow stands in for the boxes' drop shadow
+  ctx.fillStyle = "rgba(0, 0, 0, 0.18)";
+  ctx.beginPath();
+  ctx.ellipse(f.x, floorY, f.width * 0.7, 6, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.save();
+  ctx.translate(f.x, f.y);
+  ctx.scale(f.facing, 1);
+  drawBeam(ctx, f);
+  ctx.scale(scale, scale);
+  const draw = () =>
+    ctx.drawImage(image, frame.x, frame.y, frame.w, frame.h, -atlas.anchor.x, -atlas.anchor.y, frame.w, frame.h);
+  draw();
+  // Flashes add the frame onto itself: brighter for hits, fainter for blocks
+  const flash = flashOf(f);
+  if (flash > 0) {
+    ctx.globalCompositeOperation = "lighter";
+    ctx.globalAlpha = (f.hitflash > 0 ? 0.8 : 0.4) * (flash / FLASH_TICKS);
+    draw();
+  }
+  ctx.restore();
+}
+
+// Engine rects are anchored at their bottom edge (y is the bottom)
+function strokeBox(ctx, rect, stroke, fill, dashed = false) {
+  ctx.setLineDash(dashed ? [6, 4] : []);
+  ctx.fillStyle = fill;
+  ctx.fillRect(rect.x, rect.y - rect.height, rect.width, rect.height);
+  ctx.strokeStyle = stroke;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(rect.x, rect.y - rect.height, rect.width, rect.height);
+  ctx.setLineDash([]);
+}
+
+function drawBoxes(ctx, f) {
+  strokeBox(ctx, getHurtbox(f), "#10b981", "rgba(52, 211, 153, 0.15)");
+  const phase = attackPhase(f);
+  // Projectile moves hit with their projectile, boxed on its own
+  if (!phase || getMove(f, f.attackType).projectile) return;
+  const live = phase === "active" && !f.attackHit;
+  strokeBox(
+    ctx,
+    getAttackHitbox(f, f.attackType),
+    live ? "#ef4444" : "rgba(248, 113, 113, 0.6)",
+    live ? "rgba(239, 68, 68, 0.25)" : "transparent",
+    !live
+  );
+}
+
+// PUBLIC_INTERFACE
+/** True where the browser can draw the canvas arena. */
+export function canvasSupported(canvas) {
+  return !!canvas && typeof canvas.getContext === "function" && !!canvas.getContext("2d");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Draw one frame of the arena onto a canvas whose backing store is `pixelRatio`
+ * device pixels per arena unit, with the camera on the fighters. options:
+ * { showHitboxes, skin, animators } where animators holds each side's
+ * animation clock (createAnimator) for the sprite skin.
+ */
+export function drawArena(canvas, state, pixelRatio, { showHitboxes = false, skin = "boxes", animators } = {}) {
+  const ctx = canvas.getContext("2d");
+  const stage = getStage(state.stage);
+  const camera = cameraX(state);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  for (const { image, parallax } of backdropFor(canvas, stage).layers) {
+    ctx.drawImage(image, -Math.round(camera * parallax * pixelRatio), 0);
+  }
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, -camera * pixelRatio, 0);
+  drawStage(ctx, stage, state.tick);
+
+  for (const side of ["p1", "p2"]) {
+    const f = state[side];
+    if (skin === "sprites") drawSpriteFighter(ctx, f, spriteSheetFor(f), animators[side], state.tick, stage.floorY);
+    else drawBoxFighter(ctx, f, side === "p1");
+  }
+  for (const p of state.projectiles) drawProjectile(ctx, p, getPalette(state[p.owner]));
+  if (showHitboxes) {
+    drawBoxes(ctx, state.p1);
+    drawBoxes(ctx, state.p2);
+    for (const p of state.projectiles) strokeBox(ctx, projectileBox(p), "#ef4444", "rgba(239, 68, 68, 0.25)");
+  }
+}
@@ -0,0 +1,257 @@
+import { createRng, deriveSeed, getAttackHitbox, getHurtbox } from "../engine";
+
+/**
+ * Impact effects: hitstop, screen shake, sparks and floating damage numbers.
+ * They are presentation only: the match state never sees them, so replays
+ * and the simulation are the same with effects on or off.
+ *
+ * spawnEffects() looks at what one engine tick changed (like the sound cues)
+ * and tickEffects() advances everything by one tick. Hitstop is carried out
+ * by the game loop, which holds the simulation while fx.hitstop > 0 but keeps
+ * ticking the effects, so sparks burst while the fighters are frozen.
+ * Effect objects are mutated in place, like the frame meter.
+ */
+
+// PUBLIC_INTERFACE
+/** Every effect that can be switched on or off, with its label. */
+export const EFFECT_LABELS = {
+  hitstop: "Hitstop",
+  shake: "Screen shake",
+  sparks: "Hit and guard sparks",
+  damageNumbers: "Damage numbers",
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_EFFECTS = Object.freeze({ hitstop: true, shake: true, sparks: true, damageNumbers: true });
+
+// PUBLIC_INTERFACE
+/** Ticks both fighters freeze for on a clean hit, by attack type; blocked hits freeze for less. */
+export const HITSTOP_TICKS = {
+  light: 4,
+  heavy: 7,
+  crouchLight: 4,
+  crouchHeavy: 7,
+  airLight: 4,
+  airHeavy: 7,
+  throw: 9,
+  special: 8,
+  ex: 10,
+  super: 12,
+};
+const BLOCKED_HITSTOP = 0.6;
+
+// Shake strength (arena units) and length (ticks) for the hits that shake the screen
+const SHAKES = {
+  heavy: { power: 3, ticks: 10 },
+  crouchHeavy: { power: 3, ticks: 10 },
+  airHeavy: { power: 3, ticks: 10 },
+  throw: { power: 4, ticks: 12 },
+  special: { power: 5, ticks: 14 },
+  ex: { power: 6, ticks: 16 },
+  super: { power: 8, ticks: 20 },
+};
+
+const SPARK_TICKS = 18;
+const GUARD_TICKS = 14;
+const NUMBER_TICKS = 45;
+const NUMBER_RISE = 36;
+const SPARKS_PER_HIT = {
+  light: 6,
+  heavy: 10,
+  crouchLight: 6,
+  crouchHeavy: 10,
+  airLight: 6,
+  airHeavy: 10,
+  throw: 8,
+  special: 12,
+  ex: 14,
+  super: 18,
+};
+
+// Stage hazards and damaging walls land like a heavy hit
+const STAGE_HIT_TYPE = "heavy";
+// Projectiles cancelling each other out, and a teched throw, spark like a guarded light hit
+const CLASH_HIT = Object.freeze({ type: "light", damage: 0, blocked: true });
+
+const OFF = Object.freeze({ hitstop: false, shake: false, sparks: false, damageNumbers: false });
+
+// PUBLIC_INTERFACE
+/** The effects to actually play: the chosen ones, or none at all when motion should be reduced. */
+export function activeEffects(settings, reduceMotion) {
+  return reduceMotion ? OFF : { ...DEFAULT_EFFECTS, ...settings };
+}
+
+// PUBLIC_INTERFACE
+/** Empty effect state. */
+export function createEffects() {
+  return { hitstop: 0, shake: null, sparks: [], numbers: [], rolls: 0 };
+}
+
+// The middle of where the attack overlapped the body; the near edge of the body for a
+// projectile (gone by now) or when nothing overlaps
+function impactPoint(attacker, defender) {
+  const hurt = getHurtbox(defender);
+  if (attacker.attacking && !defender.lastHitTaken.projectile) {
+    const hit = getAttackHitbox(attacker, attacker.attackType);
+    const left = Math.max(hit.x, hurt.x);
+    const right = Math.min(hit.x + hit.width, hurt.x + hurt.width);
+    const top = Math.max(hit.y - hit.height, hurt.y - hurt.height);
+    const bottom = Math.min(hit.y, hurt.y);
+    if (left <= right && top <= bottom) return { x: (left + right) / 2, y: (top + bottom) / 2 };
+  }
+  return { x: defender.x + (defender.facing * defender.width) / 2, y: defender.y - defender.height / 2 };
+}
+
+function spawnSparks(fx, rng, at, hit, towards) {
+  const count = hit.blocked ? 8 : SPARKS_PER_HIT[hit.type] || SPARKS_PER_HIT.light;
+  for (let i = 0; i < count; i++) {
+    if (hit.blocked) {
+      // Guard sparks fan back out of the guard as a ring of short dashes
+      const angle = (i / count) * Math.PI * 2;
+      const speed = 2.5 + rng() * 1.5;
+      fx.sparks.push({
+        kind: "guard",
+        x: at.x,
+        y: at.y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        age: 0,
+        life: GUARD_TICKS,
+      });
+    } else {
+      // Hit sparks spray onwards in the direction of the blow
+      const angle = (rng() - 0.5) * Math.PI * 0.9;
+      const speed = 3 + rng() * 5;
+      fx.sparks.push({
+        kind: "hit",
+        x: at.x,
+        y: at.y,
+        vx: Math.cos(angle) * speed * towards,
+        vy: Math.sin(angle) * speed - 1,
+        age: 0,
+        life: SPARK_TICKS - Math.floor(rng() * 6),
+      });
+    }
+  }
+}
+
+// Everything one hit ({ type, damage, blocked }) sets off at `at`, sparks flying `towards`
+function burst(fx, state, at, hit, towards, enabled) {
+  fx.rolls += 1;
+  const rng = createRng(deriveSeed(state.seed, state.tick, fx.rolls));
+
+  if (enabled.hitstop) {
+    const ticks = HITSTOP_TICKS[hit.type] || HITSTOP_TICKS.light;
+    fx.hitstop = Math.max(fx.hitstop, hit.blocked ? Math.ceil(ticks * BLOCKED_HITSTOP) : ticks);
+  }
+  const shake = !hit.blocked && SHAKES[hit.type];
+  if (enabled.shake && shake && (!fx.shake || fx.shake.power <= shake.power)) {
+    fx.shake = { ...shake, age: 0 };
+  }
+  if (enabled.sparks) spawnSparks(fx, rng, at, hit, towards);
+  if (enabled.damageNumbers && hit.damage > 0) {
+    fx.numbers.push({ value: hit.damage, blocked: hit.blocked, x: at.x + (rng() - 0.5) * 16, y: at.y - 12, age: 0 });
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Start the effects for whatever landed between two engine states, with
+ * `enabled` from activeEffects(): attacks and projectiles, projectiles
+ * clashing, throws teched, and the stage hurting a fighter. Mutates fx.
+ */
+export function spawnEffects(fx, prev, next, enabled) {
+  if (next.clashes > prev.clashes) burst(fx, next, next.lastClash, CLASH_HIT, 1, enabled);
+  for (const [side, other] of [["p1", "p2"], ["p2", "p1"]]) {
+    const before = prev[side];
+    const after = next[side];
+    // A new round starts the counts over, so only an increase is a hit
+    if (after.stageHits > before.stageHits) {
+      const hit = { type: STAGE_HIT_TYPE, damage: after.lastStageHit.damage, blocked: false };
+      const at = { x: after.x, y: after.y - after.height / 2 };
+      burst(fx, next, at, hit, after.vx < 0 ? -1 : 1, enabled);
+    }
+    if (after.hitsTaken > before.hitsTaken) {
+      burst(fx, next, impactPoint(next[other], after), after.lastHitTaken, -after.facing, enabled);
+    }
+    if (after.throwTechs > before.throwTechs) {
+      const at = { x: (after.x + next[other].x) / 2, y: after.y - after.height / 2 };
+      burst(fx, next, at, CLASH_HIT, -after.facing, enabled);
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Advance every effect by one tick, dropping the finished ones. Mutates fx. */
+export function tickEffects(fx) {
+  if (fx.hitstop > 0) fx.hitstop -= 1;
+  if (fx.shake) {
+    fx.shake.age += 1;
+    if (fx.shake.age >= fx.shake.ticks) fx.shake = null;
+  }
+  for (const s of fx.sparks) {
+    s.age += 1;
+    s.x += s.vx;
+    s.y += s.vy;
+    s.vx *= 0.88;
+    s.vy = s.vy * 0.88 + (s.kind === "hit" ? 0.25 : 0);
+  }
+  fx.sparks = fx.sparks.filter((s) => s.age < s.life);
+  for (const n of fx.numbers) n.age += 1;
+  fx.numbers = fx.numbers.filter((n) => n.age < NUMBER_TICKS);
+}
+
+// PUBLIC_INTERFACE
+/** Whether anything is left to draw or hold. */
+export function effectsActive(fx) {
+  return fx.hitstop > 0 || !!fx.shake || fx.sparks.length > 0 || fx.numbers.length > 0;
+}
+
+// PUBLIC_INTERFACE
+/** Current screen offset in arena units: a jitter that dies down over the shake. */
+export function shakeOffset(fx) {
+  if (!fx.shake) return { x: 0, y: 0 };
+  const { power, ticks, age } = fx.shake;
+  const strength = power * (1 - age / ticks);
+  // Alternate sides every tick so the shake reads as a rattle, not a drift
+  const sign = age % 2 === 0 ? 1 : -1;
+  return { x: Math.round(sign * strength), y: Math.round(((age % 3) - 1) * strength * 0.5) };
+}
+
+// PUBLIC_INTERFACE
+/** Draw the sparks and damage numbers; ctx is in arena units. */
+export function drawEffects(ctx, fx) {
+  ctx.save();
+  ctx.lineCap = "round";
+  for (const s of fx.sparks) {
+    const fade = 1 - s.age / s.life;
+    ctx.globalAlpha = fade;
+    if (s.kind === "guard") {
+      ctx.strokeStyle = "#38bdf8";
+      ctx.lineWidth = 3;
+    } else {
+      ctx.strokeStyle = s.age < 4 ? "#fffbeb" : "#f59e0b";
+      ctx.lineWidth = 2 + 2 * fade;
+    }
+    // Streaks trail behind each spark along its velocity
+    ctx.beginPath();
+    ctx.moveTo(s.x - s.vx * 2, s.y - s.vy * 2);
+    ctx.lineTo(s.x, s.y);
+    ctx.stroke();
+  }
+
+  ctx.textAlign = "center";
+  ctx.lineJoin = "round";
+  for (const n of fx.numbers) {
+    const progress = n.age / NUMBER_TICKS;
+    ctx.globalAlpha = progress < 0.6 ? 1 : 1 - (progress - 0.6) / 0.4;
+    ctx.font = `800 ${n.blocked ? 14 : 20}px system-ui, sans-serif`;
+    const y = n.y - NUMBER_RISE * (1 - (1 - progress) ** 2);
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = "#1e3a8a";
+    ctx.strokeText(String(n.value), n.x, y);
+    ctx.fillStyle = n.blocked ? "#cbd5e1" : "#fbbf24";
+    ctx.fillText(String(n.value), n.x, y);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,74 @@
+import { CHARACTERS, EMPTY_INPUT, createMatch, step } from "../engine";
+import {
+  DEFAULT_EFFECTS,
+  HITSTOP_TICKS,
+  activeEffects,
+  createEffects,
+  effectsActive,
+  shakeOffset,
+  spawnEffects,
+  tickEffects,
+} from "./effects";
+
+const LIGHT = { ...EMPTY_INPUT, light: true };
+const BLOCK = { ...EMPTY_INPUT, right: true }; // back, for p2
+
+// Step the match until the first attack connects; returns the states around the hit
+function landHit(p2Input = EMPTY_INPUT) {
+  const start = createMatch({ seed: 1, intro: false });
+  let state = { ...start, p2: { ...start.p2, x: start.p1.x + 70 } };
+  for (let i = 0; i <= CHARACTERS.kai.moves.light.startup; i++) {
+    const next = step(state, i === 0 ? LIGHT : EMPTY_INPUT, p2Input);
+    if (next.p2.hitsTaken > state.p2.hitsTaken) return { prev: state, next };
+    state = next;
+  }
+  throw new Error("the attack never landed");
+}
+
+test("a clean hit freezes, sparks and shows its damage where the attack met the body", () => {
+  const { prev, next } = landHit();
+  const fx = createEffects();
+  spawnEffects(fx, prev, next, DEFAULT_EFFECTS);
+  expect(fx.hitstop).toBe(HITSTOP_TICKS.light);
+  // Light hits do not shake the screen
+  expect(fx.shake).toBe(null);
+  expect(fx.sparks.length).toBeGreaterThan(0);
+  expect(fx.sparks.every((s) => s.kind === "hit")).toBe(true);
+  expect(fx.numbers).toEqual([expect.objectContaining({ value: next.p2.lastHitTaken.damage, blocked: false })]);
+  // Between the fighters, at body height
+  const spark = fx.sparks[0];
+  expect(spark.x).toBeGreaterThan(next.p1.x);
+  expect(spark.x).toBeLessThan(next.p2.x);
+  expect(spark.y).toBeLessThan(next.p2.y);
+
+  for (let i = 0; i < 120; i++) tickEffects(fx);
+  expect(effectsActive(fx)).toBe(false);
+});
+
+test("blocked hits get guard sparks and a shorter hitstop; heavy hits shake", () => {
+  const { prev, next } = landHit(BLOCK);
+  const fx = createEffects();
+  spawnEffects(fx, prev, next, DEFAULT_EFFECTS);
+  expect(fx.hitstop).toBeLessThan(HITSTOP_TICKS.light);
+  expect(fx.sparks.every((s) => s.kind === "guard")).toBe(true);
+
+  const heavyHit = { type: "heavy", damage: 12, blocked: false };
+  const heavy = { ...next, p2: { ...next.p2, hitsTaken: next.p2.hitsTaken + 1, lastHitTaken: heavyHit } };
+  const shaken = createEffects();
+  spawnEffects(shaken, next, heavy, DEFAULT_EFFECTS);
+  expect(shaken.shake).not.toBe(null);
+  expect(shakeOffset(shaken).x).not.toBe(0);
+});
+
+test("effects can be switched off one by one, or all at once by reduced motion", () => {
+  const { prev, next } = landHit();
+  const fx = createEffects();
+  spawnEffects(fx, prev, next, activeEffects({ hitstop: false, damageNumbers: false }, false));
+  expect(fx.hitstop).toBe(0);
+  expect(fx.numbers).toEqual([]);
+  expect(fx.sparks.length).toBeGreaterThan(0);
+
+  const calm = createEffects();
+  spawnEffects(calm, prev, next, activeEffects(DEFAULT_EFFECTS, true));
+  expect(effectsActive(calm)).toBe(false);
+});
@@ -0,0 +1,51 @@
+/**
+ * Rolling frame timing for the FPS overlay: frame-to-frame time, the time
+ * spent in the game loop (simulation plus drawing) and how often React
+ * re-rendered the arena, over the last SAMPLE_FRAMES frames.
+ */
+
+const SAMPLE_FRAMES = 60;
+
+// PUBLIC_INTERFACE
+/** Empty meter; feed it with recordFrame and recordCommit, read it with readMeter. */
+export function createFrameMeter() {
+  return { frames: [], commits: [] };
+}
+
+function keepRecent(list, value) {
+  list.push(value);
+  if (list.length > SAMPLE_FRAMES) list.shift();
+}
+
+// PUBLIC_INTERFACE
+/** Record one animation frame: when it ran, time since the previous one and the loop's own work, in ms. */
+export function recordFrame(meter, at, frameMs, workMs) {
+  keepRecent(meter.frames, { at, frameMs, workMs });
+}
+
+// PUBLIC_INTERFACE
+/** Record a React re-render of the match at time `at` (ms). */
+export function recordCommit(meter, at) {
+  keepRecent(meter.commits, at);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Summary of the recent frames: { fps, frameMs, worstMs, workMs, commitsPerSecond },
+ * or null with nothing recorded since `since` (e.g. while paused).
+ */
+export function readMeter(meter, since) {
+  const frames = meter.frames.filter((f) => f.at >= since);
+  if (frames.length === 0) return null;
+  const avg = (key) => frames.reduce((sum, f) => sum + f[key], 0) / frames.length;
+  const frameMs = avg("frameMs");
+  const span = frames[frames.length - 1].at - frames[0].at + frameMs;
+  const commits = meter.commits.filter((at) => at >= frames[0].at).length;
+  return {
+    fps: frameMs > 0 ? 1000 / frameMs : 0,
+    frameMs,
+    worstMs: Math.max(...frames.map((f) => f.frameMs)),
+    workMs: avg("workMs"),
+    commitsPerSecond: span > 0 ? (commits * 1000) / span : 0,
+  };
+}
@@ -0,0 +1,15 @@
+import { createFrameMeter, readMeter, recordCommit, recordFrame } from "./frameMeter";
+
+test("the meter averages recent frames and counts renders per second", () => {
+  const meter = createFrameMeter();
+  expect(readMeter(meter, 0)).toBe(null);
+  for (let i = 0; i < 30; i++) {
+    recordFrame(meter, i * 20, 20, 2);
+    if (i % 2 === 0) recordCommit(meter, i * 20);
+  }
+  const stats = readMeter(meter, 0);
+  expect(stats.fps).toBeCloseTo(50);
+  expect(stats.workMs).toBeCloseTo(2);
+  expect(stats.commitsPerSecond).toBeCloseTo(25);
+  expect(readMeter(meter, 10000)).toBe(null);
+});
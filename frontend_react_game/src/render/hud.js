@@ -0,0 +1,47 @@
+import { secondsRemaining } from "../engine";
+
+/**
+ * What the React HUD shows of a match, so a renderer that draws the arena
+ * itself only needs React to re-render when one of these changes.
+ */
+
+// How long a finished combo stays on screen, in ticks
+export const COMBO_LINGER_TICKS = 60;
+
+// PUBLIC_INTERFACE
+/** The combo to show for the fighter taking it: the live one, or one that just ended; else null. */
+export function shownCombo(victim, tick) {
+  if (victim.combo && victim.combo.hits >= 2) return victim.combo;
+  const recent = victim.lastCombo;
+  return recent && recent.hits >= 2 && tick - recent.endedAt < COMBO_LINGER_TICKS ? recent : null;
+}
+
+function fighterChanged(a, b, prevTick, nextTick) {
+  return (
+    a.hp !== b.hp ||
+    a.maxHp !== b.maxHp ||
+    a.meter !== b.meter ||
+    a.rounds !== b.rounds ||
+    a.combo !== b.combo ||
+    a.lastCombo !== b.lastCombo ||
+    shownCombo(a, prevTick) !== shownCombo(b, nextTick)
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True when the HUD, overlays or panels would show something different for
+ * next than for prev. introCallTicks is when the intro switches to "Fight!".
+ */
+export function hudChanged(prev, next, introCallTicks) {
+  return (
+    prev.phase !== next.phase ||
+    prev.round !== next.round ||
+    prev.freeze?.side !== next.freeze?.side ||
+    prev.rules !== next.rules ||
+    secondsRemaining(prev) !== secondsRemaining(next) ||
+    (next.phase === "intro" && (prev.phaseTicks > introCallTicks) !== (next.phaseTicks > introCallTicks)) ||
+    fighterChanged(prev.p1, next.p1, prev.tick, next.tick) ||
+    fighterChanged(prev.p2, next.p2, prev.tick, next.tick)
+  );
+}
@@ -0,0 +1,30 @@
+import { EMPTY_INPUT, createMatch, step } from "../engine";
+import { COMBO_LINGER_TICKS, hudChanged, shownCombo } from "./hud";
+
+const FIGHT_CALL = 36;
+
+test("walking around does not touch the HUD, but damage and the clock do", () => {
+  const start = createMatch({ seed: 1, intro: false });
+  const walked = step(start, { ...EMPTY_INPUT, right: true }, EMPTY_INPUT);
+  expect(hudChanged(start, walked, FIGHT_CALL)).toBe(false);
+
+  const hurt = { ...walked, p2: { ...walked.p2, hp: walked.p2.hp - 5 } };
+  expect(hudChanged(walked, hurt, FIGHT_CALL)).toBe(true);
+  expect(hudChanged(walked, { ...walked, timer: walked.timer - 60 }, FIGHT_CALL)).toBe(true);
+
+  const intro = createMatch({ seed: 1 });
+  const at = (phaseTicks) => ({ ...intro, phaseTicks });
+  expect(hudChanged(at(FIGHT_CALL + 2), at(FIGHT_CALL + 1), FIGHT_CALL)).toBe(false);
+  expect(hudChanged(at(FIGHT_CALL + 1), at(FIGHT_CALL), FIGHT_CALL)).toBe(true);
+});
+
+test("a finished combo lingers on screen for a while", () => {
+  const combo = { hits: 3, damage: 20, endedAt: 100 };
+  const victim = { combo: null, lastCombo: combo };
+  expect(shownCombo(victim, 100 + COMBO_LINGER_TICKS - 1)).toBe(combo);
+  expect(shownCombo(victim, 100 + COMBO_LINGER_TICKS)).toBe(null);
+
+  const a = { ...createMatch({ seed: 1, intro: false }), tick: 100 + COMBO_LINGER_TICKS - 1 };
+  const withCombo = { ...a, p1: { ...a.p1, lastCombo: combo } };
+  expect(hudChanged(withCombo, { ...withCombo, tick: withCombo.tick + 1 }, FIGHT_CALL)).toBe(true);
+});
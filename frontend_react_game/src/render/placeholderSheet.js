@@ -0,0 +1,182 @@
+/**
+ * The placeholder sprite sheet: a simple jointed figure drawn procedurally
+ * in a character's palette, with an atlas in the same shape a hand-made
+ * sheet would use (see ./animation). No image files involved.
+ */
+
+const FRAME_W = 144;
+const FRAME_H = 112;
+const COLUMNS = 8;
+const ANCHOR = { x: FRAME_W / 2, y: FRAME_H - 4 };
+const BODY_HEIGHT = 100;
+
+// Figure proportions in sheet pixels
+const LEG = 44;
+const TORSO = 34;
+const TORSO_W = 26;
+const HEAD_R = 11;
+const ARM = 28;
+
+const BASE = { lean: 0, crouch: 0, rot: 0, legF: 0.15, legB: -0.15, legReach: 1, armF: 2.0, armB: 1.6, reach: 0.85, glow: 0 };
+
+// Poses per animation: one entry per frame, as changes from BASE. Angles are
+// radians from straight down, positive toward the way the fighter faces.
+const POSES = {
+  idle: { frameTicks: 14, loop: true, frames: [{}, { crouch: 2, armF: 1.9 }] },
+  walkForward: {
+    frameTicks: 7,
+    loop: true,
+    frames: [{ legF: 0.45, legB: -0.4 }, { legF: 0.1, legB: -0.1 }, { legF: -0.4, legB: 0.45 }, { legF: -0.1, legB: 0.1 }],
+  },
+  walkBack: {
+    frameTicks: 8,
+    loop: true,
+    frames: [{ legF: -0.1, legB: 0.1 }, { legF: -0.4, legB: 0.45 }, { legF: 0.1, legB: -0.1 }, { legF: 0.45, legB: -0.4 }],
+  },
+  jump: { frameTicks: 1, frames: [{ legF: 1.0, legB: 0.5, legReach: 0.75, armF: 2.6, armB: 2.3 }] },
+  fall: { frameTicks: 1, frames: [{ legF: 0.35, legB: -0.25, armF: 2.0, armB: 1.6 }] },
+  crouch: { frameTicks: 1, frames: [{ crouch: 24, lean: 0.2, legF: 0.9, legB: -0.6 }] },
+  block: { frameTicks: 1, frames: [{ crouch: 8, lean: -0.1, armF: 2.8, armB: 2.5, reach: 0.7 }] },
+  crouchBlock: {
+    frameTicks: 1,
+    frames: [{ crouch: 24, lean: 0.05, legF: 0.9, legB: -0.6, armF: 2.8, armB: 2.5, reach: 0.7 }],
+  },
+  hitstun: {
+    frameTicks: 5,
+    frames: [{ lean: -0.25, armF: -2.0, armB: -2.3 }, { lean: -0.4, crouch: 4, armF: -1.8, armB: -2.1 }],
+  },
+  thrown: { frameTicks: 1, frames: [{ lean: 0.3, crouch: 4, armF: 0.4, armB: -0.3 }] },
+  ko: {
+    frameTicks: 8,
+    frames: [
+      { lean: -0.4, crouch: 6, armF: -1.8, armB: -2.1 },
+      { rot: -0.4, crouch: 14, legF: 0.6, armF: -1.3, armB: -1.5 },
+      { rot: -0.75, crouch: 22, legF: 1.1, legB: 0.8, armF: -0.9, armB: -1.1 },
+    ],
+  },
+  attackStartup: { frameTicks: 4, frames: [{ lean: -0.05, armF: 1.2, reach: 0.7 }] },
+  attackActive: { frameTicks: 4, frames: [{ lean: 0.15, armF: Math.PI / 2, reach: 1.4 }] },
+  attackRecovery: { frameTicks: 4, frames: [{ lean: 0.05, armF: 1.8, reach: 1.0 }] },
+  heavyStartup: { frameTicks: 4, frames: [{ lean: -0.15, legF: 0.9, legReach: 0.7 }] },
+  heavyActive: { frameTicks: 4, frames: [{ lean: -0.3, legF: 1.5, legReach: 1.1, armF: 1.2 }] },
+  heavyRecovery: { frameTicks: 4, frames: [{ lean: -0.1, legF: 0.6, legReach: 0.8 }] },
+  crouchAttackStartup: { frameTicks: 4, frames: [{ crouch: 24, lean: 0.15, legF: 0.9, legB: -0.6, armF: 1.0, reach: 0.7 }] },
+  crouchAttackActive: { frameTicks: 4, frames: [{ crouch: 26, lean: 0.1, legF: 1.4, legReach: 1.5, legB: -0.6 }] },
+  crouchAttackRecovery: { frameTicks: 4, frames: [{ crouch: 24, lean: 0.15, legF: 1.0, legB: -0.6 }] },
+  airAttackStartup: { frameTicks: 4, frames: [{ legF: 1.0, legB: 0.5, legReach: 0.7, armF: 2.3 }] },
+  airAttackActive: { frameTicks: 4, frames: [{ lean: -0.2, legF: 0.8, legReach: 1.2, legB: 0.3, armF: 2.4 }] },
+  airAttackRecovery: { frameTicks: 4, frames: [{ legF: 0.6, legB: 0.2, legReach: 0.9, armF: 2.0 }] },
+  throwStartup: { frameTicks: 4, frames: [{ lean: 0.1, armF: 1.5, armB: 1.4, reach: 0.9 }] },
+  throwActive: { frameTicks: 4, frames: [{ lean: 0.2, armF: Math.PI / 2, armB: Math.PI / 2, reach: 1.2 }] },
+  throwRecovery: { frameTicks: 4, frames: [{ lean: -0.35, armF: 2.7, armB: 2.5, reach: 1.0 }] },
+  specialStartup: { frameTicks: 4, frames: [{ lean: -0.1, armF: -1.0, armB: -1.2, glow: 0.4 }] },
+  specialActive: { frameTicks: 4, frames: [{ lean: 0.15, armF: Math.PI / 2, armB: 1.5, reach: 1.3, glow: 1 }] },
+  specialRecovery: { frameTicks: 4, frames: [{ armF: 1.8, armB: 1.5, glow: 0.2 }] },
+};
+
+// Point at `length` from (x, y) along an angle measured from straight down
+function limbEnd(x, y, angle, length) {
+  return { x: x + Math.sin(angle) * length, y: y + Math.cos(angle) * length };
+}
+
+function limb(ctx, from, to, color, outline) {
+  ctx.lineCap = "round";
+  ctx.strokeStyle = outline;
+  ctx.lineWidth = 11;
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 7;
+  ctx.stroke();
+}
+
+// One figure with its feet at the origin, facing right
+function drawFigure(ctx, pose, palette) {
+  const p = { ...BASE, ...pose };
+  ctx.save();
+  ctx.rotate(p.rot);
+  const hip = { x: 0, y: -LEG + p.crouch };
+  const shoulder = { x: hip.x + Math.sin(p.lean) * TORSO, y: hip.y - Math.cos(p.lean) * TORSO };
+  const arm = ARM * p.reach;
+  // Crouching bends the legs, which reads as shorter ones from the side
+  const leg = LEG - p.crouch;
+
+  // Far limbs first, a shade darker
+  ctx.globalAlpha = 0.75;
+  limb(ctx, hip, limbEnd(hip.x, hip.y, p.legB, leg), palette.body, palette.outline);
+  limb(ctx, shoulder, limbEnd(shoulder.x, shoulder.y, p.armB, ARM * 0.9), palette.body, palette.outline);
+  ctx.globalAlpha = 1;
+
+  // Torso, belt, head and headband
+  ctx.save();
+  ctx.translate(hip.x, hip.y);
+  ctx.rotate(p.lean);
+  ctx.fillStyle = palette.body;
+  ctx.strokeStyle = palette.outline;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.rect(-TORSO_W / 2, -TORSO, TORSO_W, TORSO + 4);
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = palette.detail;
+  ctx.fillRect(-TORSO_W / 2, -4, TORSO_W, 6);
+  ctx.beginPath();
+  ctx.arc(0, -TORSO - HEAD_R - 2, HEAD_R, 0, Math.PI * 2);
+  ctx.fillStyle = palette.body;
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = palette.detail;
+  ctx.fillRect(-HEAD_R, -TORSO - HEAD_R - 6, HEAD_R * 2, 5);
+  ctx.restore();
+
+  // Near limbs
+  const foot = limbEnd(hip.x, hip.y, p.legF, leg * p.legReach);
+  limb(ctx, hip, foot, palette.body, palette.outline);
+  const hand = limbEnd(shoulder.x, shoulder.y, p.armF, arm);
+  limb(ctx, shoulder, hand, palette.body, palette.outline);
+
+  // Specials charge up a glow in the leading hand
+  if (p.glow > 0) {
+    ctx.globalAlpha = 0.35 + 0.5 * p.glow;
+    ctx.fillStyle = palette.detail;
+    ctx.beginPath();
+    ctx.arc(hand.x, hand.y, 5 + 9 * p.glow, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+  ctx.restore();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Draw the placeholder sheet for a palette ({ body, outline, detail }).
+ * Returns { image, atlas } where image is a canvas usable with drawImage.
+ */
+export function buildPlaceholderSheet(palette) {
+  const entries = Object.entries(POSES).flatMap(([name, anim]) => anim.frames.map((pose, i) => ({ name, i, pose })));
+  const canvas = document.createElement("canvas");
+  canvas.width = FRAME_W * COLUMNS;
+  canvas.height = FRAME_H * Math.ceil(entries.length / COLUMNS);
+  const ctx = canvas.getContext("2d");
+
+  const frames = {};
+  entries.forEach(({ name, i, pose }, n) => {
+    const x = (n % COLUMNS) * FRAME_W;
+    const y = Math.floor(n / COLUMNS) * FRAME_H;
+    frames[`${name}_${i}`] = { x, y, w: FRAME_W, h: FRAME_H };
+    ctx.save();
+    ctx.translate(x + ANCHOR.x, y + ANCHOR.y);
+    drawFigure(ctx, pose, palette);
+    ctx.restore();
+  });
+
+  const animations = Object.fromEntries(
+    Object.entries(POSES).map(([name, anim]) => [
+      name,
+      { frames: anim.frames.map((_, i) => `${name}_${i}`), frameTicks: anim.frameTicks, loop: !!anim.loop },
+    ])
+  );
+  return { image: canvas, atlas: { frames, anchor: ANCHOR, bodyHeight: BODY_HEIGHT, animations } };
+}
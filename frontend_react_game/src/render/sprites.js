@@ -0,0 +1,62 @@
+import { getPalette } from "../engine";
+import { parseAtlas } from "./animation";
+import { buildPlaceholderSheet } from "./placeholderSheet";
+
+/**
+ * Sprite sheets by character. A character listed in SPRITE_ATLASES uses the
+ * sheet its atlas describes; everyone else gets the procedural placeholder
+ * sheet in their palette. Sheets are built or loaded on first use and cached.
+ */
+
+// Character id -> URL of an atlas JSON (see ./animation) whose "image" is
+// relative to it, e.g. { kai: "/sprites/kai.json" } with public/sprites/kai.png.
+// An optional "altImage" is used for the alternate (mirror match) palette.
+export const SPRITE_ATLASES = {};
+
+const sheets = new Map();
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load ${src}.`));
+    image.src = src;
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Fetch an atlas and its image(s): resolves to { atlas, image, altImage }. */
+export async function loadSpriteSheet(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load ${url}.`);
+  const doc = await response.json();
+  const atlas = parseAtlas(doc);
+  const base = new URL(url, window.location.href);
+  const image = await loadImage(new URL(doc.image, base).href);
+  const altImage = doc.altImage ? await loadImage(new URL(doc.altImage, base).href) : image;
+  return { atlas, image, altImage };
+}
+
+function placeholderFor(fighter) {
+  const key = `placeholder:${fighter.characterId}:${fighter.palette}`;
+  if (!sheets.has(key)) sheets.set(key, buildPlaceholderSheet(getPalette(fighter)));
+  return sheets.get(key);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The sheet to draw a fighter with: { image, atlas }. A configured atlas
+ * still loading, or one that failed to load, shows the placeholder.
+ */
+export function spriteSheetFor(fighter) {
+  const url = SPRITE_ATLASES[fighter.characterId];
+  if (!url) return placeholderFor(fighter);
+  if (!sheets.has(url)) {
+    sheets.set(url, null);
+    // A sheet that fails to load stays null, so the placeholder stays on
+    loadSpriteSheet(url).then((sheet) => sheets.set(url, sheet), () => {});
+  }
+  const sheet = sheets.get(url);
+  if (!sheet) return placeholderFor(fighter);
+  return { atlas: sheet.atlas, image: fighter.palette === "alt" ? sheet.altImage : sheet.image };
+}
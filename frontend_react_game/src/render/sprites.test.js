@@ -0,0 +1,25 @@
+import { createMatch } from "../engine";
+import { SPRITE_ATLASES, spriteSheetFor } from "./sprites";
+
+// jsdom has no 2D canvas; a stand-in sheet tells the placeholder apart
+jest.mock("./placeholderSheet", () => ({
+  buildPlaceholderSheet: (palette) => ({ image: "placeholder", atlas: { palette } }),
+}));
+
+test("a sprite atlas that fails to load falls back to the placeholder sheet", async () => {
+  const fighter = createMatch({ seed: 1 }).p1;
+  SPRITE_ATLASES[fighter.characterId] = "/sprites/missing.json";
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false }));
+  const warn = jest.spyOn(console, "warn");
+  try {
+    expect(spriteSheetFor(fighter).image).toBe("placeholder");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(spriteSheetFor(fighter).image).toBe("placeholder");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(warn).not.toHaveBeenCalled();
+  } finally {
+    delete SPRITE_ATLASES[fighter.characterId];
+    delete global.fetch;
+    warn.mockRestore();
+  }
+});
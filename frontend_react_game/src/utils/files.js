@@ -0,0 +1,63 @@
+/**
+ * Browser file helpers for exporting and importing JSON documents, and for
+ * saving or printing HTML ones.
+ */
+
+function download(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// PUBLIC_INTERFACE
+/** Trigger a download of data as a pretty-printed JSON file. */
+export function downloadJSON(filename, data) {
+  download(filename, new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+}
+
+// PUBLIC_INTERFACE
+/** Trigger a download of a complete HTML document. */
+export function downloadHTML(filename, html) {
+  download(filename, new Blob([html], { type: "text/html" }));
+}
+
+// PUBLIC_INTERFACE
+/** Open the print dialog for a complete HTML document, without leaving the page. */
+export function printHTML(html) {
+  const frame = document.createElement("iframe");
+  frame.style.position = "fixed";
+  frame.style.width = "0";
+  frame.style.height = "0";
+  frame.style.border = "0";
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Printing blocks until the dialog closes in most browsers; give the rest a moment
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+// PUBLIC_INTERFACE
+/** Read a user-selected File and parse it as JSON. */
+export async function readJSONFile(file) {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Filesystem-safe timestamp for export file names, e.g. 2024-05-01-1530. */
+export function fileStamp(date = new Date()) {
+  const pad = (n) => n.toString().padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
@@ -0,0 +1,26 @@
+/**
+ * localStorage wrappers that never throw: private browsing, quota errors or
+ * corrupted values fall back to the provided default.
+ */
+
+// PUBLIC_INTERFACE
+/** Read and parse a JSON value, returning fallback when missing or unreadable. */
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Serialize and store a JSON value; returns false if storage is unavailable. */
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}